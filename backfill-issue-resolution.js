@@ -0,0 +1,33 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+/**
+ * One-off backfill for the resolvedAt columns of received issues and issue threads.
+ * Issues raised before the columns existed were handled through the order itself, so rows on
+ * orders that have moved past CONFIRM_ORDER_RECEIVED are marked resolved when the order was
+ * closed (or last updated). Issues on orders still awaiting confirmation stay open and pause
+ * the order's auto-close until someone resolves them.
+ * Run once, right after `npm run db:push` adds the columns.
+ */
+async function backfill() {
+  try {
+    const issues = await prisma.$executeRawUnsafe(
+      'UPDATE `order_received_issues` i JOIN `orders` o ON o.`id` = i.`orderId` ' +
+      'SET i.`resolvedAt` = GREATEST(i.`createdAt`, COALESCE(o.`closedAt`, o.`updatedAt`)) ' +
+      "WHERE i.`resolvedAt` IS NULL AND o.`status` <> 'CONFIRM_ORDER_RECEIVED'"
+    );
+    const threads = await prisma.$executeRawUnsafe(
+      'UPDATE `issue_threads` t JOIN `orders` o ON o.`id` = t.`orderId` ' +
+      'SET t.`resolvedAt` = GREATEST(t.`createdAt`, COALESCE(o.`closedAt`, o.`updatedAt`)) ' +
+      "WHERE t.`resolvedAt` IS NULL AND o.`status` <> 'CONFIRM_ORDER_RECEIVED'"
+    );
+    console.log(`✅ Backfill successful: ${issues} received issue(s) and ${threads} issue thread(s) marked resolved`);
+  } catch (error) {
+    console.error('❌ Backfill error:', error.message);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+backfill();
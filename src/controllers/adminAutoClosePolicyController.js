@@ -0,0 +1,118 @@
+const Joi = require('joi');
+const { runJobNow } = require('../services/jobService');
+const {
+  getAutoClosePolicySettings,
+  updateDefaultAutoClosePolicy,
+  upsertBranchAutoClosePolicy,
+  deleteBranchAutoClosePolicy
+} = require('../services/autoCloseService');
+
+const HOURS = Joi.number().min(0.25).max(1000).precision(2);
+
+// Branch overrides may send null to fall back to the company policy
+const policySchema = (allowNull) => {
+  const field = (schema) => (allowNull ? schema.allow(null) : schema);
+  return Joi.object({
+    windowHours: field(HOURS),
+    reminderHours: field(Joi.array().items(HOURS).unique().max(5))
+  }).min(1);
+};
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation error',
+  errors: error.details.map((d) => d.message)
+});
+
+// Every service call returns { success, statusCode?, message, data }
+const sendResult = (res, result, successStatus = 200) => {
+  if (!result.success) {
+    return res.status(result.statusCode || 400).json({ success: false, message: result.message });
+  }
+  res.status(successStatus).json({ success: true, message: result.message, data: result.data });
+};
+
+/**
+ * Company auto-close policy and branch overrides
+ * GET /api/admin/auto-close-policy
+ */
+const getAutoClosePolicySettingsController = async (req, res) => {
+  try {
+    sendResult(res, await getAutoClosePolicySettings());
+  } catch (error) {
+    console.error('Get auto-close policies controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch auto-close policies' });
+  }
+};
+
+/**
+ * Change the company auto-close policy
+ * PUT /api/admin/auto-close-policy
+ * Body: { windowHours?, reminderHours? } (working hours; reminders count back from autoCloseAt)
+ */
+const updateDefaultAutoClosePolicyController = async (req, res) => {
+  try {
+    const { error, value } = policySchema(false).validate(req.body);
+    if (error) return validationError(res, error);
+
+    sendResult(res, await updateDefaultAutoClosePolicy(value, req.user));
+  } catch (error) {
+    console.error('Update auto-close policy controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update auto-close policy' });
+  }
+};
+
+/**
+ * Override a branch's auto-close policy
+ * PUT /api/admin/auto-close-policy/branches/:branchId
+ * Body: { windowHours?, reminderHours? } (null = use the company policy)
+ */
+const upsertBranchAutoClosePolicyController = async (req, res) => {
+  try {
+    const { error, value } = policySchema(true).validate(req.body);
+    if (error) return validationError(res, error);
+
+    sendResult(res, await upsertBranchAutoClosePolicy(req.params.branchId, value, req.user));
+  } catch (error) {
+    console.error('Upsert branch auto-close policy controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update branch auto-close policy' });
+  }
+};
+
+/**
+ * Remove a branch override
+ * DELETE /api/admin/auto-close-policy/branches/:branchId
+ */
+const deleteBranchAutoClosePolicyController = async (req, res) => {
+  try {
+    sendResult(res, await deleteBranchAutoClosePolicy(req.params.branchId));
+  } catch (error) {
+    console.error('Delete branch auto-close policy controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete branch auto-close policy' });
+  }
+};
+
+/**
+ * Run the auto-close job now instead of waiting for the schedule (under the job's lease)
+ * POST /api/admin/auto-close-policy/run
+ */
+const runAutoCloseController = async (req, res) => {
+  try {
+    const result = await runJobNow('auto-close-orders', req.user);
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({ success: false, message: result.message });
+    }
+    res.json({ success: true, message: 'Auto-close run completed', data: result.data.result });
+  } catch (error) {
+    console.error('Run auto-close controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to run auto-close' });
+  }
+};
+
+module.exports = {
+  getAutoClosePolicySettingsController,
+  updateDefaultAutoClosePolicyController,
+  upsertBranchAutoClosePolicyController,
+  deleteBranchAutoClosePolicyController,
+  runAutoCloseController
+};
@@ -32,6 +32,7 @@ const createBranch = async (req, res) => {
   try {
     const schema = Joi.object({
       name: Joi.string().required(),
+      code: Joi.string().trim().uppercase().pattern(/^[A-Z0-9]{2,10}$/).allow(null, ''),
       address: Joi.string().required(),
       city: Joi.string().required(),
       state: Joi.string().required(),
@@ -44,6 +45,7 @@ const createBranch = async (req, res) => {
     if (error) return res.status(400).json({ success: false, message: error.message });
 
     const { targetLocations, ...branchData } = value;
+    if (branchData.code === '') branchData.code = null;
     // Persist CSV snapshot too for resilience
     const branch = await prisma.branch.create({ data: { ...branchData, targetLocation: (targetLocations || []).join(',') || null } });
 
@@ -57,6 +59,9 @@ const createBranch = async (req, res) => {
     res.status(201).json({ success: true, data: full });
   } catch (error) {
     console.error('Create branch error:', error);
+    if (error.code === 'P2002') {
+      return res.status(409).json({ success: false, message: 'Branch code is already in use' });
+    }
     res.status(500).json({ success: false, message: 'Failed to create branch' });
   }
 };
@@ -65,6 +70,7 @@ const updateBranch = async (req, res) => {
   try {
     const schema = Joi.object({
       name: Joi.string().optional(),
+      code: Joi.string().trim().uppercase().pattern(/^[A-Z0-9]{2,10}$/).allow(null, ''),
       address: Joi.string().optional(),
       city: Joi.string().optional(),
       state: Joi.string().optional(),
@@ -77,6 +83,7 @@ const updateBranch = async (req, res) => {
     if (error) return res.status(400).json({ success: false, message: error.message });
 
     const { targetLocations, ...branchData } = value;
+    if (branchData.code === '') branchData.code = null;
     await prisma.branch.update({ where: { id: req.params.id }, data: { ...branchData, targetLocation: Array.isArray(targetLocations) ? (targetLocations.join(',') || null) : undefined } });
 
     if (Array.isArray(targetLocations)) {
@@ -92,6 +99,9 @@ const updateBranch = async (req, res) => {
     res.json({ success: true, data: full });
   } catch (error) {
     console.error('Update branch error:', error);
+    if (error.code === 'P2002') {
+      return res.status(409).json({ success: false, message: 'Branch code is already in use' });
+    }
     res.status(500).json({ success: false, message: 'Failed to update branch' });
   }
 };
@@ -0,0 +1,181 @@
+const Joi = require('joi');
+const {
+  getCalendarSettings,
+  getBranchCalendar,
+  updateDefaultCalendar,
+  upsertBranchCalendar,
+  deleteBranchCalendar,
+  addHoliday,
+  removeHoliday,
+  previewWorkingHours
+} = require('../services/businessCalendarService');
+
+const TIME = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).message('time must be HH:MM');
+const DATE = Joi.string().pattern(/^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/).message('date must be YYYY-MM-DD');
+
+// Branch overrides may send null to fall back to the company calendar
+const calendarSchema = (allowNull) => {
+  const field = (schema) => (allowNull ? schema.allow(null) : schema);
+  return Joi.object({
+    timeZone: field(Joi.string().trim().max(64)),
+    workingDays: field(Joi.array().items(Joi.number().integer().min(1).max(7)).unique().min(1)),
+    startTime: field(TIME),
+    endTime: field(TIME)
+  }).min(1);
+};
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation error',
+  errors: error.details.map((d) => d.message)
+});
+
+// Every service call returns { success, statusCode?, message, data }
+const sendResult = (res, result, successStatus = 200) => {
+  if (!result.success) {
+    return res.status(result.statusCode || 400).json({ success: false, message: result.message });
+  }
+  res.status(successStatus).json({ success: true, message: result.message, data: result.data });
+};
+
+/**
+ * Company calendar and branch overrides
+ * GET /api/admin/business-calendar
+ */
+const getCalendarSettingsController = async (req, res) => {
+  try {
+    sendResult(res, await getCalendarSettings());
+  } catch (error) {
+    console.error('Get calendar settings controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch business calendars' });
+  }
+};
+
+/**
+ * Change the company calendar
+ * PUT /api/admin/business-calendar
+ * Body: { timeZone?, workingDays?, startTime?, endTime? }
+ */
+const updateDefaultCalendarController = async (req, res) => {
+  try {
+    const { error, value } = calendarSchema(false).validate(req.body);
+    if (error) return validationError(res, error);
+
+    sendResult(res, await updateDefaultCalendar(value, req.user));
+  } catch (error) {
+    console.error('Update default calendar controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update company calendar' });
+  }
+};
+
+/**
+ * Calendar in effect for a branch
+ * GET /api/admin/business-calendar/branches/:branchId
+ */
+const getBranchCalendarController = async (req, res) => {
+  try {
+    sendResult(res, await getBranchCalendar(req.params.branchId));
+  } catch (error) {
+    console.error('Get branch calendar controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch branch calendar' });
+  }
+};
+
+/**
+ * Override a branch's calendar
+ * PUT /api/admin/business-calendar/branches/:branchId
+ * Body: { timeZone?, workingDays?, startTime?, endTime? } (null = use the company calendar)
+ */
+const upsertBranchCalendarController = async (req, res) => {
+  try {
+    const { error, value } = calendarSchema(true).validate(req.body);
+    if (error) return validationError(res, error);
+
+    sendResult(res, await upsertBranchCalendar(req.params.branchId, value, req.user));
+  } catch (error) {
+    console.error('Upsert branch calendar controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update branch calendar' });
+  }
+};
+
+/**
+ * Remove a branch override
+ * DELETE /api/admin/business-calendar/branches/:branchId
+ */
+const deleteBranchCalendarController = async (req, res) => {
+  try {
+    sendResult(res, await deleteBranchCalendar(req.params.branchId));
+  } catch (error) {
+    console.error('Delete branch calendar controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete branch calendar' });
+  }
+};
+
+/**
+ * Add a holiday (company-wide, or regional when branchId is given)
+ * POST /api/admin/business-calendar/holidays
+ * Body: { date: 'YYYY-MM-DD', name, branchId? }
+ */
+const addHolidayController = async (req, res) => {
+  try {
+    const schema = Joi.object({
+      date: DATE.required(),
+      name: Joi.string().trim().min(2).max(100).required(),
+      branchId: Joi.string().optional()
+    });
+    const { error, value } = schema.validate(req.body);
+    if (error) return validationError(res, error);
+
+    sendResult(res, await addHoliday(value, req.user), 201);
+  } catch (error) {
+    console.error('Add holiday controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to add holiday' });
+  }
+};
+
+/**
+ * Remove a holiday
+ * DELETE /api/admin/business-calendar/holidays/:id
+ */
+const removeHolidayController = async (req, res) => {
+  try {
+    sendResult(res, await removeHoliday(req.params.id));
+  } catch (error) {
+    console.error('Remove holiday controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to remove holiday' });
+  }
+};
+
+/**
+ * Working hours between two instants, or the instant N working hours later, in a calendar
+ * POST /api/admin/business-calendar/preview
+ * Body: { from, to?, hours?, branchId? }
+ */
+const previewWorkingHoursController = async (req, res) => {
+  try {
+    const schema = Joi.object({
+      from: Joi.date().iso().required(),
+      to: Joi.date().iso().optional(),
+      hours: Joi.number().min(0).max(10000).optional(),
+      branchId: Joi.string().optional()
+    }).or('to', 'hours');
+    const { error, value } = schema.validate(req.body);
+    if (error) return validationError(res, error);
+
+    sendResult(res, await previewWorkingHours(value));
+  } catch (error) {
+    console.error('Preview working hours controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to preview working hours' });
+  }
+};
+
+module.exports = {
+  getCalendarSettingsController,
+  updateDefaultCalendarController,
+  getBranchCalendarController,
+  upsertBranchCalendarController,
+  deleteBranchCalendarController,
+  addHolidayController,
+  removeHolidayController,
+  previewWorkingHoursController
+};
@@ -0,0 +1,90 @@
+const Joi = require('joi');
+const { listJobs, listJobRuns, runJobNow, setJobEnabled } = require('../services/jobService');
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation error',
+  errors: error.details.map((d) => d.message)
+});
+
+// Every service call returns { success, statusCode?, message, data }
+const sendResult = (res, result, successStatus = 200) => {
+  if (!result.success) {
+    return res.status(result.statusCode || 500).json({ success: false, message: result.message, data: result.data });
+  }
+  res.status(successStatus).json({ success: true, message: result.message, data: result.data });
+};
+
+/**
+ * Scheduled jobs with their settings, lease and last run
+ * GET /api/admin/jobs
+ */
+const listJobsController = async (req, res) => {
+  try {
+    sendResult(res, await listJobs());
+  } catch (error) {
+    console.error('List jobs controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to list jobs' });
+  }
+};
+
+/**
+ * Job run history
+ * GET /api/admin/jobs/runs?jobName=&status=&trigger=&page=&limit=
+ */
+const listJobRunsController = async (req, res) => {
+  try {
+    const schema = Joi.object({
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(100).default(20),
+      jobName: Joi.string().optional(),
+      status: Joi.string().valid('RUNNING', 'SUCCESS', 'FAILED').optional(),
+      trigger: Joi.string().valid('CRON', 'MANUAL').optional()
+    });
+    const { error, value } = schema.validate(req.query);
+    if (error) return validationError(res, error);
+
+    sendResult(res, await listJobRuns(value));
+  } catch (error) {
+    console.error('List job runs controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to list job runs' });
+  }
+};
+
+/**
+ * Run a job now (waits for it to finish); 409 while it is running on any instance
+ * POST /api/admin/jobs/:name/run
+ */
+const runJobController = async (req, res) => {
+  try {
+    sendResult(res, await runJobNow(req.params.name, req.user));
+  } catch (error) {
+    console.error('Run job controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to run job' });
+  }
+};
+
+/**
+ * Enable or disable a job on every instance
+ * PUT /api/admin/jobs/:name
+ * Body: { isEnabled }
+ */
+const updateJobController = async (req, res) => {
+  try {
+    const schema = Joi.object({ isEnabled: Joi.boolean().required() });
+    const { error, value } = schema.validate(req.body);
+    if (error) return validationError(res, error);
+
+    sendResult(res, await setJobEnabled(req.params.name, value.isEnabled, req.user));
+  } catch (error) {
+    console.error('Update job controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update job' });
+  }
+};
+
+module.exports = {
+  listJobsController,
+  listJobRunsController,
+  runJobController,
+  updateJobController
+};
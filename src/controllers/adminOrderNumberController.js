@@ -0,0 +1,97 @@
+const Joi = require('joi');
+const {
+  getOrderNumberSettings,
+  previewOrderNumberFormat,
+  updateOrderNumberFormat
+} = require('../services/orderNumberService');
+
+const formatSchema = Joi.string().trim().min(5).max(60);
+
+/**
+ * Current order number format and the next numbers it will issue
+ * GET /api/admin/order-numbering
+ */
+const getOrderNumberingController = async (req, res) => {
+  try {
+    const result = await getOrderNumberSettings();
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({ success: false, message: result.message });
+    }
+
+    res.json({ success: true, data: result.data });
+  } catch (error) {
+    console.error('Get order numbering controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch order number settings' });
+  }
+};
+
+/**
+ * Preview a format without saving it
+ * POST /api/admin/order-numbering/preview
+ * Body: { format, branchId? }
+ */
+const previewOrderNumberingController = async (req, res) => {
+  try {
+    const schema = Joi.object({
+      format: formatSchema.required(),
+      branchId: Joi.string().optional()
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map((d) => d.message)
+      });
+    }
+
+    const result = await previewOrderNumberFormat(value.format, value.branchId);
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({ success: false, message: result.message });
+    }
+
+    res.json({ success: true, data: result.data });
+  } catch (error) {
+    console.error('Preview order numbering controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to preview order number format' });
+  }
+};
+
+/**
+ * Change the format used for new orders
+ * PUT /api/admin/order-numbering
+ * Body: { format } e.g. "{BRANCHCODE}-{YYYY}-{SEQ:5}"
+ */
+const updateOrderNumberingController = async (req, res) => {
+  try {
+    const schema = Joi.object({
+      format: formatSchema.required()
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map((d) => d.message)
+      });
+    }
+
+    const result = await updateOrderNumberFormat(value.format, req.user.id);
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({ success: false, message: result.message });
+    }
+
+    res.json({ success: true, message: result.message, data: result.data });
+  } catch (error) {
+    console.error('Update order numbering controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update order number format' });
+  }
+};
+
+module.exports = {
+  getOrderNumberingController,
+  previewOrderNumberingController,
+  updateOrderNumberingController
+};
@@ -0,0 +1,59 @@
+const Joi = require('joi');
+const { listSyncRuns, getSyncRunById } = require('../services/syncRunService');
+
+/**
+ * List BoxHero sync runs
+ * GET /api/admin/sync-runs
+ */
+const listSyncRunsController = async (req, res) => {
+  try {
+    const schema = Joi.object({
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(100).default(20),
+      status: Joi.string().valid('RUNNING', 'SUCCESS', 'FAILED').optional(),
+      trigger: Joi.string().valid('CRON', 'MANUAL').optional()
+    });
+
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map((d) => d.message)
+      });
+    }
+
+    const result = await listSyncRuns(value);
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: result.message });
+    }
+
+    res.json({ success: true, data: result.data });
+  } catch (error) {
+    console.error('List sync runs controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to list sync runs' });
+  }
+};
+
+/**
+ * Get a single BoxHero sync run
+ * GET /api/admin/sync-runs/:id
+ */
+const getSyncRunController = async (req, res) => {
+  try {
+    const result = await getSyncRunById(req.params.id);
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({ success: false, message: result.message });
+    }
+
+    res.json({ success: true, data: result.data });
+  } catch (error) {
+    console.error('Get sync run controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get sync run' });
+  }
+};
+
+module.exports = {
+  listSyncRunsController,
+  getSyncRunController
+};
@@ -0,0 +1,113 @@
+const Joi = require('joi');
+const { listBackorders, convertBackorders, cancelBackorder } = require('../services/backorderService');
+
+/**
+ * List backorders visible to the user
+ * GET /api/backorders
+ */
+const listBackordersController = async (req, res) => {
+  try {
+    const schema = Joi.object({
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(100).default(20),
+      status: Joi.string().valid('OPEN', 'AVAILABLE', 'CONVERTED', 'CANCELLED').optional(),
+      branchId: Joi.string().optional(),
+      sku: Joi.string().trim().optional(),
+      orderId: Joi.string().optional()
+    });
+
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map((d) => d.message)
+      });
+    }
+
+    const result = await listBackorders(value, req.user);
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({ success: false, message: result.message });
+    }
+
+    res.json({ success: true, data: result.data });
+  } catch (error) {
+    console.error('List backorders controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to list backorders' });
+  }
+};
+
+/**
+ * Convert backorders of an order into a follow-up order
+ * POST /api/backorders/convert
+ * Body: { orderId, allocations?: [{ backorderId, quantity? }] } - without allocations every AVAILABLE backorder is converted
+ */
+const convertBackordersController = async (req, res) => {
+  try {
+    const schema = Joi.object({
+      orderId: Joi.string().required(),
+      allocations: Joi.array().items(
+        Joi.object({
+          backorderId: Joi.string().required(),
+          quantity: Joi.number().integer().min(1).optional()
+        })
+      ).optional()
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map((d) => d.message)
+      });
+    }
+
+    const result = await convertBackorders(value, req.user);
+    if (!result.success) {
+      return res.status(result.statusCode || 400).json({ success: false, message: result.message });
+    }
+
+    res.status(201).json({ success: true, message: result.message, data: result.data });
+  } catch (error) {
+    console.error('Convert backorders controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to convert backorders' });
+  }
+};
+
+/**
+ * Cancel a backorder
+ * PUT /api/backorders/:id/cancel
+ */
+const cancelBackorderController = async (req, res) => {
+  try {
+    const schema = Joi.object({
+      reason: Joi.string().trim().max(500).optional().allow('')
+    });
+
+    const { error, value } = schema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map((d) => d.message)
+      });
+    }
+
+    const result = await cancelBackorder(req.params.id, req.user, value.reason || null);
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({ success: false, message: result.message });
+    }
+
+    res.json({ success: true, message: result.message, data: result.data });
+  } catch (error) {
+    console.error('Cancel backorder controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to cancel backorder' });
+  }
+};
+
+module.exports = {
+  listBackordersController,
+  convertBackordersController,
+  cancelBackorderController
+};
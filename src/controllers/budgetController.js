@@ -0,0 +1,167 @@
+const Joi = require('joi');
+const {
+  getBranchBudgetStatus,
+  getBudgetReport,
+  listBudgets,
+  createBudget,
+  updateBudget,
+  deleteBudget
+} = require('../services/budgetService');
+
+const PERIOD = Joi.string().pattern(/^\d{4}-(0[1-9]|1[0-2])$/).message('period must be YYYY-MM');
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation error',
+  errors: error.details.map((d) => d.message)
+});
+
+// Every service call returns { success, statusCode?, message, data }
+const sendResult = (res, result, successStatus = 200) => {
+  if (!result.success) {
+    return res.status(result.statusCode || 400).json({ success: false, message: result.message });
+  }
+  res.status(successStatus).json({ success: true, message: result.message, data: result.data });
+};
+
+/**
+ * Remaining budget of a branch
+ * GET /api/budgets/status?branchId=&period=
+ * Branch users get their own branch when branchId is omitted
+ */
+const getBudgetStatusController = async (req, res) => {
+  try {
+    const schema = Joi.object({
+      branchId: Joi.string().optional(),
+      period: PERIOD.optional()
+    });
+    const { error, value } = schema.validate(req.query);
+    if (error) return validationError(res, error);
+
+    const branchId = value.branchId || req.user.branchId;
+    if (!branchId) {
+      return res.status(400).json({ success: false, message: 'branchId is required' });
+    }
+
+    const result = await getBranchBudgetStatus(branchId, value.period, req.user);
+    sendResult(res, result);
+  } catch (error) {
+    console.error('Get budget status controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch budget status' });
+  }
+};
+
+/**
+ * Budget versus actual per branch
+ * GET /api/budgets/report?period=&branchId=
+ */
+const getBudgetReportController = async (req, res) => {
+  try {
+    const schema = Joi.object({
+      period: PERIOD.optional(),
+      branchId: Joi.string().optional()
+    });
+    const { error, value } = schema.validate(req.query);
+    if (error) return validationError(res, error);
+
+    const result = await getBudgetReport(value, req.user);
+    sendResult(res, result);
+  } catch (error) {
+    console.error('Get budget report controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to build budget report' });
+  }
+};
+
+/**
+ * List budgets
+ * GET /api/budgets?branchId=&period=
+ */
+const listBudgetsController = async (req, res) => {
+  try {
+    const schema = Joi.object({
+      branchId: Joi.string().optional(),
+      period: PERIOD.optional()
+    });
+    const { error, value } = schema.validate(req.query);
+    if (error) return validationError(res, error);
+
+    const result = await listBudgets(value);
+    sendResult(res, result);
+  } catch (error) {
+    console.error('List budgets controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch budgets' });
+  }
+};
+
+const budgetFields = {
+  branchId: Joi.string(),
+  period: PERIOD,
+  category: Joi.string().trim().max(100).allow(null, ''),
+  amount: Joi.number().precision(2).min(0),
+  enforcement: Joi.string().valid('WARN', 'BLOCK'),
+  notes: Joi.string().max(1000).allow(null, '')
+};
+
+/**
+ * Create a budget
+ * POST /api/budgets
+ */
+const createBudgetController = async (req, res) => {
+  try {
+    const schema = Joi.object({
+      ...budgetFields,
+      branchId: budgetFields.branchId.required(),
+      period: budgetFields.period.required(),
+      amount: budgetFields.amount.required()
+    });
+    const { error, value } = schema.validate(req.body);
+    if (error) return validationError(res, error);
+
+    const result = await createBudget(value, req.user.id);
+    sendResult(res, result, 201);
+  } catch (error) {
+    console.error('Create budget controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to create budget' });
+  }
+};
+
+/**
+ * Update a budget
+ * PUT /api/budgets/:id
+ */
+const updateBudgetController = async (req, res) => {
+  try {
+    const schema = Joi.object(budgetFields).min(1);
+    const { error, value } = schema.validate(req.body);
+    if (error) return validationError(res, error);
+
+    const result = await updateBudget(req.params.id, value);
+    sendResult(res, result);
+  } catch (error) {
+    console.error('Update budget controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update budget' });
+  }
+};
+
+/**
+ * Delete a budget
+ * DELETE /api/budgets/:id
+ */
+const deleteBudgetController = async (req, res) => {
+  try {
+    const result = await deleteBudget(req.params.id);
+    sendResult(res, result);
+  } catch (error) {
+    console.error('Delete budget controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete budget' });
+  }
+};
+
+module.exports = {
+  getBudgetStatusController,
+  getBudgetReportController,
+  listBudgetsController,
+  createBudgetController,
+  updateBudgetController,
+  deleteBudgetController
+};
@@ -0,0 +1,196 @@
+const Joi = require('joi');
+const {
+  listCarts,
+  getCart,
+  createCart,
+  updateCart,
+  discardCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  submitCart
+} = require('../services/cartService');
+
+const cartLine = Joi.object({
+  sku: Joi.string().trim().required(),
+  quantity: Joi.number().integer().min(1).required()
+});
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation error',
+  errors: error.details.map((d) => d.message)
+});
+
+// Every service call returns { success, statusCode?, message, data }
+const sendResult = (res, result, successStatus = 200) => {
+  if (!result.success) {
+    return res.status(result.statusCode || 400).json({ success: false, message: result.message });
+  }
+  res.status(successStatus).json({ success: true, message: result.message, data: result.data });
+};
+
+/**
+ * List the carts of the user's branch
+ * GET /api/carts
+ */
+const listCartsController = async (req, res) => {
+  try {
+    const schema = Joi.object({
+      status: Joi.string().valid('ACTIVE', 'SUBMITTED', 'DISCARDED').default('ACTIVE')
+    });
+    const { error, value } = schema.validate(req.query);
+    if (error) return validationError(res, error);
+
+    sendResult(res, await listCarts(value, req.user));
+  } catch (error) {
+    console.error('List carts controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to list carts' });
+  }
+};
+
+/**
+ * Get a cart with stock re-validated
+ * GET /api/carts/:cartId
+ */
+const getCartController = async (req, res) => {
+  try {
+    sendResult(res, await getCart(req.params.cartId, req.user));
+  } catch (error) {
+    console.error('Get cart controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get cart' });
+  }
+};
+
+/**
+ * Create a cart / order draft
+ * POST /api/carts
+ */
+const createCartController = async (req, res) => {
+  try {
+    const schema = Joi.object({
+      name: Joi.string().trim().max(100).optional().allow(''),
+      remarks: Joi.string().max(500).optional().allow(''),
+      items: Joi.array().items(cartLine).unique('sku').optional()
+    });
+    const { error, value } = schema.validate(req.body);
+    if (error) return validationError(res, error);
+
+    sendResult(res, await createCart(value, req.user), 201);
+  } catch (error) {
+    console.error('Create cart controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to create cart' });
+  }
+};
+
+/**
+ * Rename a cart or change its remarks
+ * PUT /api/carts/:cartId
+ */
+const updateCartController = async (req, res) => {
+  try {
+    const schema = Joi.object({
+      name: Joi.string().trim().max(100).optional().allow(''),
+      remarks: Joi.string().max(500).optional().allow('')
+    }).min(1);
+    const { error, value } = schema.validate(req.body);
+    if (error) return validationError(res, error);
+
+    sendResult(res, await updateCart(req.params.cartId, value, req.user));
+  } catch (error) {
+    console.error('Update cart controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update cart' });
+  }
+};
+
+/**
+ * Discard a cart
+ * DELETE /api/carts/:cartId
+ */
+const discardCartController = async (req, res) => {
+  try {
+    sendResult(res, await discardCart(req.params.cartId, req.user));
+  } catch (error) {
+    console.error('Discard cart controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to discard cart' });
+  }
+};
+
+/**
+ * Add a line to a cart
+ * POST /api/carts/:cartId/items
+ */
+const addCartItemController = async (req, res) => {
+  try {
+    const { error, value } = cartLine.validate(req.body);
+    if (error) return validationError(res, error);
+
+    sendResult(res, await addCartItem(req.params.cartId, value, req.user));
+  } catch (error) {
+    console.error('Add cart item controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to add item to cart' });
+  }
+};
+
+/**
+ * Change the quantity of a cart line
+ * PUT /api/carts/:cartId/items/:itemId
+ */
+const updateCartItemController = async (req, res) => {
+  try {
+    const schema = Joi.object({
+      quantity: Joi.number().integer().min(1).required()
+    });
+    const { error, value } = schema.validate(req.body);
+    if (error) return validationError(res, error);
+
+    sendResult(res, await updateCartItem(req.params.cartId, req.params.itemId, value, req.user));
+  } catch (error) {
+    console.error('Update cart item controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update cart item' });
+  }
+};
+
+/**
+ * Remove a cart line
+ * DELETE /api/carts/:cartId/items/:itemId
+ */
+const removeCartItemController = async (req, res) => {
+  try {
+    sendResult(res, await removeCartItem(req.params.cartId, req.params.itemId, req.user));
+  } catch (error) {
+    console.error('Remove cart item controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to remove cart item' });
+  }
+};
+
+/**
+ * Submit a cart as an order
+ * POST /api/carts/:cartId/submit
+ */
+const submitCartController = async (req, res) => {
+  try {
+    const schema = Joi.object({
+      remarks: Joi.string().max(500).optional().allow('')
+    });
+    const { error, value } = schema.validate(req.body || {});
+    if (error) return validationError(res, error);
+
+    sendResult(res, await submitCart(req.params.cartId, value, req.user), 201);
+  } catch (error) {
+    console.error('Submit cart controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to submit cart' });
+  }
+};
+
+module.exports = {
+  listCartsController,
+  getCartController,
+  createCartController,
+  updateCartController,
+  discardCartController,
+  addCartItemController,
+  updateCartItemController,
+  removeCartItemController,
+  submitCartController
+};
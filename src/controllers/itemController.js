@@ -1,6 +1,7 @@
 const Joi = require('joi');
 
 const prisma = require('../lib/prisma'); // reuse shared prisma client
+const { getItemMovements } = require('../services/stockMovementService');
 
 /**
  * Get all items with optional filtering
@@ -237,8 +238,54 @@ const getItemById = async (req, res) => {
   }
 };
 
+/**
+ * Get the stock movement ledger of an item
+ * GET /api/items/:id/movements
+ */
+const getItemMovementsController = async (req, res) => {
+  try {
+    const schema = Joi.object({
+      from: Joi.date().iso().optional(),
+      to: Joi.date().iso().when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) }).optional(),
+      source: Joi.string().valid('BOXHERO_SYNC', 'ORDER_DISPATCH', 'MANUAL_ADJUSTMENT').optional(),
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(200).default(50)
+    });
+
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const result = await getItemMovements(req.params.id, value);
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.data
+    });
+
+  } catch (error) {
+    console.error('Get item movements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching stock movements.'
+    });
+  }
+};
+
 module.exports = {
   getItems,
   getCategories,
-  getItemById
+  getItemById,
+  getItemMovementsController
 };
\ No newline at end of file
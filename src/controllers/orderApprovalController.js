@@ -0,0 +1,195 @@
+const Joi = require('joi');
+const { signOffOrder } = require('../services/orderService');
+const {
+  getPendingApprovals,
+  listApprovalRules,
+  createApprovalRule,
+  updateApprovalRule,
+  deleteApprovalRule
+} = require('../services/approvalChainService');
+
+const APPROVER_ROLES = ['MANAGER', 'ACCOUNTS', 'ADMIN'];
+
+/**
+ * Orders waiting for the current user's sign-off
+ * GET /api/orders/approvals/pending
+ */
+const getPendingApprovalsController = async (req, res) => {
+  try {
+    const schema = Joi.object({
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(100).default(20)
+    });
+
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map((d) => d.message)
+      });
+    }
+
+    const result = await getPendingApprovals(value, req.user);
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({ success: false, message: result.message });
+    }
+
+    res.json({ success: true, data: result.data });
+  } catch (error) {
+    console.error('Get pending approvals controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch pending approvals' });
+  }
+};
+
+/**
+ * Sign off or reject the pending approval step of an order
+ * PUT /api/orders/sign-off/:orderId
+ */
+const signOffOrderController = async (req, res) => {
+  try {
+    const schema = Joi.object({
+      decision: Joi.string().valid('APPROVE', 'REJECT').required(),
+      comment: Joi.string().trim().max(500).when('decision', {
+        is: 'REJECT',
+        then: Joi.string().min(3).required(),
+        otherwise: Joi.optional().allow('', null)
+      })
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map((d) => d.message)
+      });
+    }
+
+    const result = await signOffOrder(req.params.orderId, req.user, value.decision, value.comment || null);
+    if (!result.success) {
+      return res.status(result.statusCode || 400).json({ success: false, message: result.message });
+    }
+
+    res.json({ success: true, message: result.message, data: result.data });
+  } catch (error) {
+    console.error('Sign off order controller error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error while signing off order.' });
+  }
+};
+
+const ruleFields = {
+  name: Joi.string().trim().min(2).max(100),
+  approverRole: Joi.string().valid(...APPROVER_ROLES),
+  minOrderValue: Joi.number().precision(2).min(0).allow(null),
+  maxQuantityIncreasePct: Joi.number().integer().min(0).allow(null),
+  stepOrder: Joi.number().integer().min(1),
+  isActive: Joi.boolean()
+};
+
+/**
+ * List approval rules
+ * GET /api/admin/approval-rules
+ */
+const listApprovalRulesController = async (req, res) => {
+  try {
+    const result = await listApprovalRules();
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({ success: false, message: result.message });
+    }
+
+    res.json({ success: true, data: result.data });
+  } catch (error) {
+    console.error('List approval rules controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch approval rules' });
+  }
+};
+
+/**
+ * Create an approval rule
+ * POST /api/admin/approval-rules
+ */
+const createApprovalRuleController = async (req, res) => {
+  try {
+    const schema = Joi.object({
+      ...ruleFields,
+      name: ruleFields.name.required(),
+      approverRole: ruleFields.approverRole.required()
+    }).or('minOrderValue', 'maxQuantityIncreasePct');
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map((d) => d.message)
+      });
+    }
+
+    const result = await createApprovalRule(value, req.user.id);
+    if (!result.success) {
+      return res.status(result.statusCode || 400).json({ success: false, message: result.message });
+    }
+
+    res.status(201).json({ success: true, message: result.message, data: result.data });
+  } catch (error) {
+    console.error('Create approval rule controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to create approval rule' });
+  }
+};
+
+/**
+ * Update an approval rule
+ * PUT /api/admin/approval-rules/:id
+ */
+const updateApprovalRuleController = async (req, res) => {
+  try {
+    const schema = Joi.object(ruleFields).min(1);
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map((d) => d.message)
+      });
+    }
+
+    const result = await updateApprovalRule(req.params.id, value);
+    if (!result.success) {
+      return res.status(result.statusCode || 400).json({ success: false, message: result.message });
+    }
+
+    res.json({ success: true, message: result.message, data: result.data });
+  } catch (error) {
+    console.error('Update approval rule controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update approval rule' });
+  }
+};
+
+/**
+ * Delete an approval rule
+ * DELETE /api/admin/approval-rules/:id
+ */
+const deleteApprovalRuleController = async (req, res) => {
+  try {
+    const result = await deleteApprovalRule(req.params.id);
+    if (!result.success) {
+      return res.status(result.statusCode || 400).json({ success: false, message: result.message });
+    }
+
+    res.json({ success: true, message: result.message });
+  } catch (error) {
+    console.error('Delete approval rule controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete approval rule' });
+  }
+};
+
+module.exports = {
+  getPendingApprovalsController,
+  signOffOrderController,
+  listApprovalRulesController,
+  createApprovalRuleController,
+  updateApprovalRuleController,
+  deleteApprovalRuleController
+};
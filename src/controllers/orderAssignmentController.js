@@ -0,0 +1,146 @@
+const Joi = require('joi');
+const { ORDER_STATUSES } = require('../lib/orderStateMachine');
+const {
+  STRATEGIES,
+  getAssignmentStrategy,
+  setAssignmentStrategy,
+  assignOrderStaff,
+  unassignOrderStaff,
+  getMyQueue,
+  getStaffWorkload
+} = require('../services/orderAssignmentService');
+
+const STAFF_ROLE = Joi.string().valid('PACKAGER', 'DISPATCHER');
+const STRATEGY = Joi.string().valid(...STRATEGIES);
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation error',
+  errors: error.details.map((d) => d.message)
+});
+
+// Every service call returns { success, statusCode?, message, data }
+const sendResult = (res, result, successStatus = 200) => {
+  if (!result.success) {
+    return res.status(result.statusCode || 500).json({ success: false, message: result.message });
+  }
+  res.status(successStatus).json({ success: true, message: result.message, data: result.data });
+};
+
+/**
+ * Assign the packager or dispatcher of an order; without userId one is picked automatically
+ * PUT /api/orders/:orderId/assign
+ * Body: { role: 'PACKAGER' | 'DISPATCHER', userId?, strategy?: 'ROUND_ROBIN' | 'LEAST_LOADED' }
+ */
+const assignOrderStaffController = async (req, res) => {
+  try {
+    const schema = Joi.object({
+      role: STAFF_ROLE.required(),
+      userId: Joi.string().optional(),
+      strategy: STRATEGY.optional()
+    }).oxor('userId', 'strategy');
+    const { error, value } = schema.validate(req.body);
+    if (error) return validationError(res, error);
+
+    sendResult(res, await assignOrderStaff(req.params.orderId, value, req.user));
+  } catch (error) {
+    console.error('Assign order staff controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to assign order' });
+  }
+};
+
+/**
+ * Remove the packager or dispatcher of an order
+ * DELETE /api/orders/:orderId/assign/:role
+ */
+const unassignOrderStaffController = async (req, res) => {
+  try {
+    const { error } = STAFF_ROLE.required().validate(req.params.role);
+    if (error) return validationError(res, error);
+
+    sendResult(res, await unassignOrderStaff(req.params.orderId, req.params.role, req.user));
+  } catch (error) {
+    console.error('Unassign order staff controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to unassign order' });
+  }
+};
+
+/**
+ * Orders assigned to the signed-in packager / dispatcher
+ * GET /api/orders/my-queue?status=&page=&limit=
+ */
+const getMyQueueController = async (req, res) => {
+  try {
+    const schema = Joi.object({
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(100).default(20),
+      status: Joi.string().valid(...Object.keys(ORDER_STATUSES)).optional()
+    });
+    const { error, value } = schema.validate(req.query);
+    if (error) return validationError(res, error);
+
+    sendResult(res, await getMyQueue(req.user, value));
+  } catch (error) {
+    console.error('Get my queue controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch work queue' });
+  }
+};
+
+/**
+ * Open work per packager / dispatcher
+ * GET /api/orders/workload?role=&branchId=
+ */
+const getStaffWorkloadController = async (req, res) => {
+  try {
+    const schema = Joi.object({
+      role: STAFF_ROLE.required(),
+      branchId: Joi.string().optional()
+    });
+    const { error, value } = schema.validate(req.query);
+    if (error) return validationError(res, error);
+
+    sendResult(res, await getStaffWorkload(value, req.user));
+  } catch (error) {
+    console.error('Get staff workload controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch staff workload' });
+  }
+};
+
+/**
+ * Strategy used for automatic assignment
+ * GET /api/admin/staff-assignments/strategy
+ */
+const getAssignmentStrategyController = async (req, res) => {
+  try {
+    res.json({ success: true, data: { strategy: await getAssignmentStrategy(), strategies: STRATEGIES } });
+  } catch (error) {
+    console.error('Get assignment strategy controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch assignment strategy' });
+  }
+};
+
+/**
+ * Change the strategy used for automatic assignment
+ * PUT /api/admin/staff-assignments/strategy
+ * Body: { strategy: 'ROUND_ROBIN' | 'LEAST_LOADED' }
+ */
+const updateAssignmentStrategyController = async (req, res) => {
+  try {
+    const { error, value } = Joi.object({ strategy: STRATEGY.required() }).validate(req.body);
+    if (error) return validationError(res, error);
+
+    sendResult(res, await setAssignmentStrategy(value.strategy, req.user));
+  } catch (error) {
+    console.error('Update assignment strategy controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update assignment strategy' });
+  }
+};
+
+module.exports = {
+  assignOrderStaffController,
+  unassignOrderStaffController,
+  getMyQueueController,
+  getStaffWorkloadController,
+  getAssignmentStrategyController,
+  updateAssignmentStrategyController
+};
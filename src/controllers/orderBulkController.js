@@ -0,0 +1,81 @@
+const Joi = require('joi');
+const { MAX_BULK_ORDERS, bulkApproveOrders, bulkUpdateOrderStatus } = require('../services/orderBulkService');
+
+const orderIdsSchema = Joi.array().items(Joi.string().trim().required()).min(1).max(MAX_BULK_ORDERS).required();
+
+const sendBulkResult = (res, result) => {
+  if (!result.success) {
+    return res.status(result.statusCode || 500).json({ success: false, message: result.message });
+  }
+
+  const { summary } = result.data;
+  res.json({
+    success: true,
+    message: `${summary.succeeded} of ${summary.total} order(s) updated${summary.failed > 0 ? `, ${summary.failed} failed` : ''}`,
+    data: result.data
+  });
+};
+
+/**
+ * Approve several orders at their requested quantities
+ * PUT /api/orders/bulk/approve
+ * Body: { orderIds: [...] }
+ */
+const bulkApproveOrdersController = async (req, res) => {
+  try {
+    const schema = Joi.object({ orderIds: orderIdsSchema });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map((d) => d.message)
+      });
+    }
+
+    const result = await bulkApproveOrders(value.orderIds, req.user);
+    sendBulkResult(res, result);
+  } catch (error) {
+    console.error('Bulk approve orders controller error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error while approving orders.' });
+  }
+};
+
+/**
+ * Move several orders to the same status
+ * PUT /api/orders/bulk/status
+ * Body: { orderIds: [...], newStatus, expectedDeliveryTime? }
+ */
+const bulkUpdateOrderStatusController = async (req, res) => {
+  try {
+    const schema = Joi.object({
+      orderIds: orderIdsSchema,
+      newStatus: Joi.string()
+        .valid('ARRANGING', 'ARRANGED', 'SENT_FOR_PACKAGING', 'UNDER_PACKAGING', 'PACKAGING_COMPLETED', 'IN_TRANSIT')
+        .required(),
+      expectedDeliveryTime: Joi.date().optional()
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map((d) => d.message)
+      });
+    }
+
+    const { orderIds, newStatus, expectedDeliveryTime } = value;
+    const result = await bulkUpdateOrderStatus(orderIds, newStatus, req.user, { expectedDeliveryTime });
+    sendBulkResult(res, result);
+  } catch (error) {
+    console.error('Bulk update order status controller error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error while updating orders.' });
+  }
+};
+
+module.exports = {
+  bulkApproveOrdersController,
+  bulkUpdateOrderStatusController
+};
@@ -15,10 +15,21 @@ const {
   updateArrangingStage,
   updateArrangingRemarks,
   confirmOrderReceived,
+  resolveReceivedIssue,
+  resolveIssueThread,
   closeOrder,
+  rejectOrder,
+  cancelOrder,
+  createShipment,
   getOrderIssues,
-  reportReceivedIssues
+  reportReceivedIssues,
+  getOrderAvailableActions
 } = require('../services/orderService');
+const { getOrderTimeline } = require('../services/orderStatusEventService');
+const { getOrderShipments } = require('../services/shipmentService');
+const { DATE_FIELDS, SORT_FIELDS, searchOrders } = require('../services/orderSearchService');
+const { getExportFileInfo, exportOrderLines } = require('../services/orderExportService');
+const { ORDER_STATUSES } = require('../lib/orderStateMachine');
 
 /**
  * Create a new order
@@ -56,6 +67,7 @@ const createOrderController = async (req, res) => {
     const { items, inStockItems, outOfStockItems, remarks } = value;
     const orderData = {
       requesterId: req.user.id,
+      requesterRole: req.user.role,
       branchId: req.user.branchId,
       remarks,
       // pass both arrays to service (service handles legacy `items`)
@@ -74,8 +86,11 @@ const createOrderController = async (req, res) => {
 
     res.status(201).json({
       success: true,
-      message: 'Order created successfully',
+      message: result.budget && result.budget.exceeded
+        ? `Order created successfully. Warning: ${result.budget.message}`
+        : 'Order created successfully',
       data: result.data,
+      budget: result.budget,
     });
   } catch (error) {
     console.error('❌ Create order controller error:', error);
@@ -99,6 +114,7 @@ const getBranchOrders = async (req, res) => {
       status: Joi.string()
         .valid(
           'UNDER_REVIEW',
+          'AWAITING_APPROVAL',
           'ACCEPTED_ORDER',
           'UNDER_PACKAGING',
           'IN_TRANSIT',
@@ -161,6 +177,7 @@ const getMyOrders = async (req, res) => {
       status: Joi.string()
         .valid(
           'UNDER_REVIEW',
+          'AWAITING_APPROVAL',
           'ACCEPTED_ORDER',
           'UNDER_PACKAGING',
           'IN_TRANSIT',
@@ -273,6 +290,119 @@ const getManagerPendingOrdersController = async (req, res) => {
   }
 };
 
+// Filters shared by order search and export
+const ORDER_FILTER_FIELDS = {
+  status: Joi.array()
+    .items(Joi.string().valid(...Object.keys(ORDER_STATUSES)))
+    .single()
+    .optional(),
+  branchId: Joi.string().optional(),
+  requesterId: Joi.string().optional(),
+  managerId: Joi.string().optional(),
+  orderNumber: Joi.string().trim().max(50).optional(),
+  sku: Joi.string().trim().optional(),
+  itemName: Joi.string().trim().min(2).max(100).optional(),
+  ...Object.fromEntries(DATE_FIELDS.flatMap((field) => [
+    [`${field}From`, Joi.date().iso().optional()],
+    [`${field}To`, Joi.date().iso().optional()]
+  ])),
+  minValue: Joi.number().min(0).optional(),
+  maxValue: Joi.number().min(0).optional(),
+  hasOpenIssues: Joi.boolean().optional(),
+  q: Joi.string().trim().min(2).max(200).optional(),
+  sortBy: Joi.string().valid(...SORT_FIELDS).default('requestedAt'),
+  sortOrder: Joi.string().valid('asc', 'desc').default('desc')
+};
+
+// status=A,B arrives as a single string
+const normalizeOrderFilterQuery = (query) => {
+  const normalized = { ...query };
+  if (typeof normalized.status === 'string') {
+    normalized.status = normalized.status.split(',').map((s) => s.trim()).filter(Boolean);
+  }
+  return normalized;
+};
+
+/**
+ * Search orders visible to the current user
+ * GET /api/orders/search
+ * Query: status (comma-separated), branchId, requesterId, managerId, orderNumber, sku, itemName,
+ *        <timestamp>From / <timestamp>To (e.g. approvedAtFrom), minValue, maxValue, hasOpenIssues,
+ *        q (free text), sortBy, sortOrder, cursor, limit
+ */
+const searchOrdersController = async (req, res) => {
+  try {
+    const schema = Joi.object({
+      ...ORDER_FILTER_FIELDS,
+      cursor: Joi.string().optional(),
+      limit: Joi.number().integer().min(1).max(100).default(20)
+    });
+
+    const { error, value } = schema.validate(normalizeOrderFilterQuery(req.query));
+    if (error)
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map((d) => d.message),
+      });
+
+    const result = await searchOrders(value, req.user);
+    if (!result.success)
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        message: result.message,
+      });
+
+    res.json({ success: true, data: result.data });
+  } catch (error) {
+    console.error('Search orders controller error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while searching orders.',
+    });
+  }
+};
+/**
+ * Export order lines (one row per line) as CSV or XLSX
+ * GET /api/orders/export?format=csv|xlsx
+ * Takes the same filters as GET /api/orders/search
+ */
+const exportOrdersController = async (req, res) => {
+  try {
+    const schema = Joi.object({
+      ...ORDER_FILTER_FIELDS,
+      format: Joi.string().valid('csv', 'xlsx').default('csv')
+    });
+
+    const { error, value } = schema.validate(normalizeOrderFilterQuery(req.query));
+    if (error)
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map((d) => d.message),
+      });
+
+    const { format, ...filters } = value;
+    const { fileName, contentType } = getExportFileInfo(format);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    const result = await exportOrderLines(filters, req.user, format, res);
+    if (!result.success) {
+      // Part of the file may already be on its way; cut the download short instead of sending JSON
+      if (res.headersSent) return res.destroy();
+      res.removeHeader('Content-Disposition');
+      return res.status(500).json({ success: false, message: result.message });
+    }
+  } catch (error) {
+    console.error('Export orders controller error:', error);
+    if (res.headersSent) return res.destroy();
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while exporting orders.',
+    });
+  }
+};
 
 /**
  * PUT /api/orders/arranging-stage/:orderId
@@ -368,9 +498,12 @@ const approveOrderController = async (req, res) => {
 
     res.json({
       success: true,
-      message: result.message,
+      message: result.budget && result.budget.exceeded
+        ? `${result.message}. Warning: ${result.budget.message}`
+        : result.message,
       data: result.data,
       quantityChanges: result.quantityChanges,  // ✅ Include quantity change details
+      budget: result.budget,
     });
   } catch (error) {
     console.error('Approve order controller error:', error);
@@ -464,6 +597,177 @@ const confirmOrderController = async (req, res) => {
   }
 };
 
+/**
+ * Dispatch part (or the rest) of an order as a shipment
+ * POST /api/orders/:orderId/shipments
+ * Multipart: `lines` may be sent as a JSON string alongside the files
+ */
+const createShipmentController = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    const body = { ...req.body };
+    if (typeof body.lines === 'string') {
+      try {
+        body.lines = JSON.parse(body.lines);
+      } catch (parseError) {
+        return res.status(400).json({ success: false, message: 'Validation error', errors: ['"lines" must be valid JSON'] });
+      }
+    }
+
+    const schema = Joi.object({
+      lines: Joi.array()
+        .items(
+          Joi.object({
+            orderItemId: Joi.string().required(),
+            quantity: Joi.number().integer().min(1).required(),
+          })
+        )
+        .min(1)
+        .optional(),
+      courierName: Joi.string().max(100).optional().allow(''),
+      trackingId: Joi.string().max(100).optional().allow(''),
+      courierLink: Joi.string().uri().optional().allow(''),
+      expectedDeliveryTime: Joi.date().iso().optional(),
+    });
+
+    const { error, value } = schema.validate(body);
+    if (error)
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map((d) => d.message),
+      });
+
+    // build media paths from uploaded files
+    const files = req.files || [];
+    const mediaPaths = files.map(f => `/uploads/${(f.filename || require('path').basename(f.path))}`);
+
+    const result = await createShipment(orderId, req.user.id, req.user.role, value, mediaPaths);
+
+    if (!result.success)
+      return res.status(400).json({
+        success: false,
+        message: result.message,
+      });
+
+    res.status(201).json({
+      success: true,
+      message: result.message,
+      data: result.data,
+      remainingUnits: result.remainingUnits,
+      stockUpdateResult: result.stockUpdateResult,
+    });
+  } catch (error) {
+    console.error('Create shipment controller error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while creating shipment.',
+    });
+  }
+};
+
+/**
+ * List the shipments of an order
+ * GET /api/orders/:orderId/shipments
+ */
+const getOrderShipmentsController = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const result = await getOrderShipments(orderId, req.user);
+
+    if (!result.success) {
+      return res
+        .status(result.statusCode || 500)
+        .json({ success: false, message: result.message });
+    }
+
+    res.status(200).json({ success: true, data: result.data });
+  } catch (error) {
+    console.error('Get order shipments controller error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching shipments.',
+    });
+  }
+};
+
+/**
+ * Reject an order (manager)
+ * PUT /api/orders/reject/:orderId
+ */
+const rejectOrderController = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    const schema = Joi.object({
+      reason: Joi.string().trim().min(3).max(500).required()
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error)
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map((d) => d.message),
+      });
+
+    const result = await rejectOrder(orderId, req.user.id, value.reason);
+
+    if (!result.success)
+      return res.status(400).json({
+        success: false,
+        message: result.message,
+      });
+
+    res.json({ success: true, message: result.message, data: result.data });
+  } catch (error) {
+    console.error('Reject order controller error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while rejecting order.',
+    });
+  }
+};
+
+/**
+ * Cancel an order (requester, before arranging starts)
+ * PUT /api/orders/cancel/:orderId
+ */
+const cancelOrderController = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    const schema = Joi.object({
+      reason: Joi.string().trim().max(500).optional().allow('')
+    });
+
+    const { error, value } = schema.validate(req.body || {});
+    if (error)
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map((d) => d.message),
+      });
+
+    const result = await cancelOrder(orderId, req.user.id, value.reason || null);
+
+    if (!result.success)
+      return res.status(400).json({
+        success: false,
+        message: result.message,
+      });
+
+    res.json({ success: true, message: result.message, data: result.data });
+  } catch (error) {
+    console.error('Cancel order controller error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while cancelling order.',
+    });
+  }
+};
+
 /**
  * Raise issue(s) (branch user)
  * Accepts either a single string `issueReason` or an array `issues: [{ itemId, reason }]`
@@ -567,6 +871,56 @@ const getOrderIssuesController = async (req, res) => {
   }
 };
 
+/**
+ * Get the status history (audit trail) of an order
+ * GET /api/orders/:orderId/timeline
+ */
+const getOrderTimelineController = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const result = await getOrderTimeline(orderId, req.user);
+
+    if (!result.success) {
+      return res
+        .status(result.statusCode || 500)
+        .json({ success: false, message: result.message });
+    }
+
+    res.status(200).json({ success: true, data: result.data });
+  } catch (error) {
+    console.error('Get order timeline controller error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching order timeline.',
+    });
+  }
+};
+
+/**
+ * Get the status transitions the current user may perform on an order
+ * GET /api/orders/:orderId/available-actions
+ */
+const getOrderAvailableActionsController = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const result = await getOrderAvailableActions(orderId, req.user);
+
+    if (!result.success) {
+      return res
+        .status(result.statusCode || 500)
+        .json({ success: false, message: result.message });
+    }
+
+    res.status(200).json({ success: true, data: result.data });
+  } catch (error) {
+    console.error('Get order available actions controller error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching available actions.',
+    });
+  }
+};
+
 /**
  * Manager replies to raised issue
  */
@@ -800,7 +1154,52 @@ const confirmOrderReceivedController = async (req, res) => {
   try {
     const { orderId } = req.params;
     const mediaFiles = req.files || [];
-    const result = await confirmOrderReceived(orderId, req.user.id, mediaFiles);
+    // Optional: confirm a single shipment of a partially shipped order
+    const shipmentId = req.body && req.body.shipmentId ? String(req.body.shipmentId) : null;
+
+    // Optional per-line received quantities (FormData sends them as JSON strings)
+    const body = {};
+    for (const field of ['receivedItems', 'wrongItems']) {
+      const raw = req.body ? req.body[field] : undefined;
+      if (raw === undefined || raw === '') continue;
+      try {
+        body[field] = typeof raw === 'string' ? JSON.parse(raw) : raw;
+      } catch (parseError) {
+        return res.status(400).json({ success: false, message: 'Validation error', errors: [`"${field}" must be valid JSON`] });
+      }
+    }
+
+    const schema = Joi.object({
+      receivedItems: Joi.array()
+        .items(
+          Joi.object({
+            orderItemId: Joi.string().required(),
+            qtyReceived: Joi.number().integer().min(0).required(),
+            note: Joi.string().max(500).optional().allow(''),
+          })
+        )
+        .unique('orderItemId')
+        .optional(),
+      wrongItems: Joi.array()
+        .items(
+          Joi.object({
+            sku: Joi.string().trim().required(),
+            quantity: Joi.number().integer().min(1).required(),
+            note: Joi.string().max(500).optional().allow(''),
+          })
+        )
+        .optional(),
+    });
+
+    const { error, value } = schema.validate(body);
+    if (error)
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map((d) => d.message),
+      });
+
+    const result = await confirmOrderReceived(orderId, req.user.id, mediaFiles, shipmentId, value);
 
     if (!result.success)
       return res.status(400).json({
@@ -866,6 +1265,55 @@ const reportReceivedIssuesController = async (req, res) => {
   }
 };
 
+/**
+ * Resolve a received issue (resumes auto-close once nothing is open)
+ * PUT /api/orders/received-issues/:issueId/resolve
+ * Body: { resolution? }
+ */
+const resolveReceivedIssueController = async (req, res) => {
+  try {
+    const schema = Joi.object({
+      resolution: Joi.string().trim().max(1000).allow('', null).optional()
+    });
+    const { error, value } = schema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map((d) => d.message)
+      });
+    }
+
+    const result = await resolveReceivedIssue(req.params.issueId, req.user, value.resolution || null);
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({ success: false, message: result.message });
+    }
+
+    res.json({ success: true, message: result.message, data: result.data });
+  } catch (error) {
+    console.error('Resolve received issue controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to resolve received issue' });
+  }
+};
+
+/**
+ * Resolve a post-delivery issue thread (resumes auto-close once nothing is open)
+ * PUT /api/orders/issue-threads/:threadId/resolve
+ */
+const resolveIssueThreadController = async (req, res) => {
+  try {
+    const result = await resolveIssueThread(req.params.threadId, req.user);
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({ success: false, message: result.message });
+    }
+
+    res.json({ success: true, message: result.message, data: result.data });
+  } catch (error) {
+    console.error('Resolve issue thread controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to resolve issue thread' });
+  }
+};
+
 /**
  * Confirm manager reply
  */
@@ -980,17 +1428,27 @@ module.exports = {
   getOrderByIdController,
   getManagerPendingOrdersController,
   approveOrderController,
+  searchOrdersController,
+  exportOrdersController,
   dispatchOrderController,
   confirmOrderController,
   raiseOrderIssueController,
   managerReplyController,
   getOrderIssuesController,
+  getOrderTimelineController,
+  getOrderAvailableActionsController,
   confirmManagerReplyController,
   updateOrderStatusController,
   confirmOrderReceivedController,
   closeOrderController,
+  rejectOrderController,
+  cancelOrderController,
+  createShipmentController,
+  getOrderShipmentsController,
   postDeliveryIssueController,
   reportReceivedIssuesController,   // ✅ ADD THIS
+  resolveReceivedIssueController,
+  resolveIssueThreadController,
   updateArrangingStageController,
   updateArrangingRemarksController,
 };
@@ -0,0 +1,78 @@
+const Joi = require('joi');
+const { previewOrderImport, confirmOrderImport } = require('../services/orderImportService');
+
+// The CSV comes as a multipart "file" field, or as text in a JSON body ({ csv })
+const readCsvText = (req) => (req.file ? req.file.buffer.toString('utf8') : req.body.csv);
+
+const importSchema = Joi.object({
+  csv: Joi.string().max(1024 * 1024).optional(),
+  remarks: Joi.string().max(500).optional().allow('')
+});
+
+/**
+ * Validate a CSV of SKU + quantity and return a row-level preview
+ * POST /api/orders/import
+ */
+const previewOrderImportController = async (req, res) => {
+  try {
+    const { error } = importSchema.validate(req.body);
+    if (error || !readCsvText(req)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error ? error.details.map((d) => d.message) : ['Upload a CSV file or send its contents as "csv"']
+      });
+    }
+
+    const result = await previewOrderImport(readCsvText(req), req.user);
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({ success: false, message: result.message });
+    }
+
+    res.json({ success: true, data: result.data });
+  } catch (error) {
+    console.error('Preview order import controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to preview order import' });
+  }
+};
+
+/**
+ * Re-validate the CSV and create the order from it
+ * POST /api/orders/import/confirm
+ */
+const confirmOrderImportController = async (req, res) => {
+  try {
+    const { error, value } = importSchema.validate(req.body);
+    if (error || !readCsvText(req)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error ? error.details.map((d) => d.message) : ['Upload a CSV file or send its contents as "csv"']
+      });
+    }
+
+    const result = await confirmOrderImport(readCsvText(req), req.user, value.remarks);
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        message: result.message,
+        data: result.data
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: result.message,
+      data: result.data,
+      budget: result.budget
+    });
+  } catch (error) {
+    console.error('Confirm order import controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to import order' });
+  }
+};
+
+module.exports = {
+  previewOrderImportController,
+  confirmOrderImportController
+};
@@ -1,5 +1,6 @@
 const { syncProductsFromBoxHero } = require('../services/boxHeroService');
 const { getItemBySku } = require("../services/productService.js");
+const { attachAvailableStock } = require('../services/stockReservationService');
 const prisma = require('../lib/prisma'); // reuse shared prisma client
 
 /**
@@ -11,20 +12,26 @@ const refreshProducts = async (req, res) => {
     console.log('🔄 Starting product refresh from BoxHero...');
     
     // Call the BoxHero sync service
-    const result = await syncProductsFromBoxHero();
+    const result = await syncProductsFromBoxHero({ trigger: 'MANUAL', triggeredById: req.user.id });
     
     if (result.success) {
       res.json({
         success: true,
         message: result.message,
+        syncRunId: result.syncRunId,
         syncedProducts: result.syncedProducts,
         totalProducts: result.totalProducts,
+        created: result.created,
+        updated: result.updated,
+        deactivated: result.deactivated,
+        unchanged: result.unchanged,
         errors: result.errors
       });
     } else {
       res.status(500).json({
         success: false,
         message: result.message,
+        syncRunId: result.syncRunId,
         error: result.error
       });
     }
@@ -141,7 +148,7 @@ const getProducts = async (req, res) => {
     ]);
 
     // --- FIX: Convert Decimal (string) to Number before sending JSON ---
-    const itemsWithNumbers = items.map(item => ({
+    const itemsWithNumbers = (await attachAvailableStock(items)).map(item => ({
       ...item,
       cost: item.cost ? parseFloat(item.cost) : null,
       price: item.price ? parseFloat(item.price) : null
@@ -292,20 +299,26 @@ const fetchBoxHeroProducts = async (req, res) => {
     console.log('🔄 Fetching products directly from BoxHero API...');
     
     // Call the BoxHero sync service
-    const result = await syncProductsFromBoxHero();
+    const result = await syncProductsFromBoxHero({ trigger: 'MANUAL', triggeredById: req.user.id });
     
     if (result.success) {
       res.json({
         success: true,
         message: result.message,
+        syncRunId: result.syncRunId,
         syncedProducts: result.syncedProducts,
         totalProducts: result.totalProducts,
+        created: result.created,
+        updated: result.updated,
+        deactivated: result.deactivated,
+        unchanged: result.unchanged,
         errors: result.errors
       });
     } else {
       res.status(500).json({
         success: false,
         message: result.message,
+        syncRunId: result.syncRunId,
         error: result.error
       });
     }
@@ -461,7 +474,8 @@ const getProductsByBranchTargetLocations = async (req, res) => {
       prisma.item.count({ where })
     ]);
 
-    const itemsWithNumbers = items.map(item => ({
+    // availableStock = currentStock minus stock reserved by approved orders
+    const itemsWithNumbers = (await attachAvailableStock(items)).map(item => ({
       ...item,
       cost: item.cost ? parseFloat(item.cost) : null,
       price: item.price ? parseFloat(item.price) : null
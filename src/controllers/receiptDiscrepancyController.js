@@ -0,0 +1,73 @@
+const Joi = require('joi');
+const { listDiscrepancyOrders, resolveDiscrepancy } = require('../services/receiptReconciliationService');
+
+/**
+ * Orders received with short / over / wrong deliveries
+ * GET /api/orders/discrepancies
+ */
+const listDiscrepanciesController = async (req, res) => {
+  try {
+    const schema = Joi.object({
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(100).default(20),
+      status: Joi.string().valid('OPEN', 'RESOLVED', 'ALL').default('OPEN'),
+      type: Joi.string().valid('SHORT', 'OVER', 'WRONG_ITEM').optional(),
+      branchId: Joi.string().optional()
+    });
+
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map((d) => d.message)
+      });
+    }
+
+    const result = await listDiscrepancyOrders(value, req.user);
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({ success: false, message: result.message });
+    }
+
+    res.json({ success: true, data: result.data });
+  } catch (error) {
+    console.error('List discrepancies controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to list receipt discrepancies' });
+  }
+};
+
+/**
+ * Resolve a receipt discrepancy
+ * PUT /api/orders/discrepancies/:id/resolve
+ */
+const resolveDiscrepancyController = async (req, res) => {
+  try {
+    const schema = Joi.object({
+      resolution: Joi.string().trim().min(3).max(1000).required()
+    });
+
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map((d) => d.message)
+      });
+    }
+
+    const result = await resolveDiscrepancy(req.params.id, req.user, value.resolution);
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({ success: false, message: result.message });
+    }
+
+    res.json({ success: true, message: result.message, data: result.data });
+  } catch (error) {
+    console.error('Resolve discrepancy controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to resolve discrepancy' });
+  }
+};
+
+module.exports = {
+  listDiscrepanciesController,
+  resolveDiscrepancyController
+};
@@ -0,0 +1,168 @@
+const Joi = require('joi');
+const { parseCronExpression } = require('../lib/recurrence');
+const {
+  listTemplates,
+  getTemplateById,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate
+} = require('../services/recurringOrderService');
+
+const cronExpression = Joi.string().trim().custom((value, helpers) => {
+  try {
+    parseCronExpression(value);
+    return value;
+  } catch (err) {
+    return helpers.message(err.message);
+  }
+});
+
+const templateItem = Joi.object({
+  sku: Joi.string().trim().required(),
+  quantity: Joi.number().integer().min(1).required()
+});
+
+const templateFields = {
+  name: Joi.string().trim().min(1).max(100),
+  branchId: Joi.string(),
+  requesterId: Joi.string(),
+  remarks: Joi.string().trim().max(1000).allow(''),
+  scheduleType: Joi.string().valid('WEEKLY', 'CRON'),
+  daysOfWeek: Joi.array().items(Joi.number().integer().min(0).max(6)).min(1).unique(),
+  timeOfDay: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).message('timeOfDay must be HH:mm'),
+  cronExpression,
+  items: Joi.array().items(templateItem).min(1),
+  isActive: Joi.boolean()
+};
+
+const createSchema = Joi.object({
+  ...templateFields,
+  name: templateFields.name.required(),
+  scheduleType: templateFields.scheduleType.default('WEEKLY'),
+  daysOfWeek: templateFields.daysOfWeek.when('scheduleType', { is: 'WEEKLY', then: Joi.required() }),
+  timeOfDay: templateFields.timeOfDay.when('scheduleType', { is: 'WEEKLY', then: Joi.required() }),
+  cronExpression: templateFields.cronExpression.when('scheduleType', { is: 'CRON', then: Joi.required() }),
+  items: templateFields.items.required()
+});
+
+const updateSchema = Joi.object(templateFields).min(1);
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation error',
+  errors: error.details.map((d) => d.message)
+});
+
+/**
+ * List recurring order templates
+ * GET /api/orders/templates
+ */
+const listTemplatesController = async (req, res) => {
+  try {
+    const schema = Joi.object({
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(100).default(20),
+      branchId: Joi.string().optional(),
+      isActive: Joi.boolean().optional()
+    });
+
+    const { error, value } = schema.validate(req.query);
+    if (error) return validationError(res, error);
+
+    const result = await listTemplates(value, req.user);
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({ success: false, message: result.message });
+    }
+
+    res.json({ success: true, data: result.data });
+  } catch (error) {
+    console.error('List recurring templates controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to list recurring order templates' });
+  }
+};
+
+/**
+ * Get a recurring order template
+ * GET /api/orders/templates/:templateId
+ */
+const getTemplateController = async (req, res) => {
+  try {
+    const result = await getTemplateById(req.params.templateId, req.user);
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({ success: false, message: result.message });
+    }
+
+    res.json({ success: true, data: result.data });
+  } catch (error) {
+    console.error('Get recurring template controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get recurring order template' });
+  }
+};
+
+/**
+ * Create a recurring order template
+ * POST /api/orders/templates
+ */
+const createTemplateController = async (req, res) => {
+  try {
+    const { error, value } = createSchema.validate(req.body);
+    if (error) return validationError(res, error);
+
+    const result = await createTemplate(value, req.user);
+    if (!result.success) {
+      return res.status(result.statusCode || 400).json({ success: false, message: result.message });
+    }
+
+    res.status(201).json({ success: true, message: result.message, data: result.data });
+  } catch (error) {
+    console.error('Create recurring template controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to create recurring order template' });
+  }
+};
+
+/**
+ * Update a recurring order template
+ * PUT /api/orders/templates/:templateId
+ */
+const updateTemplateController = async (req, res) => {
+  try {
+    const { error, value } = updateSchema.validate(req.body);
+    if (error) return validationError(res, error);
+
+    const result = await updateTemplate(req.params.templateId, value, req.user);
+    if (!result.success) {
+      return res.status(result.statusCode || 400).json({ success: false, message: result.message });
+    }
+
+    res.json({ success: true, message: result.message, data: result.data });
+  } catch (error) {
+    console.error('Update recurring template controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update recurring order template' });
+  }
+};
+
+/**
+ * Delete a recurring order template
+ * DELETE /api/orders/templates/:templateId
+ */
+const deleteTemplateController = async (req, res) => {
+  try {
+    const result = await deleteTemplate(req.params.templateId, req.user);
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({ success: false, message: result.message });
+    }
+
+    res.json({ success: true, message: result.message });
+  } catch (error) {
+    console.error('Delete recurring template controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete recurring order template' });
+  }
+};
+
+module.exports = {
+  listTemplatesController,
+  getTemplateController,
+  createTemplateController,
+  updateTemplateController,
+  deleteTemplateController
+};
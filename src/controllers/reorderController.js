@@ -0,0 +1,48 @@
+const Joi = require('joi');
+const { reorderOrder } = require('../services/reorderService');
+
+/**
+ * Order the same lines as a past order again, or copy them into a draft
+ * POST /api/orders/:orderId/reorder
+ * Body: { mode?: 'order' | 'draft', remarks? }
+ */
+const reorderOrderController = async (req, res) => {
+  try {
+    const schema = Joi.object({
+      mode: Joi.string().valid('order', 'draft').default('order'),
+      remarks: Joi.string().max(500).optional().allow('')
+    });
+
+    const { error, value } = schema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map((d) => d.message)
+      });
+    }
+
+    const result = await reorderOrder(req.params.orderId, req.user, value);
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        message: result.message,
+        data: result.data
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: result.message,
+      data: result.data,
+      budget: result.budget
+    });
+  } catch (error) {
+    console.error('Reorder controller error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error while reordering.' });
+  }
+};
+
+module.exports = {
+  reorderOrderController
+};
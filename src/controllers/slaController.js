@@ -0,0 +1,130 @@
+const Joi = require('joi');
+const { ORDER_STATUSES } = require('../lib/orderStateMachine');
+const { runJobNow } = require('../services/jobService');
+const {
+  getSlaReport,
+  listSlaTargets,
+  upsertSlaTarget,
+  deleteSlaTarget
+} = require('../services/slaService');
+
+const STATUS = Joi.string().valid(...Object.keys(ORDER_STATUSES));
+const HOURS = Joi.number().min(0.25).max(1000).precision(2);
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation error',
+  errors: error.details.map((d) => d.message)
+});
+
+// Every service call returns { success, statusCode?, message, data }
+const sendResult = (res, result, successStatus = 200) => {
+  if (!result.success) {
+    return res.status(result.statusCode || 400).json({ success: false, message: result.message });
+  }
+  res.status(successStatus).json({ success: true, message: result.message, data: result.data });
+};
+
+/**
+ * SLA breach rates per branch and stage
+ * GET /api/reports/sla?from=&to=&branchId=&status=
+ */
+const getSlaReportController = async (req, res) => {
+  try {
+    const schema = Joi.object({
+      from: Joi.date().iso().optional(),
+      to: Joi.date().iso().optional(),
+      branchId: Joi.string().optional(),
+      status: STATUS.optional()
+    });
+    const { error, value } = schema.validate(req.query);
+    if (error) return validationError(res, error);
+
+    const result = await getSlaReport(value, req.user);
+    sendResult(res, result);
+  } catch (error) {
+    console.error('Get SLA report controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to build SLA report' });
+  }
+};
+
+/**
+ * Effective SLA targets (configured and default)
+ * GET /api/admin/sla-targets
+ */
+const listSlaTargetsController = async (req, res) => {
+  try {
+    sendResult(res, await listSlaTargets());
+  } catch (error) {
+    console.error('List SLA targets controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch SLA targets' });
+  }
+};
+
+/**
+ * Set the SLA target of a status
+ * PUT /api/admin/sla-targets/:status
+ * Body: { targetHours, responsibleRole?, adminEscalationHours?, isActive? }
+ */
+const updateSlaTargetController = async (req, res) => {
+  try {
+    const { error: statusError } = STATUS.required().validate(req.params.status);
+    if (statusError) return validationError(res, statusError);
+
+    const schema = Joi.object({
+      targetHours: HOURS.required(),
+      responsibleRole: Joi.string().valid('ADMIN', 'MANAGER', 'BRANCH_USER', 'PACKAGER', 'DISPATCHER', 'ACCOUNTS').optional(),
+      adminEscalationHours: HOURS.optional(),
+      isActive: Joi.boolean().optional()
+    });
+    const { error, value } = schema.validate(req.body);
+    if (error) return validationError(res, error);
+
+    const result = await upsertSlaTarget(req.params.status, value, req.user);
+    sendResult(res, result);
+  } catch (error) {
+    console.error('Update SLA target controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to save SLA target' });
+  }
+};
+
+/**
+ * Remove the configured target of a status
+ * DELETE /api/admin/sla-targets/:status
+ */
+const deleteSlaTargetController = async (req, res) => {
+  try {
+    const { error } = STATUS.required().validate(req.params.status);
+    if (error) return validationError(res, error);
+
+    sendResult(res, await deleteSlaTarget(req.params.status));
+  } catch (error) {
+    console.error('Delete SLA target controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete SLA target' });
+  }
+};
+
+/**
+ * Run the SLA check now instead of waiting for the job (under the job's lease)
+ * POST /api/admin/sla-targets/check
+ */
+const runSlaCheckController = async (req, res) => {
+  try {
+    const result = await runJobNow('sla-breach-check', req.user);
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({ success: false, message: result.message });
+    }
+    res.json({ success: true, message: 'SLA check completed', data: result.data.result });
+  } catch (error) {
+    console.error('Run SLA check controller error:', error);
+    res.status(500).json({ success: false, message: 'Failed to run SLA check' });
+  }
+};
+
+module.exports = {
+  getSlaReportController,
+  listSlaTargetsController,
+  updateSlaTargetController,
+  deleteSlaTargetController,
+  runSlaCheckController
+};
@@ -0,0 +1,28 @@
+const { syncProductsFromBoxHero } = require('../services/boxHeroService');
+
+/**
+ * Job that syncs products from BoxHero every 5 minutes.
+ * Each sync also keeps its own detailed history in sync_runs.
+ */
+const boxHeroSyncJob = {
+  name: 'boxhero-product-sync',
+  description: 'Sync products and stock from BoxHero',
+  schedule: '*/5 * * * *',
+  timezone: 'UTC',
+  leaseMinutes: 10,
+  run: async ({ trigger, triggeredById }) => {
+    const result = await syncProductsFromBoxHero({ trigger, triggeredById });
+    return {
+      success: result.success,
+      message: result.message,
+      syncRunId: result.syncRunId,
+      created: result.created,
+      updated: result.updated,
+      deactivated: result.deactivated,
+      unchanged: result.unchanged
+    };
+  },
+  describeResult: ({ success, message }) => (success ? `✅ Scheduled sync completed: ${message}` : `❌ Scheduled sync failed: ${message}`)
+};
+
+module.exports = { boxHeroSyncJob };
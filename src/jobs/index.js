@@ -0,0 +1,34 @@
+const cron = require('node-cron');
+const { ensureJobs, runJob, toScheduledTick } = require('../services/jobService');
+const { boxHeroSyncJob } = require('./boxHeroSync');
+const { autoCloseJob } = require('./autoCloseOrders');
+const { recurringOrdersJob } = require('./recurringOrders');
+const { slaBreachJob } = require('./slaBreaches');
+
+/**
+ * Scheduled jobs
+ * Every instance schedules every job; runJob claims the tick and takes a DB lease first, so each
+ * tick runs on one instance only and disabled jobs (ScheduledJob.isEnabled) are skipped.
+ * A job is { name, description, schedule, timezone?, leaseMinutes, run(context), describeResult?(result) }.
+ */
+const JOBS = [boxHeroSyncJob, autoCloseJob, recurringOrdersJob, slaBreachJob];
+
+function scheduleJobs() {
+  ensureJobs(JOBS).catch(err => console.error('Failed to register scheduled jobs:', err.message));
+
+  console.log('⏰ Scheduled tasks initialized:');
+  for (const job of JOBS) {
+    cron.schedule(job.schedule, async () => {
+      try {
+        // The tick is taken as cron fires, before any database round trip
+        await runJob(job, { trigger: 'CRON', scheduledFor: toScheduledTick() });
+      } catch (err) {
+        console.error(`Job ${job.name} error:`, err);
+      }
+    }, { scheduled: true, ...(job.timezone && { timezone: job.timezone }) });
+
+    console.log(`  - ${job.name}: ${job.schedule}`);
+  }
+}
+
+module.exports = { JOBS, scheduleJobs };
@@ -0,0 +1,18 @@
+const { runDueTemplates } = require('../services/recurringOrderService');
+
+/**
+ * Job that turns due recurring order templates into orders.
+ * Runs every 15 minutes, so a template fires within 15 minutes of its nextRunAt.
+ */
+const recurringOrdersJob = {
+  name: 'recurring-orders',
+  description: 'Create orders from due recurring order templates',
+  schedule: '*/15 * * * *',
+  leaseMinutes: 15,
+  run: () => runDueTemplates(new Date()),
+  describeResult: ({ created, failed }) => (
+    created > 0 || failed > 0 ? `🔁 Recurring orders job: ${created} created, ${failed} failed` : null
+  )
+};
+
+module.exports = { recurringOrdersJob };
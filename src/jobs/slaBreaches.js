@@ -0,0 +1,20 @@
+const { runSlaCheck } = require('../services/slaService');
+
+/**
+ * Job that finds orders waiting longer than their SLA target and escalates them.
+ * Runs every 15 minutes; each breach is escalated once to the responsible role and once to ADMIN.
+ */
+const slaBreachJob = {
+  name: 'sla-breach-check',
+  description: 'Escalate orders waiting longer than their SLA target',
+  schedule: '*/15 * * * *',
+  leaseMinutes: 15,
+  run: () => runSlaCheck(new Date()),
+  describeResult: ({ breached, escalatedToRole, escalatedToAdmin, resolved }) => (
+    escalatedToRole > 0 || escalatedToAdmin > 0 || resolved > 0
+      ? `⏱️ SLA job: ${breached} breached, ${escalatedToRole} escalated to role, ${escalatedToAdmin} escalated to admin, ${resolved} resolved`
+      : null
+  )
+};
+
+module.exports = { slaBreachJob };
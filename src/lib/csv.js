@@ -0,0 +1,66 @@
+// Minimal RFC 4180 CSV reader for uploads (quoted fields, "" escapes, CRLF/LF line ends).
+// Files saved by Excel may start with a BOM and may use ";" when the locale uses decimal commas.
+
+/**
+ * Parse CSV text into rows of trimmed cells. Blank lines are skipped.
+ * @param {string} text - File contents
+ * @returns {Array<Object>} [{ line, cells }] where line is the 1-based line the row starts on
+ * @throws {Error} When a quoted field is never closed
+ */
+function parseCsv(text) {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const firstLine = input.split(/\r?\n/, 1)[0];
+  const delimiter = !firstLine.includes(',') && firstLine.includes(';') ? ';' : ',';
+
+  const rows = [];
+  let cells = [];
+  let cell = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    cells.push(cell.trim());
+    if (cells.some(c => c !== '')) rows.push({ line: rowLine, cells });
+    cells = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (inQuotes) {
+      if (ch === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        if (ch === '\n') line++;
+        cell += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      cells.push(cell.trim());
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      cell += ch;
+    }
+  }
+  if (inQuotes) throw new Error(`Unclosed quote in CSV starting on line ${rowLine}`);
+  endRow();
+
+  return rows;
+}
+
+module.exports = {
+  parseCsv
+};
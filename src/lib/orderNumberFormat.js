@@ -0,0 +1,111 @@
+// Order number formats, e.g. "{BRANCHCODE}-{YYYY}-{SEQ:5}" -> "MUM-2026-00042".
+// Tokens: {BRANCHCODE}, {YYYY}, {YY}, {MM}, {SEQ} / {SEQ:n} (zero-padded to n digits).
+// The sequence restarts for every combination of the branch/date tokens the format uses,
+// so "{BRANCHCODE}-{YYYY}-{SEQ:5}" numbers each branch separately and starts again every year.
+// Years and months are taken in the business time zone, so they turn over at local midnight.
+
+const { DEFAULT_CALENDAR, getZonedParts } = require('./workingHours');
+
+const DEFAULT_ORDER_NUMBER_FORMAT = '{BRANCHCODE}-{YYYY}-{SEQ:5}';
+
+const TOKEN_PATTERN = /\{([A-Z]+)(?::(\d+))?\}/g;
+const KNOWN_TOKENS = ['BRANCHCODE', 'YYYY', 'YY', 'MM', 'SEQ'];
+const MAX_LENGTH = 40;
+
+/**
+ * Parse and validate a format
+ * @param {string} format
+ * @returns {Object} { format, usesBranch, usesYear, usesMonth, seqWidth }
+ * @throws {Error} When the format is invalid
+ */
+function parseOrderNumberFormat(format) {
+  const text = String(format || '').trim();
+  if (!text) throw new Error('Order number format is required');
+
+  let seqCount = 0;
+  let seqWidth = 1;
+  const used = new Set();
+  for (const [, token, width] of text.matchAll(TOKEN_PATTERN)) {
+    if (!KNOWN_TOKENS.includes(token)) throw new Error(`Unknown token {${token}} in order number format`);
+    if (width !== undefined && token !== 'SEQ') throw new Error(`Token {${token}} does not take a width`);
+    if (token === 'SEQ') {
+      seqCount++;
+      seqWidth = width === undefined ? 1 : Number(width);
+      if (seqWidth < 1 || seqWidth > 10) throw new Error('{SEQ:n} width must be between 1 and 10');
+    }
+    used.add(token);
+  }
+  if (seqCount !== 1) throw new Error('Order number format must contain exactly one {SEQ} or {SEQ:n} token');
+
+  const literal = text.replace(TOKEN_PATTERN, '');
+  if (/[{}]/.test(literal)) throw new Error('Unbalanced braces in order number format');
+  if (!/^[A-Za-z0-9\-_/.]*$/.test(literal)) {
+    throw new Error('Order number format may only contain letters, digits, "-", "_", "/" and "." besides tokens');
+  }
+
+  return {
+    format: text,
+    usesBranch: used.has('BRANCHCODE'),
+    usesYear: used.has('YYYY') || used.has('YY'),
+    usesMonth: used.has('MM'),
+    seqWidth
+  };
+}
+
+/**
+ * Sequence an order number belongs to; orders sharing a scope are numbered consecutively
+ * @param {Object} parsed - Output of parseOrderNumberFormat
+ * @param {Object} context - { branchId, date, timeZone }
+ * @returns {string} e.g. "branch:ck1...|2026" or "all|all"
+ */
+function getSequenceScope(parsed, { branchId, date, timeZone = DEFAULT_CALENDAR.timeZone }) {
+  const { year, month } = getZonedParts(new Date(date), timeZone);
+  const branchPart = parsed.usesBranch ? `branch:${branchId || 'none'}` : 'all';
+  let periodPart = 'all';
+  if (parsed.usesYear) periodPart = String(year);
+  if (parsed.usesMonth) periodPart = `${year}-${String(month).padStart(2, '0')}`;
+  return `${branchPart}|${periodPart}`;
+}
+
+/**
+ * Fill in a format
+ * @param {Object} parsed - Output of parseOrderNumberFormat
+ * @param {Object} values - { branchCode, date, timeZone, seq }
+ * @returns {string} Order number
+ * @throws {Error} When the result is too long
+ */
+function renderOrderNumber(parsed, { branchCode, date, timeZone = DEFAULT_CALENDAR.timeZone, seq }) {
+  const { year, month } = getZonedParts(new Date(date), timeZone);
+  const number = parsed.format.replace(TOKEN_PATTERN, (match, token, width) => {
+    switch (token) {
+      case 'BRANCHCODE': return branchCode || 'XX';
+      case 'YYYY': return String(year);
+      case 'YY': return String(year).slice(-2);
+      case 'MM': return String(month).padStart(2, '0');
+      case 'SEQ': return String(seq).padStart(width === undefined ? 1 : Number(width), '0');
+      default: return match;
+    }
+  });
+  if (number.length > MAX_LENGTH) throw new Error(`Order number ${number} is longer than ${MAX_LENGTH} characters`);
+  return number;
+}
+
+/**
+ * Code used for {BRANCHCODE}: the branch's code, or the first letters of its name
+ * @param {Object|null} branch - { code, name }
+ * @returns {string}
+ */
+function getBranchCode(branch) {
+  if (!branch) return 'XX';
+  if (branch.code) return branch.code;
+  const letters = String(branch.name || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return letters.slice(0, 3) || 'XX';
+}
+
+module.exports = {
+  DEFAULT_ORDER_NUMBER_FORMAT,
+  parseOrderNumberFormat,
+  getSequenceScope,
+  renderOrderNumber,
+  getBranchCode
+};
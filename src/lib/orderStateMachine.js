@@ -0,0 +1,232 @@
+// Order state machine: the single source of truth for which Order.status transitions exist,
+// who may perform them, and what has to happen alongside them.
+//
+// Every transition is declared once below. Service functions validate through
+// findTransition() before touching Order.status, and the frontend asks
+// getAvailableTransitions() (via GET /api/orders/:id/available-actions) what to show.
+
+// Pseudo-role used by background jobs (auto-close)
+const SYSTEM_ROLE = 'SYSTEM';
+
+// Every OrderStatus value, with whether the current flow can still reach it.
+// Statuses marked legacy exist in the enum but no transition produces them any more.
+const ORDER_STATUSES = {
+  UNDER_REVIEW: { label: 'Under Review' },
+  AWAITING_APPROVAL: { label: 'Awaiting Approval' },
+  CONFIRM_PENDING: { label: 'Confirm Pending' },
+  APPROVED_ORDER: { label: 'Approved' },
+  ARRANGING: { label: 'Arranging' },
+  ARRANGED: { label: 'Arranged' },
+  SENT_FOR_PACKAGING: { label: 'Sent For Packaging' },
+  RAISED_ISSUE: { label: 'Issue Raised In Transit' },
+  RAISED_ISSUE_AFTER_DELIVERY: { label: 'Issue Raised After Delivery', legacy: true },
+  WAITING_FOR_BRANCH_CONFIRMATION: { label: 'Waiting For Branch Confirmation', legacy: true },
+  BRANCH_CONFIRMED_RESOLUTION: { label: 'Branch Confirmed Resolution', legacy: true },
+  WAITING_FOR_MANAGER_REPLY: { label: 'Waiting For Manager Reply' },
+  MANAGER_REPLIED: { label: 'Manager Replied' },
+  UNDER_PACKAGING: { label: 'Under Packaging' },
+  PACKAGING_COMPLETED: { label: 'Packaging Completed' },
+  PARTIALLY_DISPATCHED: { label: 'Partially Dispatched' },
+  IN_TRANSIT: { label: 'In Transit' },
+  CONFIRM_ORDER_RECEIVED: { label: 'Order Received' },
+  CLOSED_ORDER: { label: 'Closed', terminal: true },
+  REJECTED_ORDER: { label: 'Rejected', terminal: true },
+  CANCELLED_ORDER: { label: 'Cancelled', terminal: true }
+};
+
+// Named side effects a transition carries; the service performing the transition executes them
+const EFFECTS = {
+  RESERVE_STOCK: 'RESERVE_STOCK',             // hold approved quantities (stockReservationService)
+  COMMIT_RESERVATIONS: 'COMMIT_RESERVATIONS', // reservations become physical deductions
+  DEDUCT_STOCK: 'DEDUCT_STOCK',               // decrement BoxHero + local stock and write the ledger
+  CREATE_SHIPMENT: 'CREATE_SHIPMENT',         // record the parcel (shipmentService) and mirror it to Tracking
+  SCHEDULE_AUTO_CLOSE: 'SCHEDULE_AUTO_CLOSE', // set receivedAt / autoCloseAt
+  RELEASE_RESERVATIONS: 'RELEASE_RESERVATIONS'
+};
+
+// Guards return null when the transition may proceed, otherwise the reason it may not
+const GUARDS = {
+  isRequester: (order, actor) =>
+    order.requesterId === actor.id ? null : 'Only the user who placed the order can do this',
+  // Next step of the approval chain (approvalChainService); admins may sign any step.
+  // Needs order.approvals and, for MANAGER steps, order.branch.managerAssignments (BRANCH_MANAGERS_SELECT).
+  isPendingApprover: (order, actor) => {
+    if (actor.role === 'ADMIN') return null;
+    if (order.pendingApprovalRole !== actor.role) return `Waiting for ${order.pendingApprovalRole || 'another'} sign-off`;
+    if ((order.approvals || []).some(a => a.status === 'APPROVED' && a.approverId === actor.id)) {
+      return 'You already signed off an earlier step of this order';
+    }
+    const managers = order.branch && order.branch.managerAssignments;
+    if (actor.role === 'MANAGER' && !(managers || []).some(m => m.managerId === actor.id)) {
+      return "Only a manager of the order's branch can sign this step";
+    }
+    return null;
+  },
+  // Once an order has a packager / dispatcher (orderAssignmentService), other staff of that role may not work it
+  isAssignedPackager: (order, actor) =>
+    actor.role !== 'PACKAGER' || !order.packagerId || order.packagerId === actor.id
+      ? null
+      : 'Order is assigned to another packager',
+  isAssignedDispatcher: (order, actor) =>
+    actor.role !== 'DISPATCHER' || !order.dispatcherId || order.dispatcherId === actor.id
+      ? null
+      : 'Order is assigned to another dispatcher'
+};
+
+const BRANCH_ROLES = ['ADMIN', 'MANAGER', 'BRANCH_USER'];
+const MANAGER_ROLES = ['ADMIN', 'MANAGER'];
+const APPROVER_ROLES = ['ADMIN', 'MANAGER', 'ACCOUNTS'];
+
+// Orders can be rejected / withdrawn until arranging or packaging starts (nothing has been picked or shipped yet)
+const PRE_FULFILMENT_STATUSES = ['UNDER_REVIEW', 'AWAITING_APPROVAL', 'CONFIRM_PENDING', 'WAITING_FOR_MANAGER_REPLY', 'MANAGER_REPLIED', 'APPROVED_ORDER'];
+
+/**
+ * Declarative transition table.
+ * action     - stable name used by services and returned to the frontend
+ * from / to  - status before / after (from: null means order creation)
+ * roles      - roles allowed to perform it
+ * guards     - extra conditions (keys of GUARDS)
+ * timestamps - Order columns set to "now" by the transition
+ * effects    - side effects (keys of EFFECTS)
+ * endpoint   - API call that performs it
+ */
+const TRANSITIONS = [
+  { action: 'SUBMIT', from: [null], to: 'UNDER_REVIEW', roles: BRANCH_ROLES, endpoint: 'POST /api/orders' },
+  // Follow-up order for backordered lines: the manager allocates it, so it starts already approved
+  { action: 'SUBMIT_BACKORDER', from: [null], to: 'CONFIRM_PENDING', roles: MANAGER_ROLES, timestamps: ['approvedAt'], effects: [EFFECTS.RESERVE_STOCK], endpoint: 'POST /api/backorders/convert' },
+
+  { action: 'APPROVE', from: ['UNDER_REVIEW'], to: 'CONFIRM_PENDING', roles: MANAGER_ROLES, timestamps: ['approvedAt'], effects: [EFFECTS.RESERVE_STOCK], endpoint: 'PUT /api/orders/approve/:orderId' },
+  // APPROVE lands here instead when approval rules require more sign-offs; intermediate sign-offs keep the status
+  { action: 'REQUEST_SIGN_OFF', from: ['UNDER_REVIEW'], to: 'AWAITING_APPROVAL', roles: MANAGER_ROLES, effects: [EFFECTS.RESERVE_STOCK], endpoint: null },
+  { action: 'SIGN_OFF', from: ['AWAITING_APPROVAL'], to: 'CONFIRM_PENDING', roles: APPROVER_ROLES, guards: ['isPendingApprover'], timestamps: ['approvedAt'], endpoint: 'PUT /api/orders/sign-off/:orderId' },
+  { action: 'REJECT', from: ['AWAITING_APPROVAL'], to: 'REJECTED_ORDER', roles: ['ACCOUNTS'], guards: ['isPendingApprover'], timestamps: ['rejectedAt'], effects: [EFFECTS.RELEASE_RESERVATIONS], endpoint: 'PUT /api/orders/sign-off/:orderId' },
+
+  { action: 'CONFIRM', from: ['CONFIRM_PENDING'], to: 'APPROVED_ORDER', roles: BRANCH_ROLES, guards: ['isRequester'], endpoint: 'PUT /api/orders/confirm/:orderId' },
+  { action: 'RAISE_ISSUE', from: ['CONFIRM_PENDING', 'MANAGER_REPLIED'], to: 'WAITING_FOR_MANAGER_REPLY', roles: BRANCH_ROLES, guards: ['isRequester'], endpoint: 'PUT /api/orders/raise-issue/:orderId' },
+  { action: 'RAISE_ISSUE', from: ['IN_TRANSIT'], to: 'RAISED_ISSUE', roles: BRANCH_ROLES, guards: ['isRequester'], endpoint: 'PUT /api/orders/raise-issue/:orderId' },
+  { action: 'MANAGER_REPLY', from: ['WAITING_FOR_MANAGER_REPLY', 'RAISED_ISSUE', 'MANAGER_REPLIED'], to: 'MANAGER_REPLIED', roles: MANAGER_ROLES, endpoint: 'PUT /api/orders/reply/:orderId' },
+  { action: 'CONFIRM_MANAGER_REPLY', from: ['MANAGER_REPLIED'], to: 'APPROVED_ORDER', roles: BRANCH_ROLES, guards: ['isRequester'], timestamps: ['approvedAt'], endpoint: 'PUT /api/orders/confirm-manager-reply/:orderId' },
+
+  { action: 'START_ARRANGING', from: ['APPROVED_ORDER'], to: 'ARRANGING', roles: BRANCH_ROLES, timestamps: ['arrangingStartedAt'], endpoint: 'PUT /api/orders/update-status/:orderId' },
+  { action: 'MARK_ARRANGED', from: ['ARRANGING'], to: 'ARRANGED', roles: BRANCH_ROLES, timestamps: ['arrangingCompletedAt'], endpoint: 'PUT /api/orders/update-status/:orderId' },
+  { action: 'SEND_FOR_PACKAGING', from: ['ARRANGED'], to: 'SENT_FOR_PACKAGING', roles: BRANCH_ROLES, timestamps: ['sentForPackagingAt'], endpoint: 'PUT /api/orders/update-status/:orderId' },
+  { action: 'START_PACKAGING', from: ['APPROVED_ORDER', 'SENT_FOR_PACKAGING'], to: 'UNDER_PACKAGING', roles: ['ADMIN', 'MANAGER', 'PACKAGER'], guards: ['isAssignedPackager'], timestamps: ['packagingStartedAt'], endpoint: 'PUT /api/orders/update-status/:orderId' },
+  { action: 'COMPLETE_PACKAGING', from: ['UNDER_PACKAGING'], to: 'PACKAGING_COMPLETED', roles: ['ADMIN', 'MANAGER', 'PACKAGER'], guards: ['isAssignedPackager'], timestamps: ['packagingCompletedAt'], endpoint: 'PUT /api/orders/update-status/:orderId' },
+  // A parcel that leaves lines behind may go out at any fulfilment stage; the parcel that completes the order needs it packed
+  { action: 'DISPATCH_PARTIAL', from: ['APPROVED_ORDER', 'ARRANGING', 'ARRANGED', 'SENT_FOR_PACKAGING', 'UNDER_PACKAGING', 'PACKAGING_COMPLETED', 'PARTIALLY_DISPATCHED'], to: 'PARTIALLY_DISPATCHED', roles: ['ADMIN', 'MANAGER', 'DISPATCHER'], guards: ['isAssignedDispatcher'], effects: [EFFECTS.COMMIT_RESERVATIONS, EFFECTS.DEDUCT_STOCK, EFFECTS.CREATE_SHIPMENT], endpoint: 'POST /api/orders/:orderId/shipments' },
+  { action: 'DISPATCH', from: ['PACKAGING_COMPLETED', 'PARTIALLY_DISPATCHED'], to: 'IN_TRANSIT', roles: ['ADMIN', 'MANAGER', 'DISPATCHER'], guards: ['isAssignedDispatcher'], timestamps: ['dispatchedAt'], effects: [EFFECTS.COMMIT_RESERVATIONS, EFFECTS.DEDUCT_STOCK, EFFECTS.CREATE_SHIPMENT], endpoint: 'PUT /api/orders/update-status/:orderId' },
+
+  { action: 'CONFIRM_RECEIVED', from: ['IN_TRANSIT'], to: 'CONFIRM_ORDER_RECEIVED', roles: BRANCH_ROLES, guards: ['isRequester'], effects: [EFFECTS.SCHEDULE_AUTO_CLOSE], endpoint: 'PUT /api/orders/confirm-received/:orderId' },
+  { action: 'REPORT_RECEIVED_ISSUES', from: ['IN_TRANSIT', 'CONFIRM_ORDER_RECEIVED'], to: 'CONFIRM_ORDER_RECEIVED', roles: BRANCH_ROLES, guards: ['isRequester'], effects: [EFFECTS.SCHEDULE_AUTO_CLOSE], endpoint: 'PUT /api/orders/report-received-issues/:orderId' },
+  { action: 'CLOSE', from: ['CONFIRM_ORDER_RECEIVED'], to: 'CLOSED_ORDER', roles: [...MANAGER_ROLES, SYSTEM_ROLE], timestamps: ['closedAt'], effects: [EFFECTS.RELEASE_RESERVATIONS], endpoint: null },
+
+  { action: 'REJECT', from: PRE_FULFILMENT_STATUSES, to: 'REJECTED_ORDER', roles: MANAGER_ROLES, timestamps: ['rejectedAt'], effects: [EFFECTS.RELEASE_RESERVATIONS], endpoint: 'PUT /api/orders/reject/:orderId' },
+  { action: 'CANCEL', from: PRE_FULFILMENT_STATUSES, to: 'CANCELLED_ORDER', roles: BRANCH_ROLES, guards: ['isRequester'], timestamps: ['cancelledAt'], effects: [EFFECTS.RELEASE_RESERVATIONS], endpoint: 'PUT /api/orders/cancel/:orderId' }
+];
+
+// Check a single transition for an order/actor; returns the reason it is blocked, or null
+function blockedReason(transition, order, actor) {
+  if (!transition.roles.includes(actor.role)) {
+    return `Role ${actor.role || 'UNKNOWN'} cannot perform ${transition.action}`;
+  }
+  for (const guardName of transition.guards || []) {
+    const reason = GUARDS[guardName](order, actor);
+    if (reason) return reason;
+  }
+  return null;
+}
+
+/**
+ * Find the transition an actor wants to perform and check it against the current status, role and guards.
+ * @param {Object} order - Order row (needs status and requesterId)
+ * @param {Object} request - { action } or { toStatus }, optionally limited to { actions: [...] }
+ * @param {Object} actor - { id, role }
+ * @returns {Object} { transition, error } - error is null when allowed
+ */
+function findTransition(order, { action = null, toStatus = null, actions = null }, actor) {
+  const fromStatus = order ? order.status : null;
+  const candidates = TRANSITIONS.filter(t =>
+    t.from.includes(fromStatus) &&
+    (action ? t.action === action : t.to === toStatus) &&
+    (!actions || actions.includes(t.action))
+  );
+
+  if (candidates.length === 0) {
+    const target = action || toStatus;
+    return { transition: null, error: `Invalid status transition: ${fromStatus} → ${target}` };
+  }
+
+  let error = null;
+  for (const transition of candidates) {
+    error = blockedReason(transition, order, actor);
+    if (!error) return { transition, error: null };
+  }
+  return { transition: null, error };
+}
+
+/**
+ * List the transitions an actor may perform on an order right now
+ * @param {Object} order - Order row (needs status and requesterId)
+ * @param {Object} actor - { id, role }
+ * @returns {Array<Object>} [{ action, toStatus, label, endpoint }]
+ */
+function getAvailableTransitions(order, actor) {
+  return TRANSITIONS
+    .filter(t => t.from.includes(order.status) && !blockedReason(t, order, actor) && t.endpoint)
+    .map(t => ({
+      action: t.action,
+      fromStatus: order.status,
+      toStatus: t.to,
+      label: ORDER_STATUSES[t.to].label,
+      endpoint: t.endpoint
+    }));
+}
+
+/**
+ * Statuses an order can move to from a given status (ignoring roles)
+ * @param {string} fromStatus
+ * @returns {Array<string>}
+ */
+function getNextStatuses(fromStatus) {
+  return [...new Set(TRANSITIONS.filter(t => t.from.includes(fromStatus)).map(t => t.to))];
+}
+
+/**
+ * Timestamp columns to set for a transition
+ * @param {Object} transition - Entry from TRANSITIONS
+ * @param {Date} now
+ * @returns {Object} e.g. { dispatchedAt: now }
+ */
+function transitionTimestamps(transition, now = new Date()) {
+  const data = {};
+  for (const field of transition.timestamps || []) data[field] = now;
+  return data;
+}
+
+function hasEffect(transition, effect) {
+  return Boolean(transition && (transition.effects || []).includes(effect));
+}
+
+/**
+ * Run one guard outside a transition (e.g. for actions on shipments that keep the order's status)
+ * @param {string} guardName - Key of GUARDS
+ * @param {Object} order
+ * @param {Object} actor - { id, role }
+ * @returns {string|null} Reason the actor is blocked, or null
+ */
+function checkGuard(guardName, order, actor) {
+  return GUARDS[guardName](order, actor);
+}
+
+module.exports = {
+  SYSTEM_ROLE,
+  ORDER_STATUSES,
+  EFFECTS,
+  TRANSITIONS,
+  findTransition,
+  getAvailableTransitions,
+  getNextStatuses,
+  transitionTimestamps,
+  hasEffect,
+  checkGuard
+};
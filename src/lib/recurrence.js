@@ -0,0 +1,165 @@
+// Next-run calculation for recurring order templates, in the wall-clock time of the branch's
+// business time zone (not the server's). WEEKLY schedules run on the given weekdays at HH:mm;
+// CRON schedules use a standard 5-field expression: minute hour day-of-month month day-of-week.
+// Internally a "wall clock" is a Date whose UTC fields hold the local time in that zone.
+
+const { DEFAULT_CALENDAR, getZonedParts, zonedTimeToDate } = require('./workingHours');
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+// Give up looking for a match after this many years (e.g. "0 0 31 2 *" never fires)
+const MAX_LOOKAHEAD_YEARS = 5;
+
+// Expand one cron field ("*", "5", "1-5", "*/15", "1-10/2", "1,3,5") into the set of values it matches
+function parseCronField(expr, { name, min, max }) {
+  const values = new Set();
+  for (const part of expr.split(',')) {
+    const [rangePart, stepPart] = part.split('/');
+    const step = stepPart === undefined ? 1 : Number(stepPart);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid step "${stepPart}" in ${name} field`);
+
+    let from = min;
+    let to = max;
+    if (rangePart !== '*') {
+      const [a, b] = rangePart.split('-');
+      from = Number(a);
+      to = b === undefined ? (stepPart === undefined ? from : max) : Number(b);
+    }
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < min || to > max || from > to) {
+      throw new Error(`Invalid value "${part}" in ${name} field (allowed ${min}-${max})`);
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parse a 5-field cron expression
+ * @param {string} expression - e.g. "0 8 * * 1" (every Monday 08:00)
+ * @returns {Object} { minutes, hours, daysOfMonth, months, daysOfWeek, anyDayOfMonth, anyDayOfWeek }
+ * @throws {Error} When the expression is malformed
+ */
+function parseCronExpression(expression) {
+  const fields = String(expression || '').trim().split(/\s+/);
+  if (fields.length !== CRON_FIELDS.length) {
+    throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((f, i) => parseCronField(f, CRON_FIELDS[i]));
+  if (daysOfWeek.has(7)) daysOfWeek.add(0);
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    anyDayOfMonth: fields[2] === '*',
+    anyDayOfWeek: fields[4] === '*'
+  };
+}
+
+// Wall clock of an instant in a time zone
+function toWallClock(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  return new Date(Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second));
+}
+
+// Instant of a wall clock in a time zone
+function fromWallClock(wall, timeZone) {
+  return zonedTimeToDate(
+    wall.getUTCFullYear(),
+    wall.getUTCMonth() + 1,
+    wall.getUTCDate(),
+    wall.getUTCHours() * 60 + wall.getUTCMinutes(),
+    timeZone
+  );
+}
+
+// Standard cron rule: when both day fields are restricted, a day matching either one fires
+function cronDayMatches(cron, date) {
+  const domMatch = cron.daysOfMonth.has(date.getUTCDate());
+  const dowMatch = cron.daysOfWeek.has(date.getUTCDay());
+  if (cron.anyDayOfMonth && cron.anyDayOfWeek) return true;
+  if (cron.anyDayOfMonth) return dowMatch;
+  if (cron.anyDayOfWeek) return domMatch;
+  return domMatch || dowMatch;
+}
+
+// First minute strictly after `after` that matches the cron expression in the time zone, or null
+function nextCronRun(expression, after, timeZone) {
+  const cron = parseCronExpression(expression);
+  const cursor = toWallClock(after, timeZone);
+  const limit = new Date(cursor);
+  limit.setUTCFullYear(limit.getUTCFullYear() + MAX_LOOKAHEAD_YEARS);
+
+  cursor.setUTCSeconds(0, 0);
+  cursor.setUTCMinutes(cursor.getUTCMinutes() + 1);
+
+  while (cursor <= limit) {
+    if (!cron.months.has(cursor.getUTCMonth() + 1)) {
+      cursor.setUTCMonth(cursor.getUTCMonth() + 1, 1);
+      cursor.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cronDayMatches(cron, cursor)) {
+      cursor.setUTCDate(cursor.getUTCDate() + 1);
+      cursor.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hours.has(cursor.getUTCHours())) {
+      cursor.setUTCHours(cursor.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minutes.has(cursor.getUTCMinutes())) {
+      cursor.setUTCMinutes(cursor.getUTCMinutes() + 1, 0, 0);
+      continue;
+    }
+    // A wall clock repeated when the clocks go back can map to an instant already passed
+    const run = fromWallClock(cursor, timeZone);
+    if (run > after) return run;
+    cursor.setUTCMinutes(cursor.getUTCMinutes() + 1, 0, 0);
+  }
+  return null;
+}
+
+// First weekday/time strictly after `after` in the time zone; timeOfDay is "HH:mm"
+function nextWeeklyRun(daysOfWeek, timeOfDay, after, timeZone) {
+  const days = (daysOfWeek || []).map(Number).map(d => (d === 7 ? 0 : d));
+  if (days.length === 0) throw new Error('Weekly schedule needs at least one day of the week');
+  const [hour, minute] = String(timeOfDay || '00:00').split(':').map(Number);
+
+  const candidate = toWallClock(after, timeZone);
+  candidate.setUTCHours(hour, minute, 0, 0);
+  for (let i = 0; i <= 7; i++) {
+    if (days.includes(candidate.getUTCDay())) {
+      const run = fromWallClock(candidate, timeZone);
+      if (run > after) return run;
+    }
+    candidate.setUTCDate(candidate.getUTCDate() + 1);
+  }
+  return null;
+}
+
+/**
+ * Work out when a schedule should next run
+ * @param {Object} schedule - { scheduleType: 'WEEKLY' | 'CRON', daysOfWeek, timeOfDay, cronExpression }
+ * @param {Date} after - Find the first run strictly after this moment (default now)
+ * @param {string} timeZone - IANA zone the schedule's times are in (the branch's business calendar)
+ * @returns {Date|null} Next run, or null when the schedule can never fire
+ */
+function computeNextRun(schedule, after = new Date(), timeZone = DEFAULT_CALENDAR.timeZone) {
+  if (schedule.scheduleType === 'CRON') return nextCronRun(schedule.cronExpression, after, timeZone);
+  return nextWeeklyRun(schedule.daysOfWeek, schedule.timeOfDay, after, timeZone);
+}
+
+module.exports = {
+  parseCronExpression,
+  computeNextRun
+};
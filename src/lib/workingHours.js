@@ -1,94 +1,154 @@
-// Utilities to calculate and add working hours (business hours 09:00-17:00, Mon-Fri)
-const BUSINESS_START_HOUR = 9;
-const BUSINESS_END_HOUR = 17;
-
-function isWeekend(date) {
-  const d = new Date(date);
-  const day = d.getDay();
-  return day === 0 || day === 6;
+// Utilities to calculate and add working hours against a business calendar.
+// A calendar is { timeZone, workingDays, startTime, endTime, holidays }:
+//   timeZone    - IANA zone the hours are kept in (e.g. "Asia/Kolkata"), independent of the server's zone
+//   workingDays - ISO weekdays (1 = Monday .. 7 = Sunday)
+//   startTime / endTime - "HH:MM" local business hours
+//   holidays    - local dates ("YYYY-MM-DD") that are not worked
+// Without a calendar the defaults apply: 09:00-17:00, Monday to Friday, in BUSINESS_TIME_ZONE
+// (or the server's zone), no holidays. Saved calendars come from businessCalendarService.
+
+const DEFAULT_CALENDAR = {
+  timeZone: process.env.BUSINESS_TIME_ZONE || Intl.DateTimeFormat().resolvedOptions().timeZone,
+  workingDays: [1, 2, 3, 4, 5],
+  startTime: '09:00',
+  endTime: '17:00',
+  holidays: []
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// No working time within this many days means the calendar has no working days at all
+const MAX_DAYS_SCANNED = 3660;
+
+const formatters = {};
+function getFormatter(timeZone) {
+  if (!formatters[timeZone]) {
+    formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+  }
+  return formatters[timeZone];
+}
+
+// Wall-clock parts of an instant in a time zone
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) parts[type] = Number(value);
+  return parts;
+}
+
+// Milliseconds the zone is ahead of UTC at an instant
+function getOffsetMs(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - (date.getTime() - date.getMilliseconds());
 }
 
-function setTime(date, hour, minute = 0, second = 0, ms = 0) {
-  const d = new Date(date);
-  d.setHours(hour, minute, second, ms);
-  return d;
+// Instant of a local wall-clock time in a time zone (the second pass settles DST changes)
+function zonedTimeToDate(year, month, day, minutes, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, 0, minutes);
+  const first = guess - getOffsetMs(new Date(guess), timeZone);
+  return new Date(guess - getOffsetMs(new Date(first), timeZone));
+}
+
+function parseTime(time) {
+  const [h, m] = String(time).split(':').map(Number);
+  return h * 60 + (m || 0);
+}
+
+// Validate a calendar and prepare it for the loops below
+function normalizeCalendar(calendar = DEFAULT_CALENDAR) {
+  const merged = { ...DEFAULT_CALENDAR, ...calendar };
+  const startMinutes = parseTime(merged.startTime);
+  const endMinutes = parseTime(merged.endTime);
+  if (!(endMinutes > startMinutes)) throw new Error('Business hours must end after they start');
+  getFormatter(merged.timeZone); // throws RangeError for an unknown zone
+
+  return {
+    timeZone: merged.timeZone,
+    workingDays: new Set((merged.workingDays || []).map(Number)),
+    startMinutes,
+    endMinutes,
+    holidays: new Set(merged.holidays || [])
+  };
+}
+
+// Business window of the local day containing `date`, walking `offset` days forward
+function getDayWindow(cal, date, offset = 0) {
+  const p = getZonedParts(date, cal.timeZone);
+  const day = new Date(Date.UTC(p.year, p.month - 1, p.day + offset));
+  const y = day.getUTCFullYear();
+  const m = day.getUTCMonth() + 1;
+  const d = day.getUTCDate();
+  const isoWeekday = day.getUTCDay() === 0 ? 7 : day.getUTCDay();
+  const localDate = `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+
+  return {
+    isWorking: cal.workingDays.has(isoWeekday) && !cal.holidays.has(localDate),
+    start: zonedTimeToDate(y, m, d, cal.startMinutes, cal.timeZone),
+    end: zonedTimeToDate(y, m, d, cal.endMinutes, cal.timeZone)
+  };
 }
 
 // Calculate working hours elapsed between two Date objects (fractional hours)
-function calculateWorkingHours(from, to) {
-  let start = new Date(from);
-  let end = new Date(to);
+function calculateWorkingHours(from, to, calendar) {
+  if (!from || !to) return 0;
+  const start = new Date(from);
+  const end = new Date(to);
   if (start >= end) return 0;
 
+  const cal = normalizeCalendar(calendar);
   let totalMs = 0;
-  // iterate days
-  let cursor = new Date(start);
-  cursor.setHours(0, 0, 0, 0);
-
-  while (cursor <= end) {
-    if (!isWeekend(cursor)) {
-      const businessStart = setTime(cursor, BUSINESS_START_HOUR);
-      const businessEnd = setTime(cursor, BUSINESS_END_HOUR);
+  const days = Math.ceil((end - start) / DAY_MS) + 1;
+  for (let offset = 0; offset <= days; offset++) {
+    const window = getDayWindow(cal, start, offset);
+    if (window.start >= end) break;
+    if (!window.isWorking) continue;
 
-      const sliceStart = start > businessStart ? start : businessStart;
-      const sliceEnd = end < businessEnd ? end : businessEnd;
-
-      if (sliceEnd > sliceStart) {
-        totalMs += sliceEnd - sliceStart;
-      }
-    }
-    // next day
-    cursor.setDate(cursor.getDate() + 1);
-    cursor.setHours(0, 0, 0, 0);
+    const sliceStart = start > window.start ? start : window.start;
+    const sliceEnd = end < window.end ? end : window.end;
+    if (sliceEnd > sliceStart) totalMs += sliceEnd - sliceStart;
   }
 
-  return totalMs / (1000 * 60 * 60);
+  return totalMs / HOUR_MS;
 }
 
 // Add working hours to a start date and return resulting Date
-function addWorkingHours(startDate, hoursToAdd) {
-  let remaining = hoursToAdd;
+function addWorkingHours(startDate, hoursToAdd, calendar) {
+  const cal = normalizeCalendar(calendar);
   let cursor = new Date(startDate);
+  let remainingMs = hoursToAdd * HOUR_MS;
 
-  // if start is outside business hours, move to next business time
-  if (isWeekend(cursor) || cursor.getHours() >= BUSINESS_END_HOUR) {
-    // move to next business day start
-    do {
-      cursor.setDate(cursor.getDate() + 1);
-      cursor.setHours(BUSINESS_START_HOUR, 0, 0, 0);
-    } while (isWeekend(cursor));
-  } else if (cursor.getHours() < BUSINESS_START_HOUR) {
-    cursor.setHours(BUSINESS_START_HOUR, 0, 0, 0);
-  }
-
-  while (remaining > 0) {
-    if (isWeekend(cursor)) {
-      cursor.setDate(cursor.getDate() + 1);
-      cursor.setHours(BUSINESS_START_HOUR, 0, 0, 0);
-      continue;
-    }
+  for (let offset = 0; offset < MAX_DAYS_SCANNED; offset++) {
+    const window = getDayWindow(cal, new Date(startDate), offset);
+    if (!window.isWorking || cursor >= window.end) continue;
 
-    const businessEnd = setTime(cursor, BUSINESS_END_HOUR);
-    const availableMs = businessEnd - cursor;
-    const availableHours = availableMs / (1000 * 60 * 60);
-
-    if (availableHours >= remaining) {
-      // finish within current day
-      cursor = new Date(cursor.getTime() + remaining * 60 * 60 * 1000);
-      remaining = 0;
-      break;
-    } else {
-      // consume the rest of the day then move to next business day
-      remaining -= availableHours;
-      cursor.setDate(cursor.getDate() + 1);
-      cursor.setHours(BUSINESS_START_HOUR, 0, 0, 0);
+    const sliceStart = cursor > window.start ? cursor : window.start;
+    const availableMs = window.end - sliceStart;
+    if (availableMs >= remainingMs) {
+      // finish within this day (zero hours still moves the start into business hours)
+      return new Date(sliceStart.getTime() + remainingMs);
     }
+    // consume the rest of the day then move to next business day
+    remainingMs -= availableMs;
+    cursor = window.end;
   }
 
-  return cursor;
+  throw new Error('Business calendar has no working time');
 }
 
 module.exports = {
+  DEFAULT_CALENDAR,
+  getZonedParts,
+  zonedTimeToDate,
+  normalizeCalendar,
   calculateWorkingHours,
   addWorkingHours,
 };
@@ -35,4 +35,39 @@ const fileFilter = (req, file, cb) => {
 
 const upload = multer({ storage, fileFilter });
 
-module.exports = { upload, uploadsRoot };
+// CSV imports are parsed straight from memory and never written to disk
+const csvFileFilter = (req, file, cb) => {
+  const ext = path.extname(file.originalname).toLowerCase();
+  const mime = (file.mimetype || '').toLowerCase();
+
+  if (ext === '.csv' || ['text/csv', 'application/vnd.ms-excel', 'text/plain'].includes(mime)) {
+    cb(null, true);
+  } else {
+    const err = new Error('Only CSV files are allowed');
+    err.status = 400;
+    cb(err);
+  }
+};
+
+const CSV_MAX_FILE_SIZE_MB = 1;
+
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: csvFileFilter,
+  limits: { fileSize: CSV_MAX_FILE_SIZE_MB * 1024 * 1024 }
+});
+
+/**
+ * Status and message for a multer error (limits are the client's fault, not a 500)
+ * @param {Error} error
+ * @returns {Object|null} { status, message }, or null when it is not a multer error
+ */
+const describeUploadError = (error) => {
+  if (!(error instanceof multer.MulterError)) return null;
+  if (error.code === 'LIMIT_FILE_SIZE') {
+    return { status: 413, message: `File is too large; CSV imports are limited to ${CSV_MAX_FILE_SIZE_MB} MB` };
+  }
+  return { status: 400, message: `Upload rejected: ${error.message}` };
+};
+
+module.exports = { upload, csvUpload, uploadsRoot, describeUploadError };
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+
+const authMiddleware = require('../middleware/authMiddleware');
+const { requireAdmin } = require('../middleware/roleMiddleware');
+
+const {
+  listApprovalRulesController,
+  createApprovalRuleController,
+  updateApprovalRuleController,
+  deleteApprovalRuleController
+} = require('../controllers/orderApprovalController');
+
+// All admin routes require auth + admin role
+router.use(authMiddleware, requireAdmin);
+
+// Rules deciding which orders need extra sign-off after manager approval
+router.get('/', listApprovalRulesController);
+router.post('/', createApprovalRuleController);
+router.put('/:id', updateApprovalRuleController);
+router.delete('/:id', deleteApprovalRuleController);
+
+module.exports = router;
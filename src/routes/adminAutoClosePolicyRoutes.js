@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+
+const authMiddleware = require('../middleware/authMiddleware');
+const { requireAdmin } = require('../middleware/roleMiddleware');
+
+const {
+  getAutoClosePolicySettingsController,
+  updateDefaultAutoClosePolicyController,
+  upsertBranchAutoClosePolicyController,
+  deleteBranchAutoClosePolicyController,
+  runAutoCloseController
+} = require('../controllers/adminAutoClosePolicyController');
+
+// All admin routes require auth + admin role
+router.use(authMiddleware, requireAdmin);
+
+// Company auto-close window and reminder offsets (working hours)
+router.get('/', getAutoClosePolicySettingsController);
+router.put('/', updateDefaultAutoClosePolicyController);
+router.post('/run', runAutoCloseController);
+
+// Per-branch overrides
+router.put('/branches/:branchId', upsertBranchAutoClosePolicyController);
+router.delete('/branches/:branchId', deleteBranchAutoClosePolicyController);
+
+module.exports = router;
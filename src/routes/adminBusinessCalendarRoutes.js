@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+
+const authMiddleware = require('../middleware/authMiddleware');
+const { requireAdmin } = require('../middleware/roleMiddleware');
+
+const {
+  getCalendarSettingsController,
+  updateDefaultCalendarController,
+  getBranchCalendarController,
+  upsertBranchCalendarController,
+  deleteBranchCalendarController,
+  addHolidayController,
+  removeHolidayController,
+  previewWorkingHoursController
+} = require('../controllers/adminBusinessCalendarController');
+
+// All admin routes require auth + admin role
+router.use(authMiddleware, requireAdmin);
+
+// Company calendar (working days, hours, time zone)
+router.get('/', getCalendarSettingsController);
+router.put('/', updateDefaultCalendarController);
+router.post('/preview', previewWorkingHoursController);
+
+// Holidays (company-wide or per branch)
+router.post('/holidays', addHolidayController);
+router.delete('/holidays/:id', removeHolidayController);
+
+// Per-branch overrides
+router.get('/branches/:branchId', getBranchCalendarController);
+router.put('/branches/:branchId', upsertBranchCalendarController);
+router.delete('/branches/:branchId', deleteBranchCalendarController);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+
+const authMiddleware = require('../middleware/authMiddleware');
+const { requireAdmin } = require('../middleware/roleMiddleware');
+
+const {
+  listJobsController,
+  listJobRunsController,
+  runJobController,
+  updateJobController
+} = require('../controllers/adminJobController');
+
+// All admin routes require auth + admin role
+router.use(authMiddleware, requireAdmin);
+
+// Scheduled jobs and their run history
+router.get('/', listJobsController);
+router.get('/runs', listJobRunsController);
+router.post('/:name/run', runJobController);
+router.put('/:name', updateJobController);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+
+const authMiddleware = require('../middleware/authMiddleware');
+const { requireAdmin } = require('../middleware/roleMiddleware');
+
+const {
+  getOrderNumberingController,
+  previewOrderNumberingController,
+  updateOrderNumberingController
+} = require('../controllers/adminOrderNumberController');
+
+// All admin routes require auth + admin role
+router.use(authMiddleware, requireAdmin);
+
+// Order number format (applies to new orders only)
+router.get('/', getOrderNumberingController);
+router.post('/preview', previewOrderNumberingController);
+router.put('/', updateOrderNumberingController);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+
+const authMiddleware = require('../middleware/authMiddleware');
+const { requireAdmin } = require('../middleware/roleMiddleware');
+
+const {
+  listSlaTargetsController,
+  updateSlaTargetController,
+  deleteSlaTargetController,
+  runSlaCheckController
+} = require('../controllers/slaController');
+
+// All admin routes require auth + admin role
+router.use(authMiddleware, requireAdmin);
+
+// SLA targets per order status (working hours)
+router.get('/', listSlaTargetsController);
+router.post('/check', runSlaCheckController);
+router.put('/:status', updateSlaTargetController);
+router.delete('/:status', deleteSlaTargetController);
+
+module.exports = router;
@@ -11,6 +11,10 @@ const {
   assignBranchesToUser,
   unassignBranchesFromUser
 } = require('../controllers/adminStaffAssignmentController');
+const {
+  getAssignmentStrategyController,
+  updateAssignmentStrategyController
+} = require('../controllers/orderAssignmentController');
 
 // All admin routes require auth + admin role
 router.use(authMiddleware, requireAdmin);
@@ -22,4 +26,8 @@ router.get('/user/:userId', getAssignmentsByUser);
 router.post('/user/:userId/assign', assignBranchesToUser);
 router.post('/user/:userId/unassign', unassignBranchesFromUser);
 
+// How orders are auto-assigned to the branch's packagers / dispatchers
+router.get('/strategy', getAssignmentStrategyController);
+router.put('/strategy', updateAssignmentStrategyController);
+
 module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+
+const authMiddleware = require('../middleware/authMiddleware');
+const { requireAdmin } = require('../middleware/roleMiddleware');
+
+const {
+  listSyncRunsController,
+  getSyncRunController
+} = require('../controllers/adminSyncRunController');
+
+// All admin routes require auth + admin role
+router.use(authMiddleware, requireAdmin);
+
+// BoxHero sync run history
+router.get('/', listSyncRunsController);
+router.get('/:id', getSyncRunController);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+
+const authMiddleware = require('../middleware/authMiddleware');
+const { requireBranchUser, requireManager } = require('../middleware/roleMiddleware');
+
+const {
+  listBackordersController,
+  convertBackordersController,
+  cancelBackorderController
+} = require('../controllers/backorderController');
+
+router.use(authMiddleware);
+
+// Branch users see their branch's backorders; managers see the branches they manage
+router.get('/', requireBranchUser, listBackordersController);
+
+// Manager allocates backorders into a follow-up order
+router.post('/convert', requireManager, convertBackordersController);
+router.put('/:id/cancel', requireManager, cancelBackorderController);
+
+module.exports = router;
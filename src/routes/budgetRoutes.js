@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+
+const authMiddleware = require('../middleware/authMiddleware');
+const { requireBranchUser, requireAccounts, roleMiddleware } = require('../middleware/roleMiddleware');
+
+const {
+  getBudgetStatusController,
+  getBudgetReportController,
+  listBudgetsController,
+  createBudgetController,
+  updateBudgetController,
+  deleteBudgetController
+} = require('../controllers/budgetController');
+
+router.use(authMiddleware);
+
+// Remaining budget of a branch (branch users: their own branch)
+router.get('/status', requireBranchUser, getBudgetStatusController);
+
+// Budget versus actual (managers see the branches they manage)
+router.get('/report', roleMiddleware(['ADMIN', 'ACCOUNTS', 'MANAGER']), getBudgetReportController);
+
+// Budget administration
+router.get('/', requireAccounts, listBudgetsController);
+router.post('/', requireAccounts, createBudgetController);
+router.put('/:id', requireAccounts, updateBudgetController);
+router.delete('/:id', requireAccounts, deleteBudgetController);
+
+module.exports = router;
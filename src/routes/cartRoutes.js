@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+
+const authMiddleware = require('../middleware/authMiddleware');
+const { requireBranchUser } = require('../middleware/roleMiddleware');
+
+const {
+  listCartsController,
+  getCartController,
+  createCartController,
+  updateCartController,
+  discardCartController,
+  addCartItemController,
+  updateCartItemController,
+  removeCartItemController,
+  submitCartController
+} = require('../controllers/cartController');
+
+// Carts are shared by the users of a branch
+router.use(authMiddleware, requireBranchUser);
+
+router.get('/', listCartsController);
+router.post('/', createCartController);
+router.get('/:cartId', getCartController);
+router.put('/:cartId', updateCartController);
+router.delete('/:cartId', discardCartController);
+
+// Lines
+router.post('/:cartId/items', addCartItemController);
+router.put('/:cartId/items/:itemId', updateCartItemController);
+router.delete('/:cartId/items/:itemId', removeCartItemController);
+
+// Turn the cart into an order
+router.post('/:cartId/submit', submitCartController);
+
+module.exports = router;
@@ -5,11 +5,13 @@ const router = express.Router();
 const {
   getItems,
   getCategories,
-  getItemById
+  getItemById,
+  getItemMovementsController
 } = require('../controllers/itemController');
 
 // Import middleware
 const authMiddleware = require('../middleware/authMiddleware');
+const { requireManager } = require('../middleware/roleMiddleware');
 
 /**
  * Item Routes
@@ -17,6 +19,7 @@ const authMiddleware = require('../middleware/authMiddleware');
  * GET /api/items - Get all items with filtering and pagination
  * GET /api/items/categories - Get all unique categories
  * GET /api/items/:id - Get a single item by ID
+ * GET /api/items/:id/movements - Stock movement ledger for an item (ADMIN/MANAGER)
  */
 
 // All routes require authentication
@@ -25,6 +28,7 @@ router.use(authMiddleware);
 // Public item routes (authenticated users only)
 router.get('/', getItems);
 router.get('/categories', getCategories);
+router.get('/:id/movements', requireManager, getItemMovementsController);
 router.get('/:id', getItemById);
 
 module.exports = router;
@@ -8,26 +8,53 @@ const {
   getBranchOrders,
   getOrderByIdController,
   getManagerPendingOrdersController,
+  searchOrdersController,
+  exportOrdersController,
   approveOrderController,
   dispatchOrderController,
   confirmOrderController,
   raiseOrderIssueController,
   getOrderIssuesController,
+  getOrderTimelineController,
+  getOrderAvailableActionsController,
   managerReplyController,
   updateOrderStatusController,
   confirmOrderReceivedController,
-  confirmManagerReplyController
+  confirmManagerReplyController,
+  rejectOrderController,
+  cancelOrderController,
+  createShipmentController,
+  getOrderShipmentsController
 } = require('../controllers/orderController');
 
 const { updateArrangingStageController, updateArrangingRemarksController } = require('../controllers/orderController');
 const { getOrderAttachmentsController, getManagerOrderAttachmentsController } = require('../controllers/attachmentController');
+const {
+  listTemplatesController,
+  getTemplateController,
+  createTemplateController,
+  updateTemplateController,
+  deleteTemplateController
+} = require('../controllers/recurringOrderController');
+const { listDiscrepanciesController, resolveDiscrepancyController } = require('../controllers/receiptDiscrepancyController');
+const { getPendingApprovalsController, signOffOrderController } = require('../controllers/orderApprovalController');
+const { previewOrderImportController, confirmOrderImportController } = require('../controllers/orderImportController');
+const { bulkApproveOrdersController, bulkUpdateOrderStatusController } = require('../controllers/orderBulkController');
+const { reorderOrderController } = require('../controllers/reorderController');
+const {
+  assignOrderStaffController,
+  unassignOrderStaffController,
+  getMyQueueController,
+  getStaffWorkloadController
+} = require('../controllers/orderAssignmentController');
 
 // Import middleware
 const authMiddleware = require('../middleware/authMiddleware');
-const { upload } = require('../middleware/multerConfig');
+const { upload, csvUpload } = require('../middleware/multerConfig');
 const {
   requireBranchUser,
   requireManager,
+  requireDispatcher,
   roleMiddleware
 } = require('../middleware/roleMiddleware');
 
@@ -58,9 +85,32 @@ router.put(
 // Create order (BRANCH_USER only)
 router.post('/', requireBranchUser, createOrderController);
 
+// Create an order from a CSV of SKU + quantity: preview first, then confirm
+router.post('/import', requireBranchUser, csvUpload.single('file'), previewOrderImportController);
+router.post('/import/confirm', requireBranchUser, csvUpload.single('file'), confirmOrderImportController);
+
 // Get user's orders
 router.get('/my-orders', getMyOrders);
 
+// Orders assigned to the signed-in packager / dispatcher - keep above /:id
+router.get('/my-queue', roleMiddleware(['PACKAGER', 'DISPATCHER']), getMyQueueController);
+
+// Open work per packager / dispatcher - keep above /:id
+router.get('/workload', requireManager, getStaffWorkloadController);
+
+// Search orders (results limited to what the user's role may see) - keep above /:id
+router.get('/search', searchOrdersController);
+
+// Export order lines as CSV/XLSX for reconciliation (same filters and scoping as search)
+router.get('/export', roleMiddleware(['ADMIN', 'MANAGER', 'ACCOUNTS']), exportOrdersController);
+
+// Recurring (standing) order templates - keep above /:id
+router.get('/templates', requireBranchUser, listTemplatesController);
+router.post('/templates', requireBranchUser, createTemplateController);
+router.get('/templates/:templateId', requireBranchUser, getTemplateController);
+router.put('/templates/:templateId', requireBranchUser, updateTemplateController);
+router.delete('/templates/:templateId', requireBranchUser, deleteTemplateController);
+
 // COMPLETELY NEW TEST ROUTE - different path
 router.get('/test-branch-orders', (req, res) => {
   console.log('🔍 TEST-BRANCH-ORDERS ROUTE HIT!');
@@ -93,8 +143,22 @@ router.get(
 );
 
 router.put('/approve/:orderId', requireManager, approveOrderController);
+
+// Bulk actions: every order is checked on its own and reported back individually
+router.put('/bulk/approve', requireManager, bulkApproveOrdersController);
+router.put('/bulk/status', roleMiddleware(['ADMIN', 'MANAGER', 'PACKAGER', 'DISPATCHER']), bulkUpdateOrderStatusController);
 router.put('/dispatch/:orderId', requireManager, upload.array('files', 20), dispatchOrderController);
 router.put('/reply/:orderId', requireManager, managerReplyController);
+router.put('/reject/:orderId', requireManager, rejectOrderController);
+
+// Receipt discrepancies (received quantities that do not match what was shipped) - keep above /:id
+router.get('/discrepancies', requireManager, listDiscrepanciesController);
+router.put('/discrepancies/:id/resolve', requireManager, resolveDiscrepancyController);
+
+// Sign-off chain for orders that approval rules hold back (e.g. ACCOUNTS for high-value orders)
+const requireApprover = roleMiddleware(['ADMIN', 'MANAGER', 'ACCOUNTS']);
+router.get('/approvals/pending', requireApprover, getPendingApprovalsController);
+router.put('/sign-off/:orderId', requireApprover, signOffOrderController);
 
 // Update status
 router.put(
@@ -109,6 +173,7 @@ router.put(
 
 // Branch confirmation routes
 router.put('/confirm/:orderId', requireBranchUser, confirmOrderController);
+router.put('/cancel/:orderId', requireBranchUser, cancelOrderController);
 router.put('/raise-issue/:orderId', requireBranchUser, raiseOrderIssueController);
 router.put('/confirm-manager-reply/:orderId', requireBranchUser, confirmManagerReplyController);
 router.put('/confirm-received/:orderId', requireBranchUser, upload.array('media', 20), confirmOrderReceivedController);
@@ -119,9 +184,31 @@ router.put('/post-delivery-issue/:orderId', requireBranchUser, upload.array('fil
 // Report received item-wise issues with per-item media (FormData)
 router.put('/report-received-issues/:orderId', requireBranchUser, upload.any(), require('../controllers/orderController').reportReceivedIssuesController);
 
+// Resolve received issues / post-delivery threads (open ones pause auto-close)
+const requireIssueResolver = roleMiddleware(['ADMIN', 'MANAGER', 'BRANCH_USER']);
+router.put('/received-issues/:issueId/resolve', requireIssueResolver, require('../controllers/orderController').resolveReceivedIssueController);
+router.put('/issue-threads/:threadId/resolve', requireIssueResolver, require('../controllers/orderController').resolveIssueThreadController);
+
 // Fetch per-order issues (keep below arranging-stage)
 router.get('/:orderId/issues', getOrderIssuesController);
 
+// Status history (audit trail) of an order
+router.get('/:orderId/timeline', getOrderTimelineController);
+
+// Shipments (an order may be dispatched in several parcels)
+router.get('/:orderId/shipments', getOrderShipmentsController);
+router.post('/:orderId/shipments', requireDispatcher, upload.array('files', 20), createShipmentController);
+
+// Packager / dispatcher assignment (omit userId to pick one automatically)
+router.put('/:orderId/assign', requireManager, assignOrderStaffController);
+router.delete('/:orderId/assign/:role', requireManager, unassignOrderStaffController);
+
+// Order the same lines again (new order or draft cart)
+router.post('/:orderId/reorder', requireBranchUser, reorderOrderController);
+
+// Status transitions the current user may perform (driven by the order state machine)
+router.get('/:orderId/available-actions', getOrderAvailableActionsController);
+
 // Get attachments for an order
 router.get('/:orderId/attachments', authMiddleware, getOrderAttachmentsController);
 
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+
+const authMiddleware = require('../middleware/authMiddleware');
+const { roleMiddleware } = require('../middleware/roleMiddleware');
+
+const { getSlaReportController } = require('../controllers/slaController');
+
+router.use(authMiddleware);
+
+// SLA breach rates per branch and stage (managers see the branches they manage)
+router.get('/sla', roleMiddleware(['ADMIN', 'MANAGER']), getSlaReportController);
+
+module.exports = router;
@@ -11,19 +11,29 @@ const productRoutes = require('./routes/productRoutes');
 const branchRoutes = require('./routes/branchRoutes');
 const notificationRoutes = require('./routes/notificationRoutes');
 const uploadRoutes = require('./routes/uploadRoutes');
+const backorderRoutes = require('./routes/backorderRoutes');
+const cartRoutes = require('./routes/cartRoutes');
+const budgetRoutes = require('./routes/budgetRoutes');
+const reportRoutes = require('./routes/reportRoutes');
 // Admin routes (to be created)
 const adminUserRoutes = require('./routes/adminUserRoutes');
 const adminBranchRoutes = require('./routes/adminBranchRoutes');
 const adminAssignmentRoutes = require('./routes/adminAssignmentRoutes');
 const adminStaffAssignmentRoutes = require('./routes/adminStaffAssignmentRoutes');
+const adminSyncRunRoutes = require('./routes/adminSyncRunRoutes');
+const adminApprovalRuleRoutes = require('./routes/adminApprovalRuleRoutes');
+const adminOrderNumberRoutes = require('./routes/adminOrderNumberRoutes');
+const adminSlaTargetRoutes = require('./routes/adminSlaTargetRoutes');
+const adminBusinessCalendarRoutes = require('./routes/adminBusinessCalendarRoutes');
+const adminAutoClosePolicyRoutes = require('./routes/adminAutoClosePolicyRoutes');
 
-// Import services
-const { syncProductsFromBoxHero } = require('./services/boxHeroService');
+const adminJobRoutes = require('./routes/adminJobRoutes');
 
-// Import cron for scheduled tasks
-const cron = require('node-cron');
-// Auto-close job
-const { scheduleAutoClose } = require('./jobs/autoCloseOrders');
+// Scheduled jobs (BoxHero sync, auto-close, recurring orders, SLA checks)
+const { scheduleJobs } = require('./jobs');
+
+// Upload limit errors for the global error handler
+const { describeUploadError } = require('./middleware/multerConfig');
 
 const app = express();
 const PORT = process.env.PORT || 3003;
@@ -98,6 +108,10 @@ app.use('/api/branches', branchRoutes);
 app.use('/api/notifications', notificationRoutes);
 // File upload endpoint
 app.use('/api/upload', uploadRoutes);
+app.use('/api/backorders', backorderRoutes);
+app.use('/api/carts', cartRoutes);
+app.use('/api/budgets', budgetRoutes);
+app.use('/api/reports', reportRoutes);
 // Serve uploaded files
 const path = require('path');
 app.use('/uploads', express.static(path.join(__dirname, '..', 'uploads')));
@@ -106,6 +120,13 @@ app.use('/api/admin/users', adminUserRoutes);
 app.use('/api/admin/branches', adminBranchRoutes);
 app.use('/api/admin/assignments', adminAssignmentRoutes);
 app.use('/api/admin/staff-assignments', adminStaffAssignmentRoutes);
+app.use('/api/admin/sync-runs', adminSyncRunRoutes);
+app.use('/api/admin/approval-rules', adminApprovalRuleRoutes);
+app.use('/api/admin/order-numbering', adminOrderNumberRoutes);
+app.use('/api/admin/sla-targets', adminSlaTargetRoutes);
+app.use('/api/admin/business-calendar', adminBusinessCalendarRoutes);
+app.use('/api/admin/auto-close-policy', adminAutoClosePolicyRoutes);
+app.use('/api/admin/jobs', adminJobRoutes);
 
 // TODO: Add more route modules as they are created
 // app.use('/api/branches', branchRoutes);
@@ -127,6 +148,11 @@ app.use('/api/*', (req, res) => {
  */
 app.use((error, req, res, next) => {
   console.error('Global error handler:', error);
+
+  const uploadError = describeUploadError(error);
+  if (uploadError) {
+    return res.status(uploadError.status).json({ success: false, message: uploadError.message });
+  }
   
   // Don't leak error details in production
   const isDevelopment = process.env.NODE_ENV === 'development';
@@ -140,31 +166,9 @@ app.use((error, req, res, next) => {
 
 /**
  * Scheduled Tasks (Cron Jobs)
+ * Each job runs on one instance at a time (DB lease); see src/jobs and /api/admin/jobs
  */
-// Sync products from BoxHero every 5 minutes
-cron.schedule('*/5 * * * *', async () => {
-  console.log('🕐 Running scheduled BoxHero products sync...');
-  try {
-    const result = await syncProductsFromBoxHero();
-    if (result.success) {
-      console.log(`✅ Scheduled sync completed: ${result.message}`);
-    } else {
-      console.error(`❌ Scheduled sync failed: ${result.message}`);
-    }
-  } catch (error) {
-    console.error('❌ Scheduled sync error:', error);
-  }
-}, {
-  scheduled: true,
-  timezone: "UTC"
-});
-
-// Log cron job status
-console.log('⏰ Scheduled tasks initialized:');
-console.log('  - BoxHero products sync: Every 5 minutes');
-
-// Start auto-close scheduler
-scheduleAutoClose();
+scheduleJobs();
 
 /**
  * Graceful Shutdown Handler
@@ -206,21 +210,95 @@ app.listen(PORT, () => {
   console.log('  POST /api/auth/logout - Logout user (Auth required)');
   console.log('  GET  /api/items - Get all items (Auth required)');
   console.log('  GET  /api/items/categories - Get item categories (Auth required)');
+  console.log('  GET  /api/items/:id/movements - Item stock movement ledger (MANAGER only)');
   console.log('  POST /api/products/refresh - Refresh products from BoxHero (All authenticated users)');
   console.log('  GET  /api/products - Get all products (Auth required)');
   console.log('  GET  /api/products/categories - Get product categories (Auth required)');
   console.log('  GET  /api/products/fetch-boxhero - Fetch products directly from BoxHero API (Auth required)');
+  console.log('  GET  /api/admin/sync-runs - List BoxHero sync runs (ADMIN only)');
+  console.log('  GET  /api/admin/sync-runs/:id - Get a BoxHero sync run (ADMIN only)');
+  console.log('  GET  /api/admin/approval-rules - List order approval rules (ADMIN only)');
+  console.log('  POST /api/admin/approval-rules - Create order approval rule (ADMIN only)');
+  console.log('  PUT  /api/admin/approval-rules/:id - Update order approval rule (ADMIN only)');
+  console.log('  DELETE /api/admin/approval-rules/:id - Delete order approval rule (ADMIN only)');
+  console.log('  GET  /api/admin/order-numbering - Current order number format and next numbers (ADMIN only)');
+  console.log('  POST /api/admin/order-numbering/preview - Preview an order number format (ADMIN only)');
+  console.log('  PUT  /api/admin/order-numbering - Change the order number format for new orders (ADMIN only)');
+  console.log('  GET  /api/admin/sla-targets - SLA targets per order status (ADMIN only)');
+  console.log('  PUT  /api/admin/sla-targets/:status - Set the SLA target of a status (ADMIN only)');
+  console.log('  DELETE /api/admin/sla-targets/:status - Reset the SLA target of a status (ADMIN only)');
+  console.log('  POST /api/admin/sla-targets/check - Run the SLA breach check now (ADMIN only)');
+  console.log('  GET  /api/admin/business-calendar - Company calendar and branch overrides (ADMIN only)');
+  console.log('  PUT  /api/admin/business-calendar - Change working days, hours and time zone (ADMIN only)');
+  console.log('  PUT  /api/admin/business-calendar/branches/:branchId - Override a branch calendar (ADMIN only)');
+  console.log('  POST /api/admin/business-calendar/holidays - Add a company or branch holiday (ADMIN only)');
+  console.log('  POST /api/admin/business-calendar/preview - Try out working-hour maths (ADMIN only)');
+  console.log('  GET  /api/admin/auto-close-policy - Auto-close window and reminder offsets (ADMIN only)');
+  console.log('  PUT  /api/admin/auto-close-policy - Change the company auto-close policy (ADMIN only)');
+  console.log('  PUT  /api/admin/auto-close-policy/branches/:branchId - Override a branch auto-close policy (ADMIN only)');
+  console.log('  POST /api/admin/auto-close-policy/run - Run the auto-close job now (ADMIN only)');
+  console.log('  GET  /api/admin/jobs - Scheduled jobs, their lease and last run (ADMIN only)');
+  console.log('  GET  /api/admin/jobs/runs - Job run history (ADMIN only)');
+  console.log('  POST /api/admin/jobs/:name/run - Run a job now (ADMIN only)');
+  console.log('  PUT  /api/admin/jobs/:name - Enable or disable a job (ADMIN only)');
   console.log('  POST /api/orders - Create new order (BRANCH_USER only)');
   console.log('  GET  /api/orders/my-orders - Get user orders (Auth required)');
+  console.log('  GET  /api/orders/search - Search orders by status, dates, SKU, people, value, issues and text (Auth required)');
+  console.log('  GET  /api/orders/export?format=csv|xlsx - Export order lines with the search filters (ADMIN/MANAGER/ACCOUNTS)');
+  console.log('  POST /api/orders/import - Preview an order from a CSV of SKU + quantity (BRANCH_USER)');
+  console.log('  POST /api/orders/import/confirm - Create the order from the CSV (BRANCH_USER)');
+  console.log('  PUT  /api/orders/bulk/approve - Approve several orders at requested quantities (MANAGER)');
+  console.log('  PUT  /api/orders/bulk/status - Move several orders to the same status');
+  console.log('  POST /api/orders/:orderId/reorder - Reorder a past order as a new order or draft (BRANCH_USER)');
+  console.log('  GET  /api/orders/templates - List recurring order templates (BRANCH_USER/MANAGER)');
+  console.log('  POST /api/orders/templates - Create recurring order template (BRANCH_USER/MANAGER)');
+  console.log('  GET  /api/orders/templates/:templateId - Get recurring order template (BRANCH_USER/MANAGER)');
+  console.log('  PUT  /api/orders/templates/:templateId - Update recurring order template (BRANCH_USER/MANAGER)');
+  console.log('  DELETE /api/orders/templates/:templateId - Delete recurring order template (BRANCH_USER/MANAGER)');
+  console.log('  GET  /api/orders/approvals/pending - Orders waiting for your sign-off (MANAGER/ACCOUNTS/ADMIN)');
+  console.log('  PUT  /api/orders/sign-off/:orderId - Sign off or reject the pending approval step (MANAGER/ACCOUNTS/ADMIN)');
   console.log('  GET  /api/orders/:id - Get specific order (Auth required)');
+  console.log('  GET  /api/orders/:id/timeline - Get order status history (Auth required)');
+  console.log('  GET  /api/orders/:id/available-actions - Get transitions the current user may perform (Auth required)');
+  console.log('  GET  /api/orders/:orderId/shipments - List shipments of an order (Auth required)');
+  console.log('  POST /api/orders/:orderId/shipments - Dispatch part or rest of an order as a shipment (ADMIN/MANAGER/DISPATCHER)');
   console.log('  GET  /api/orders/manager/pending - Get pending orders (MANAGER only)');
   console.log('  PUT  /api/orders/approve/:orderId - Approve order (MANAGER only)');
   console.log('  PUT  /api/orders/dispatch/:orderId - Dispatch order (MANAGER only)');
+  console.log('  PUT  /api/orders/reject/:orderId - Reject order with reason (MANAGER only)');
+  console.log('  GET  /api/orders/discrepancies - Orders received with short/over/wrong deliveries (MANAGER only)');
+  console.log('  PUT  /api/orders/discrepancies/:id/resolve - Resolve a receipt discrepancy (MANAGER only)');
+  console.log('  PUT  /api/orders/received-issues/:issueId/resolve - Resolve a received issue; resumes auto-close');
+  console.log('  PUT  /api/orders/issue-threads/:threadId/resolve - Resolve a post-delivery issue thread; resumes auto-close');
+  console.log('  GET  /api/orders/my-queue - Orders assigned to the signed-in packager / dispatcher');
+  console.log('  GET  /api/orders/workload?role= - Open orders per packager / dispatcher (Manager/Admin)');
+  console.log('  PUT  /api/orders/:orderId/assign - Assign packager / dispatcher; omit userId to auto-assign (Manager/Admin)');
+  console.log('  DELETE /api/orders/:orderId/assign/:role - Unassign packager / dispatcher (Manager/Admin)');
+  console.log('  GET  /api/admin/staff-assignments/strategy - Get order auto-assignment strategy (ADMIN only)');
+  console.log('  PUT  /api/admin/staff-assignments/strategy - Set ROUND_ROBIN / LEAST_LOADED auto-assignment (ADMIN only)');
   console.log('  PUT  /api/orders/confirm/:orderId - Confirm order (BRANCH_USER only)');
+  console.log('  PUT  /api/orders/cancel/:orderId - Cancel own order before arranging (BRANCH_USER only)');
   console.log('  PUT  /api/orders/raise-issue/:orderId - Raise issue (BRANCH_USER only)');
   console.log('  PUT  /api/orders/reply/:orderId - Manager reply (MANAGER only)');
   console.log('  PUT  /api/orders/update-status/:orderId - Update status (MANAGER only)');
   console.log('  PUT  /api/orders/confirm-received/:orderId - Confirm received (BRANCH_USER only)');
+  console.log('  GET  /api/carts - List branch carts / order drafts (BRANCH_USER)');
+  console.log('  POST /api/carts - Create a cart (BRANCH_USER)');
+  console.log('  GET  /api/carts/:cartId - Get a cart with stock re-validated (BRANCH_USER)');
+  console.log('  POST /api/carts/:cartId/items - Add a line to a cart (BRANCH_USER)');
+  console.log('  PUT  /api/carts/:cartId/items/:itemId - Change a cart line quantity (BRANCH_USER)');
+  console.log('  DELETE /api/carts/:cartId/items/:itemId - Remove a cart line (BRANCH_USER)');
+  console.log('  POST /api/carts/:cartId/submit - Submit a cart as an order (BRANCH_USER)');
+  console.log('  GET  /api/backorders - List open/available backorders per branch (Auth required)');
+  console.log('  POST /api/backorders/convert - Convert backorders into a follow-up order (MANAGER only)');
+  console.log('  PUT  /api/backorders/:id/cancel - Cancel a backorder (MANAGER only)');
+  console.log('  GET  /api/budgets/status - Remaining monthly budget of a branch (BRANCH_USER/MANAGER)');
+  console.log('  GET  /api/budgets/report - Budget versus actual per branch (ADMIN/ACCOUNTS/MANAGER)');
+  console.log('  GET  /api/budgets - List branch budgets (ADMIN/ACCOUNTS)');
+  console.log('  POST /api/budgets - Create a branch budget (ADMIN/ACCOUNTS)');
+  console.log('  PUT  /api/budgets/:id - Update a branch budget (ADMIN/ACCOUNTS)');
+  console.log('  DELETE /api/budgets/:id - Delete a branch budget (ADMIN/ACCOUNTS)');
+  console.log('  GET  /api/reports/sla - SLA breach rates per branch and stage (ADMIN/MANAGER)');
   // manual close route removed: auto-close handles order finalization
   console.log('');
   console.log('⏰ Scheduled tasks are running...');
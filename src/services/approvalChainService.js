@@ -0,0 +1,310 @@
+const prisma = require('../lib/prisma'); // reuse shared prisma client
+
+/**
+ * Approval Chain Service
+ * Configurable ApprovalRules decide which orders need sign-off beyond the manager's approval
+ * (e.g. "orders over ₹25,000 or with quantity increases above 50% also need ACCOUNTS").
+ * Each order's chain is stored as OrderApproval steps: step 1 is the approving manager,
+ * the following steps are signed in order by the role they name.
+ */
+
+// Branch select fragment the isPendingApprover guard needs (managers who may sign MANAGER steps)
+const BRANCH_MANAGERS_SELECT = {
+  managerAssignments: { where: { isActive: true }, select: { managerId: true } }
+};
+
+/**
+ * Work out the approved value and the largest quantity increase of an approval
+ * @param {Object} order - Order with orderItems
+ * @param {Array<Object>} approvedItems - [{ sku, qtyApproved }]
+ * @returns {Object} { approvedValue, maxIncreasePct }
+ */
+const measureApproval = (order, approvedItems) => {
+  let approvedValue = 0;
+  let maxIncreasePct = 0;
+
+  for (const orderItem of order.orderItems) {
+    const approvedItem = approvedItems.find(a => a.sku === orderItem.sku);
+    const qtyApproved = approvedItem ? approvedItem.qtyApproved : (orderItem.qtyApproved ?? orderItem.qtyRequested);
+
+    if (!orderItem.outOfStock) approvedValue += qtyApproved * Number(orderItem.unitPrice || 0);
+    if (orderItem.qtyRequested > 0 && qtyApproved > orderItem.qtyRequested) {
+      const pct = ((qtyApproved - orderItem.qtyRequested) / orderItem.qtyRequested) * 100;
+      maxIncreasePct = Math.max(maxIncreasePct, pct);
+    }
+  }
+
+  return { approvedValue, maxIncreasePct };
+};
+
+/**
+ * Extra sign-off steps an approval needs under the active rules.
+ * Rules naming the same role are merged into one step.
+ * @param {Object} order - Order with orderItems
+ * @param {Array<Object>} approvedItems - [{ sku, qtyApproved }]
+ * @returns {Array<Object>} [{ role, reason }] in the order they must be signed
+ */
+const getRequiredSignOffs = async (order, approvedItems) => {
+  const rules = await prisma.approvalRule.findMany({
+    where: { isActive: true },
+    orderBy: [{ stepOrder: 'asc' }, { createdAt: 'asc' }]
+  });
+  if (rules.length === 0) return [];
+
+  const { approvedValue, maxIncreasePct } = measureApproval(order, approvedItems);
+
+  const steps = [];
+  for (const rule of rules) {
+    const reasons = [];
+    if (rule.minOrderValue != null && approvedValue > Number(rule.minOrderValue)) {
+      reasons.push(`value ${approvedValue.toFixed(2)} exceeds ${Number(rule.minOrderValue).toFixed(2)}`);
+    }
+    if (rule.maxQuantityIncreasePct != null && maxIncreasePct > rule.maxQuantityIncreasePct) {
+      reasons.push(`quantity increased by ${Math.round(maxIncreasePct)}% (limit ${rule.maxQuantityIncreasePct}%)`);
+    }
+    if (reasons.length === 0) continue;
+
+    const reason = `${rule.name}: ${reasons.join(', ')}`;
+    const existing = steps.find(s => s.role === rule.approverRole);
+    if (existing) existing.reason += `; ${reason}`;
+    else steps.push({ role: rule.approverRole, reason });
+  }
+  return steps;
+};
+
+/**
+ * Store the approval chain of an order inside the approval transaction
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} orderId - Order ID
+ * @param {Object} approver - Manager approving ({ id, role })
+ * @param {Array<Object>} signOffs - Output of getRequiredSignOffs
+ */
+const createApprovalChain = async (tx, orderId, approver, signOffs) => {
+  const now = new Date();
+  await tx.orderApproval.create({
+    data: { orderId, step: 1, role: approver.role, status: 'APPROVED', approverId: approver.id, decidedAt: now }
+  });
+  for (let i = 0; i < signOffs.length; i++) {
+    await tx.orderApproval.create({
+      data: { orderId, step: i + 2, role: signOffs[i].role, reason: signOffs[i].reason }
+    });
+  }
+};
+
+/**
+ * Decide a pending step inside the sign-off transaction. The update only matches while the
+ * step is still PENDING, so of two concurrent sign-offs only the first one goes through.
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} stepId - OrderApproval ID
+ * @param {Object} data - { status, approverId, comment }
+ * @throws {Error} When the step was decided in the meantime
+ */
+const decideApprovalStep = async (tx, stepId, data) => {
+  const { count } = await tx.orderApproval.updateMany({
+    where: { id: stepId, status: 'PENDING' },
+    data: { ...data, decidedAt: new Date() }
+  });
+  if (count === 0) throw new Error('This sign-off step has already been decided');
+};
+
+/**
+ * Users who can sign the given step: managers of the order's branch for MANAGER steps,
+ * every active user with the role otherwise
+ * @param {Object} order - Order (branchId)
+ * @param {string} role - Step role
+ * @returns {Array<string>} User IDs
+ */
+const getApproverIds = async (order, role) => {
+  if (role === 'MANAGER') {
+    const mgrs = await prisma.managerBranch.findMany({ where: { branchId: order.branchId, isActive: true }, select: { managerId: true } });
+    return mgrs.map(m => m.managerId);
+  }
+  const users = await prisma.user.findMany({ where: { role, isActive: true }, select: { id: true } });
+  return users.map(u => u.id);
+};
+
+/**
+ * Notify whoever has to sign the next step of an order
+ * @param {Object} order - Order (id, orderNumber, branchId)
+ * @param {Object} step - OrderApproval row now pending
+ */
+const notifyNextApprover = async (order, step) => {
+  try {
+    const { notifyUsers } = require('./notificationService');
+    const userIds = await getApproverIds(order, step.role);
+    if (userIds.length === 0) {
+      console.warn(`⚠️ No active ${step.role} user to sign off order ${order.orderNumber}`);
+      return;
+    }
+    await notifyUsers(userIds, order.id, 'ORDER_APPROVAL_REQUIRED', 'Order Sign-off Required', `Order ${order.orderNumber} needs your sign-off (${step.reason || step.role}).`);
+  } catch (notifyErr) {
+    console.error('Failed to notify next approver:', notifyErr);
+  }
+};
+
+/**
+ * Orders waiting for the user's sign-off
+ * @param {Object} options - { page, limit }
+ * @param {Object} user - { id, role }
+ * @returns {Object} Orders with their approval chain, paginated
+ */
+const getPendingApprovals = async (options = {}, user) => {
+  try {
+    const { page = 1, limit = 20 } = options;
+    const skip = (page - 1) * limit;
+
+    const where = { status: 'AWAITING_APPROVAL' };
+    if (user.role !== 'ADMIN') {
+      where.pendingApprovalRole = user.role;
+      // Nobody signs two steps of the same order
+      where.approvals = { none: { approverId: user.id, status: 'APPROVED' } };
+    }
+    if (user.role === 'MANAGER') {
+      const managed = await prisma.managerBranch.findMany({ where: { managerId: user.id, isActive: true }, select: { branchId: true } });
+      where.branchId = { in: managed.map(m => m.branchId) };
+    }
+
+    const [orders, totalCount] = await Promise.all([
+      prisma.order.findMany({
+        where,
+        include: {
+          requester: { select: { id: true, firstName: true, lastName: true, email: true } },
+          branch: { select: { id: true, name: true } },
+          orderItems: true,
+          approvals: {
+            include: { approver: { select: { id: true, firstName: true, lastName: true, role: true } } },
+            orderBy: { step: 'asc' }
+          }
+        },
+        orderBy: { updatedAt: 'asc' },
+        skip,
+        take: limit
+      }),
+      prisma.order.count({ where })
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limit);
+
+    return {
+      success: true,
+      data: {
+        orders,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalCount,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+          limit
+        }
+      }
+    };
+  } catch (error) {
+    console.error('Get pending approvals error:', error);
+    return {
+      success: false,
+      message: 'Failed to fetch pending approvals',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * List approval rules
+ * @returns {Object} Rules ordered by step
+ */
+const listApprovalRules = async () => {
+  try {
+    const rules = await prisma.approvalRule.findMany({
+      include: { createdBy: { select: { id: true, firstName: true, lastName: true } } },
+      orderBy: [{ stepOrder: 'asc' }, { createdAt: 'asc' }]
+    });
+    return { success: true, data: rules };
+  } catch (error) {
+    console.error('List approval rules error:', error);
+    return {
+      success: false,
+      message: 'Failed to fetch approval rules',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Create an approval rule
+ * @param {Object} data - { name, approverRole, minOrderValue, maxQuantityIncreasePct, stepOrder, isActive }
+ * @param {string} createdById - Admin creating the rule
+ * @returns {Object} Created rule
+ */
+const createApprovalRule = async (data, createdById) => {
+  try {
+    const rule = await prisma.approvalRule.create({ data: { ...data, createdById } });
+    return { success: true, data: rule, message: 'Approval rule created' };
+  } catch (error) {
+    console.error('Create approval rule error:', error);
+    return {
+      success: false,
+      message: 'Failed to create approval rule',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Update an approval rule. Orders already in a chain keep their steps.
+ * @param {string} id - Rule ID
+ * @param {Object} data - Fields to change
+ * @returns {Object} Updated rule
+ */
+const updateApprovalRule = async (id, data) => {
+  try {
+    const existing = await prisma.approvalRule.findUnique({ where: { id } });
+    if (!existing) return { success: false, statusCode: 404, message: 'Approval rule not found' };
+
+    const rule = await prisma.approvalRule.update({ where: { id }, data });
+    return { success: true, data: rule, message: 'Approval rule updated' };
+  } catch (error) {
+    console.error('Update approval rule error:', error);
+    return {
+      success: false,
+      message: 'Failed to update approval rule',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Delete an approval rule
+ * @param {string} id - Rule ID
+ * @returns {Object} Result
+ */
+const deleteApprovalRule = async (id) => {
+  try {
+    const existing = await prisma.approvalRule.findUnique({ where: { id } });
+    if (!existing) return { success: false, statusCode: 404, message: 'Approval rule not found' };
+
+    await prisma.approvalRule.delete({ where: { id } });
+    return { success: true, message: 'Approval rule deleted' };
+  } catch (error) {
+    console.error('Delete approval rule error:', error);
+    return {
+      success: false,
+      message: 'Failed to delete approval rule',
+      error: error.message
+    };
+  }
+};
+
+module.exports = {
+  BRANCH_MANAGERS_SELECT,
+  getRequiredSignOffs,
+  createApprovalChain,
+  decideApprovalStep,
+  getApproverIds,
+  notifyNextApprover,
+  getPendingApprovals,
+  listApprovalRules,
+  createApprovalRule,
+  updateApprovalRule,
+  deleteApprovalRule
+};
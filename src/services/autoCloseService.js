@@ -0,0 +1,297 @@
+const prisma = require('../lib/prisma'); // reuse shared prisma client
+const { calculateWorkingHours, addWorkingHours } = require('../lib/workingHours');
+const { getBusinessCalendar } = require('./businessCalendarService');
+const { notifyUsers } = require('./notificationService');
+
+/**
+ * Auto-Close Service
+ * Orders in CONFIRM_ORDER_RECEIVED are closed automatically once the policy window (working hours
+ * after receipt) has passed. The branch is reminded at configurable offsets before autoCloseAt, and
+ * the clock is paused while any received issue or post-delivery issue thread on the order is open.
+ */
+
+// Used when no AutoClosePolicy row sets a field
+const DEFAULT_AUTO_CLOSE_POLICY = { windowHours: 56, reminderHours: [24, 8] };
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Fields a policy row sets (nulls fall back to the company / built-in policy)
+const getOverrides = (row) => {
+  const overrides = {};
+  if (!row) return overrides;
+  if (row.windowHours !== null && row.windowHours !== undefined) overrides.windowHours = Number(row.windowHours);
+  if (Array.isArray(row.reminderHours)) overrides.reminderHours = row.reminderHours.map(Number);
+  return overrides;
+};
+
+/**
+ * Auto-close policy in effect for a branch (or company-wide when branchId is empty)
+ * @param {string|null} branchId
+ * @returns {Object} { windowHours, reminderHours } - reminderHours sorted largest first
+ */
+const getAutoClosePolicy = async (branchId = null) => {
+  const [companyRow, branchRow] = await Promise.all([
+    prisma.autoClosePolicy.findFirst({ where: { isDefault: true } }),
+    branchId ? prisma.autoClosePolicy.findUnique({ where: { branchId } }) : null
+  ]);
+  const policy = { ...DEFAULT_AUTO_CLOSE_POLICY, ...getOverrides(companyRow), ...getOverrides(branchRow) };
+  return { ...policy, reminderHours: [...new Set(policy.reminderHours)].sort((a, b) => b - a) };
+};
+
+/**
+ * When an order received now should be auto-closed
+ * @param {string|null} branchId
+ * @param {Date} receivedAt
+ * @returns {Date}
+ */
+const getAutoCloseAt = async (branchId, receivedAt) => {
+  const [policy, calendar] = await Promise.all([getAutoClosePolicy(branchId), getBusinessCalendar(branchId)]);
+  return addWorkingHours(receivedAt, policy.windowHours, calendar);
+};
+
+// Open received issues / issue threads, selected with the order
+const OPEN_ISSUES_INCLUDE = {
+  receivedIssues: { where: { resolvedAt: null }, select: { id: true }, take: 1 },
+  issueThreads: { where: { resolvedAt: null }, select: { id: true }, take: 1 }
+};
+
+const hasOpenIssues = (order) => order.receivedIssues.length > 0 || order.issueThreads.length > 0;
+
+/**
+ * Move autoCloseAt on by the working hours that were left when the order was paused
+ * @param {Object} order - { id, branchId, autoCloseAt, autoClosePausedAt }
+ * @param {Date} now
+ * @returns {Date} New autoCloseAt
+ */
+const resumeOrderAutoClose = async (order, now = new Date()) => {
+  const calendar = await getBusinessCalendar(order.branchId);
+  const remaining = calculateWorkingHours(order.autoClosePausedAt, order.autoCloseAt, calendar);
+  const autoCloseAt = addWorkingHours(now, remaining, calendar);
+  await prisma.order.update({
+    where: { id: order.id },
+    data: { autoCloseAt, autoClosePausedAt: null }
+  });
+  return autoCloseAt;
+};
+
+/**
+ * Resume the auto-close of an order whose last open issue was just resolved
+ * @param {string} orderId
+ * @returns {Date|null} New autoCloseAt, or null when the order is not paused or still has open issues
+ */
+const resumeAutoCloseIfClear = async (orderId) => {
+  const order = await prisma.order.findUnique({ where: { id: orderId }, include: OPEN_ISSUES_INCLUDE });
+  if (!order || !order.autoClosePausedAt || order.status !== 'CONFIRM_ORDER_RECEIVED' || hasOpenIssues(order)) {
+    return null;
+  }
+  return resumeOrderAutoClose(order);
+};
+
+/**
+ * Remind the branch of an order that is about to be auto-closed.
+ * Only the nearest due offset is sent; earlier offsets missed (e.g. while the job was down) are
+ * recorded as sent so the branch gets one reminder, not a burst.
+ * @returns {boolean} Whether a reminder was sent
+ */
+const sendDueReminder = async (order, policy, calendar, now) => {
+  const hoursLeft = calculateWorkingHours(now, order.autoCloseAt, calendar);
+  const due = policy.reminderHours.filter(h => hoursLeft <= h);
+  if (due.length === 0) return false;
+
+  const sent = await prisma.autoCloseReminder.findMany({
+    where: { orderId: order.id, autoCloseAt: order.autoCloseAt },
+    select: { hoursBefore: true }
+  });
+  const sentHours = new Set(sent.map(r => Number(r.hoursBefore)));
+  const pending = due.filter(h => !sentHours.has(h));
+  if (pending.length === 0) return false;
+
+  await prisma.autoCloseReminder.createMany({
+    data: pending.map(hoursBefore => ({ orderId: order.id, autoCloseAt: order.autoCloseAt, hoursBefore })),
+    skipDuplicates: true
+  });
+  await notifyUsers([order.requesterId], order.id, 'ORDER_AUTO_CLOSE_REMINDER', 'Order Closing Soon',
+    `Order ${order.orderNumber} will be closed automatically in ${round(hoursLeft, 1)} working hours ` +
+    `(${order.autoCloseAt.toISOString()}). Report any damaged or missing items before then.`);
+  return true;
+};
+
+/**
+ * Pause, resume, remind and close orders awaiting auto-close. Run by the auto-close job.
+ * @param {Date} now
+ * @returns {Object} { checked, paused, resumed, reminded, closed, failed }
+ */
+const runAutoClose = async (now = new Date()) => {
+  const { closeOrder } = require('./orderService');
+  const stats = { checked: 0, paused: 0, resumed: 0, reminded: 0, closed: 0, failed: 0 };
+
+  const orders = await prisma.order.findMany({
+    where: { status: 'CONFIRM_ORDER_RECEIVED', autoCloseAt: { not: null } },
+    select: {
+      id: true,
+      orderNumber: true,
+      branchId: true,
+      requesterId: true,
+      autoCloseAt: true,
+      autoClosePausedAt: true,
+      ...OPEN_ISSUES_INCLUDE
+    }
+  });
+
+  const policies = new Map();
+  for (const order of orders) {
+    stats.checked++;
+    try {
+      if (hasOpenIssues(order)) {
+        if (!order.autoClosePausedAt) {
+          await prisma.order.update({ where: { id: order.id }, data: { autoClosePausedAt: now } });
+          stats.paused++;
+        }
+        continue;
+      }
+      if (order.autoClosePausedAt) {
+        order.autoCloseAt = await resumeOrderAutoClose(order, now);
+        stats.resumed++;
+      }
+
+      if (order.autoCloseAt <= now) {
+        console.log(`Auto-closing order ${order.orderNumber} (${order.id}) scheduled at ${order.autoCloseAt}`);
+        const result = await closeOrder(order.id, 'SYSTEM_AUTO');
+        if (result.success) stats.closed++;
+        else stats.failed++;
+        continue;
+      }
+
+      if (!policies.has(order.branchId)) policies.set(order.branchId, await getAutoClosePolicy(order.branchId));
+      const calendar = await getBusinessCalendar(order.branchId);
+      if (await sendDueReminder(order, policies.get(order.branchId), calendar, now)) stats.reminded++;
+    } catch (err) {
+      stats.failed++;
+      console.error(`Auto-close of order ${order.orderNumber} failed:`, err);
+    }
+  }
+
+  return stats;
+};
+
+/**
+ * Company policy and every branch override
+ * @returns {Object} { default: { id, effective }, branches: [...] }
+ */
+const getAutoClosePolicySettings = async () => {
+  try {
+    const [companyRow, branchRows] = await Promise.all([
+      prisma.autoClosePolicy.findFirst({ where: { isDefault: true } }),
+      prisma.autoClosePolicy.findMany({
+        where: { branchId: { not: null } },
+        include: { branch: { select: { id: true, name: true } } },
+        orderBy: { createdAt: 'asc' }
+      })
+    ]);
+
+    return {
+      success: true,
+      data: {
+        default: { id: companyRow ? companyRow.id : null, effective: await getAutoClosePolicy(null) },
+        branches: branchRows
+      }
+    };
+  } catch (error) {
+    console.error('Get auto-close policies error:', error);
+    return {
+      success: false,
+      message: 'Failed to fetch auto-close policies',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Change the company auto-close policy
+ * Applies to orders received from now on; existing autoCloseAt values are kept.
+ * @param {Object} data - { windowHours?, reminderHours? }
+ * @param {Object} user - Admin making the change
+ * @returns {Object} Effective company policy
+ */
+const updateDefaultAutoClosePolicy = async (data, user) => {
+  try {
+    const existing = await prisma.autoClosePolicy.findFirst({ where: { isDefault: true } });
+    if (existing) {
+      await prisma.autoClosePolicy.update({ where: { id: existing.id }, data: { ...data, updatedById: user.id } });
+    } else {
+      await prisma.autoClosePolicy.create({ data: { ...data, isDefault: true, updatedById: user.id } });
+    }
+
+    return { success: true, data: await getAutoClosePolicy(null), message: 'Auto-close policy updated' };
+  } catch (error) {
+    console.error('Update auto-close policy error:', error);
+    return {
+      success: false,
+      message: 'Failed to update auto-close policy',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Override the auto-close policy of a branch; fields left null use the company policy
+ * @param {string} branchId
+ * @param {Object} data - { windowHours?, reminderHours? }
+ * @param {Object} user - Admin making the change
+ * @returns {Object} Effective branch policy
+ */
+const upsertBranchAutoClosePolicy = async (branchId, data, user) => {
+  try {
+    const branch = await prisma.branch.findUnique({ where: { id: branchId }, select: { id: true, name: true } });
+    if (!branch) return { success: false, statusCode: 404, message: 'Branch not found' };
+
+    await prisma.autoClosePolicy.upsert({
+      where: { branchId },
+      create: { branchId, ...data, updatedById: user.id },
+      update: { ...data, updatedById: user.id }
+    });
+
+    return { success: true, data: await getAutoClosePolicy(branchId), message: `Auto-close policy of ${branch.name} updated` };
+  } catch (error) {
+    console.error('Upsert branch auto-close policy error:', error);
+    return {
+      success: false,
+      message: 'Failed to update branch auto-close policy',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Remove a branch override; the branch goes back to the company policy
+ * @param {string} branchId
+ * @returns {Object} Result
+ */
+const deleteBranchAutoClosePolicy = async (branchId) => {
+  try {
+    const deleted = await prisma.autoClosePolicy.deleteMany({ where: { branchId } });
+    if (deleted.count === 0) {
+      return { success: false, statusCode: 404, message: 'Branch has no auto-close policy override' };
+    }
+    return { success: true, message: 'Branch auto-close policy override removed' };
+  } catch (error) {
+    console.error('Delete branch auto-close policy error:', error);
+    return {
+      success: false,
+      message: 'Failed to delete branch auto-close policy',
+      error: error.message
+    };
+  }
+};
+
+module.exports = {
+  DEFAULT_AUTO_CLOSE_POLICY,
+  getAutoClosePolicy,
+  getAutoCloseAt,
+  resumeAutoCloseIfClear,
+  runAutoClose,
+  getAutoClosePolicySettings,
+  updateDefaultAutoClosePolicy,
+  upsertBranchAutoClosePolicy,
+  deleteBranchAutoClosePolicy
+};
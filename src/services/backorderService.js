@@ -0,0 +1,319 @@
+const prisma = require('../lib/prisma'); // reuse shared prisma client
+const { getReservedQuantities } = require('./stockReservationService');
+
+/**
+ * Backorder Service
+ * Out-of-stock order lines stay open per branch until the BoxHero sync sees stock for the SKU.
+ * They are then offered to the branch managers, who convert them into a follow-up order.
+ *
+ * Lifecycle: OPEN -> AVAILABLE (stock detected) -> CONVERTED (follow-up order created)
+ *            AVAILABLE -> OPEN when the stock is gone again before allocation
+ *            OPEN / AVAILABLE -> CANCELLED (manager drops it, or the original order is rejected/cancelled)
+ */
+
+const OPEN_STATUSES = ['OPEN', 'AVAILABLE'];
+
+const BACKORDER_INCLUDE = {
+  order: { select: { id: true, orderNumber: true, status: true, requesterId: true, createdAt: true } },
+  branch: { select: { id: true, name: true } },
+  convertedOrder: { select: { id: true, orderNumber: true, status: true } },
+  convertedBy: { select: { id: true, firstName: true, lastName: true } }
+};
+
+/**
+ * Branches a user may see backorders for; null means every branch
+ * @param {Object} user - { id, role, branchId }
+ * @returns {Array<string>|null} Branch IDs
+ */
+const getVisibleBranchIds = async (user) => {
+  if (user.role === 'ADMIN') return null;
+  if (user.role === 'MANAGER') {
+    const managed = await prisma.managerBranch.findMany({
+      where: { managerId: user.id, isActive: true },
+      select: { branchId: true }
+    });
+    return managed.map(m => m.branchId);
+  }
+  return user.branchId ? [user.branchId] : [];
+};
+
+/**
+ * List backorders, newest first
+ * @param {Object} options - { page, limit, status, branchId, sku, orderId }
+ * @param {Object} user - Requesting user ({ id, role, branchId })
+ * @returns {Object} Backorders with pagination
+ */
+const listBackorders = async (options = {}, user) => {
+  try {
+    const { page = 1, limit = 20, status, branchId, sku, orderId } = options;
+    const skip = (page - 1) * limit;
+
+    const visibleBranchIds = await getVisibleBranchIds(user);
+    if (branchId && visibleBranchIds && !visibleBranchIds.includes(branchId)) {
+      return { success: false, statusCode: 403, message: 'Access denied' };
+    }
+
+    const where = {};
+    if (branchId) where.branchId = branchId;
+    else if (visibleBranchIds) where.branchId = { in: visibleBranchIds };
+    if (status) where.status = status;
+    if (sku) where.sku = sku;
+    if (orderId) where.orderId = orderId;
+
+    const [backorders, totalCount] = await Promise.all([
+      prisma.backorder.findMany({
+        where,
+        include: BACKORDER_INCLUDE,
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: limit
+      }),
+      prisma.backorder.count({ where })
+    ]);
+
+    // Show what the manager could allocate right now
+    const skus = [...new Set(backorders.map(b => b.sku))];
+    const [items, reservedBySku] = await Promise.all([
+      prisma.item.findMany({ where: { sku: { in: skus } }, select: { sku: true, name: true, currentStock: true } }),
+      getReservedQuantities(skus)
+    ]);
+    const itemBySku = Object.fromEntries(items.map(i => [i.sku, i]));
+
+    const totalPages = Math.ceil(totalCount / limit);
+
+    return {
+      success: true,
+      data: {
+        backorders: backorders.map(b => {
+          const item = itemBySku[b.sku];
+          return {
+            ...b,
+            itemName: item ? item.name : null,
+            availableStock: item ? Math.max(0, item.currentStock - (reservedBySku[b.sku] || 0)) : 0
+          };
+        }),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalCount,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+          limit
+        }
+      }
+    };
+  } catch (error) {
+    console.error('List backorders error:', error);
+    return {
+      success: false,
+      message: 'Failed to fetch backorders',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Re-check open backorders against available stock. Run after each BoxHero sync.
+ * OPEN backorders whose SKU now has stock become AVAILABLE and the branch managers are notified;
+ * AVAILABLE ones whose stock is gone again go back to OPEN.
+ * @returns {Object} { offered, reopened }
+ */
+const offerAvailableBackorders = async () => {
+  try {
+    const pending = await prisma.backorder.findMany({
+      where: { status: { in: OPEN_STATUSES } },
+      select: { id: true, sku: true, status: true, branchId: true, order: { select: { orderNumber: true } } }
+    });
+    if (pending.length === 0) return { offered: 0, reopened: 0 };
+
+    const skus = [...new Set(pending.map(b => b.sku))];
+    const [items, reservedBySku] = await Promise.all([
+      prisma.item.findMany({ where: { sku: { in: skus }, isActive: true }, select: { sku: true, name: true, currentStock: true } }),
+      getReservedQuantities(skus)
+    ]);
+    const availableBySku = {};
+    for (const item of items) availableBySku[item.sku] = item.currentStock - (reservedBySku[item.sku] || 0);
+
+    const toOffer = pending.filter(b => b.status === 'OPEN' && (availableBySku[b.sku] || 0) > 0);
+    const toReopen = pending.filter(b => b.status === 'AVAILABLE' && (availableBySku[b.sku] || 0) <= 0);
+
+    if (toOffer.length > 0) {
+      await prisma.backorder.updateMany({
+        where: { id: { in: toOffer.map(b => b.id) }, status: 'OPEN' },
+        data: { status: 'AVAILABLE', availableAt: new Date() }
+      });
+    }
+    if (toReopen.length > 0) {
+      await prisma.backorder.updateMany({
+        where: { id: { in: toReopen.map(b => b.id) }, status: 'AVAILABLE' },
+        data: { status: 'OPEN', availableAt: null }
+      });
+    }
+
+    // One notification per branch listing the SKUs that can now be allocated
+    const offeredByBranch = {};
+    for (const b of toOffer) {
+      if (!b.branchId) continue;
+      (offeredByBranch[b.branchId] = offeredByBranch[b.branchId] || []).push(b);
+    }
+
+    if (Object.keys(offeredByBranch).length > 0) {
+      const { notifyUsers } = require('./notificationService');
+      const itemBySku = Object.fromEntries(items.map(i => [i.sku, i]));
+
+      for (const [branchId, backorders] of Object.entries(offeredByBranch)) {
+        try {
+          const managers = await prisma.managerBranch.findMany({
+            where: { branchId, isActive: true },
+            select: { managerId: true }
+          });
+          if (managers.length === 0) continue;
+
+          const skuList = [...new Set(backorders.map(b => b.sku))]
+            .map(sku => (itemBySku[sku] ? `${itemBySku[sku].name} (${sku})` : sku))
+            .join(', ');
+          const orderList = [...new Set(backorders.map(b => b.order.orderNumber))].join(', ');
+
+          await notifyUsers(
+            managers.map(m => m.managerId),
+            null,
+            'NOTIFY_OUT_OF_STOCK_AVAILABLE',
+            'Backorders Ready for Allocation',
+            `Stock is now available for backordered items: ${skuList}. Orders: ${orderList}.`
+          );
+        } catch (notifyErr) {
+          console.error(`Failed to notify managers of branch ${branchId} about backorders:`, notifyErr);
+        }
+      }
+    }
+
+    if (toOffer.length > 0 || toReopen.length > 0) {
+      console.log(`📦 Backorders: ${toOffer.length} offered for allocation, ${toReopen.length} back to open`);
+    }
+
+    return { offered: toOffer.length, reopened: toReopen.length };
+  } catch (error) {
+    console.error('❌ Failed to offer available backorders:', error);
+    return { offered: 0, reopened: 0 };
+  }
+};
+
+/**
+ * Convert backorders of one order into a follow-up order
+ * @param {Object} payload
+ * @param {string} payload.orderId - Original order
+ * @param {Array<Object>} payload.allocations - [{ backorderId, quantity? }]; quantity defaults to the full backorder.
+ *   When omitted, every AVAILABLE backorder of the order is converted in full.
+ * @param {Object} user - Manager performing the conversion ({ id, role })
+ * @returns {Object} Created follow-up order
+ */
+const convertBackorders = async ({ orderId, allocations = null }, user) => {
+  try {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      select: { id: true, orderNumber: true, requesterId: true, branchId: true }
+    });
+    if (!order) {
+      return { success: false, statusCode: 404, message: 'Order not found' };
+    }
+
+    const visibleBranchIds = await getVisibleBranchIds(user);
+    if (visibleBranchIds && !visibleBranchIds.includes(order.branchId)) {
+      return { success: false, statusCode: 403, message: 'You do not manage the branch of this order' };
+    }
+
+    const backorders = await prisma.backorder.findMany({
+      where: { orderId, status: { in: OPEN_STATUSES } }
+    });
+
+    let resolved;
+    if (!allocations || allocations.length === 0) {
+      resolved = backorders
+        .filter(b => b.status === 'AVAILABLE')
+        .map(b => ({ backorder: b, quantity: b.quantity }));
+    } else {
+      resolved = [];
+      for (const allocation of allocations) {
+        const backorder = backorders.find(b => b.id === allocation.backorderId);
+        if (!backorder) {
+          return { success: false, statusCode: 400, message: `Backorder ${allocation.backorderId} is not open on order ${order.orderNumber}` };
+        }
+        const quantity = allocation.quantity ?? backorder.quantity;
+        if (quantity > backorder.quantity) {
+          return { success: false, statusCode: 400, message: `Cannot allocate ${quantity} of SKU ${backorder.sku}: only ${backorder.quantity} backordered` };
+        }
+        resolved.push({ backorder, quantity });
+      }
+      if (new Set(resolved.map(r => r.backorder.id)).size !== resolved.length) {
+        return { success: false, statusCode: 400, message: 'Each backorder can only be allocated once' };
+      }
+    }
+
+    if (resolved.length === 0) {
+      return { success: false, statusCode: 400, message: 'No backorders available to convert for this order' };
+    }
+
+    const { createFollowUpOrder } = require('./orderService');
+    const followUp = await createFollowUpOrder(order, resolved, user.id);
+
+    return {
+      success: true,
+      data: followUp,
+      message: `Follow-up order ${followUp.orderNumber} created from backorders of ${order.orderNumber}`
+    };
+  } catch (error) {
+    console.error('Convert backorders error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to convert backorders',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Drop a backorder that will not be fulfilled
+ * @param {string} id - Backorder ID
+ * @param {Object} user - Manager cancelling ({ id, role })
+ * @param {string|null} reason - Optional reason
+ * @returns {Object} Cancelled backorder
+ */
+const cancelBackorder = async (id, user, reason = null) => {
+  try {
+    const backorder = await prisma.backorder.findUnique({ where: { id } });
+    if (!backorder) {
+      return { success: false, statusCode: 404, message: 'Backorder not found' };
+    }
+
+    const visibleBranchIds = await getVisibleBranchIds(user);
+    if (visibleBranchIds && !visibleBranchIds.includes(backorder.branchId)) {
+      return { success: false, statusCode: 403, message: 'You do not manage the branch of this backorder' };
+    }
+
+    if (!OPEN_STATUSES.includes(backorder.status)) {
+      return { success: false, statusCode: 400, message: `Backorder is already ${backorder.status}` };
+    }
+
+    const updated = await prisma.backorder.update({
+      where: { id },
+      data: { status: 'CANCELLED', cancelledAt: new Date(), cancelReason: reason || null },
+      include: BACKORDER_INCLUDE
+    });
+
+    return { success: true, data: updated, message: 'Backorder cancelled' };
+  } catch (error) {
+    console.error('Cancel backorder error:', error);
+    return {
+      success: false,
+      message: 'Failed to cancel backorder',
+      error: error.message
+    };
+  }
+};
+
+module.exports = {
+  listBackorders,
+  offerAvailableBackorders,
+  convertBackorders,
+  cancelBackorder
+};
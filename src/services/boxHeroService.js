@@ -2,6 +2,8 @@ const { PrismaClient } = require('@prisma/client');
 const axios = require('axios');
 
 const prisma = require('../lib/prisma'); // reuse shared prisma client
+const { startSyncRun, finishSyncRun, alertOnConsecutiveFailures } = require('./syncRunService');
+const { buildStockMovement, recordStockMovements } = require('./stockMovementService');
 
 /**
  * Helper function to truncate long messages for database storage
@@ -40,6 +42,10 @@ const RATE_LIMIT_DELAY = 1000; // 1 second delay between requests
 const MAX_RETRIES = 3;
 const RETRY_DELAY = 2000; // 2 seconds delay between retries
 
+// A full fetch smaller than this share of our active catalog is treated as a bad response:
+// items are still upserted, but nothing is deactivated for being missing
+const MIN_CATALOG_RATIO = Number(process.env.BOXHERO_MIN_CATALOG_RATIO || 0.5);
+
 /**
  * Sleep utility for rate limiting
  */
@@ -107,37 +113,115 @@ const makeApiRequest = async (url, options = {}, retryCount = 0) => {
   }
 };
 
+/**
+ * Check whether a raw BoxHero item is marked Visibility = "Listed"
+ * @param {Object} item - Raw item from the BoxHero API
+ * @returns {boolean}
+ */
+const isListedItem = (item) =>
+  Array.isArray(item.attrs) &&
+  item.attrs.some(
+    (attr) =>
+      (attr.Id === 794461 || attr.name === "Visibility") &&
+      attr.value === "Listed"
+  );
+
+/**
+ * Map a raw BoxHero item onto the fields we keep on our local Item table
+ * @param {Object} item - Raw item from the BoxHero API
+ * @returns {Object} Item data (without timestamps)
+ */
+const mapBoxHeroItem = (item) => {
+  // Extract values from attrs array
+  const safetyStock = extractAttrValue(item.attrs, 'Safety Stock');
+  const targetLocation = extractAttrValue(item.attrs, 'Target Location');
+  const storageLocation = extractAttrValue(item.attrs, 'Storage');
+  const unit = extractAttrValue(item.attrs, 'Unit');
+  const category = extractAttrValue(item.attrs, 'Category');
+  const dimension = extractAttrValue(item.attrs, 'Dimension');
+  const listed = isListedItem(item);
+
+  return {
+    // FIX: Ensure boxHeroId is always a String for Prisma
+    boxHeroId: String(item.id || item.Id || item.itemId),
+    name: item.name || item.itemName || 'Unknown Product',
+    sku: item.sku || item.itemSku || null,
+    category: category || item.category || item.itemCategory || null,
+    unit: unit || item.unit || item.itemUnit || null,
+    currentStock: parseInt(item.currentStock || item.stock || item.quantity || 0),
+    visibility: listed ? 'Listed' : 'Unlisted',
+    isActive: listed,
+    photoUrl: item.photo_url || null,
+    cost: item.cost ? parseFloat(item.cost) : null,
+    price: item.price ? parseFloat(item.price) : null,
+    safetyStock: safetyStock,
+    targetLocation: targetLocation,
+    storageLocation: storageLocation,
+    dimension: dimension
+  };
+};
+
+// Fields compared between BoxHero and our local copy on every sync
+const SYNCED_FIELDS = [
+  'name', 'sku', 'category', 'unit', 'currentStock', 'visibility', 'isActive',
+  'photoUrl', 'cost', 'price', 'safetyStock', 'targetLocation', 'storageLocation', 'dimension'
+];
+const DECIMAL_FIELDS = ['cost', 'price'];
+
+/**
+ * Compare a local Item row against freshly mapped BoxHero data
+ * @param {Object} existing - Local Item row
+ * @param {Object} incoming - Output of mapBoxHeroItem
+ * @returns {Object} Only the fields whose value changed
+ */
+const diffItemFields = (existing, incoming) => {
+  const changes = {};
+  for (const field of SYNCED_FIELDS) {
+    let before = existing[field];
+    let after = incoming[field];
+
+    // Prisma returns Decimal objects for cost/price; compare as numbers
+    if (DECIMAL_FIELDS.includes(field)) {
+      before = before === null || before === undefined ? null : Number(before);
+      after = after === null || after === undefined ? null : Number(after);
+    }
+
+    if ((before ?? null) !== (after ?? null)) {
+      changes[field] = incoming[field];
+    }
+  }
+  return changes;
+};
+
 /**
  * Sync products from BoxHero API with pagination and filtering
  * * This function will:
- * 1. Call BoxHero's GET /products endpoint with pagination
- * 2. Filter items with Visibility = "Listed"
- * 3. Clear old data and insert new products into our local Item table
+ * 1. Call BoxHero's GET /items endpoint with pagination
+ * 2. Upsert every item keyed on boxHeroId, writing only the fields that changed
+ * 3. Soft-deactivate items that became "Unlisted" or disappeared from BoxHero
  * 4. Handle rate limiting and retries
- * * @param {string} cursor - Pagination cursor (optional)
- * @returns {Object} Result of the sync operation
+ * 5. Record the run in the SyncRun table and alert admins on repeated failures
+ * * Items are never deleted, so the catalog stays visible and item IDs stay stable
+ * while a sync is running.
+ * * @param {Object} options
+ * @param {string} options.cursor - Pagination cursor (optional). When a cursor is given only
+ *   part of the catalog is fetched, so missing items are NOT deactivated.
+ * @param {string} options.trigger - 'CRON' | 'MANUAL' (default: 'CRON')
+ * @param {string} options.triggeredById - ID of the user who started a manual run
+ * @returns {Object} Result of the sync operation with created/updated/deactivated/unchanged counts
  */
-const syncProductsFromBoxHero = async (cursor = null) => {
+const syncProductsFromBoxHero = async ({ cursor = null, trigger = 'CRON', triggeredById = null } = {}) => {
+  const run = await startSyncRun({ trigger, triggeredById });
+  let pages = 0;
+  let itemsFetched = 0;
+
   try {
-    console.log('🔄 Starting BoxHero products sync...');
+    console.log(`🔄 Starting BoxHero products sync (${trigger})...`);
     
     if (!process.env.BOXHERO_API_TOKEN) {
       throw new Error('BOXHERO_API_TOKEN environment variable is not set');
     }
 
-    // --- FIX P2003: Foreign Key Violation ---
-    // Capture existing items map so we can detect 0 -> >0 transitions
-    console.log('🔎 Capturing existing products before clearing...');
-    const existingItems = await prisma.item.findMany({ select: { sku: true, currentStock: true } });
-    const existingMap = {};
-    for (const it of existingItems) existingMap[it.sku] = it.currentStock;
-
-    // Clear all existing products from database first
-    console.log('🗑️ Clearing existing products from database...');
-    const deletedCount = await prisma.item.deleteMany({});
-    console.log(`✅ Cleared ${deletedCount.count} existing products`);
-    // ----------------------------------------
-
     let allItems = [];
     let currentCursor = cursor;
     let attempt = 1;
@@ -156,6 +240,7 @@ const syncProductsFromBoxHero = async (cursor = null) => {
       const data = await makeApiRequest(url.href, {
         method: 'GET'
       });
+      pages++;
       
       if (Array.isArray(data.items)) {
         // --- LOG RAW DATA STRUCTURE (REQUESTED) ---
@@ -167,19 +252,11 @@ const syncProductsFromBoxHero = async (cursor = null) => {
         }
         // ------------------------------------------
 
-        // Filter items with Visibility = "Listed" using attrs array
-        const listedItems = data.items.filter(
-          (item) =>
-            Array.isArray(item.attrs) &&
-            item.attrs.some(
-              (attr) =>
-                (attr.Id === 794461 || attr.name === "Visibility") &&
-                attr.value === "Listed"
-            )
-        );
-        
-        console.log(`📦 Found ${data.items.length} items, ${listedItems.length} with Visibility = "Listed"`);
-        allItems.push(...listedItems);
+        // Keep unlisted items too: they are needed to deactivate our local copy
+        const listedCount = data.items.filter(isListedItem).length;
+        console.log(`📦 Found ${data.items.length} items, ${listedCount} with Visibility = "Listed"`);
+        allItems.push(...data.items);
+        itemsFetched = allItems.length;
       }
 
       if (!data.cursor) break;
@@ -189,155 +266,160 @@ const syncProductsFromBoxHero = async (cursor = null) => {
       await new Promise((resolve) => setTimeout(resolve, 500)); // 0.5 sec delay
     }
 
-    console.log(`📦 Total products to sync: ${allItems.length}`);
-    
-    // Insert all products into database
-    let syncedCount = 0;
-    let errorCount = 0;
+    console.log(`📦 Total products fetched: ${allItems.length}`);
 
-    if (allItems.length > 0) {
-      // Batch insert for better performance
-      const productsToInsert = allItems.map(item => {
-        // Extract values from attrs array
-        const safetyStock = extractAttrValue(item.attrs, 'Safety Stock');
-        const targetLocation = extractAttrValue(item.attrs, 'Target Location');
-        const storageLocation = extractAttrValue(item.attrs, 'Storage');
-        const unit = extractAttrValue(item.attrs, 'Unit');
-        const category = extractAttrValue(item.attrs, 'Category');
-        const dimension = extractAttrValue(item.attrs, 'Dimension');
-        
-        return {
-          // FIX: Ensure boxHeroId is always a String for Prisma
-          boxHeroId: String(item.id || item.Id || item.itemId), 
-          name: item.name || item.itemName || 'Unknown Product',
-          sku: item.sku || item.itemSku || null,
-          category: category || item.category || item.itemCategory || null,
-          unit: unit || item.unit || item.itemUnit || null,
-          currentStock: parseInt(item.currentStock || item.stock || item.quantity || 0),
-          visibility: 'Listed', // We already filtered for Listed items
-          isActive: true, // Explicitly set to active
-          // New fields from BoxHero API
-          photoUrl: item.photo_url || null,
-          cost: item.cost ? parseFloat(item.cost) : null,
-          price: item.price ? parseFloat(item.price) : null,
-          safetyStock: safetyStock,
-          targetLocation: targetLocation,
-          storageLocation: storageLocation,
-          dimension: dimension,
-          lastSyncedAt: new Date()
-        };
-      });
+    // Load our local catalog once, keyed on boxHeroId
+    const existingItems = await prisma.item.findMany();
+    const existingByBoxHeroId = new Map(existingItems.map(it => [it.boxHeroId, it]));
+
+    const counts = { created: 0, updated: 0, deactivated: 0, unchanged: 0 };
+    let errorCount = 0;
+    const errorMessages = [];
+    const seenBoxHeroIds = new Set();
+    const backInStockSkus = [];
+    const movements = [];
+    const movementContext = { source: 'BOXHERO_SYNC', actorId: triggeredById, syncRunId: run ? run.id : null };
+    const now = new Date();
+
+    for (const raw of allItems) {
+      const incoming = mapBoxHeroItem(raw);
+      seenBoxHeroIds.add(incoming.boxHeroId);
+      const existing = existingByBoxHeroId.get(incoming.boxHeroId);
 
       try {
-        // Debug: Log first product to insert
-        console.log('🔍 Debug - First item to insert:', JSON.stringify(productsToInsert[0], null, 2));
-        
-        // Use prisma.item now that the Product model is removed
-        await prisma.item.createMany({
-          data: productsToInsert,
-          skipDuplicates: true
+        if (!existing) {
+          // Unlisted items we have never seen are not worth storing
+          if (!incoming.isActive) continue;
+
+          const createdItem = await prisma.item.create({ data: { ...incoming, lastSyncedAt: now } });
+          movements.push(buildStockMovement(createdItem, 0, createdItem.currentStock, { ...movementContext, note: 'Item created by sync' }));
+          counts.created++;
+          if (incoming.currentStock > 0) backInStockSkus.push(incoming.sku);
+          continue;
+        }
+
+        const changes = diffItemFields(existing, incoming);
+        if (Object.keys(changes).length === 0) {
+          counts.unchanged++;
+          continue;
+        }
+
+        await prisma.item.update({
+          where: { id: existing.id },
+          data: { ...changes, lastSyncedAt: now }
         });
-        
-        syncedCount = productsToInsert.length;
-        console.log(`✅ Successfully inserted ${syncedCount} products into database`);
-
-        // Notify users if any SKU moved from 0 -> positive stock
-        try {
-          const { notifyItemBackInStock } = require('./notificationService');
-          for (const p of productsToInsert) {
-            const old = existingMap[p.sku];
-            const nowStock = Number(p.currentStock || 0);
-            if ((old === 0 || typeof old === 'undefined') && nowStock > 0) {
-              // fire-and-forget
-              notifyItemBackInStock(p.sku).catch(err => console.error('notifyItemBackInStock error:', err));
-            }
-          }
-        } catch (notifyErr) {
-          console.error('Failed to run stock-available notifications:', notifyErr);
+
+        if ('currentStock' in changes) {
+          movements.push(buildStockMovement(
+            { id: existing.id, sku: 'sku' in changes ? changes.sku : existing.sku },
+            existing.currentStock,
+            changes.currentStock,
+            movementContext
+          ));
         }
-      } catch (batchError) {
-        console.error('❌ Batch insert failed, trying individual inserts:', batchError);
-        console.error('❌ Batch error details:', truncateMessage(batchError.message));
-        
-        // Fallback to individual inserts
-        for (const item of allItems) {
-          try {
-            // Extract values from attrs array
-            const safetyStock = extractAttrValue(item.attrs, 'Safety Stock');
-            const targetLocation = extractAttrValue(item.attrs, 'Target Location');
-            const storageLocation = extractAttrValue(item.attrs, 'Storage');
-            const unit = extractAttrValue(item.attrs, 'Unit');
-            const category = extractAttrValue(item.attrs, 'Category');
-            const dimension = extractAttrValue(item.attrs, 'Dimension');
-            
-            await prisma.item.create({
-              data: {
-                boxHeroId: String(item.id || item.Id || item.itemId), 
-                name: item.name || item.itemName || 'Unknown Product',
-                sku: item.sku || item.itemSku || null,
-                category: category || item.category || item.itemCategory || null,
-                unit: unit || item.unit || item.itemUnit || null,
-                currentStock: parseInt(item.currentStock || item.stock || item.quantity || 0),
-                visibility: 'Listed',
-                // New fields from BoxHero API
-                photoUrl: item.photo_url || null,
-                cost: item.cost ? parseFloat(item.cost) : null,
-                price: item.price ? parseFloat(item.price) : null,
-                safetyStock: safetyStock,
-                targetLocation: targetLocation,
-                storageLocation: storageLocation,
-                dimension: dimension,
-                lastSyncedAt: new Date()
-              }
-            });
-            syncedCount++;
-          } catch (itemError) {
-            errorCount++;
-            // Only log the message for individual errors
-            console.error(`❌ Error inserting item ${item.id}:`, truncateMessage(itemError.message, 250));
-          }
+
+        if (existing.isActive && changes.isActive === false) {
+          counts.deactivated++;
+        } else {
+          counts.updated++;
+        }
+
+        const nowActive = changes.isActive ?? existing.isActive;
+        const nowStock = changes.currentStock ?? existing.currentStock;
+        if (nowActive && (existing.currentStock === 0 || !existing.isActive) && nowStock > 0) {
+          backInStockSkus.push('sku' in changes ? changes.sku : existing.sku);
         }
+      } catch (itemError) {
+        errorCount++;
+        errorMessages.push(`Item ${incoming.boxHeroId}: ${truncateMessage(itemError.message, 250)}`);
+        // Only log the message for individual errors
+        console.error(`❌ Error syncing item ${incoming.boxHeroId}:`, truncateMessage(itemError.message, 250));
       }
     }
 
-    console.log(`✅ BoxHero products sync completed: ${syncedCount} synced, ${errorCount} errors`);
+    // Items that vanished from BoxHero are deactivated, never deleted (only on a full fetch)
+    if (!cursor) {
+      const missingIds = existingItems
+        .filter(it => it.isActive && !seenBoxHeroIds.has(it.boxHeroId))
+        .map(it => it.id);
+      const activeCount = existingItems.filter(it => it.isActive).length;
+      const catalogLooksTruncated = allItems.length === 0 || allItems.length < activeCount * MIN_CATALOG_RATIO;
+
+      if (missingIds.length > 0 && catalogLooksTruncated) {
+        const warning = `Skipped deactivating ${missingIds.length} missing items: BoxHero returned ${allItems.length} items for ${activeCount} active local items`;
+        console.warn(`⚠️ ${warning}`);
+        errorMessages.push(warning);
+      } else if (missingIds.length > 0) {
+        const result = await prisma.item.updateMany({
+          where: { id: { in: missingIds } },
+          data: { isActive: false, lastSyncedAt: now }
+        });
+        counts.deactivated += result.count;
+      }
+    }
+
+    // Write the stock ledger for every stock change seen in this run
+    await recordStockMovements(movements);
+
+    // Notify users if any SKU moved from 0 -> positive stock
+    try {
+      const { notifyItemBackInStock } = require('./notificationService');
+      for (const sku of backInStockSkus) {
+        if (!sku) continue;
+        // fire-and-forget
+        notifyItemBackInStock(sku).catch(err => console.error('notifyItemBackInStock error:', err));
+      }
+    } catch (notifyErr) {
+      console.error('Failed to run stock-available notifications:', notifyErr);
+    }
+
+    // Offer backordered lines whose SKU has stock again to the branch managers
+    const { offerAvailableBackorders } = require('./backorderService');
+    await offerAvailableBackorders();
 
-    // // Create a system notification about the sync
-    // await prisma.notification.create({
-    //   data: {
-    //     type: 'SYSTEM_ALERT',
-    //     title: 'Products Sync Completed',
-    //     // FIX P2000: Truncate message
-    //     message: truncateMessage(`Successfully synced ${syncedCount} products from BoxHero${errorCount > 0 ? ` (${errorCount} errors)` : ''}`),
-    //     isRead: false
-    //   }
-    // });
+    const syncedCount = counts.created + counts.updated + counts.unchanged;
+    console.log(`✅ BoxHero products sync completed: ${counts.created} created, ${counts.updated} updated, ${counts.deactivated} deactivated, ${counts.unchanged} unchanged, ${errorCount} errors`);
+
+    await finishSyncRun(run, {
+      status: 'SUCCESS',
+      pages,
+      itemsFetched,
+      ...counts,
+      errorCount,
+      errorMessages
+    });
 
     return {
       success: true,
-      message: `Successfully synced ${syncedCount} products`,
+      syncRunId: run ? run.id : null,
+      message: `Successfully synced ${syncedCount} products (${counts.created} created, ${counts.updated} updated, ${counts.deactivated} deactivated, ${counts.unchanged} unchanged)`,
       syncedProducts: syncedCount,
       totalProducts: allItems.length,
+      created: counts.created,
+      updated: counts.updated,
+      deactivated: counts.deactivated,
+      unchanged: counts.unchanged,
       errors: errorCount,
-      pages: attempt - 1
+      pages
     };
 
   } catch (error) {
     console.error('❌ BoxHero products sync failed:', error);
 
-    // // Create an error notification
-    // await prisma.notification.create({
-    //   data: {
-    //     type: 'SYSTEM_ALERT',
-    //     title: 'Products Sync Failed',
-    //     // FIX P2000: Truncate message
-    //     message: truncateMessage(`Failed to sync products from BoxHero: ${error.message}`),
-    //     isRead: false
-    //   }
-    // });
+    await finishSyncRun(run, {
+      status: 'FAILED',
+      pages,
+      itemsFetched,
+      errorCount: 1,
+      errorMessages: [truncateMessage(error.message)]
+    });
+
+    // Raise a SYSTEM_ALERT for admins after N consecutive failed runs
+    await alertOnConsecutiveFailures();
 
     return {
       success: false,
+      syncRunId: run ? run.id : null,
       message: 'Failed to sync products from BoxHero',
       error: error.message
     };
@@ -347,9 +429,10 @@ const syncProductsFromBoxHero = async (cursor = null) => {
 /**
  * Update stock levels in BoxHero
  * * @param {Array} itemsToUpdate - Array of objects with { itemId, quantityToDeduct }
+ * @param {Object} context - Stock ledger context { source, orderId, actorId } (default source: ORDER_DISPATCH)
  * @returns {Object} Result of the update operation
  */
-const updateBoxHeroStock = async (itemsToUpdate) => {
+const updateBoxHeroStock = async (itemsToUpdate, context = {}) => {
   try {
     console.log('📤 Updating BoxHero stock levels...');
     console.log('Items to update:', itemsToUpdate);
@@ -375,6 +458,7 @@ const updateBoxHeroStock = async (itemsToUpdate) => {
     console.log(`Updated ${response.updatedItems || itemsToUpdate.length} items`);
 
     // Update our local records to reflect the changes
+    const movements = [];
     for (const itemUpdate of itemsToUpdate) {
       try {
         // Find the item by BoxHero ID (convert to string)
@@ -397,6 +481,13 @@ const updateBoxHeroStock = async (itemsToUpdate) => {
 
           console.log(`📉 Updated local stock for ${item.name}: -${itemUpdate.quantityToDeduct} (now ${newStock})`);
 
+          movements.push(buildStockMovement(item, prev, newStock, {
+            source: context.source || 'ORDER_DISPATCH',
+            orderId: context.orderId,
+            actorId: context.actorId,
+            note: context.note
+          }));
+
           // If stock moved from 0 -> positive (unlikely on deduction), notify (safety)
           if (prev === 0 && newStock > 0) {
             try {
@@ -412,6 +503,8 @@ const updateBoxHeroStock = async (itemsToUpdate) => {
       }
     }
 
+    await recordStockMovements(movements);
+
     return {
       success: true,
       message: 'Stock levels updated successfully in BoxHero',
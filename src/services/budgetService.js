@@ -0,0 +1,423 @@
+const prisma = require('../lib/prisma'); // reuse shared prisma client
+const { DEFAULT_CALENDAR, getZonedParts, zonedTimeToDate } = require('../lib/workingHours');
+const { getBusinessCalendar } = require('./businessCalendarService');
+
+/**
+ * Budget Service
+ * Monthly BranchBudgets cap what a branch may order, for the whole branch or one item category.
+ * Orders count against the month they were requested in (in the branch's business time zone);
+ * rejected and cancelled orders do not count.
+ * Each budget either warns or blocks when an order would take the branch over it.
+ */
+
+const ENDED_STATUSES = ['REJECTED_ORDER', 'CANCELLED_ORDER'];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Budget period of a date
+ * @param {Date} date
+ * @param {string} timeZone - IANA zone the month is taken in (default BUSINESS_TIME_ZONE)
+ * @returns {string} YYYY-MM
+ */
+const toPeriod = (date = new Date(), timeZone = DEFAULT_CALENDAR.timeZone) => {
+  const { year, month } = getZonedParts(new Date(date), timeZone);
+  return `${year}-${String(month).padStart(2, '0')}`;
+};
+
+// [start, end) of a YYYY-MM period: local midnights of the 1st in the time zone
+const getPeriodRange = (period, timeZone = DEFAULT_CALENDAR.timeZone) => {
+  const [year, month] = period.split('-').map(Number);
+  return { start: zonedTimeToDate(year, month, 1, 0, timeZone), end: zonedTimeToDate(year, month + 1, 1, 0, timeZone) };
+};
+
+// Budget months follow the business calendar of the branch (company calendar without a branch)
+const getBudgetTimeZone = async (branchId = null) => (await getBusinessCalendar(branchId)).timeZone;
+
+// Item category per SKU
+const getCategoryMap = async (skus) => {
+  const items = await prisma.item.findMany({
+    where: { sku: { in: [...new Set(skus.filter(Boolean))] } },
+    select: { sku: true, category: true }
+  });
+  return Object.fromEntries(items.map(i => [i.sku, i.category || null]));
+};
+
+const inScope = (budget, category) => !budget.category || budget.category === category;
+
+/**
+ * Check what an order does to the budgets of its branch
+ * @param {Object} params
+ * @param {string} params.branchId - Branch ordering
+ * @param {string} params.period - YYYY-MM the order counts against (default: the month of `at`)
+ * @param {Date} params.at - When the order was requested (default now)
+ * @param {Array<Object>} params.lines - Order lines [{ sku, value }] (out-of-stock lines carry no value)
+ * @param {string} params.excludeOrderId - Order already stored that `lines` replaces (approval)
+ * @param {Object} params.tx - Transaction that stores the order. The branch's budget rows for the
+ *   period are locked FOR UPDATE first, so concurrent orders are checked one after another and
+ *   BLOCK holds; call it before anything else reads in that transaction.
+ * @returns {Object} { period, budgets, exceeded, blocked, message }
+ *   budgets: [{ id, category, amount, enforcement, committed, orderValue, remaining, remainingAfterOrder, exceeded }]
+ */
+const checkOrderBudget = async ({ branchId, period = null, at = new Date(), lines = [], excludeOrderId = null, tx = null }) => {
+  const timeZone = await getBudgetTimeZone(branchId);
+  if (!period) period = toPeriod(at, timeZone);
+
+  const db = tx || prisma;
+  if (tx && branchId) {
+    await tx.$queryRaw`SELECT id FROM branch_budgets WHERE branchId = ${branchId} AND period = ${period} FOR UPDATE`;
+  }
+  const budgets = branchId
+    ? await db.branchBudget.findMany({ where: { branchId, period }, orderBy: { category: 'asc' } })
+    : [];
+  if (budgets.length === 0) {
+    return { period, budgets: [], exceeded: false, blocked: false, message: null };
+  }
+
+  const { start, end } = getPeriodRange(period, timeZone);
+  const orders = await db.order.findMany({
+    where: {
+      branchId,
+      requestedAt: { gte: start, lt: end },
+      status: { notIn: ENDED_STATUSES },
+      ...(excludeOrderId ? { id: { not: excludeOrderId } } : {})
+    },
+    select: { orderItems: { select: { sku: true, qtyRequested: true, qtyApproved: true, unitPrice: true, outOfStock: true } } }
+  });
+
+  // Orders still under review count at the requested quantity, approved ones at the approved quantity
+  const committedLines = orders.flatMap(o => o.orderItems)
+    .filter(oi => !oi.outOfStock)
+    .map(oi => ({ sku: oi.sku, value: (oi.qtyApproved ?? oi.qtyRequested) * Number(oi.unitPrice || 0) }));
+
+  const categoryBySku = await getCategoryMap([...committedLines, ...lines].map(l => l.sku));
+
+  const results = budgets.map((budget) => {
+    const sumInScope = (ls) => ls
+      .filter(l => inScope(budget, categoryBySku[l.sku] || null))
+      .reduce((sum, l) => sum + l.value, 0);
+
+    const amount = Number(budget.amount);
+    const committed = round2(sumInScope(committedLines));
+    const orderValue = round2(sumInScope(lines));
+    const remaining = round2(amount - committed);
+    const remainingAfterOrder = round2(remaining - orderValue);
+
+    return {
+      id: budget.id,
+      category: budget.category,
+      amount,
+      enforcement: budget.enforcement,
+      committed,
+      orderValue,
+      remaining,
+      remainingAfterOrder,
+      exceeded: orderValue > 0 && remainingAfterOrder < 0
+    };
+  });
+
+  const exceeded = results.filter(b => b.exceeded);
+  const blocked = exceeded.some(b => b.enforcement === 'BLOCK');
+  const message = exceeded.length === 0
+    ? null
+    : `Order exceeds the ${period} budget: ${exceeded
+      .map(b => `${b.category || 'branch total'} (remaining ${b.remaining.toFixed(2)}, order ${b.orderValue.toFixed(2)})`)
+      .join('; ')}`;
+
+  return { period, budgets: results, exceeded: exceeded.length > 0, blocked, message };
+};
+
+/**
+ * Branches a user may report on; null means every branch
+ * @param {Object} user - { id, role }
+ * @returns {Array<string>|null} Branch IDs
+ */
+const getVisibleBranchIds = async (user) => {
+  if (user.role !== 'MANAGER') return null;
+  const managed = await prisma.managerBranch.findMany({
+    where: { managerId: user.id, isActive: true },
+    select: { branchId: true }
+  });
+  return managed.map(m => m.branchId);
+};
+
+/**
+ * Remaining budget of a branch for a period
+ * @param {string} branchId
+ * @param {string} period - YYYY-MM (default current month)
+ * @param {Object} user - Requesting user ({ id, role, branchId })
+ * @returns {Object} Budget status
+ */
+const getBranchBudgetStatus = async (branchId, period = null, user) => {
+  try {
+    if (user.role === 'BRANCH_USER' && branchId !== user.branchId) {
+      return { success: false, statusCode: 403, message: 'Access denied' };
+    }
+    const visibleBranchIds = await getVisibleBranchIds(user);
+    if (visibleBranchIds && !visibleBranchIds.includes(branchId)) {
+      return { success: false, statusCode: 403, message: 'Access denied' };
+    }
+
+    const status = await checkOrderBudget({ branchId, period });
+    return { success: true, data: status };
+  } catch (error) {
+    console.error('Get branch budget status error:', error);
+    return {
+      success: false,
+      message: 'Failed to fetch budget status',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Budget versus actual per branch for a period.
+ * Actuals are the approved and received quantities of the period's orders at their order prices.
+ * @param {Object} options - { period, branchId }
+ * @param {Object} user - Requesting user ({ id, role })
+ * @returns {Object} One entry per branch with totals, per-category actuals and budgets
+ */
+const getBudgetReport = async (options = {}, user) => {
+  try {
+    const { branchId } = options;
+    const timeZone = await getBudgetTimeZone(branchId);
+    const period = options.period || toPeriod(new Date(), timeZone);
+
+    const visibleBranchIds = await getVisibleBranchIds(user);
+    if (branchId && visibleBranchIds && !visibleBranchIds.includes(branchId)) {
+      return { success: false, statusCode: 403, message: 'Access denied' };
+    }
+
+    const branchFilter = branchId ? branchId : (visibleBranchIds ? { in: visibleBranchIds } : undefined);
+    const { start, end } = getPeriodRange(period, timeZone);
+
+    const [budgets, orders] = await Promise.all([
+      prisma.branchBudget.findMany({
+        where: { period, ...(branchFilter ? { branchId: branchFilter } : {}) },
+        include: { branch: { select: { id: true, name: true } } },
+        orderBy: [{ branchId: 'asc' }, { category: 'asc' }]
+      }),
+      prisma.order.findMany({
+        where: {
+          requestedAt: { gte: start, lt: end },
+          approvedAt: { not: null },
+          status: { notIn: ENDED_STATUSES },
+          ...(branchFilter ? { branchId: branchFilter } : { branchId: { not: null } })
+        },
+        select: {
+          branchId: true,
+          branch: { select: { id: true, name: true } },
+          orderItems: { select: { sku: true, qtyApproved: true, qtyReceived: true, unitPrice: true, outOfStock: true } }
+        }
+      })
+    ]);
+
+    const categoryBySku = await getCategoryMap(orders.flatMap(o => o.orderItems.map(oi => oi.sku)));
+
+    const branches = {};
+    const getBranchEntry = (branch) => {
+      if (!branches[branch.id]) {
+        branches[branch.id] = { branch, period, lines: [], budgets: [] };
+      }
+      return branches[branch.id];
+    };
+
+    for (const order of orders) {
+      const entry = getBranchEntry(order.branch);
+      for (const oi of order.orderItems) {
+        if (oi.outOfStock) continue;
+        const price = Number(oi.unitPrice || 0);
+        entry.lines.push({
+          category: categoryBySku[oi.sku] || null,
+          approvedValue: (oi.qtyApproved || 0) * price,
+          receivedValue: (oi.qtyReceived || 0) * price
+        });
+      }
+    }
+    for (const budget of budgets) getBranchEntry(budget.branch).budgets.push(budget);
+
+    const report = Object.values(branches).map((entry) => {
+      const sum = (lines, key) => round2(lines.reduce((s, l) => s + l[key], 0));
+
+      const byCategory = {};
+      for (const line of entry.lines) {
+        const key = line.category || 'Uncategorized';
+        if (!byCategory[key]) byCategory[key] = [];
+        byCategory[key].push(line);
+      }
+
+      return {
+        branch: entry.branch,
+        period,
+        totals: {
+          approvedValue: sum(entry.lines, 'approvedValue'),
+          receivedValue: sum(entry.lines, 'receivedValue')
+        },
+        byCategory: Object.entries(byCategory).map(([category, lines]) => ({
+          category,
+          approvedValue: sum(lines, 'approvedValue'),
+          receivedValue: sum(lines, 'receivedValue')
+        })),
+        budgets: entry.budgets.map((budget) => {
+          const lines = entry.lines.filter(l => inScope(budget, l.category));
+          const amount = Number(budget.amount);
+          const approvedValue = sum(lines, 'approvedValue');
+          return {
+            id: budget.id,
+            category: budget.category,
+            amount,
+            enforcement: budget.enforcement,
+            approvedValue,
+            receivedValue: sum(lines, 'receivedValue'),
+            remaining: round2(amount - approvedValue),
+            utilisationPct: amount > 0 ? Math.round((approvedValue / amount) * 100) : null
+          };
+        })
+      };
+    });
+
+    return { success: true, data: { period, branches: report } };
+  } catch (error) {
+    console.error('Get budget report error:', error);
+    return {
+      success: false,
+      message: 'Failed to build budget report',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * List budgets
+ * @param {Object} filters - { branchId, period }
+ * @returns {Object} Budgets with their branch
+ */
+const listBudgets = async (filters = {}) => {
+  try {
+    const where = {};
+    if (filters.branchId) where.branchId = filters.branchId;
+    if (filters.period) where.period = filters.period;
+
+    const budgets = await prisma.branchBudget.findMany({
+      where,
+      include: { branch: { select: { id: true, name: true } } },
+      orderBy: [{ period: 'desc' }, { branchId: 'asc' }, { category: 'asc' }]
+    });
+    return { success: true, data: budgets };
+  } catch (error) {
+    console.error('List budgets error:', error);
+    return {
+      success: false,
+      message: 'Failed to fetch budgets',
+      error: error.message
+    };
+  }
+};
+
+// Another budget with the same branch/period/category (MySQL lets NULL categories repeat)
+const findDuplicateBudget = (branchId, period, category, excludeId = null) =>
+  prisma.branchBudget.findFirst({
+    where: {
+      branchId,
+      period,
+      category: category || null,
+      ...(excludeId ? { id: { not: excludeId } } : {})
+    }
+  });
+
+/**
+ * Create a budget
+ * @param {Object} data - { branchId, period, category, amount, enforcement, notes }
+ * @param {string} createdById - User creating the budget
+ * @returns {Object} Created budget
+ */
+const createBudget = async (data, createdById) => {
+  try {
+    const branch = await prisma.branch.findUnique({ where: { id: data.branchId }, select: { id: true } });
+    if (!branch) return { success: false, statusCode: 404, message: 'Branch not found' };
+
+    const duplicate = await findDuplicateBudget(data.branchId, data.period, data.category);
+    if (duplicate) {
+      return { success: false, statusCode: 409, message: 'A budget for this branch, period and category already exists' };
+    }
+
+    const budget = await prisma.branchBudget.create({
+      data: { ...data, category: data.category || null, createdById },
+      include: { branch: { select: { id: true, name: true } } }
+    });
+    return { success: true, data: budget, message: 'Budget created' };
+  } catch (error) {
+    console.error('Create budget error:', error);
+    return {
+      success: false,
+      message: 'Failed to create budget',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Update a budget
+ * @param {string} id - Budget ID
+ * @param {Object} data - Fields to change
+ * @returns {Object} Updated budget
+ */
+const updateBudget = async (id, data) => {
+  try {
+    const existing = await prisma.branchBudget.findUnique({ where: { id } });
+    if (!existing) return { success: false, statusCode: 404, message: 'Budget not found' };
+
+    const next = { ...existing, ...data };
+    const duplicate = await findDuplicateBudget(next.branchId, next.period, next.category, id);
+    if (duplicate) {
+      return { success: false, statusCode: 409, message: 'A budget for this branch, period and category already exists' };
+    }
+
+    const budget = await prisma.branchBudget.update({
+      where: { id },
+      data: { ...data, ...(data.category !== undefined ? { category: data.category || null } : {}) },
+      include: { branch: { select: { id: true, name: true } } }
+    });
+    return { success: true, data: budget, message: 'Budget updated' };
+  } catch (error) {
+    console.error('Update budget error:', error);
+    return {
+      success: false,
+      message: 'Failed to update budget',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Delete a budget
+ * @param {string} id - Budget ID
+ * @returns {Object} Result
+ */
+const deleteBudget = async (id) => {
+  try {
+    const existing = await prisma.branchBudget.findUnique({ where: { id } });
+    if (!existing) return { success: false, statusCode: 404, message: 'Budget not found' };
+
+    await prisma.branchBudget.delete({ where: { id } });
+    return { success: true, message: 'Budget deleted' };
+  } catch (error) {
+    console.error('Delete budget error:', error);
+    return {
+      success: false,
+      message: 'Failed to delete budget',
+      error: error.message
+    };
+  }
+};
+
+module.exports = {
+  toPeriod,
+  checkOrderBudget,
+  getBranchBudgetStatus,
+  getBudgetReport,
+  listBudgets,
+  createBudget,
+  updateBudget,
+  deleteBudget
+};
@@ -0,0 +1,347 @@
+const prisma = require('../lib/prisma'); // reuse shared prisma client
+const {
+  DEFAULT_CALENDAR,
+  normalizeCalendar,
+  calculateWorkingHours,
+  addWorkingHours
+} = require('../lib/workingHours');
+
+/**
+ * Business Calendar Service
+ * Loads the company calendar (working days, hours, time zone, holidays) and per-branch
+ * overrides, and does working-hour maths against them. Calendars are cached briefly because
+ * the SLA job and reports ask for them once per order.
+ */
+
+const CACHE_TTL_MS = 60 * 1000;
+const CALENDAR_FIELDS = ['timeZone', 'workingDays', 'startTime', 'endTime'];
+
+let cache = new Map();
+const clearCalendarCache = () => { cache = new Map(); };
+
+const CALENDAR_INCLUDE = { holidays: { orderBy: { date: 'asc' } } };
+
+/**
+ * Fields a calendar row sets (nulls fall back to the default calendar)
+ * @param {Object|null} row - BusinessCalendar
+ * @returns {Object}
+ */
+const getOverrides = (row) => {
+  const overrides = {};
+  if (!row) return overrides;
+  for (const field of CALENDAR_FIELDS) {
+    if (row[field] !== null && row[field] !== undefined) overrides[field] = row[field];
+  }
+  return overrides;
+};
+
+/**
+ * Calendar in effect for a branch (or company-wide when branchId is empty)
+ * Falls back to the built-in default calendar if the calendars cannot be loaded.
+ * @param {string|null} branchId
+ * @returns {Object} { timeZone, workingDays, startTime, endTime, holidays }
+ */
+const getBusinessCalendar = async (branchId = null) => {
+  const key = branchId || 'default';
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.calendar;
+
+  try {
+    const [companyRow, branchRow] = await Promise.all([
+      prisma.businessCalendar.findFirst({ where: { isDefault: true }, include: CALENDAR_INCLUDE }),
+      branchId ? prisma.businessCalendar.findUnique({ where: { branchId }, include: CALENDAR_INCLUDE }) : null
+    ]);
+
+    const holidays = [...(companyRow ? companyRow.holidays : []), ...(branchRow ? branchRow.holidays : [])].map(h => h.date);
+    const calendar = {
+      ...DEFAULT_CALENDAR,
+      ...getOverrides(companyRow),
+      ...getOverrides(branchRow),
+      holidays: [...new Set(holidays)].sort()
+    };
+    normalizeCalendar(calendar);
+
+    cache.set(key, { calendar, expiresAt: Date.now() + CACHE_TTL_MS });
+    return calendar;
+  } catch (error) {
+    console.error('Load business calendar error (using the built-in calendar):', error);
+    return DEFAULT_CALENDAR;
+  }
+};
+
+/**
+ * Add working hours in a branch's calendar
+ * @param {string|null} branchId
+ * @param {Date} start
+ * @param {number} hours
+ * @returns {Date}
+ */
+const addBranchWorkingHours = async (branchId, start, hours) =>
+  addWorkingHours(start, hours, await getBusinessCalendar(branchId));
+
+/**
+ * Working hours between two instants in a branch's calendar
+ * @param {string|null} branchId
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {number} Fractional hours
+ */
+const calculateBranchWorkingHours = async (branchId, from, to) =>
+  calculateWorkingHours(from, to, await getBusinessCalendar(branchId));
+
+// Company calendar row; created on first change
+const ensureDefaultCalendarRow = async (user) => {
+  const existing = await prisma.businessCalendar.findFirst({ where: { isDefault: true } });
+  if (existing) return existing;
+  return prisma.businessCalendar.create({
+    data: { name: 'Company calendar', isDefault: true, updatedById: user ? user.id : null }
+  });
+};
+
+// Reject a change that would leave an unusable calendar (bad zone, hours ending before they start)
+const assertValidCalendar = (base, row) => {
+  const calendar = { ...base, ...getOverrides(row) };
+  try {
+    normalizeCalendar(calendar);
+  } catch (error) {
+    throw new Error(error instanceof RangeError ? `Unknown time zone ${calendar.timeZone}` : error.message);
+  }
+};
+
+/**
+ * Company calendar and every branch override
+ * @returns {Object} { default: { calendar, holidays }, branches: [...] }
+ */
+const getCalendarSettings = async () => {
+  try {
+    const [companyRow, branchRows] = await Promise.all([
+      prisma.businessCalendar.findFirst({ where: { isDefault: true }, include: CALENDAR_INCLUDE }),
+      prisma.businessCalendar.findMany({
+        where: { branchId: { not: null } },
+        include: { ...CALENDAR_INCLUDE, branch: { select: { id: true, name: true } } },
+        orderBy: { name: 'asc' }
+      })
+    ]);
+
+    return {
+      success: true,
+      data: {
+        default: {
+          id: companyRow ? companyRow.id : null,
+          effective: await getBusinessCalendar(null),
+          holidays: companyRow ? companyRow.holidays : []
+        },
+        branches: branchRows
+      }
+    };
+  } catch (error) {
+    console.error('Get calendar settings error:', error);
+    return {
+      success: false,
+      message: 'Failed to fetch business calendars',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Calendar in effect for a branch, with its override row
+ * @param {string} branchId
+ * @returns {Object} { branch, override, effective }
+ */
+const getBranchCalendar = async (branchId) => {
+  try {
+    const branch = await prisma.branch.findUnique({ where: { id: branchId }, select: { id: true, name: true } });
+    if (!branch) return { success: false, statusCode: 404, message: 'Branch not found' };
+
+    const override = await prisma.businessCalendar.findUnique({ where: { branchId }, include: CALENDAR_INCLUDE });
+    return { success: true, data: { branch, override, effective: await getBusinessCalendar(branchId) } };
+  } catch (error) {
+    console.error('Get branch calendar error:', error);
+    return {
+      success: false,
+      message: 'Failed to fetch branch calendar',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Change the company calendar
+ * @param {Object} data - { timeZone, workingDays, startTime, endTime }
+ * @param {Object} user - Admin making the change
+ * @returns {Object} Effective company calendar
+ */
+const updateDefaultCalendar = async (data, user) => {
+  try {
+    const row = await ensureDefaultCalendarRow(user);
+    assertValidCalendar(DEFAULT_CALENDAR, { ...row, ...data });
+
+    await prisma.businessCalendar.update({
+      where: { id: row.id },
+      data: { ...data, updatedById: user.id }
+    });
+    clearCalendarCache();
+
+    return { success: true, data: await getBusinessCalendar(null), message: 'Company calendar updated' };
+  } catch (error) {
+    console.error('Update default calendar error:', error);
+    return {
+      success: false,
+      statusCode: 400,
+      message: error.message || 'Failed to update company calendar',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Override the calendar of a branch; fields left null use the company calendar
+ * @param {string} branchId
+ * @param {Object} data - { timeZone, workingDays, startTime, endTime }
+ * @param {Object} user - Admin making the change
+ * @returns {Object} Effective branch calendar
+ */
+const upsertBranchCalendar = async (branchId, data, user) => {
+  try {
+    const branch = await prisma.branch.findUnique({ where: { id: branchId }, select: { id: true, name: true } });
+    if (!branch) return { success: false, statusCode: 404, message: 'Branch not found' };
+
+    const existing = await prisma.businessCalendar.findUnique({ where: { branchId } });
+    assertValidCalendar(await getBusinessCalendar(null), { ...existing, ...data });
+
+    await prisma.businessCalendar.upsert({
+      where: { branchId },
+      create: { name: `${branch.name} calendar`, branchId, ...data, updatedById: user.id },
+      update: { ...data, updatedById: user.id }
+    });
+    clearCalendarCache();
+
+    return { success: true, data: await getBusinessCalendar(branchId), message: `Calendar of ${branch.name} updated` };
+  } catch (error) {
+    console.error('Upsert branch calendar error:', error);
+    return {
+      success: false,
+      statusCode: 400,
+      message: error.message || 'Failed to update branch calendar',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Remove a branch override (and its holidays); the branch goes back to the company calendar
+ * @param {string} branchId
+ * @returns {Object} Result
+ */
+const deleteBranchCalendar = async (branchId) => {
+  try {
+    const deleted = await prisma.businessCalendar.deleteMany({ where: { branchId } });
+    if (deleted.count === 0) {
+      return { success: false, statusCode: 404, message: 'Branch has no calendar override' };
+    }
+    clearCalendarCache();
+    return { success: true, message: 'Branch calendar override removed' };
+  } catch (error) {
+    console.error('Delete branch calendar error:', error);
+    return {
+      success: false,
+      message: 'Failed to delete branch calendar',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Add a holiday to the company calendar, or to a branch's calendar for regional holidays
+ * @param {Object} data - { date: 'YYYY-MM-DD', name, branchId? }
+ * @param {Object} user - Admin making the change
+ * @returns {Object} Created holiday
+ */
+const addHoliday = async ({ date, name, branchId }, user) => {
+  try {
+    let calendar;
+    if (branchId) {
+      const branch = await prisma.branch.findUnique({ where: { id: branchId }, select: { id: true, name: true } });
+      if (!branch) return { success: false, statusCode: 404, message: 'Branch not found' };
+      calendar = await prisma.businessCalendar.upsert({
+        where: { branchId },
+        create: { name: `${branch.name} calendar`, branchId, updatedById: user.id },
+        update: {}
+      });
+    } else {
+      calendar = await ensureDefaultCalendarRow(user);
+    }
+
+    const holiday = await prisma.businessHoliday.create({ data: { calendarId: calendar.id, date, name } });
+    clearCalendarCache();
+    return { success: true, data: holiday, message: `Holiday ${date} added` };
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return { success: false, statusCode: 409, message: `${date} is already a holiday in this calendar` };
+    }
+    console.error('Add holiday error:', error);
+    return {
+      success: false,
+      message: 'Failed to add holiday',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Remove a holiday
+ * @param {string} holidayId
+ * @returns {Object} Result
+ */
+const removeHoliday = async (holidayId) => {
+  try {
+    const deleted = await prisma.businessHoliday.deleteMany({ where: { id: holidayId } });
+    if (deleted.count === 0) return { success: false, statusCode: 404, message: 'Holiday not found' };
+    clearCalendarCache();
+    return { success: true, message: 'Holiday removed' };
+  } catch (error) {
+    console.error('Remove holiday error:', error);
+    return {
+      success: false,
+      message: 'Failed to remove holiday',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Try out a calendar: working hours between two instants and/or the instant N working hours later
+ * @param {Object} params - { branchId?, from, to?, hours? }
+ * @returns {Object} { calendar, workingHours?, dueAt? }
+ */
+const previewWorkingHours = async ({ branchId, from, to, hours }) => {
+  try {
+    const calendar = await getBusinessCalendar(branchId || null);
+    const data = { calendar };
+    if (to) data.workingHours = Math.round(calculateWorkingHours(from, to, calendar) * 100) / 100;
+    if (hours !== undefined) data.dueAt = addWorkingHours(from, hours, calendar);
+    return { success: true, data };
+  } catch (error) {
+    console.error('Preview working hours error:', error);
+    return {
+      success: false,
+      message: 'Failed to preview working hours',
+      error: error.message
+    };
+  }
+};
+
+module.exports = {
+  getBusinessCalendar,
+  addBranchWorkingHours,
+  calculateBranchWorkingHours,
+  getCalendarSettings,
+  getBranchCalendar,
+  updateDefaultCalendar,
+  upsertBranchCalendar,
+  deleteBranchCalendar,
+  addHoliday,
+  removeHoliday,
+  previewWorkingHours
+};
@@ -0,0 +1,396 @@
+const prisma = require('../lib/prisma'); // reuse shared prisma client
+const { getReservedQuantities } = require('./stockReservationService');
+
+/**
+ * Cart Service
+ * Server-side carts / order drafts. A cart belongs to a branch, so every user of that
+ * branch can see and edit it from any device. Submitting turns it into an order via createOrder.
+ */
+
+const CART_INCLUDE = {
+  items: {
+    include: { addedBy: { select: { id: true, firstName: true, lastName: true } } },
+    orderBy: { createdAt: 'asc' }
+  },
+  createdBy: { select: { id: true, firstName: true, lastName: true } },
+  submittedBy: { select: { id: true, firstName: true, lastName: true } },
+  submittedOrder: { select: { id: true, orderNumber: true, status: true } }
+};
+
+/**
+ * Attach current catalog data to every cart line and flag lines that can't be ordered as they are.
+ * Stock reserved by approved orders is not counted as available.
+ * Line status: OK | OUT_OF_STOCK (submitted as an out-of-stock line) | INSUFFICIENT_STOCK | INACTIVE
+ * @param {Object} cart - Cart with items
+ * @returns {Object} Cart with enriched items, totals and canSubmit
+ */
+const validateCart = async (cart) => {
+  const skus = cart.items.map(i => i.sku);
+  const [items, reservedBySku] = await Promise.all([
+    prisma.item.findMany({
+      where: { sku: { in: skus } },
+      select: { sku: true, name: true, category: true, unit: true, price: true, photoUrl: true, isActive: true, currentStock: true }
+    }),
+    getReservedQuantities(skus)
+  ]);
+  const itemBySku = Object.fromEntries(items.map(i => [i.sku, i]));
+
+  let totalValue = 0;
+  const lines = cart.items.map((line) => {
+    const item = itemBySku[line.sku];
+    if (!item || !item.isActive) {
+      return { ...line, item: item || null, availableStock: 0, lineStatus: 'INACTIVE' };
+    }
+
+    const availableStock = Math.max(0, item.currentStock - (reservedBySku[line.sku] || 0));
+    let lineStatus = 'OK';
+    if (availableStock <= 0) lineStatus = 'OUT_OF_STOCK';
+    else if (availableStock < line.quantity) lineStatus = 'INSUFFICIENT_STOCK';
+
+    if (lineStatus === 'OK') totalValue += Number(item.price || 0) * line.quantity;
+    return { ...line, item, availableStock, lineStatus };
+  });
+
+  return {
+    ...cart,
+    items: lines,
+    totalItems: lines.reduce((sum, l) => sum + l.quantity, 0),
+    totalValue,
+    canSubmit: lines.length > 0 && lines.every(l => l.lineStatus === 'OK' || l.lineStatus === 'OUT_OF_STOCK')
+  };
+};
+
+// Load a cart of the user's branch, or an error result
+const findBranchCart = async (cartId, user, { activeOnly = false } = {}) => {
+  const cart = await prisma.cart.findUnique({ where: { id: cartId }, include: CART_INCLUDE });
+  if (!cart || cart.branchId !== user.branchId) {
+    return { error: { success: false, statusCode: 404, message: 'Cart not found' } };
+  }
+  if (activeOnly && cart.status !== 'ACTIVE') {
+    return { error: { success: false, statusCode: 400, message: `Cart is already ${cart.status.toLowerCase()}` } };
+  }
+  return { cart };
+};
+
+// Reject SKUs that are unknown or inactive before they are added to a cart
+const assertOrderableSku = async (sku) => {
+  const item = await prisma.item.findUnique({ where: { sku }, select: { isActive: true } });
+  if (!item || !item.isActive) throw new Error(`Item with SKU ${sku} not found or inactive`);
+};
+
+/**
+ * List the carts of the user's branch
+ * @param {Object} options - { status }
+ * @param {Object} user - { id, branchId }
+ * @returns {Object} Carts (without stock validation)
+ */
+const listCarts = async (options = {}, user) => {
+  try {
+    if (!user.branchId) {
+      return { success: false, statusCode: 400, message: 'User is not assigned to a branch' };
+    }
+
+    const carts = await prisma.cart.findMany({
+      where: { branchId: user.branchId, status: options.status || 'ACTIVE' },
+      include: CART_INCLUDE,
+      orderBy: { updatedAt: 'desc' }
+    });
+
+    return { success: true, data: carts };
+  } catch (error) {
+    console.error('List carts error:', error);
+    return {
+      success: false,
+      message: 'Failed to fetch carts',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Get a cart with its lines re-validated against the catalog
+ * @param {string} cartId - Cart ID
+ * @param {Object} user - { id, branchId }
+ * @returns {Object} Validated cart
+ */
+const getCart = async (cartId, user) => {
+  try {
+    const { cart, error } = await findBranchCart(cartId, user);
+    if (error) return error;
+    return { success: true, data: await validateCart(cart) };
+  } catch (error) {
+    console.error('Get cart error:', error);
+    return {
+      success: false,
+      message: 'Failed to fetch cart',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Create a cart for the user's branch, optionally with lines
+ * @param {Object} data - { name, remarks, items: [{ sku, quantity }] }
+ * @param {Object} user - { id, branchId }
+ * @returns {Object} Validated cart
+ */
+const createCart = async (data, user) => {
+  try {
+    if (!user.branchId) {
+      return { success: false, statusCode: 400, message: 'User is not assigned to a branch' };
+    }
+
+    const items = data.items || [];
+    for (const line of items) await assertOrderableSku(line.sku);
+
+    const cart = await prisma.cart.create({
+      data: {
+        branchId: user.branchId,
+        createdById: user.id,
+        name: data.name || null,
+        remarks: data.remarks || null,
+        items: {
+          create: items.map(i => ({ sku: i.sku, quantity: i.quantity, addedById: user.id }))
+        }
+      },
+      include: CART_INCLUDE
+    });
+
+    return { success: true, data: await validateCart(cart), message: 'Cart created' };
+  } catch (error) {
+    console.error('Create cart error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to create cart',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Rename a cart or change its remarks
+ * @param {string} cartId - Cart ID
+ * @param {Object} data - { name, remarks }
+ * @param {Object} user - { id, branchId }
+ * @returns {Object} Validated cart
+ */
+const updateCart = async (cartId, data, user) => {
+  try {
+    const { error } = await findBranchCart(cartId, user, { activeOnly: true });
+    if (error) return error;
+
+    const cart = await prisma.cart.update({
+      where: { id: cartId },
+      data: {
+        ...(data.name !== undefined && { name: data.name || null }),
+        ...(data.remarks !== undefined && { remarks: data.remarks || null })
+      },
+      include: CART_INCLUDE
+    });
+
+    return { success: true, data: await validateCart(cart), message: 'Cart updated' };
+  } catch (error) {
+    console.error('Update cart error:', error);
+    return {
+      success: false,
+      message: 'Failed to update cart',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Discard a cart. The row is kept so colleagues see what happened to it.
+ * @param {string} cartId - Cart ID
+ * @param {Object} user - { id, branchId }
+ * @returns {Object} Result
+ */
+const discardCart = async (cartId, user) => {
+  try {
+    const { error } = await findBranchCart(cartId, user, { activeOnly: true });
+    if (error) return error;
+
+    await prisma.cart.update({ where: { id: cartId }, data: { status: 'DISCARDED' } });
+    return { success: true, message: 'Cart discarded' };
+  } catch (error) {
+    console.error('Discard cart error:', error);
+    return {
+      success: false,
+      message: 'Failed to discard cart',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Add a line; adding a SKU already in the cart increases its quantity
+ * @param {string} cartId - Cart ID
+ * @param {Object} line - { sku, quantity }
+ * @param {Object} user - { id, branchId }
+ * @returns {Object} Validated cart
+ */
+const addCartItem = async (cartId, line, user) => {
+  try {
+    const { error } = await findBranchCart(cartId, user, { activeOnly: true });
+    if (error) return error;
+
+    await assertOrderableSku(line.sku);
+
+    await prisma.cartItem.upsert({
+      where: { cartId_sku: { cartId, sku: line.sku } },
+      update: { quantity: { increment: line.quantity }, addedById: user.id },
+      create: { cartId, sku: line.sku, quantity: line.quantity, addedById: user.id }
+    });
+    await prisma.cart.update({ where: { id: cartId }, data: { updatedAt: new Date() } });
+
+    return await getCart(cartId, user);
+  } catch (error) {
+    console.error('Add cart item error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to add item to cart',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Change the quantity of a line
+ * @param {string} cartId - Cart ID
+ * @param {string} itemId - CartItem ID
+ * @param {Object} data - { quantity }
+ * @param {Object} user - { id, branchId }
+ * @returns {Object} Validated cart
+ */
+const updateCartItem = async (cartId, itemId, data, user) => {
+  try {
+    const { cart, error } = await findBranchCart(cartId, user, { activeOnly: true });
+    if (error) return error;
+    if (!cart.items.find(i => i.id === itemId)) {
+      return { success: false, statusCode: 404, message: 'Cart item not found' };
+    }
+
+    await prisma.cartItem.update({ where: { id: itemId }, data: { quantity: data.quantity, addedById: user.id } });
+    await prisma.cart.update({ where: { id: cartId }, data: { updatedAt: new Date() } });
+
+    return await getCart(cartId, user);
+  } catch (error) {
+    console.error('Update cart item error:', error);
+    return {
+      success: false,
+      message: 'Failed to update cart item',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Remove a line
+ * @param {string} cartId - Cart ID
+ * @param {string} itemId - CartItem ID
+ * @param {Object} user - { id, branchId }
+ * @returns {Object} Validated cart
+ */
+const removeCartItem = async (cartId, itemId, user) => {
+  try {
+    const { cart, error } = await findBranchCart(cartId, user, { activeOnly: true });
+    if (error) return error;
+    if (!cart.items.find(i => i.id === itemId)) {
+      return { success: false, statusCode: 404, message: 'Cart item not found' };
+    }
+
+    await prisma.cartItem.delete({ where: { id: itemId } });
+    await prisma.cart.update({ where: { id: cartId }, data: { updatedAt: new Date() } });
+
+    return await getCart(cartId, user);
+  } catch (error) {
+    console.error('Remove cart item error:', error);
+    return {
+      success: false,
+      message: 'Failed to remove cart item',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Submit a cart as an order. Lines with no available stock go in as out-of-stock lines
+ * (same split the cart page makes); lines with some but not enough stock must be adjusted first.
+ * @param {string} cartId - Cart ID
+ * @param {Object} data - { remarks } overrides the cart remarks
+ * @param {Object} user - { id, role, branchId }
+ * @returns {Object} Created order
+ */
+const submitCart = async (cartId, data, user) => {
+  try {
+    const { cart, error } = await findBranchCart(cartId, user, { activeOnly: true });
+    if (error) return error;
+
+    const validated = await validateCart(cart);
+    if (validated.items.length === 0) {
+      return { success: false, statusCode: 400, message: 'Cart is empty' };
+    }
+    if (!validated.canSubmit) {
+      const blocked = validated.items
+        .filter(l => l.lineStatus === 'INACTIVE' || l.lineStatus === 'INSUFFICIENT_STOCK')
+        .map(l => (l.lineStatus === 'INACTIVE'
+          ? `${l.sku} is no longer available`
+          : `${l.sku}: only ${l.availableStock} available, ${l.quantity} in cart`));
+      return { success: false, statusCode: 400, message: `Cart needs changes before it can be submitted: ${blocked.join('; ')}` };
+    }
+
+    // Claim the cart so two colleagues can't submit it twice
+    const claimed = await prisma.cart.updateMany({
+      where: { id: cartId, status: 'ACTIVE' },
+      data: { status: 'SUBMITTED', submittedById: user.id, submittedAt: new Date() }
+    });
+    if (claimed.count === 0) {
+      return { success: false, statusCode: 409, message: 'Cart has already been submitted' };
+    }
+
+    const { createOrder } = require('./orderService');
+    const result = await createOrder({
+      requesterId: user.id,
+      requesterRole: user.role,
+      branchId: cart.branchId,
+      remarks: data.remarks !== undefined ? data.remarks : cart.remarks,
+      reorderedFromId: cart.reorderedFromId,
+      inStockItems: validated.items.filter(l => l.lineStatus === 'OK').map(l => ({ sku: l.sku, quantity: l.quantity })),
+      outOfStockItems: validated.items.filter(l => l.lineStatus === 'OUT_OF_STOCK').map(l => ({ sku: l.sku, quantity: l.quantity }))
+    });
+
+    if (!result.success) {
+      await prisma.cart.update({
+        where: { id: cartId },
+        data: { status: 'ACTIVE', submittedById: null, submittedAt: null }
+      });
+      return { success: false, statusCode: 400, message: result.message };
+    }
+
+    await prisma.cart.update({ where: { id: cartId }, data: { submittedOrderId: result.data.id } });
+
+    const budgetWarning = result.budget && result.budget.exceeded ? `. Warning: ${result.budget.message}` : '';
+    return { success: true, data: result.data, message: `Order ${result.data.orderNumber} created from cart${budgetWarning}` };
+  } catch (error) {
+    console.error('Submit cart error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to submit cart',
+      error: error.message
+    };
+  }
+};
+
+module.exports = {
+  CART_INCLUDE,
+  validateCart,
+  listCarts,
+  getCart,
+  createCart,
+  updateCart,
+  discardCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  submitCart
+};
@@ -0,0 +1,327 @@
+const os = require('os');
+const crypto = require('crypto');
+const prisma = require('../lib/prisma'); // reuse shared prisma client
+
+/**
+ * Job Service
+ * Runs scheduled jobs under a DB-backed lease so that, with several API instances, each job
+ * runs on one instance at a time, and each cron tick is claimed (ScheduledJob.lastScheduledFor) so
+ * it runs once even when a fast run has already released the lease. Every run that takes the
+ * lease is stored in job_runs.
+ * Job definitions live in src/jobs.
+ */
+
+// Identifies this process in ScheduledJob.lockedBy and JobRun.instanceId
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+const DEFAULT_LEASE_MINUTES = 10;
+
+// Job runs older than this are deleted after each run of the same job
+const RUN_RETENTION_DAYS = Number(process.env.JOB_RUN_RETENTION_DAYS || 30);
+
+const MINUTE_MS = 60 * 1000;
+
+const TRIGGERED_BY_SELECT = { select: { id: true, firstName: true, lastName: true, email: true } };
+
+/**
+ * Create the ScheduledJob rows of new job definitions (existing rows keep their settings)
+ * @param {Array<Object>} definitions - Job definitions from src/jobs
+ */
+const ensureJobs = async (definitions) => {
+  await prisma.scheduledJob.createMany({
+    data: definitions.map(job => ({ name: job.name })),
+    skipDuplicates: true
+  });
+};
+
+/**
+ * The cron tick a scheduled call belongs to: its time rounded to the minute, so instances whose
+ * clocks are a few seconds apart agree on it
+ * @param {Date} now
+ * @returns {Date}
+ */
+const toScheduledTick = (now = new Date()) => new Date(Math.round(now.getTime() / MINUTE_MS) * MINUTE_MS);
+
+/**
+ * Take the lease of a job. Atomic: the row is only updated when nobody holds an unexpired lease
+ * and, for a cron run, nobody has claimed the same tick yet.
+ * @param {string} name
+ * @param {number} leaseMs
+ * @param {Date|null} scheduledFor - Cron tick to claim; cron runs also skip disabled jobs. Null for manual runs.
+ * @returns {boolean} Whether this instance now holds the lease
+ */
+const acquireJobLock = async (name, leaseMs, scheduledFor = null) => {
+  const now = new Date();
+  const { count } = await prisma.scheduledJob.updateMany({
+    where: {
+      name,
+      AND: [
+        { OR: [{ lockedUntil: null }, { lockedUntil: { lt: now } }] },
+        ...(scheduledFor ? [
+          { isEnabled: true },
+          { OR: [{ lastScheduledFor: null }, { lastScheduledFor: { lt: scheduledFor } }] }
+        ] : [])
+      ]
+    },
+    data: {
+      lockedBy: INSTANCE_ID,
+      lockedAt: now,
+      lockedUntil: new Date(now.getTime() + leaseMs),
+      ...(scheduledFor && { lastScheduledFor: scheduledFor })
+    }
+  });
+  return count === 1;
+};
+
+const renewJobLock = (name, leaseMs) => prisma.scheduledJob.updateMany({
+  where: { name, lockedBy: INSTANCE_ID },
+  data: { lockedUntil: new Date(Date.now() + leaseMs) }
+});
+
+const releaseJobLock = (name) => prisma.scheduledJob.updateMany({
+  where: { name, lockedBy: INSTANCE_ID },
+  data: { lockedBy: null, lockedAt: null, lockedUntil: null }
+});
+
+/**
+ * Run a job if its lease can be taken, recording the run
+ * @param {Object} job - Job definition { name, leaseMinutes?, run, describeResult? }
+ * @param {Object} context - { trigger: 'CRON' | 'MANUAL', triggeredById?, scheduledFor? }
+ * @returns {Object} { ran: false, reason } when skipped, otherwise { ran: true, run }
+ */
+const runJob = async (job, { trigger = 'CRON', triggeredById = null, scheduledFor = null } = {}) => {
+  const leaseMs = (job.leaseMinutes || DEFAULT_LEASE_MINUTES) * MINUTE_MS;
+  const tick = trigger === 'CRON' ? scheduledFor || toScheduledTick() : null;
+  const acquired = await acquireJobLock(job.name, leaseMs, tick);
+  if (!acquired) return { ran: false, reason: 'Job is disabled, already running or this tick already ran' };
+
+  // Holding the lease means any RUNNING row left for this job belongs to an instance that died
+  await prisma.jobRun.updateMany({
+    where: { jobName: job.name, status: 'RUNNING' },
+    data: { status: 'FAILED', finishedAt: new Date(), error: 'Lease expired before the run finished' }
+  });
+
+  const run = await prisma.jobRun.create({
+    data: { jobName: job.name, trigger, triggeredById, instanceId: INSTANCE_ID }
+  });
+
+  // Keep the lease while the job is still working
+  const heartbeat = setInterval(() => {
+    renewJobLock(job.name, leaseMs).catch(err => console.error(`Failed to renew lease of job ${job.name}:`, err.message));
+  }, leaseMs / 3);
+  heartbeat.unref();
+
+  let outcome;
+  try {
+    const result = await job.run({ trigger, triggeredById });
+    // Services that report failure in their result ({ success: false }) fail the run too
+    const failed = result && result.success === false;
+    outcome = {
+      status: failed ? 'FAILED' : 'SUCCESS',
+      result: result === undefined ? undefined : JSON.parse(JSON.stringify(result)),
+      error: failed ? result.message || 'Job reported failure' : null
+    };
+    const summary = job.describeResult ? job.describeResult(result) : null;
+    if (summary) console.log(summary);
+  } catch (err) {
+    console.error(`Job ${job.name} error:`, err);
+    outcome = { status: 'FAILED', error: err.message };
+  } finally {
+    clearInterval(heartbeat);
+  }
+
+  let finished = run;
+  try {
+    finished = await prisma.jobRun.update({
+      where: { id: run.id },
+      data: { ...outcome, finishedAt: new Date() }
+    });
+    if (RUN_RETENTION_DAYS > 0) {
+      await prisma.jobRun.deleteMany({
+        where: { jobName: job.name, startedAt: { lt: new Date(Date.now() - RUN_RETENTION_DAYS * 24 * 60 * MINUTE_MS) } }
+      });
+    }
+  } catch (err) {
+    console.error(`❌ Failed to record result of job ${job.name}:`, err.message);
+  } finally {
+    await releaseJobLock(job.name).catch(err => console.error(`Failed to release lease of job ${job.name}:`, err.message));
+  }
+
+  return { ran: true, run: finished };
+};
+
+// Job definitions are loaded lazily: src/jobs requires the services the jobs call
+const getJobDefinitions = () => require('../jobs').JOBS;
+
+/**
+ * Run a job now on behalf of an admin
+ * @param {string} name
+ * @param {Object} user - Admin triggering the run
+ * @returns {Object} Finished JobRun
+ */
+const runJobNow = async (name, user) => {
+  try {
+    const job = getJobDefinitions().find(j => j.name === name);
+    if (!job) return { success: false, statusCode: 404, message: `Unknown job ${name}` };
+
+    await ensureJobs([job]);
+    const outcome = await runJob(job, { trigger: 'MANUAL', triggeredById: user.id });
+    if (!outcome.ran) {
+      return { success: false, statusCode: 409, message: `Job ${name} is already running` };
+    }
+
+    const { run } = outcome;
+    return {
+      success: run.status === 'SUCCESS',
+      statusCode: run.status === 'SUCCESS' ? 200 : 500,
+      data: run,
+      message: run.status === 'SUCCESS' ? `Job ${name} completed` : `Job ${name} failed: ${run.error}`
+    };
+  } catch (error) {
+    console.error('Run job now error:', error);
+    return {
+      success: false,
+      message: 'Failed to run job',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Jobs with their schedule, settings, lease and latest run
+ * @returns {Array<Object>}
+ */
+const listJobs = async () => {
+  try {
+    const definitions = getJobDefinitions();
+    await ensureJobs(definitions);
+
+    const rows = await prisma.scheduledJob.findMany({
+      include: {
+        runs: { orderBy: { startedAt: 'desc' }, take: 1 },
+        updatedBy: TRIGGERED_BY_SELECT
+      }
+    });
+    const rowsByName = new Map(rows.map(r => [r.name, r]));
+    const now = new Date();
+
+    const jobs = definitions.map(job => {
+      const row = rowsByName.get(job.name);
+      const locked = Boolean(row.lockedUntil && row.lockedUntil > now);
+      return {
+        name: job.name,
+        description: job.description,
+        schedule: job.schedule,
+        isEnabled: row.isEnabled,
+        isRunning: locked,
+        lockedBy: locked ? row.lockedBy : null,
+        lockedUntil: locked ? row.lockedUntil : null,
+        lastScheduledFor: row.lastScheduledFor,
+        lastRun: row.runs[0] || null,
+        updatedBy: row.updatedBy,
+        updatedAt: row.updatedAt
+      };
+    });
+
+    return { success: true, data: jobs };
+  } catch (error) {
+    console.error('List jobs error:', error);
+    return {
+      success: false,
+      message: 'Failed to fetch jobs',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Enable or disable a job on every instance (takes effect from its next scheduled run)
+ * @param {string} name
+ * @param {boolean} isEnabled
+ * @param {Object} user - Admin making the change
+ * @returns {Object} Updated ScheduledJob
+ */
+const setJobEnabled = async (name, isEnabled, user) => {
+  try {
+    const job = getJobDefinitions().find(j => j.name === name);
+    if (!job) return { success: false, statusCode: 404, message: `Unknown job ${name}` };
+
+    await ensureJobs([job]);
+    const updated = await prisma.scheduledJob.update({
+      where: { name },
+      data: { isEnabled, updatedById: user.id }
+    });
+
+    return { success: true, data: updated, message: `Job ${name} ${isEnabled ? 'enabled' : 'disabled'}` };
+  } catch (error) {
+    console.error('Set job enabled error:', error);
+    return {
+      success: false,
+      message: 'Failed to update job',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * List job runs, newest first
+ * @param {Object} options - { page, limit, jobName, status, trigger }
+ * @returns {Object} Job runs with pagination
+ */
+const listJobRuns = async (options = {}) => {
+  try {
+    const { page = 1, limit = 20, jobName, status, trigger } = options;
+    const skip = (page - 1) * limit;
+
+    const where = {};
+    if (jobName) where.jobName = jobName;
+    if (status) where.status = status;
+    if (trigger) where.trigger = trigger;
+
+    const [runs, totalCount] = await Promise.all([
+      prisma.jobRun.findMany({
+        where,
+        include: { triggeredBy: TRIGGERED_BY_SELECT },
+        orderBy: { startedAt: 'desc' },
+        skip,
+        take: limit
+      }),
+      prisma.jobRun.count({ where })
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limit);
+
+    return {
+      success: true,
+      data: {
+        runs,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalCount,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+          limit
+        }
+      }
+    };
+  } catch (error) {
+    console.error('List job runs error:', error);
+    return {
+      success: false,
+      message: 'Failed to fetch job runs',
+      error: error.message
+    };
+  }
+};
+
+module.exports = {
+  INSTANCE_ID,
+  toScheduledTick,
+  ensureJobs,
+  runJob,
+  runJobNow,
+  listJobs,
+  setJobEnabled,
+  listJobRuns
+};
@@ -1962,6 +1962,152 @@ Thank you! 🚀`;
   }
 };
 
+/**
+ * Send order rejected notification (to branch user)
+ * @param {Object} order - Order object with requester and branch
+ * @param {string} reason - Why the manager rejected the order
+ * @returns {Object} Result of the notification operation
+ */
+const sendOrderRejectedNotification = async (order, reason) => {
+  try {
+    console.log(`📬 Sending order rejected notification for order ${order.orderNumber}`);
+
+    const emailSubject = `Order Rejected: ${order.orderNumber}`;
+    const emailHtmlContent = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #dc2626;">❌ Order Rejected</h2>
+        <p>Dear ${order.requester.firstName} ${order.requester.lastName},</p>
+        
+        <p>Your order <strong>${order.orderNumber}</strong> has been rejected and will not be fulfilled.</p>
+        
+        <h3>Reason:</h3>
+        <p style="background: #fef2f2; padding: 12px; border-left: 4px solid #dc2626;">${reason}</p>
+
+        <h3>Order Details:</h3>
+        <ul>
+          <li><strong>Order Number:</strong> ${order.orderNumber}</li>
+          <li><strong>Branch:</strong> ${order.branch.name}</li>
+          <li><strong>Total Items:</strong> ${order.totalItems}</li>
+        </ul>
+
+        <p>You can place a new order from the system if the items are still required.</p>
+        
+        <hr style="margin: 20px 0; border: none; border-top: 1px solid #e5e7eb;">
+        <p style="color: #6b7280; font-size: 12px;">
+          This is an automated notification. Please do not reply to this email.
+        </p>
+      </div>
+    `;
+
+    const whatsAppMessage = `❌ *Order Rejected: ${order.orderNumber}*
+
+Dear ${order.requester.firstName},
+
+Your order ${order.orderNumber} has been rejected.
+
+📝 *Reason:* ${reason}
+
+📦 *Order Details:*
+• Order: ${order.orderNumber}
+• Branch: ${order.branch.name}
+• Items: ${order.totalItems}
+
+Thank you! 🚀`;
+
+    const [emailResult, whatsAppResult] = await Promise.all([
+      sendEmailNotification(order.requester.email, emailSubject, emailHtmlContent),
+      sendWhatsAppNotification(order.requester?.phoneNumber || process.env.SMARTWHAP_TEST_NUMBER, whatsAppMessage)
+    ]);
+
+    return {
+      success: true,
+      message: 'Order rejected notifications sent',
+      emailResult,
+      whatsAppResult
+    };
+
+  } catch (error) {
+    console.error('❌ Order rejected notification failed:', error);
+    return {
+      success: false,
+      message: 'Failed to send order rejected notifications',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Send order cancelled notification (to manager)
+ * @param {Object} order - Order object with requester and branch
+ * @param {Object} manager - Manager to inform ({ firstName, lastName, email, phoneNumber })
+ * @param {string|null} reason - Optional reason given by the branch user
+ * @returns {Object} Result of the notification operation
+ */
+const sendOrderCancelledNotification = async (order, manager, reason = null) => {
+  try {
+    console.log(`📬 Sending order cancelled notification for order ${order.orderNumber} to ${manager.email}`);
+
+    const emailSubject = `Order Cancelled by Branch: ${order.orderNumber}`;
+    const emailHtmlContent = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #6b7280;">🚫 Order Cancelled</h2>
+        <p>Dear ${manager.firstName} ${manager.lastName},</p>
+        
+        <p>Order <strong>${order.orderNumber}</strong> was cancelled by ${order.requester.firstName} ${order.requester.lastName} (${order.branch.name}). No further action is needed.</p>
+        ${reason ? `
+        <h3>Reason:</h3>
+        <p style="background: #f3f4f6; padding: 12px; border-left: 4px solid #6b7280;">${reason}</p>` : ''}
+
+        <h3>Order Details:</h3>
+        <ul>
+          <li><strong>Order Number:</strong> ${order.orderNumber}</li>
+          <li><strong>Branch:</strong> ${order.branch.name}</li>
+          <li><strong>Total Items:</strong> ${order.totalItems}</li>
+        </ul>
+
+        <p>Any stock reserved for this order has been released.</p>
+        
+        <hr style="margin: 20px 0; border: none; border-top: 1px solid #e5e7eb;">
+        <p style="color: #6b7280; font-size: 12px;">
+          This is an automated notification. Please do not reply to this email.
+        </p>
+      </div>
+    `;
+
+    const whatsAppMessage = `🚫 *Order Cancelled: ${order.orderNumber}*
+
+Dear ${manager.firstName},
+
+Order ${order.orderNumber} was cancelled by ${order.requester.firstName} (${order.branch.name}).${reason ? `
+
+📝 *Reason:* ${reason}` : ''}
+
+Any stock reserved for this order has been released.
+
+Thank you! 🚀`;
+
+    const [emailResult, whatsAppResult] = await Promise.all([
+      sendEmailNotification(manager.email, emailSubject, emailHtmlContent),
+      sendWhatsAppNotification(manager.phoneNumber || process.env.SMARTWHAP_TEST_NUMBER, whatsAppMessage)
+    ]);
+
+    return {
+      success: true,
+      message: 'Order cancelled notifications sent',
+      emailResult,
+      whatsAppResult
+    };
+
+  } catch (error) {
+    console.error('❌ Order cancelled notification failed:', error);
+    return {
+      success: false,
+      message: 'Failed to send order cancelled notifications',
+      error: error.message
+    };
+  }
+};
+
 /**
  * Send manager reply confirmation notification (to manager)
  * @param {Object} order - Order object with all details
@@ -4910,6 +5056,8 @@ module.exports = {
   sendOrderStatusUpdateNotification,
   sendOrderReceivedNotification,
   sendOrderClosedNotification,
+  sendOrderRejectedNotification,
+  sendOrderCancelledNotification,
   sendManagerReplyNotification,
   sendManagerReplyConfirmationNotification,
   sendOrderUpdatedToRequesterNotification,
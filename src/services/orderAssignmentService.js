@@ -0,0 +1,464 @@
+const prisma = require('../lib/prisma'); // reuse shared prisma client
+const {
+  notifyUsers,
+  sendPackagingAssignmentNotification,
+  sendDispatchTaskNotification
+} = require('./notificationService');
+const { getManagedBranchIds } = require('./receiptReconciliationService');
+
+/**
+ * Order Assignment Service
+ * Assigns the packager and dispatcher responsible for an order, either picked by a manager or
+ * automatically among the staff assigned to the order's branch (UserBranchAssignment), and
+ * serves each staff member's personal work queue.
+ */
+
+const STRATEGY_SETTING_KEY = 'STAFF_ASSIGNMENT_STRATEGY';
+const STRATEGIES = ['ROUND_ROBIN', 'LEAST_LOADED'];
+const DEFAULT_STRATEGY = 'LEAST_LOADED';
+
+// Statuses in which an order is (upcoming or current) work for the role; also used to measure load
+const STAFF_ROLES = {
+  PACKAGER: {
+    field: 'packagerId',
+    assignedAtField: 'packagerAssignedAt',
+    statuses: ['APPROVED_ORDER', 'ARRANGING', 'ARRANGED', 'SENT_FOR_PACKAGING', 'UNDER_PACKAGING'],
+    sendAssignmentNotification: sendPackagingAssignmentNotification
+  },
+  DISPATCHER: {
+    field: 'dispatcherId',
+    assignedAtField: 'dispatcherAssignedAt',
+    statuses: ['APPROVED_ORDER', 'ARRANGING', 'ARRANGED', 'SENT_FOR_PACKAGING', 'UNDER_PACKAGING', 'PACKAGING_COMPLETED', 'PARTIALLY_DISPATCHED'],
+    sendAssignmentNotification: sendDispatchTaskNotification
+  }
+};
+
+// Status an order moves into that assigns the role automatically when nobody was picked
+const AUTO_ASSIGN_ON_STATUS = {
+  SENT_FOR_PACKAGING: 'PACKAGER',
+  UNDER_PACKAGING: 'PACKAGER',
+  PACKAGING_COMPLETED: 'DISPATCHER'
+};
+
+const STAFF_SELECT = { id: true, firstName: true, lastName: true, email: true, phoneNumber: true };
+
+/**
+ * Orders a packager / dispatcher may see: assigned to them, or not assigned to anyone yet
+ * @param {Object} user - { id, role }
+ * @returns {Object|null} Prisma where fragment, or null for roles without assignments
+ */
+const getStaffOrderWhere = (user) => {
+  const config = STAFF_ROLES[user.role];
+  if (!config) return null;
+  return { OR: [{ [config.field]: user.id }, { [config.field]: null }] };
+};
+
+/**
+ * Strategy used by automatic assignment
+ * @returns {string} 'ROUND_ROBIN' | 'LEAST_LOADED'
+ */
+const getAssignmentStrategy = async () => {
+  const setting = await prisma.systemSetting.findUnique({ where: { key: STRATEGY_SETTING_KEY } });
+  return setting && STRATEGIES.includes(setting.value) ? setting.value : DEFAULT_STRATEGY;
+};
+
+/**
+ * Set the strategy used by automatic assignment
+ * @param {string} strategy
+ * @param {Object} user - Admin making the change
+ * @returns {Object} { strategy }
+ */
+const setAssignmentStrategy = async (strategy, user) => {
+  try {
+    await prisma.systemSetting.upsert({
+      where: { key: STRATEGY_SETTING_KEY },
+      create: { key: STRATEGY_SETTING_KEY, value: strategy, updatedById: user.id },
+      update: { value: strategy, updatedById: user.id }
+    });
+    return { success: true, data: { strategy }, message: 'Assignment strategy updated' };
+  } catch (error) {
+    console.error('Set assignment strategy error:', error);
+    return {
+      success: false,
+      message: 'Failed to update assignment strategy',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Active staff of a role assigned to a branch, in a stable order
+ * @param {string} branchId
+ * @param {string} role - 'PACKAGER' | 'DISPATCHER'
+ * @param {Object} client - Prisma client or transaction
+ * @returns {Array<Object>} Users
+ */
+const getBranchStaff = async (branchId, role, client = prisma) => {
+  if (!branchId) return [];
+  const assignments = await client.userBranchAssignment.findMany({
+    where: { branchId, isActive: true, user: { role, isActive: true } },
+    include: { user: { select: STAFF_SELECT } },
+    orderBy: { createdAt: 'asc' }
+  });
+  return assignments.map(a => a.user);
+};
+
+/**
+ * Pick a staff member of the branch for an order
+ * Candidates are rotated to start after whoever got the branch's last assignment, so
+ * ROUND_ROBIN takes the first of them and LEAST_LOADED breaks ties the same way.
+ * Runs inside the transaction of assignPickedStaff, after the role's staff rows are locked.
+ * @param {Object} tx - Prisma transaction
+ * @param {Object} order - { branchId }
+ * @param {string} role
+ * @param {string} strategy
+ * @returns {Object|null} User, or null when nobody of the role is assigned to the branch
+ */
+const pickStaff = async (tx, order, role, strategy) => {
+  const config = STAFF_ROLES[role];
+  const candidates = await getBranchStaff(order.branchId, role, tx);
+  if (candidates.length === 0) return null;
+
+  const ids = candidates.map(c => c.id);
+  const last = await tx.order.findFirst({
+    where: { branchId: order.branchId, [config.field]: { in: ids }, [config.assignedAtField]: { not: null } },
+    orderBy: { [config.assignedAtField]: 'desc' },
+    select: { [config.field]: true }
+  });
+  const start = last ? ids.indexOf(last[config.field]) + 1 : 0;
+  const rotated = [...candidates.slice(start), ...candidates.slice(0, start)];
+  if (strategy === 'ROUND_ROBIN') return rotated[0];
+
+  // Load counts open work across all branches the person serves
+  const loads = await tx.order.groupBy({
+    by: [config.field],
+    where: { [config.field]: { in: ids }, status: { in: config.statuses } },
+    _count: { _all: true }
+  });
+  const loadById = new Map(loads.map(l => [l[config.field], l._count._all]));
+  return rotated.reduce((best, user) => ((loadById.get(user.id) || 0) < (loadById.get(best.id) || 0) ? user : best));
+};
+
+// Tell the assignee (in-app, email and WhatsApp)
+const notifyAssignee = async (order, role, staff) => {
+  try {
+    await notifyUsers([staff.id], order.id, 'ORDER_ASSIGNED',
+      role === 'PACKAGER' ? 'Order Assigned For Packaging' : 'Order Assigned For Dispatch',
+      `Order ${order.orderNumber} (${order.branch ? order.branch.name : 'no branch'}) has been assigned to you`);
+    await STAFF_ROLES[role].sendAssignmentNotification(order, staff);
+  } catch (notifyErr) {
+    console.error(`Failed to notify ${role} about order ${order.orderNumber}:`, notifyErr);
+  }
+};
+
+// Store an assignment
+const storeAssignment = (client, order, role, staff) => {
+  const config = STAFF_ROLES[role];
+  return client.order.update({
+    where: { id: order.id },
+    data: { [config.field]: staff.id, [config.assignedAtField]: new Date() },
+    select: { id: true, orderNumber: true, status: true, branchId: true, packagerId: true, dispatcherId: true, packagerAssignedAt: true, dispatcherAssignedAt: true }
+  });
+};
+
+/**
+ * Store an assignment and notify the assignee
+ * @param {Object} options - { notify = true } (false when staff take the order themselves)
+ * @returns {Object} Updated order
+ */
+const applyAssignment = async (order, role, staff, { notify = true } = {}) => {
+  const updated = await storeAssignment(prisma, order, role, staff);
+  if (notify) await notifyAssignee(order, role, staff);
+  return updated;
+};
+
+const ORDER_SELECT = {
+  id: true,
+  orderNumber: true,
+  status: true,
+  branchId: true,
+  requestedAt: true,
+  packagerId: true,
+  dispatcherId: true,
+  branch: { select: { id: true, name: true } }
+};
+
+/**
+ * Pick a staff member for an order and store the assignment in one transaction, then notify them.
+ * The role's user rows are locked FOR UPDATE before anything is read, so concurrent picks run one
+ * after another and each sees the assignments (rotation and load) of the ones before it.
+ * @param {string} orderId
+ * @param {string} role
+ * @param {string} strategy
+ * @param {Object} options - { onlyIfUnassigned = false } (skip orders that got someone meanwhile)
+ * @returns {Object|null} { staff, order } - order is the updated order (unchanged when the pick is
+ *   already assigned); null when the order is gone, taken or nobody of the role serves its branch
+ */
+const assignPickedStaff = async (orderId, role, strategy, { onlyIfUnassigned = false } = {}) => {
+  const config = STAFF_ROLES[role];
+  const picked = await prisma.$transaction(async (tx) => {
+    await tx.$queryRaw`SELECT id FROM users WHERE role = ${role} ORDER BY id FOR UPDATE`;
+    const order = await tx.order.findUnique({ where: { id: orderId }, select: ORDER_SELECT });
+    if (!order || (onlyIfUnassigned && order[config.field])) return null;
+
+    const staff = await pickStaff(tx, order, role, strategy);
+    if (!staff) return { order, staff: null };
+    if (order[config.field] === staff.id) return { order, staff, unchanged: true };
+    return { order, staff, updated: await storeAssignment(tx, order, role, staff) };
+  });
+  if (!picked || !picked.staff) return picked;
+
+  if (!picked.unchanged) await notifyAssignee(picked.order, role, picked.staff);
+  return { staff: picked.staff, order: picked.updated || picked.order, unchanged: Boolean(picked.unchanged) };
+};
+
+/**
+ * Assign the packager or dispatcher of an order (manager)
+ * @param {string} orderId
+ * @param {Object} data - { role: 'PACKAGER' | 'DISPATCHER', userId? (omit to auto-assign), strategy? }
+ * @param {Object} actor - { id, role }
+ * @returns {Object} { order, assignee }
+ */
+const assignOrderStaff = async (orderId, { role, userId, strategy }, actor) => {
+  try {
+    const config = STAFF_ROLES[role];
+    const order = await prisma.order.findUnique({ where: { id: orderId }, select: ORDER_SELECT });
+    if (!order) return { success: false, statusCode: 404, message: 'Order not found' };
+
+    const managedBranchIds = await getManagedBranchIds(actor);
+    if (managedBranchIds && !managedBranchIds.includes(order.branchId)) {
+      return { success: false, statusCode: 403, message: 'You do not manage the branch of this order' };
+    }
+    if (!config.statuses.includes(order.status)) {
+      return { success: false, statusCode: 400, message: `A ${role.toLowerCase()} cannot be assigned while the order is ${order.status}` };
+    }
+
+    if (!userId) {
+      const picked = await assignPickedStaff(orderId, role, strategy || await getAssignmentStrategy());
+      if (!picked || !picked.staff) {
+        return { success: false, statusCode: 400, message: `No active ${role.toLowerCase()} is assigned to ${order.branch ? order.branch.name : 'this branch'}` };
+      }
+      const name = `${picked.staff.firstName} ${picked.staff.lastName}`;
+      return {
+        success: true,
+        data: { order: picked.order, assignee: picked.staff },
+        message: picked.unchanged ? `Order is already assigned to ${name}` : `Order assigned to ${name}`
+      };
+    }
+
+    const staff = (await getBranchStaff(order.branchId, role)).find(u => u.id === userId);
+    if (!staff) {
+      return { success: false, statusCode: 400, message: `User is not an active ${role.toLowerCase()} assigned to ${order.branch ? order.branch.name : 'this branch'}` };
+    }
+
+    if (order[config.field] === staff.id) {
+      return { success: true, data: { order, assignee: staff }, message: `Order is already assigned to ${staff.firstName} ${staff.lastName}` };
+    }
+
+    const updated = await applyAssignment(order, role, staff);
+    return { success: true, data: { order: updated, assignee: staff }, message: `Order assigned to ${staff.firstName} ${staff.lastName}` };
+  } catch (error) {
+    console.error('Assign order staff error:', error);
+    return {
+      success: false,
+      message: 'Failed to assign order',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Remove the packager or dispatcher of an order (manager)
+ * @param {string} orderId
+ * @param {string} role - 'PACKAGER' | 'DISPATCHER'
+ * @param {Object} actor - { id, role }
+ * @returns {Object} Updated order
+ */
+const unassignOrderStaff = async (orderId, role, actor) => {
+  try {
+    const config = STAFF_ROLES[role];
+    const order = await prisma.order.findUnique({ where: { id: orderId }, select: ORDER_SELECT });
+    if (!order) return { success: false, statusCode: 404, message: 'Order not found' };
+
+    const managedBranchIds = await getManagedBranchIds(actor);
+    if (managedBranchIds && !managedBranchIds.includes(order.branchId)) {
+      return { success: false, statusCode: 403, message: 'You do not manage the branch of this order' };
+    }
+    if (!order[config.field]) {
+      return { success: false, statusCode: 400, message: `Order has no ${role.toLowerCase()} assigned` };
+    }
+
+    const updated = await prisma.order.update({
+      where: { id: orderId },
+      data: { [config.field]: null, [config.assignedAtField]: null },
+      select: { id: true, orderNumber: true, status: true, packagerId: true, dispatcherId: true }
+    });
+    return { success: true, data: updated, message: `${role === 'PACKAGER' ? 'Packager' : 'Dispatcher'} unassigned` };
+  } catch (error) {
+    console.error('Unassign order staff error:', error);
+    return {
+      success: false,
+      message: 'Failed to unassign order',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Assign staff automatically when an order enters a stage nobody was picked for.
+ * A packager / dispatcher who moved the order on themselves takes it; otherwise one is picked.
+ * Called after status changes; never fails the status change.
+ * @param {string} orderId
+ * @param {string} status - Status the order just moved to
+ * @param {Object} actor - { id } of the user who changed the status (optional)
+ * @returns {Object|null} Assignee, or null when nothing was assigned
+ */
+const autoAssignForStatus = async (orderId, status, actor = null) => {
+  const role = AUTO_ASSIGN_ON_STATUS[status];
+  if (!role) return null;
+
+  try {
+    const order = await prisma.order.findUnique({ where: { id: orderId }, select: ORDER_SELECT });
+    if (!order || order[STAFF_ROLES[role].field]) return null;
+
+    const actorUser = actor && actor.id
+      ? await prisma.user.findUnique({ where: { id: actor.id }, select: { ...STAFF_SELECT, role: true } })
+      : null;
+    if (actorUser && actorUser.role === role) {
+      await applyAssignment(order, role, actorUser, { notify: false });
+      return actorUser;
+    }
+
+    const picked = await assignPickedStaff(orderId, role, await getAssignmentStrategy(), { onlyIfUnassigned: true });
+    if (picked && !picked.staff) {
+      console.log(`No ${role.toLowerCase()} assigned to the branch of order ${order.orderNumber}; left unassigned`);
+    }
+    return picked ? picked.staff : null;
+  } catch (error) {
+    console.error(`Auto-assign ${role} for order ${orderId} error:`, error);
+    return null;
+  }
+};
+
+/**
+ * Orders assigned to a packager or dispatcher that still need their work, oldest assignment first
+ * @param {Object} user - { id, role } (PACKAGER or DISPATCHER)
+ * @param {Object} options - { status, page, limit }
+ * @returns {Object} Orders with pagination
+ */
+const getMyQueue = async (user, options = {}) => {
+  try {
+    const config = STAFF_ROLES[user.role];
+    if (!config) return { success: false, statusCode: 403, message: 'Only packagers and dispatchers have a work queue' };
+
+    const { status, page = 1, limit = 20 } = options;
+    const skip = (page - 1) * limit;
+    const where = {
+      [config.field]: user.id,
+      status: status ? status : { in: config.statuses }
+    };
+
+    const [orders, totalCount] = await Promise.all([
+      prisma.order.findMany({
+        where,
+        include: {
+          branch: { select: { id: true, name: true, address: true, city: true, state: true } },
+          requester: { select: { id: true, firstName: true, lastName: true, email: true } },
+          orderItems: { select: { id: true, sku: true, qtyRequested: true, qtyApproved: true, qtyReceived: true } }
+        },
+        orderBy: [{ [config.assignedAtField]: 'asc' }, { requestedAt: 'asc' }],
+        skip,
+        take: limit
+      }),
+      prisma.order.count({ where })
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limit);
+
+    return {
+      success: true,
+      data: {
+        orders,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalCount,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+          limit
+        }
+      }
+    };
+  } catch (error) {
+    console.error('Get my queue error:', error);
+    return {
+      success: false,
+      message: 'Failed to fetch work queue',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Open work per packager / dispatcher of the branches a manager runs, and what is unassigned
+ * @param {Object} filters - { role, branchId? }
+ * @param {Object} actor - { id, role }
+ * @returns {Object} { staff: [{ user, branchIds, openOrders, byStatus }], unassigned }
+ */
+const getStaffWorkload = async ({ role, branchId }, actor) => {
+  try {
+    const config = STAFF_ROLES[role];
+    const managedBranchIds = await getManagedBranchIds(actor);
+    if (branchId && managedBranchIds && !managedBranchIds.includes(branchId)) {
+      return { success: false, statusCode: 403, message: 'You do not manage this branch' };
+    }
+    const branchIds = branchId ? [branchId] : managedBranchIds;
+    const branchWhere = branchIds ? { branchId: { in: branchIds } } : {};
+
+    const assignments = await prisma.userBranchAssignment.findMany({
+      where: { ...branchWhere, isActive: true, user: { role, isActive: true } },
+      include: { user: { select: STAFF_SELECT } }
+    });
+    const staffById = new Map();
+    for (const a of assignments) {
+      if (!staffById.has(a.userId)) staffById.set(a.userId, { user: a.user, branchIds: [], openOrders: 0, byStatus: {} });
+      staffById.get(a.userId).branchIds.push(a.branchId);
+    }
+
+    const [loads, unassigned] = await Promise.all([
+      prisma.order.groupBy({
+        by: [config.field, 'status'],
+        where: { [config.field]: { in: [...staffById.keys()] }, status: { in: config.statuses } },
+        _count: { _all: true }
+      }),
+      prisma.order.count({ where: { ...branchWhere, [config.field]: null, status: { in: config.statuses } } })
+    ]);
+    for (const load of loads) {
+      const entry = staffById.get(load[config.field]);
+      entry.openOrders += load._count._all;
+      entry.byStatus[load.status] = load._count._all;
+    }
+
+    const staff = [...staffById.values()].sort((a, b) => a.openOrders - b.openOrders);
+    return { success: true, data: { role, staff, unassigned } };
+  } catch (error) {
+    console.error('Get staff workload error:', error);
+    return {
+      success: false,
+      message: 'Failed to fetch staff workload',
+      error: error.message
+    };
+  }
+};
+
+module.exports = {
+  STRATEGIES,
+  getAssignmentStrategy,
+  setAssignmentStrategy,
+  assignOrderStaff,
+  unassignOrderStaff,
+  autoAssignForStatus,
+  getStaffOrderWhere,
+  getMyQueue,
+  getStaffWorkload
+};
@@ -0,0 +1,230 @@
+const prisma = require('../lib/prisma'); // reuse shared prisma client
+const { approveOrder, updateOrderStatus, STATUS_NOTIFICATION_TYPES } = require('./orderService');
+const { getApproverIds } = require('./approvalChainService');
+const { notifyUsers, sendEmailNotification, sendWhatsAppNotification } = require('./notificationService');
+
+/**
+ * Order Bulk Service
+ * Approves or moves many orders in one request. Each order goes through the single-order
+ * service (state machine, role checks, budgets, stock) on its own, so one failure never blocks
+ * the rest. Notifications are held back and sent once per recipient for the whole batch, on the
+ * same channels (in-app, email, WhatsApp) the single-order action would have used.
+ */
+
+const MAX_BULK_ORDERS = 100;
+
+// Statuses for which a manager's single status update also emails / messages the order's manager
+const MANAGER_UPDATE_STATUSES = ['SENT_FOR_PACKAGING', 'UNDER_PACKAGING', 'PACKAGING_COMPLETED', 'IN_TRANSIT', 'RECEIVED'];
+
+const summarize = (results) => ({
+  total: results.length,
+  succeeded: results.filter(r => r.success).length,
+  failed: results.filter(r => !r.success).length
+});
+
+/**
+ * Send one notification per recipient and channel for a batch of orders
+ * @param {Map<string, Array<Object>>} ordersByUser - userId -> orders ({ id, orderNumber })
+ * @param {string} type - NotificationType
+ * @param {string} title
+ * @param {Function} describe - (orderNumbers, count) => message
+ * @param {Object} channels - { inApp = true, email = false, whatsapp = false }
+ */
+const sendBatchedNotifications = async (ordersByUser, type, title, describe, { inApp = true, email = false, whatsapp = false } = {}) => {
+  for (const [userId, orders] of ordersByUser) {
+    const orderNumbers = orders.map(o => o.orderNumber).join(', ');
+    const message = describe(orderNumbers, orders.length);
+    try {
+      // A single order keeps the link to the order; a digest has no single order to point to
+      if (inApp) await notifyUsers([userId], orders.length === 1 ? orders[0].id : null, type, title, message);
+      if (!email && !whatsapp) continue;
+
+      const user = await prisma.user.findUnique({ where: { id: userId }, select: { email: true, firstName: true, phoneNumber: true } });
+      if (!user) continue;
+      if (email && user.email) {
+        await sendEmailNotification(user.email, title, `<p>Hi ${user.firstName || ''},</p><p>${message}</p>`);
+      }
+      if (whatsapp && user.phoneNumber) {
+        await sendWhatsAppNotification(user.phoneNumber, `${title}\n\n${message}`);
+      }
+    } catch (notifyErr) {
+      console.error(`Failed to send batched ${type} notification:`, notifyErr);
+    }
+  }
+};
+
+const addToGroup = (groups, key, order) => {
+  if (!key) return;
+  if (!groups.has(key)) groups.set(key, []);
+  groups.get(key).push(order);
+};
+
+/**
+ * Approve many orders as requested (every line approved at its requested quantity)
+ * @param {Array<string>} orderIds - Orders to approve
+ * @param {Object} user - Approving manager ({ id, role })
+ * @returns {Object} { results: [{ orderId, orderNumber, success, status, message }], summary }
+ */
+const bulkApproveOrders = async (orderIds, user) => {
+  try {
+    const ids = [...new Set(orderIds)];
+    if (ids.length > MAX_BULK_ORDERS) {
+      return { success: false, statusCode: 400, message: `At most ${MAX_BULK_ORDERS} orders can be approved at once` };
+    }
+
+    const orders = await prisma.order.findMany({
+      where: { id: { in: ids } },
+      select: { id: true, orderNumber: true, orderItems: { select: { sku: true, qtyRequested: true } } }
+    });
+    const orderById = Object.fromEntries(orders.map(o => [o.id, o]));
+
+    // One at a time: approvals reserve stock and check budgets that earlier orders in the batch change
+    const results = [];
+    const approved = [];
+    for (const orderId of ids) {
+      const order = orderById[orderId];
+      if (!order) {
+        results.push({ orderId, orderNumber: null, success: false, message: 'Order not found' });
+        continue;
+      }
+
+      const approvedItems = order.orderItems.map(oi => ({ sku: oi.sku, qtyApproved: oi.qtyRequested }));
+      const result = await approveOrder(orderId, user.id, approvedItems, { notify: false });
+      results.push({
+        orderId,
+        orderNumber: order.orderNumber,
+        success: result.success,
+        status: result.success ? result.data.status : undefined,
+        message: result.budget && result.budget.exceeded
+          ? `${result.message}. Warning: ${result.budget.message}`
+          : result.message
+      });
+      if (result.success) approved.push({ ...result.data, signOff: result.signOff });
+    }
+
+    // Batch notifications: requesters hear once about all their orders, approvers once about theirs
+    const confirmPendingByRequester = new Map();
+    const confirmPendingByManager = new Map();
+    const awaitingSignOffByRequester = new Map();
+    const signOffByApprover = new Map();
+    for (const order of approved) {
+      if (order.signOff) {
+        addToGroup(awaitingSignOffByRequester, order.requesterId, order);
+        const approverIds = await getApproverIds(order, order.signOff.role);
+        for (const approverId of approverIds) addToGroup(signOffByApprover, approverId, order);
+      } else {
+        addToGroup(confirmPendingByRequester, order.requesterId, order);
+        addToGroup(confirmPendingByManager, order.managerId || user.id, order);
+      }
+    }
+
+    await sendBatchedNotifications(confirmPendingByRequester, 'ORDER_CONFIRM_PENDING', 'Order Approval Pending Confirmation',
+      (numbers, count) => count === 1
+        ? `Your order ${numbers} has been approved and is waiting for your confirmation.`
+        : `${count} of your orders have been approved and are waiting for your confirmation: ${numbers}.`,
+      { email: true, whatsapp: true });
+    // The single approval emails / messages the manager a copy; in-app they already see the result
+    await sendBatchedNotifications(confirmPendingByManager, 'ORDER_CONFIRM_PENDING', 'Orders Awaiting Branch Confirmation',
+      (numbers, count) => count === 1
+        ? `Order ${numbers} is approved and waiting for the branch to confirm.`
+        : `${count} approved orders are waiting for the branch to confirm: ${numbers}.`,
+      { inApp: false, email: true, whatsapp: true });
+    await sendBatchedNotifications(awaitingSignOffByRequester, 'ORDER_APPROVAL_REQUIRED', 'Order Awaiting Sign-off',
+      (numbers, count) => count === 1
+        ? `Your order ${numbers} was approved by the manager and now needs further sign-off.`
+        : `${count} of your orders were approved by the manager and now need further sign-off: ${numbers}.`);
+    await sendBatchedNotifications(signOffByApprover, 'ORDER_APPROVAL_REQUIRED', 'Order Sign-off Required',
+      (numbers, count) => count === 1
+        ? `Order ${numbers} needs your sign-off.`
+        : `${count} orders need your sign-off: ${numbers}.`);
+
+    return { success: true, data: { results, summary: summarize(results) } };
+  } catch (error) {
+    console.error('Bulk approve orders error:', error);
+    return {
+      success: false,
+      message: 'Failed to approve orders',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Move many orders to the same status (the transitions allowed through update-status)
+ * @param {Array<string>} orderIds - Orders to update
+ * @param {string} newStatus - Target status
+ * @param {Object} user - Acting user ({ id, role })
+ * @param {Object} options - { expectedDeliveryTime } for IN_TRANSIT
+ * @returns {Object} { results: [{ orderId, orderNumber, success, status, message }], summary }
+ */
+const bulkUpdateOrderStatus = async (orderIds, newStatus, user, { expectedDeliveryTime } = {}) => {
+  try {
+    const ids = [...new Set(orderIds)];
+    if (ids.length > MAX_BULK_ORDERS) {
+      return { success: false, statusCode: 400, message: `At most ${MAX_BULK_ORDERS} orders can be updated at once` };
+    }
+
+    const orders = await prisma.order.findMany({
+      where: { id: { in: ids } },
+      select: { id: true, orderNumber: true }
+    });
+    const orderById = Object.fromEntries(orders.map(o => [o.id, o]));
+
+    const results = [];
+    const updated = [];
+    for (const orderId of ids) {
+      const order = orderById[orderId];
+      if (!order) {
+        results.push({ orderId, orderNumber: null, success: false, message: 'Order not found' });
+        continue;
+      }
+
+      const result = await updateOrderStatus(orderId, user.id, user.role, newStatus, null, [], expectedDeliveryTime, { notify: false });
+      results.push({
+        orderId,
+        orderNumber: order.orderNumber,
+        success: result.success,
+        status: result.success ? result.data.status : undefined,
+        message: result.message
+      });
+      if (result.success) updated.push(result.data);
+    }
+
+    // Managers' single updates also email / message the requester (and for later stages the order's manager)
+    const byManagerActor = user.role === 'MANAGER';
+    if (STATUS_NOTIFICATION_TYPES[newStatus]) {
+      const byRequester = new Map();
+      for (const order of updated) addToGroup(byRequester, order.requesterId, order);
+      const [type, title] = STATUS_NOTIFICATION_TYPES[newStatus];
+      await sendBatchedNotifications(byRequester, type, title,
+        (numbers, count) => count === 1
+          ? `Order ${numbers} updated to ${newStatus}`
+          : `${count} of your orders were updated to ${newStatus}: ${numbers}`,
+        { email: byManagerActor, whatsapp: byManagerActor });
+    }
+    if (byManagerActor && MANAGER_UPDATE_STATUSES.includes(newStatus)) {
+      const byManager = new Map();
+      for (const order of updated) addToGroup(byManager, order.managerId, order);
+      await sendBatchedNotifications(byManager, 'SYSTEM_ALERT', `Orders Updated to ${newStatus}`,
+        (numbers, count) => count === 1
+          ? `Order ${numbers} was updated to ${newStatus}.`
+          : `${count} orders were updated to ${newStatus}: ${numbers}.`,
+        { inApp: false, email: true, whatsapp: true });
+    }
+
+    return { success: true, data: { results, summary: summarize(results) } };
+  } catch (error) {
+    console.error('Bulk update order status error:', error);
+    return {
+      success: false,
+      message: 'Failed to update orders',
+      error: error.message
+    };
+  }
+};
+
+module.exports = {
+  MAX_BULK_ORDERS,
+  bulkApproveOrders,
+  bulkUpdateOrderStatus
+};
@@ -0,0 +1,180 @@
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const prisma = require('../lib/prisma'); // reuse shared prisma client
+const { DATE_FIELDS, buildOrderWhere } = require('./orderSearchService');
+
+/**
+ * Order Export Service
+ * Streams one row per order line as CSV or XLSX. Takes the same filters as order search and is
+ * scoped the same way (managers only export the branches they manage).
+ * Orders are read in batches so large exports never sit in memory.
+ */
+
+const EXPORT_BATCH_SIZE = 200;
+
+const COLUMNS = [
+  { header: 'Order Number', key: 'orderNumber', width: 18 },
+  { header: 'Status', key: 'status', width: 24 },
+  { header: 'Branch', key: 'branch', width: 24 },
+  { header: 'Requester', key: 'requester', width: 24 },
+  { header: 'Requester Email', key: 'requesterEmail', width: 28 },
+  { header: 'Manager', key: 'manager', width: 24 },
+  { header: 'SKU', key: 'sku', width: 16 },
+  { header: 'Item Name', key: 'itemName', width: 32 },
+  { header: 'Category', key: 'category', width: 18 },
+  { header: 'Unit', key: 'unit', width: 10 },
+  { header: 'Out Of Stock', key: 'outOfStock', width: 12 },
+  { header: 'Qty Requested', key: 'qtyRequested', width: 14 },
+  { header: 'Qty Approved', key: 'qtyApproved', width: 14 },
+  { header: 'Qty Received', key: 'qtyReceived', width: 14 },
+  { header: 'Unit Price', key: 'unitPrice', width: 12 },
+  { header: 'Total Price', key: 'totalPrice', width: 12 },
+  ...DATE_FIELDS.map(field => ({ header: field, key: field, width: 22 }))
+];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const fullName = (user) => (user ? `${user.firstName} ${user.lastName}`.trim() : '');
+
+const toRow = (order, orderItem, item) => {
+  const row = {
+    orderNumber: order.orderNumber,
+    status: order.status,
+    branch: order.branch ? order.branch.name : '',
+    requester: fullName(order.requester),
+    requesterEmail: order.requester ? order.requester.email : '',
+    manager: fullName(order.manager),
+    sku: orderItem.sku || '',
+    itemName: item ? item.name : '',
+    category: item && item.category ? item.category : '',
+    unit: item && item.unit ? item.unit : '',
+    outOfStock: orderItem.outOfStock ? 'YES' : 'NO',
+    qtyRequested: orderItem.qtyRequested,
+    qtyApproved: orderItem.qtyApproved,
+    qtyReceived: orderItem.qtyReceived,
+    unitPrice: orderItem.unitPrice != null ? Number(orderItem.unitPrice) : null,
+    totalPrice: orderItem.totalPrice != null ? Number(orderItem.totalPrice) : null
+  };
+  for (const field of DATE_FIELDS) row[field] = order[field] || null;
+  return row;
+};
+
+// Quote CSV cells and stop spreadsheet apps from running text that looks like a formula
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'number') return String(value);
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// CSV and XLSX writers behind one interface
+const createWriter = (format, stream) => {
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+    const sheet = workbook.addWorksheet('Order Lines');
+    sheet.columns = COLUMNS;
+    return {
+      writeRow: async (row) => sheet.addRow(row).commit(),
+      end: async () => {
+        sheet.commit();
+        await workbook.commit();
+      }
+    };
+  }
+
+  const write = async (line) => {
+    if (!stream.write(`${line}\r\n`)) await once(stream, 'drain');
+  };
+  // BOM so Excel opens the UTF-8 file with the right encoding
+  stream.write('\ufeff');
+  return {
+    writeHeader: () => write(COLUMNS.map(c => csvCell(c.header)).join(',')),
+    writeRow: (row) => write(COLUMNS.map(c => csvCell(row[c.key])).join(',')),
+    end: async () => stream.end()
+  };
+};
+
+/**
+ * File name and content type of an export
+ * @param {string} format - 'csv' | 'xlsx'
+ * @returns {Object} { fileName, contentType }
+ */
+const getExportFileInfo = (format) => {
+  const stamp = new Date().toISOString().slice(0, 16).replace(/[-:T]/g, '');
+  return { fileName: `orders-${stamp}.${format}`, contentType: CONTENT_TYPES[format] };
+};
+
+/**
+ * Write the order lines matching the filters to a stream
+ * @param {Object} filters - Order search filters (see orderSearchService.searchOrders)
+ * @param {Object} user - Requesting user ({ id, role, branchId })
+ * @param {string} format - 'csv' | 'xlsx'
+ * @param {Writable} stream - Destination (the HTTP response); ended when the export is complete
+ * @returns {Object} { success, data: { orderCount, rowCount } }
+ */
+const exportOrderLines = async (filters, user, format, stream) => {
+  try {
+    const { sortBy = 'requestedAt', sortOrder = 'desc' } = filters;
+    const where = await buildOrderWhere(filters, user);
+
+    const writer = createWriter(format, stream);
+    if (writer.writeHeader) await writer.writeHeader();
+
+    let cursorId = null;
+    let orderCount = 0;
+    let rowCount = 0;
+    for (;;) {
+      const orders = await prisma.order.findMany({
+        where,
+        include: {
+          requester: { select: { firstName: true, lastName: true, email: true } },
+          manager: { select: { firstName: true, lastName: true } },
+          branch: { select: { name: true } },
+          orderItems: { orderBy: { createdAt: 'asc' } }
+        },
+        orderBy: [{ [sortBy]: sortOrder }, { id: sortOrder }],
+        ...(cursorId ? { cursor: { id: cursorId }, skip: 1 } : {}),
+        take: EXPORT_BATCH_SIZE
+      });
+      if (orders.length === 0) break;
+
+      const skus = [...new Set(orders.flatMap(o => o.orderItems.map(oi => oi.sku)).filter(Boolean))];
+      const items = await prisma.item.findMany({
+        where: { sku: { in: skus } },
+        select: { sku: true, name: true, category: true, unit: true }
+      });
+      const itemMap = Object.fromEntries(items.map(i => [i.sku, i]));
+
+      for (const order of orders) {
+        for (const orderItem of order.orderItems) {
+          await writer.writeRow(toRow(order, orderItem, itemMap[orderItem.sku]));
+          rowCount++;
+        }
+      }
+
+      orderCount += orders.length;
+      if (orders.length < EXPORT_BATCH_SIZE) break;
+      cursorId = orders[orders.length - 1].id;
+    }
+
+    await writer.end();
+    return { success: true, data: { orderCount, rowCount } };
+  } catch (error) {
+    console.error('Export order lines error:', error);
+    return {
+      success: false,
+      message: 'Failed to export orders',
+      error: error.message
+    };
+  }
+};
+
+module.exports = {
+  getExportFileInfo,
+  exportOrderLines
+};
@@ -0,0 +1,223 @@
+const prisma = require('../lib/prisma'); // reuse shared prisma client
+const { parseCsv } = require('../lib/csv');
+const { getReservedQuantities } = require('./stockReservationService');
+
+/**
+ * Order Import Service
+ * Branch users upload a CSV of SKU + quantity. Every row is checked against the catalog the
+ * branch can order from (active items listed for the branch's target locations) and the stock
+ * that is not reserved by approved orders. The confirm step re-validates and creates the order,
+ * sending lines without stock as out-of-stock lines.
+ */
+
+const MAX_IMPORT_ROWS = 500;
+
+const SKU_HEADERS = ['sku', 'item sku', 'item code'];
+const QUANTITY_HEADERS = ['quantity', 'qty', 'qty requested'];
+
+/**
+ * Read SKU/quantity rows from the CSV. A header row is optional; without one the first two
+ * columns are SKU and quantity.
+ * @param {string} csvText
+ * @returns {Array<Object>} [{ rowNumber, sku, quantity, rawQuantity }]
+ * @throws {Error} When the file is empty, malformed or too long
+ */
+const readImportRows = (csvText) => {
+  const rows = parseCsv(csvText);
+  if (rows.length === 0) throw new Error('The CSV file is empty');
+
+  let skuIndex = 0;
+  let quantityIndex = 1;
+  const header = rows[0].cells.map(c => c.toLowerCase());
+  const hasHeader = header.some(c => SKU_HEADERS.includes(c));
+  if (hasHeader) {
+    skuIndex = header.findIndex(c => SKU_HEADERS.includes(c));
+    quantityIndex = header.findIndex(c => QUANTITY_HEADERS.includes(c));
+    if (quantityIndex === -1) throw new Error('CSV header must have a quantity column (quantity or qty)');
+  }
+
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+  if (dataRows.length === 0) throw new Error('The CSV file has no rows');
+  if (dataRows.length > MAX_IMPORT_ROWS) {
+    throw new Error(`The CSV file has ${dataRows.length} rows; at most ${MAX_IMPORT_ROWS} can be imported at once`);
+  }
+
+  return dataRows.map(row => {
+    const rawQuantity = row.cells[quantityIndex] || '';
+    return {
+      rowNumber: row.line,
+      sku: (row.cells[skuIndex] || '').trim(),
+      rawQuantity,
+      quantity: /^\d+$/.test(rawQuantity) ? Number(rawQuantity) : null
+    };
+  });
+};
+
+/**
+ * Validate import rows for a branch
+ * Row status: OK (in stock) | OUT_OF_STOCK (ordered as an out-of-stock line) | ERROR
+ * A SKU listed twice is merged into its first row.
+ * @param {Array<Object>} rows - Output of readImportRows
+ * @param {string} branchId - Branch placing the order
+ * @returns {Object} { rows, summary, canImport, inStockItems, outOfStockItems }
+ */
+const validateImportRows = async (rows, branchId) => {
+  const skus = [...new Set(rows.map(r => r.sku).filter(Boolean))];
+  const [items, reservedBySku, locations] = await Promise.all([
+    prisma.item.findMany({
+      where: { sku: { in: skus } },
+      select: { sku: true, name: true, category: true, unit: true, price: true, isActive: true, currentStock: true, targetLocation: true }
+    }),
+    getReservedQuantities(skus),
+    prisma.branchTargetLocation.findMany({ where: { branchId }, select: { location: true } })
+  ]);
+  const itemBySku = Object.fromEntries(items.map(i => [i.sku, i]));
+  const branchLocations = locations.map(l => String(l.location).trim()).filter(Boolean);
+
+  // Same rule as the branch catalog: the item's target locations mention one of the branch's
+  const isListedForBranch = (item) =>
+    branchLocations.some(loc => String(item.targetLocation || '').includes(loc));
+
+  // Merge repeated SKUs so each SKU becomes one order line
+  const merged = [];
+  const firstRowBySku = {};
+  for (const row of rows) {
+    const first = row.sku ? firstRowBySku[row.sku] : null;
+    if (first && row.quantity && first.quantity) {
+      first.quantity += row.quantity;
+      first.warnings.push(`Merged with row ${row.rowNumber}`);
+      continue;
+    }
+    const entry = { rowNumber: row.rowNumber, sku: row.sku, quantity: row.quantity, errors: [], warnings: [] };
+    if (!row.sku) entry.errors.push('SKU is missing');
+    if (!row.quantity) entry.errors.push(`Quantity "${row.rawQuantity}" must be a whole number of at least 1`);
+    if (row.sku && !first) firstRowBySku[row.sku] = entry;
+    merged.push(entry);
+  }
+
+  const result = merged.map((entry) => {
+    const item = entry.sku ? itemBySku[entry.sku] : null;
+    if (entry.sku && !item) entry.errors.push(`SKU ${entry.sku} not found`);
+    else if (item && !item.isActive) entry.errors.push(`SKU ${entry.sku} is inactive`);
+    else if (item && !isListedForBranch(item)) entry.errors.push(`SKU ${entry.sku} is not listed for this branch`);
+
+    const availableStock = item ? Math.max(0, item.currentStock - (reservedBySku[item.sku] || 0)) : 0;
+    if (entry.errors.length === 0 && availableStock > 0 && availableStock < entry.quantity) {
+      entry.errors.push(`Only ${availableStock} available; order ${availableStock} or fewer, or a separate out-of-stock request`);
+    }
+
+    let status = 'ERROR';
+    if (entry.errors.length === 0) status = availableStock > 0 ? 'OK' : 'OUT_OF_STOCK';
+
+    return {
+      ...entry,
+      status,
+      availableStock,
+      item: item ? { name: item.name, category: item.category, unit: item.unit, price: item.price ? Number(item.price) : null } : null,
+      lineValue: status === 'OK' && item ? Number(item.price || 0) * entry.quantity : 0
+    };
+  });
+
+  const count = (status) => result.filter(r => r.status === status).length;
+  return {
+    rows: result,
+    summary: {
+      totalRows: result.length,
+      inStockRows: count('OK'),
+      outOfStockRows: count('OUT_OF_STOCK'),
+      errorRows: count('ERROR'),
+      totalValue: result.reduce((sum, r) => sum + r.lineValue, 0)
+    },
+    canImport: result.length > 0 && count('ERROR') === 0,
+    inStockItems: result.filter(r => r.status === 'OK').map(r => ({ sku: r.sku, quantity: r.quantity })),
+    outOfStockItems: result.filter(r => r.status === 'OUT_OF_STOCK').map(r => ({ sku: r.sku, quantity: r.quantity }))
+  };
+};
+
+/**
+ * Row-level preview of a CSV import
+ * @param {string} csvText - Uploaded CSV
+ * @param {Object} user - Branch user ({ id, branchId })
+ * @returns {Object} Preview (see validateImportRows)
+ */
+const previewOrderImport = async (csvText, user) => {
+  try {
+    if (!user.branchId) {
+      return { success: false, statusCode: 400, message: 'User is not assigned to a branch' };
+    }
+
+    let rows;
+    try {
+      rows = readImportRows(csvText);
+    } catch (parseError) {
+      return { success: false, statusCode: 400, message: parseError.message };
+    }
+
+    const preview = await validateImportRows(rows, user.branchId);
+    return { success: true, data: preview };
+  } catch (error) {
+    console.error('Preview order import error:', error);
+    return {
+      success: false,
+      message: 'Failed to preview order import',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Re-validate an import and create the order
+ * @param {string} csvText - Same CSV as the preview
+ * @param {Object} user - Branch user ({ id, role, branchId })
+ * @param {string} remarks - Optional order remarks
+ * @returns {Object} Created order; the fresh preview when rows no longer validate
+ */
+const confirmOrderImport = async (csvText, user, remarks) => {
+  try {
+    const previewResult = await previewOrderImport(csvText, user);
+    if (!previewResult.success) return previewResult;
+
+    const preview = previewResult.data;
+    if (!preview.canImport) {
+      return {
+        success: false,
+        statusCode: 422,
+        message: `${preview.summary.errorRows} row(s) have errors; fix them and try again`,
+        data: preview
+      };
+    }
+
+    const { createOrder } = require('./orderService');
+    const result = await createOrder({
+      requesterId: user.id,
+      requesterRole: user.role,
+      branchId: user.branchId,
+      remarks,
+      inStockItems: preview.inStockItems,
+      outOfStockItems: preview.outOfStockItems
+    });
+    if (!result.success) {
+      return { success: false, statusCode: 400, message: result.message };
+    }
+
+    const budgetWarning = result.budget && result.budget.exceeded ? `. Warning: ${result.budget.message}` : '';
+    return {
+      success: true,
+      data: result.data,
+      budget: result.budget,
+      message: `Order ${result.data.orderNumber} created from ${preview.summary.totalRows} imported line(s)${budgetWarning}`
+    };
+  } catch (error) {
+    console.error('Confirm order import error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to import order',
+      error: error.message
+    };
+  }
+};
+
+module.exports = {
+  previewOrderImport,
+  confirmOrderImport
+};
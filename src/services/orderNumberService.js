@@ -0,0 +1,196 @@
+const prisma = require('../lib/prisma'); // reuse shared prisma client
+const {
+  DEFAULT_ORDER_NUMBER_FORMAT,
+  parseOrderNumberFormat,
+  getSequenceScope,
+  renderOrderNumber,
+  getBranchCode
+} = require('../lib/orderNumberFormat');
+const { getBusinessCalendar } = require('./businessCalendarService');
+
+/**
+ * Order Number Service
+ * Issues order numbers from per-scope sequences (see lib/orderNumberFormat) inside the
+ * transaction that creates the order, so concurrent orders never share a number.
+ * Changing the format only affects new orders; existing orders keep their numbers.
+ */
+
+const FORMAT_SETTING_KEY = 'ORDER_NUMBER_FORMAT';
+
+// Give up when this many consecutive candidates are already taken (e.g. after a format change)
+const MAX_ATTEMPTS = 20;
+
+// Zone the date tokens are read in: the branch's calendar when numbers are per branch, else the company's,
+// so one sequence never mixes two zones
+const getNumberingTimeZone = async (parsed, branchId) =>
+  (await getBusinessCalendar(parsed.usesBranch ? branchId : null)).timeZone;
+
+/**
+ * Current order number format
+ * @param {Object} client - Prisma client or transaction
+ * @returns {string}
+ */
+const getOrderNumberFormat = async (client = prisma) => {
+  const setting = await client.systemSetting.findUnique({ where: { key: FORMAT_SETTING_KEY } });
+  return setting ? setting.value : DEFAULT_ORDER_NUMBER_FORMAT;
+};
+
+// Increment a sequence and return the new value; the row stays locked until the transaction ends
+const nextSequenceValue = async (tx, scope) => {
+  const existing = await tx.orderNumberSequence.findUnique({ where: { scope } });
+  if (!existing) {
+    try {
+      await tx.orderNumberSequence.create({ data: { scope, lastValue: 0 } });
+    } catch (error) {
+      // Another order created the sequence first
+      if (error.code !== 'P2002') throw error;
+    }
+  }
+  const sequence = await tx.orderNumberSequence.update({
+    where: { scope },
+    data: { lastValue: { increment: 1 } }
+  });
+  return sequence.lastValue;
+};
+
+/**
+ * Issue the next order number. Call inside the transaction that creates the order.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} context - { branchId, date }
+ * @returns {string} Order number
+ * @throws {Error} When no free number is found
+ */
+const generateOrderNumber = async (tx, { branchId = null, date = new Date() } = {}) => {
+  const parsed = parseOrderNumberFormat(await getOrderNumberFormat(tx));
+  const branch = branchId
+    ? await tx.branch.findUnique({ where: { id: branchId }, select: { code: true, name: true } })
+    : null;
+  const timeZone = await getNumberingTimeZone(parsed, branchId);
+  const scope = getSequenceScope(parsed, { branchId, date, timeZone });
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const seq = await nextSequenceValue(tx, scope);
+    const orderNumber = renderOrderNumber(parsed, { branchCode: getBranchCode(branch), date, timeZone, seq });
+    const taken = await tx.order.findUnique({ where: { orderNumber }, select: { id: true } });
+    if (!taken) return orderNumber;
+  }
+  throw new Error('Could not allocate a free order number; check the order number format');
+};
+
+/**
+ * Numbers the next order of each branch would get under a format (nothing is consumed)
+ * @param {string} format - Format to preview
+ * @param {string} branchId - Limit the preview to one branch
+ * @returns {Array<Object>} [{ branch, nextOrderNumber }]
+ */
+const previewForBranches = async (format, branchId = null) => {
+  const parsed = parseOrderNumberFormat(format);
+  const branches = await prisma.branch.findMany({
+    where: branchId ? { id: branchId } : { isActive: true },
+    select: { id: true, name: true, code: true },
+    orderBy: { name: 'asc' },
+    take: branchId ? 1 : 10
+  });
+
+  const now = new Date();
+  const preview = [];
+  for (const branch of branches) {
+    const timeZone = await getNumberingTimeZone(parsed, branch.id);
+    const scope = getSequenceScope(parsed, { branchId: branch.id, date: now, timeZone });
+    const sequence = await prisma.orderNumberSequence.findUnique({ where: { scope } });
+    preview.push({
+      branch,
+      nextOrderNumber: renderOrderNumber(parsed, {
+        branchCode: getBranchCode(branch),
+        date: now,
+        timeZone,
+        seq: (sequence ? sequence.lastValue : 0) + 1
+      })
+    });
+  }
+  return preview;
+};
+
+/**
+ * Current format with a preview of the next numbers
+ * @returns {Object} { format, isDefault, preview }
+ */
+const getOrderNumberSettings = async () => {
+  try {
+    const setting = await prisma.systemSetting.findUnique({ where: { key: FORMAT_SETTING_KEY } });
+    const format = setting ? setting.value : DEFAULT_ORDER_NUMBER_FORMAT;
+    return {
+      success: true,
+      data: {
+        format,
+        isDefault: !setting,
+        updatedAt: setting ? setting.updatedAt : null,
+        preview: await previewForBranches(format)
+      }
+    };
+  } catch (error) {
+    console.error('Get order number settings error:', error);
+    return {
+      success: false,
+      message: 'Failed to fetch order number settings',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Preview a format without saving it
+ * @param {string} format
+ * @param {string} branchId - Optional branch to preview
+ * @returns {Object} { format, preview }
+ */
+const previewOrderNumberFormat = async (format, branchId = null) => {
+  try {
+    const parsed = parseOrderNumberFormat(format);
+    return { success: true, data: { format: parsed.format, preview: await previewForBranches(parsed.format, branchId) } };
+  } catch (error) {
+    return { success: false, statusCode: 400, message: error.message };
+  }
+};
+
+/**
+ * Change the format used for new orders
+ * @param {string} format
+ * @param {string} userId - Admin making the change
+ * @returns {Object} { format, preview }
+ */
+const updateOrderNumberFormat = async (format, userId) => {
+  let parsed;
+  try {
+    parsed = parseOrderNumberFormat(format);
+  } catch (error) {
+    return { success: false, statusCode: 400, message: error.message };
+  }
+
+  try {
+    await prisma.systemSetting.upsert({
+      where: { key: FORMAT_SETTING_KEY },
+      create: { key: FORMAT_SETTING_KEY, value: parsed.format, updatedById: userId },
+      update: { value: parsed.format, updatedById: userId }
+    });
+    return {
+      success: true,
+      data: { format: parsed.format, preview: await previewForBranches(parsed.format) },
+      message: 'Order number format updated'
+    };
+  } catch (error) {
+    console.error('Update order number format error:', error);
+    return {
+      success: false,
+      message: 'Failed to update order number format',
+      error: error.message
+    };
+  }
+};
+
+module.exports = {
+  generateOrderNumber,
+  getOrderNumberSettings,
+  previewOrderNumberFormat,
+  updateOrderNumberFormat
+};
@@ -0,0 +1,259 @@
+const prisma = require('../lib/prisma'); // reuse shared prisma client
+const { getStaffOrderWhere } = require('./orderAssignmentService');
+
+/**
+ * Order Search Service
+ * One search endpoint for every role. Filters are combined with AND; each role only ever
+ * sees the orders its listing endpoints would show it.
+ */
+
+// Lifecycle timestamps that accept <field>From / <field>To range filters
+const DATE_FIELDS = [
+  'requestedAt',
+  'approvedAt',
+  'arrangingStartedAt',
+  'arrangingCompletedAt',
+  'sentForPackagingAt',
+  'packagingStartedAt',
+  'packagingCompletedAt',
+  'dispatchedAt',
+  'receivedAt',
+  'closedAt',
+  'rejectedAt',
+  'cancelledAt',
+  'createdAt',
+  'updatedAt'
+];
+
+const SORT_FIELDS = ['requestedAt', 'createdAt', 'updatedAt', 'orderNumber', 'totalValue'];
+
+// Orders in an issue conversation with the manager
+const ISSUE_STATUSES = [
+  'RAISED_ISSUE',
+  'RAISED_ISSUE_AFTER_DELIVERY',
+  'WAITING_FOR_MANAGER_REPLY',
+  'MANAGER_REPLIED',
+  'WAITING_FOR_BRANCH_CONFIRMATION'
+];
+
+// Same restriction as the dispatcher's pending list
+const DISPATCHER_STATUSES = ['PACKAGING_COMPLETED', 'PARTIALLY_DISPATCHED', 'IN_TRANSIT'];
+
+/**
+ * Orders a user may see
+ * @param {Object} user - { id, role, branchId }
+ * @returns {Object} Prisma where fragment ({} = everything)
+ */
+const getVisibilityWhere = async (user) => {
+  switch (user.role) {
+    case 'MANAGER': {
+      const managed = await prisma.managerBranch.findMany({
+        where: { managerId: user.id, isActive: true },
+        select: { branchId: true }
+      });
+      return { branchId: { in: managed.map(m => m.branchId) } };
+    }
+    case 'BRANCH_USER': {
+      const assignments = await prisma.userBranchAssignment.findMany({
+        where: { userId: user.id, isActive: true },
+        select: { branchId: true }
+      });
+      const branchIds = [user.branchId, ...assignments.map(a => a.branchId)].filter(Boolean);
+      return { OR: [{ requesterId: user.id }, { branchId: { in: branchIds } }] };
+    }
+    case 'PACKAGER':
+      return getStaffOrderWhere(user);
+    case 'DISPATCHER':
+      return { status: { in: DISPATCHER_STATUSES }, ...getStaffOrderWhere(user) };
+    case 'ACCOUNTS':
+      // Orders that needed (or need) an ACCOUNTS sign-off
+      return { approvals: { some: { role: 'ACCOUNTS' } } };
+    case 'ADMIN':
+      return {};
+    default:
+      return { id: '__no_match__' };
+  }
+};
+
+const encodeCursor = (id) => Buffer.from(JSON.stringify({ id })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return typeof id === 'string' ? id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Turn search filters into Prisma where conditions
+ * @param {Object} filters - See searchOrders
+ * @returns {Array<Object>} Conditions to AND together
+ */
+const buildFilterConditions = async (filters) => {
+  const conditions = [];
+
+  if (filters.status && filters.status.length > 0) conditions.push({ status: { in: filters.status } });
+  if (filters.branchId) conditions.push({ branchId: filters.branchId });
+  if (filters.requesterId) conditions.push({ requesterId: filters.requesterId });
+  if (filters.managerId) conditions.push({ managerId: filters.managerId });
+  if (filters.orderNumber) conditions.push({ orderNumber: { contains: filters.orderNumber } });
+
+  for (const field of DATE_FIELDS) {
+    const range = {};
+    if (filters[`${field}From`]) range.gte = new Date(filters[`${field}From`]);
+    if (filters[`${field}To`]) range.lte = new Date(filters[`${field}To`]);
+    if (Object.keys(range).length > 0) conditions.push({ [field]: range });
+  }
+
+  if (filters.minValue !== undefined || filters.maxValue !== undefined) {
+    const range = {};
+    if (filters.minValue !== undefined) range.gte = filters.minValue;
+    if (filters.maxValue !== undefined) range.lte = filters.maxValue;
+    conditions.push({ totalValue: range });
+  }
+
+  // Lines are matched by SKU; item names are resolved to SKUs first (order lines only store the SKU)
+  if (filters.sku) conditions.push({ orderItems: { some: { sku: filters.sku } } });
+  if (filters.itemName) {
+    const items = await prisma.item.findMany({
+      where: { name: { contains: filters.itemName } },
+      select: { sku: true }
+    });
+    const skus = items.map(i => i.sku).filter(Boolean);
+    conditions.push({ orderItems: { some: { sku: { in: skus } } } });
+  }
+
+  if (filters.hasOpenIssues !== undefined) {
+    const openIssues = {
+      OR: [
+        { status: { in: ISSUE_STATUSES } },
+        { receiptDiscrepancies: { some: { status: 'OPEN' } } },
+        { receivedIssues: { some: { resolvedAt: null } } },
+        { issueThreads: { some: { resolvedAt: null } } }
+      ]
+    };
+    conditions.push(filters.hasOpenIssues ? openIssues : { NOT: openIssues });
+  }
+
+  if (filters.q) {
+    const text = { contains: filters.q };
+    conditions.push({
+      OR: [
+        { orderNumber: text },
+        { remarks: text },
+        { managerReply: text },
+        { rejectionReason: text },
+        { cancellationReason: text },
+        { orderIssues: { some: { message: text } } },
+        { issueThreads: { some: { messages: { some: { text } } } } },
+        { receivedIssues: { some: { reason: text } } }
+      ]
+    });
+  }
+
+  return conditions;
+};
+
+/**
+ * Where clause for the orders a user may see that match the filters
+ * @param {Object} filters - See searchOrders
+ * @param {Object} user - Requesting user ({ id, role, branchId })
+ * @returns {Object} Prisma where
+ */
+const buildOrderWhere = async (filters, user) => {
+  const visibility = await getVisibilityWhere(user);
+  const conditions = await buildFilterConditions(filters);
+  return { AND: [visibility, ...conditions] };
+};
+
+/**
+ * Search orders
+ * @param {Object} filters
+ * @param {Array<string>} filters.status - Any of these statuses
+ * @param {string} filters.branchId / requesterId / managerId / orderNumber
+ * @param {string} filters.<dateField>From / <dateField>To - ISO dates, for every field in DATE_FIELDS
+ * @param {number} filters.minValue / maxValue - Order totalValue range
+ * @param {string} filters.sku - Order has a line with this SKU
+ * @param {string} filters.itemName - Order has a line whose item name contains this
+ * @param {boolean} filters.hasOpenIssues - Order is in an issue conversation or has open receipt discrepancies, received issues or issue threads
+ * @param {string} filters.q - Free text over order number, remarks, replies and issue messages
+ * @param {string} filters.sortBy - One of SORT_FIELDS (default requestedAt)
+ * @param {string} filters.sortOrder - 'asc' | 'desc' (default desc)
+ * @param {string} filters.cursor - nextCursor of the previous page
+ * @param {number} filters.limit - Page size (default 20)
+ * @param {Object} user - Requesting user ({ id, role, branchId })
+ * @returns {Object} { orders, pageInfo: { nextCursor, hasNextPage, limit } }
+ */
+const searchOrders = async (filters = {}, user) => {
+  try {
+    const { sortBy = 'requestedAt', sortOrder = 'desc', cursor, limit = 20 } = filters;
+
+    let cursorId = null;
+    if (cursor) {
+      cursorId = decodeCursor(cursor);
+      if (!cursorId) return { success: false, statusCode: 400, message: 'Invalid cursor' };
+    }
+
+    const where = await buildOrderWhere(filters, user);
+
+    const orders = await prisma.order.findMany({
+      where,
+      include: {
+        requester: { select: { id: true, firstName: true, lastName: true, email: true } },
+        manager: { select: { id: true, firstName: true, lastName: true } },
+        branch: { select: { id: true, name: true } },
+        orderItems: {
+          select: { id: true, sku: true, qtyRequested: true, qtyApproved: true, qtyReceived: true, unitPrice: true, totalPrice: true, outOfStock: true }
+        }
+      },
+      // id breaks ties so the cursor is stable
+      orderBy: [{ [sortBy]: sortOrder }, { id: sortOrder }],
+      ...(cursorId ? { cursor: { id: cursorId }, skip: 1 } : {}),
+      take: limit + 1
+    });
+
+    const hasNextPage = orders.length > limit;
+    const page = hasNextPage ? orders.slice(0, limit) : orders;
+
+    // Attach item details by SKU (order lines have no item relation)
+    const skus = [...new Set(page.flatMap(o => o.orderItems.map(oi => oi.sku)).filter(Boolean))];
+    const items = skus.length > 0
+      ? await prisma.item.findMany({ where: { sku: { in: skus } }, select: { sku: true, name: true, category: true, unit: true } })
+      : [];
+    const itemMap = Object.fromEntries(items.map(i => [i.sku, i]));
+    for (const order of page) {
+      for (const orderItem of order.orderItems) {
+        orderItem.item = itemMap[orderItem.sku] || null;
+      }
+    }
+
+    return {
+      success: true,
+      data: {
+        orders: page,
+        pageInfo: {
+          nextCursor: hasNextPage ? encodeCursor(page[page.length - 1].id) : null,
+          hasNextPage,
+          limit
+        }
+      }
+    };
+  } catch (error) {
+    console.error('Search orders error:', error);
+    return {
+      success: false,
+      message: 'Failed to search orders',
+      error: error.message
+    };
+  }
+};
+
+module.exports = {
+  DATE_FIELDS,
+  SORT_FIELDS,
+  getVisibilityWhere,
+  buildOrderWhere,
+  searchOrders
+};
@@ -10,6 +10,8 @@ const {
   sendOrderStatusUpdateNotification,
   sendOrderReceivedNotification,
   sendOrderClosedNotification,
+  sendOrderRejectedNotification,
+  sendOrderCancelledNotification,
   sendOrderCreatedNotification,
   sendOrderCreatedNotificationToManager,
   sendBranchConfirmationToManagerNotification,
@@ -31,13 +33,91 @@ const {
 } = require('./notificationService');
 
 const prisma = require('../lib/prisma');
-const { addWorkingHours } = require('../lib/workingHours');
+const { getAutoCloseAt, resumeAutoCloseIfClear } = require('./autoCloseService');
+const { autoAssignForStatus, getStaffOrderWhere } = require('./orderAssignmentService');
+const {
+  getReservedQuantities,
+  reserveOrderItems,
+  commitOrderReservations,
+  commitShippedReservations,
+  releaseOrderReservations
+} = require('./stockReservationService');
+const {
+  SHIPMENTS_WITH_ITEMS,
+  resolveShipmentLines,
+  lockOrderForShipment,
+  createShipmentRecord,
+  markShipmentsReceived
+} = require('./shipmentService');
+const { recordOrderStatusEvent } = require('./orderStatusEventService');
+const { getVisibilityWhere } = require('./orderSearchService');
+const { getManagedBranchIds, reconcileReceipt, notifyDiscrepancies } = require('./receiptReconciliationService');
+const {
+  BRANCH_MANAGERS_SELECT,
+  getRequiredSignOffs,
+  createApprovalChain,
+  decideApprovalStep,
+  notifyNextApprover
+} = require('./approvalChainService');
+const { checkOrderBudget } = require('./budgetService');
+const { generateOrderNumber } = require('./orderNumberService');
+const {
+  SYSTEM_ROLE,
+  EFFECTS,
+  findTransition,
+  getAvailableTransitions,
+  transitionTimestamps,
+  hasEffect,
+  checkGuard
+} = require('../lib/orderStateMachine');
 
 /**
  * Order Service
  * Contains business logic for order operations
  */
 
+// Transitions that may be driven through the generic update-status endpoint
+const STATUS_UPDATE_ACTIONS = [
+  'START_ARRANGING',
+  'MARK_ARRANGED',
+  'SEND_FOR_PACKAGING',
+  'START_PACKAGING',
+  'COMPLETE_PACKAGING',
+  'DISPATCH'
+];
+
+// In-app notification sent to the requester for each status set through update-status
+const STATUS_NOTIFICATION_TYPES = {
+  ARRANGING: ['ORDER_ARRANGING', 'Order Arranging'],
+  ARRANGED: ['ORDER_ARRANGED', 'Order Arranged'],
+  SENT_FOR_PACKAGING: ['ORDER_SENT_FOR_PACKAGING', 'Order Sent For Packaging'],
+  UNDER_PACKAGING: ['ORDER_UNDER_PACKAGING', 'Order Under Packaging'],
+  PACKAGING_COMPLETED: ['ORDER_PACKAGING_COMPLETED', 'Order Packaging Completed'],
+  IN_TRANSIT: ['ORDER_IN_TRANSIT', 'Order Dispatched']
+};
+
+/**
+ * Validate a status change through the order state machine
+ * @param {Object|null} order - Current order (null when creating)
+ * @param {Object} request - { action } or { toStatus, actions }
+ * @param {string} actorId - User performing the change ('SYSTEM_AUTO' for jobs)
+ * @param {string} actorRole - Role of the actor; looked up when omitted
+ * @returns {Object} The matching transition
+ * @throws {Error} When the transition is not allowed
+ */
+const assertOrderTransition = async (order, request, actorId, actorRole = null) => {
+  let role = actorRole;
+  if (!role && actorId === 'SYSTEM_AUTO') role = SYSTEM_ROLE;
+  if (!role && actorId) {
+    const actor = await prisma.user.findUnique({ where: { id: actorId }, select: { role: true } });
+    role = actor ? actor.role : null;
+  }
+
+  const { transition, error } = findTransition(order, request, { id: actorId, role });
+  if (error) throw new Error(error);
+  return transition;
+};
+
 /**
  * Create a new order with order items
  * @param {Object} orderData - Order creation data
@@ -45,12 +125,16 @@ const { addWorkingHours } = require('../lib/workingHours');
  * @param {string} orderData.branchId - ID of the branch
  * @param {string} orderData.remarks - Optional remarks from the user
  * @param {Array} orderData.items - Array of items with quantities
+ * @param {string} orderData.recurringTemplateId - Template the order was materialized from (recurring orders)
+ * @param {string} orderData.reorderedFromId - Past order the lines were copied from (reorder)
  * @returns {Object} Created order with order items
  */
 
 const createOrder = async (orderData) => {
   try {
-    const { requesterId, branchId, remarks, items, inStockItems, outOfStockItems } = orderData;
+    const { requesterId, requesterRole, branchId, remarks, items, inStockItems, outOfStockItems, recurringTemplateId, reorderedFromId } = orderData;
+
+    await assertOrderTransition(null, { action: 'SUBMIT' }, requesterId, requesterRole);
 
     // Support both legacy `items` (treat as in-stock) and new arrays
     const resolvedInStock = Array.isArray(inStockItems) && inStockItems.length > 0 ? inStockItems : (Array.isArray(items) ? items : []);
@@ -97,22 +181,19 @@ const createOrder = async (orderData) => {
       throw new Error(`One or more SKUs not found or inactive. Not found: ${notFoundSkus.join(', ')}`);
     }
 
-    // ✅ 2. Check stock availability for only in-stock items
+    // ✅ 2. Check stock availability for only in-stock items (stock reserved by approved orders is not available)
+    const reservedBySku = await getReservedQuantities(skus);
     for (const item of combinedItems.filter(ci => !ci.outOfStock)) {
       const existingItem = existingItems.find(i => i.sku === item.sku);
       if (!existingItem) {
         throw new Error(`Item with SKU ${item.sku} not found`);
       }
-      if (existingItem.currentStock < item.quantity) {
-        throw new Error(`Insufficient stock for ${existingItem.name}. Available: ${existingItem.currentStock}, Requested: ${item.quantity}`);
+      const availableStock = existingItem.currentStock - (reservedBySku[item.sku] || 0);
+      if (availableStock < item.quantity) {
+        throw new Error(`Insufficient stock for ${existingItem.name}. Available: ${Math.max(0, availableStock)}, Requested: ${item.quantity}`);
       }
     }
 
-    // ✅ 3. Generate order number (format: OR + 6 random alphanumeric chars, e.g., OR3X9K2M)
-    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-    const randomAlphaNum = Array.from({ length: 6 }, () => chars[Math.floor(Math.random() * chars.length)]).join('');
-    const orderNumber = `OR${randomAlphaNum}`;
-
     // ✅ 4. Calculate totals (only include in-stock items in totalValue)
     const totalItems = combinedItems.reduce((sum, item) => sum + item.quantity, 0);
     const totalValue = combinedItems.reduce((sum, item) => {
@@ -121,8 +202,20 @@ const createOrder = async (orderData) => {
       return sum + (Number(existingItem.price || 0) * item.quantity);
     }, 0);
 
-    // ✅ 5. Create order + items in transaction
+    // ✅ 5. Create order + items in transaction (the order number comes from the branch's sequence)
     const result = await prisma.$transaction(async (tx) => {
+      // ✅ 3. Check the branch's budget for this month first, under its budget lock; BLOCK budgets
+      // refuse the order, WARN budgets only flag it
+      const budget = await checkOrderBudget({
+        tx,
+        branchId,
+        lines: combinedItems
+          .filter(ci => !ci.outOfStock)
+          .map(ci => ({ sku: ci.sku, value: Number(existingItems.find(i => i.sku === ci.sku).price || 0) * ci.quantity }))
+      });
+      if (budget.blocked) throw new Error(budget.message);
+
+      const orderNumber = await generateOrderNumber(tx, { branchId });
       const order = await tx.order.create({
         data: {
           orderNumber,
@@ -131,10 +224,20 @@ const createOrder = async (orderData) => {
           totalItems,
           totalValue,
           requesterId,
-          branchId
+          branchId,
+          recurringTemplateId: recurringTemplateId || null,
+          reorderedFromId: reorderedFromId || null
         }
       });
 
+      await recordOrderStatusEvent(tx, {
+        orderId: order.id,
+        fromStatus: null,
+        toStatus: 'UNDER_REVIEW',
+        actorId: requesterId,
+        note: remarks || null
+      });
+
       const orderItems = [];
 
       for (const item of combinedItems) {
@@ -154,10 +257,24 @@ const createOrder = async (orderData) => {
         });
 
         orderItems.push(orderItem);
+
+        // 📦 Out-of-stock lines stay open as backorders for the branch until stock arrives
+        if (item.outOfStock) {
+          await tx.backorder.create({
+            data: {
+              orderId: order.id,
+              orderItemId: orderItem.id,
+              branchId: branchId || null,
+              sku: orderItem.sku,
+              quantity: item.quantity
+            }
+          });
+        }
       }
 
-      return { order, orderItems };
+      return { order, orderItems, budget };
     });
+    const { budget } = result;
 
     // ✅ 6. Send formatted email notification to requester
     try {
@@ -278,7 +395,7 @@ const createOrder = async (orderData) => {
 
     const completeOrder = { ...order, orderItems: orderItemsWithDetails };
 
-    return { success: true, data: completeOrder };
+    return { success: true, data: completeOrder, budget };
 
   } catch (error) {
     console.error('❌ Create order error:', error);
@@ -516,6 +633,21 @@ const getOrderById = async (orderId, userId) => {
           }
         },
         tracking: true,
+        shipments: SHIPMENTS_WITH_ITEMS,
+        backorders: {
+          select: { id: true, sku: true, quantity: true, status: true, convertedOrderId: true, createdAt: true },
+          orderBy: { createdAt: 'asc' }
+        },
+        parentOrder: { select: { id: true, orderNumber: true, status: true } },
+        followUpOrders: { select: { id: true, orderNumber: true, status: true, createdAt: true } },
+        reorderedFrom: { select: { id: true, orderNumber: true, status: true } },
+        packager: { select: { id: true, firstName: true, lastName: true } },
+        dispatcher: { select: { id: true, firstName: true, lastName: true } },
+        receiptDiscrepancies: { orderBy: { createdAt: 'asc' } },
+        approvals: {
+          include: { approver: { select: { id: true, firstName: true, lastName: true, role: true } } },
+          orderBy: { step: 'asc' }
+        },
 
         // 🔥 ADD THIS (timeline issue events)
         orderIssues: {
@@ -633,14 +765,16 @@ const getManagerPendingOrders = async (managerId, options = {}, actorRole = 'MAN
       if (branchId) where.branchId = branchId;
     }
 
-    // Apply status filter if provided
-    //if (status) where.status = status;
+    // Packagers / dispatchers see orders assigned to them plus unassigned ones
+    // (their own work only: GET /api/orders/my-queue)
+    const staffScope = getStaffOrderWhere({ id: managerId, role: actorRole });
+    if (staffScope) Object.assign(where, staffScope);
 
     // 🔐 STATUS FILTERS (ROLE-AWARE)
     // Dispatcher: STRICT visibility
     if (actorRole === 'DISPATCHER') {
       where.status = {
-        in: ['PACKAGING_COMPLETED', 'IN_TRANSIT']
+        in: ['PACKAGING_COMPLETED', 'PARTIALLY_DISPATCHED', 'IN_TRANSIT']
       };
     }
     // Other roles: respect requested status filter
@@ -660,6 +794,8 @@ const getManagerPendingOrders = async (managerId, options = {}, actorRole = 'MAN
           branch: {
             select: { id: true, name: true, address: true, city: true, state: true }
           },
+          packager: { select: { id: true, firstName: true, lastName: true } },
+          dispatcher: { select: { id: true, firstName: true, lastName: true } },
           orderItems: {
             select: { id: true, sku: true, qtyRequested: true, qtyApproved: true, qtyReceived: true, unitPrice: true, totalPrice: true }
           },
@@ -754,16 +890,15 @@ const getManagerPendingOrders = async (managerId, options = {}, actorRole = 'MAN
  * @param {string} approverId - ID of the manager approving
  * @param {Array} approvedItems - Array of approved items with quantities
  *   Each item: { sku: string, qtyApproved: number }
+ * @param {Object} options
+ * @param {boolean} options.notify - Send the usual notifications (bulk approval batches its own)
  * @returns {Object} Approved order details
  */
-const approveOrder = async (orderId, approverId, approvedItems) => {
+const approveOrder = async (orderId, approverId, approvedItems, { notify = true } = {}) => {
   try {
     // ✅ 1. Check order exists and is UNDER_REVIEW
-    const order = await prisma.order.findFirst({
-      where: {
-        id: orderId,
-        status: 'UNDER_REVIEW',
-      },
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
       include: {
         orderItems: true,
         requester: {
@@ -783,7 +918,18 @@ const approveOrder = async (orderId, approverId, approvedItems) => {
       },
     });
 
-    if (!order) throw new Error('Order not found or not in UNDER_REVIEW status');
+    if (!order) throw new Error('Order not found');
+
+    // 🧾 Approval rules may require further sign-off (e.g. ACCOUNTS for high-value orders)
+    const approver = await prisma.user.findUnique({ where: { id: approverId }, select: { id: true, role: true } });
+    if (!approver) throw new Error('Approver not found');
+    const signOffs = await getRequiredSignOffs(order, approvedItems);
+    const transition = await assertOrderTransition(
+      order,
+      { action: signOffs.length > 0 ? 'REQUEST_SIGN_OFF' : 'APPROVE' },
+      approverId,
+      approver.role
+    );
 
     // ✅ 2. Validate approved items - SUPPORT QUANTITY INCREASES
     // Log when manager increases quantity beyond requested
@@ -812,16 +958,48 @@ const approveOrder = async (orderId, approverId, approvedItems) => {
     }
 
     // ✅ 3. Transaction — update order & items
-    const result = await prisma.$transaction(async (tx) => {
-      // Update order to CONFIRM_PENDING
-      const updatedOrder = await tx.order.update({
-        where: { id: orderId },
+    const { budget } = await prisma.$transaction(async (tx) => {
+      // 💰 Re-check the budget at the approved quantities first, under the branch's budget lock (the
+      // order counts against the month it was requested in)
+      const budget = await checkOrderBudget({
+        tx,
+        branchId: order.branchId,
+        at: order.requestedAt,
+        lines: order.orderItems
+          .filter(oi => !oi.outOfStock)
+          .map((oi) => {
+            const approvedItem = approvedItems.find(a => a.sku === oi.sku);
+            const qty = approvedItem ? approvedItem.qtyApproved : oi.qtyRequested;
+            return { sku: oi.sku, value: qty * Number(oi.unitPrice || 0) };
+          }),
+        excludeOrderId: order.id
+      });
+      if (budget.blocked) throw new Error(budget.message);
+
+      // Update order to CONFIRM_PENDING (or AWAITING_APPROVAL when sign-off is required). Claimed
+      // only while it is still in the status checked above, so a racing approval is turned away.
+      const claimed = await tx.order.updateMany({
+        where: { id: orderId, status: order.status },
         data: {
-          status: 'CONFIRM_PENDING',
-          approvedAt: new Date(),
+          status: transition.to,
+          ...transitionTimestamps(transition),
           managerId: approverId,
+          pendingApprovalRole: signOffs.length > 0 ? signOffs[0].role : null,
         },
       });
+      if (claimed.count === 0) throw new Error('Order has already been approved or changed');
+
+      await recordOrderStatusEvent(tx, {
+        orderId,
+        fromStatus: order.status,
+        toStatus: transition.to,
+        actorId: approverId,
+        note: signOffs.length > 0 ? `Sign-off required: ${signOffs.map(s => s.role).join(' → ')}` : undefined
+      });
+
+      if (signOffs.length > 0) {
+        await createApprovalChain(tx, orderId, approver, signOffs);
+      }
 
       // Update each item’s qtyApproved and totalPrice
       for (const approvedItem of approvedItems) {
@@ -838,73 +1016,85 @@ const approveOrder = async (orderId, approverId, approvedItems) => {
         });
       }
 
-      return updatedOrder;
+      // 🔒 Reserve approved in-stock quantities so other orders can't claim the same units
+      const reservationLines = approvedItems
+        .map((approvedItem) => {
+          const orderItem = order.orderItems.find((oi) => oi.sku === approvedItem.sku);
+          if (!orderItem || orderItem.outOfStock) return null;
+          return { orderItemId: orderItem.id, sku: orderItem.sku, quantity: approvedItem.qtyApproved };
+        })
+        .filter(Boolean);
+      if (hasEffect(transition, EFFECTS.RESERVE_STOCK)) {
+        await reserveOrderItems(tx, orderId, reservationLines);
+      }
+
+      // 📦 Backorders follow the approved quantity of their out-of-stock line; approving 0 drops them
+      for (const approvedItem of approvedItems) {
+        const orderItem = order.orderItems.find((oi) => oi.sku === approvedItem.sku);
+        if (!orderItem || !orderItem.outOfStock) continue;
+
+        await tx.backorder.updateMany({
+          where: { orderItemId: orderItem.id, status: { in: ['OPEN', 'AVAILABLE'] } },
+          data: approvedItem.qtyApproved > 0
+            ? { quantity: approvedItem.qtyApproved }
+            : { status: 'CANCELLED', cancelledAt: new Date(), cancelReason: 'Not approved by manager' }
+        });
+      }
+
+      return { budget };
     });
 
-    // ✅ 4. Create notification for requester
-    try {
-      await notifyUsers([order.requesterId], order.id, 'ORDER_CONFIRM_PENDING', 'Order Approval Pending Confirmation', `Your order ${order.orderNumber} has been approved and is waiting for your confirmation.`);
-    } catch (err) {
-      console.error('Failed to notify requester for confirm pending:', err);
+    if (!notify) {
+      const approvedOrder = await prisma.order.findUnique({
+        where: { id: orderId },
+        include: { branch: { select: { id: true, name: true } }, orderItems: true },
+      });
+      return {
+        success: true,
+        data: approvedOrder,
+        message: signOffs.length > 0 ? `Order approved; awaiting ${signOffs[0].role} sign-off` : 'Order approved successfully',
+        quantityChanges: quantityChanges,
+        budget,
+        signOff: signOffs[0] || null,
+      };
     }
 
-    // ✅ 5. Fetch full updated order
-    let completeOrder = await prisma.order.findUnique({
-      where: { id: orderId },
-      include: {
-        requester: {
-          select: {
-            id: true,
-            firstName: true,
-            lastName: true,
-            email: true,
-          },
-        },
-        branch: {
-          select: {
-            id: true,
-            name: true,
-          },
+    if (signOffs.length > 0) {
+      // ✅ 4. Hand over to the next approver; the requester confirms once the chain is complete
+      await notifyNextApprover(order, signOffs[0]);
+      try {
+        await notifyUsers([order.requesterId], order.id, 'ORDER_APPROVAL_REQUIRED', 'Order Awaiting Sign-off', `Your order ${order.orderNumber} was approved by the manager and now needs ${signOffs[0].role} sign-off.`);
+      } catch (err) {
+        console.error('Failed to notify requester about sign-off:', err);
+      }
+
+      const awaitingOrder = await prisma.order.findUnique({
+        where: { id: orderId },
+        include: {
+          requester: { select: { id: true, firstName: true, lastName: true, email: true } },
+          branch: { select: { id: true, name: true } },
+          orderItems: true,
+          approvals: { orderBy: { step: 'asc' } },
         },
-        orderItems: true,
-      },
-    });
+      });
 
-    // ✅ 6. Try sending email/WhatsApp
-    try {
-      // Send updated-by-manager notification to requester
-      if (completeOrder.managerId) {
-        // Fetch manager details with email
-        const manager = await prisma.user.findUnique({ 
-          where: { id: completeOrder.managerId }, 
-          select: { 
-            id: true,
-            firstName: true, 
-            lastName: true, 
-            email: true,
-            phoneNumber: true
-          } 
-        });
-        if (manager) {
-          console.log(`📧 Manager found: ${manager.firstName} ${manager.lastName}, Email: ${manager.email}`);
-          console.log(`📧 Sending updated-by-manager notification for order ${completeOrder.orderNumber}`);
-          await sendOrderUpdatedByManagerNotification(completeOrder, manager);
-        } else {
-          console.warn(`⚠️ Manager not found for managerId: ${completeOrder.managerId}`);
-        }
-      } else {
-        console.warn(`⚠️ No managerId set for order ${completeOrder.orderNumber}`);
-      }
-      await sendOrderConfirmPendingNotification(completeOrder);
-    } catch (err) {
-      console.error('Failed to send confirm pending or updated-by-manager notifications:', err);
+      return {
+        success: true,
+        data: awaitingOrder,
+        message: `Order approved; awaiting ${signOffs[0].role} sign-off`,
+        quantityChanges: quantityChanges,
+        budget,
+      };
     }
 
+    const completeOrder = await notifyRequesterConfirmPending(order);
+
     return {
       success: true,
       data: completeOrder,
       message: 'Order approved successfully',
       quantityChanges: quantityChanges,  // ✅ Include information about quantity increases/decreases
+      budget,
     };
   } catch (error) {
     console.error('Approve order error:', error);
@@ -916,7 +1106,219 @@ const approveOrder = async (orderId, approverId, approvedItems) => {
   }
 };
 
+/**
+ * Tell the requester an approved order is waiting for their confirmation
+ * (in-app notification, updated-by-manager email and confirm-pending email/WhatsApp)
+ * @param {Object} order - Order (id, orderNumber, requesterId)
+ * @returns {Object} Updated order with requester, branch and items
+ */
+const notifyRequesterConfirmPending = async (order) => {
+  const orderId = order.id;
+
+  // In-app notification for the requester
+  try {
+    await notifyUsers([order.requesterId], order.id, 'ORDER_CONFIRM_PENDING', 'Order Approval Pending Confirmation', `Your order ${order.orderNumber} has been approved and is waiting for your confirmation.`);
+  } catch (err) {
+    console.error('Failed to notify requester for confirm pending:', err);
+  }
+
+  // Fetch full updated order
+  const completeOrder = await prisma.order.findUnique({
+    where: { id: orderId },
+    include: {
+      requester: {
+        select: {
+          id: true,
+          firstName: true,
+          lastName: true,
+          email: true,
+        },
+      },
+      branch: {
+        select: {
+          id: true,
+          name: true,
+        },
+      },
+      orderItems: true,
+    },
+  });
+
+  // Try sending email/WhatsApp
+  try {
+    // Send updated-by-manager notification to requester
+    if (completeOrder.managerId) {
+      // Fetch manager details with email
+      const manager = await prisma.user.findUnique({ 
+        where: { id: completeOrder.managerId }, 
+        select: { 
+          id: true,
+          firstName: true, 
+          lastName: true, 
+          email: true,
+          phoneNumber: true
+        } 
+      });
+      if (manager) {
+        console.log(`📧 Manager found: ${manager.firstName} ${manager.lastName}, Email: ${manager.email}`);
+        console.log(`📧 Sending updated-by-manager notification for order ${completeOrder.orderNumber}`);
+        await sendOrderUpdatedByManagerNotification(completeOrder, manager);
+      } else {
+        console.warn(`⚠️ Manager not found for managerId: ${completeOrder.managerId}`);
+      }
+    } else {
+      console.warn(`⚠️ No managerId set for order ${completeOrder.orderNumber}`);
+    }
+    await sendOrderConfirmPendingNotification(completeOrder);
+  } catch (err) {
+    console.error('Failed to send confirm pending or updated-by-manager notifications:', err);
+  }
+
+  return completeOrder;
+};
+
+/**
+ * Sign off (or reject) the pending step of an order's approval chain.
+ * The last sign-off moves the order to CONFIRM_PENDING; a rejection rejects the order.
+ * @param {string} orderId - Order ID
+ * @param {Object} user - Approver ({ id, role })
+ * @param {string} decision - 'APPROVE' or 'REJECT'
+ * @param {string} comment - Approver's comment (required when rejecting)
+ * @returns {Object} Updated order
+ */
+const signOffOrder = async (orderId, user, decision, comment = null) => {
+  try {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      include: {
+        requester: { select: { id: true, firstName: true, lastName: true, email: true, phoneNumber: true } },
+        branch: { select: { id: true, name: true, ...BRANCH_MANAGERS_SELECT } },
+        approvals: { orderBy: { step: 'asc' } }
+      }
+    });
+    if (!order) throw new Error('Order not found');
+
+    const transition = await assertOrderTransition(
+      order,
+      { action: decision === 'REJECT' ? 'REJECT' : 'SIGN_OFF' },
+      user.id,
+      user.role
+    );
+
+    const pendingSteps = order.approvals.filter(a => a.status === 'PENDING');
+    const currentStep = pendingSteps[0];
+    if (!currentStep) throw new Error('Order has no pending sign-off');
+
+    if (decision === 'REJECT') {
+      // A manager's REJECT matches the manager-wide reject transition, so the step is checked here too
+      const notApprover = checkGuard('isPendingApprover', order, user);
+      if (notApprover) throw new Error(notApprover);
+
+      const reason = `${currentStep.role} sign-off rejected: ${comment}`;
+      const { order: rejected, updatedOrder } = await endOrderBeforeFulfilment(
+        orderId,
+        user.id,
+        'REJECT',
+        { rejectionReason: reason },
+        reason,
+        { stepId: currentStep.id, comment }
+      );
+      await notifyOrderRejected(rejected, reason);
+      return { success: true, data: updatedOrder, message: 'Order rejected' };
+    }
+
+    const nextStep = pendingSteps[1] || null;
+    const toStatus = nextStep ? order.status : transition.to;
+
+    await prisma.$transaction(async (tx) => {
+      await decideApprovalStep(tx, currentStep.id, { status: 'APPROVED', approverId: user.id, comment });
+
+      await tx.order.update({
+        where: { id: orderId },
+        data: nextStep
+          ? { pendingApprovalRole: nextStep.role }
+          : { status: transition.to, ...transitionTimestamps(transition), pendingApprovalRole: null }
+      });
+
+      await recordOrderStatusEvent(tx, {
+        orderId,
+        fromStatus: order.status,
+        toStatus,
+        actorId: user.id,
+        note: `${currentStep.role} signed off${comment ? `: ${comment}` : ''}`
+      });
+    });
+
+    if (nextStep) {
+      await notifyNextApprover(order, nextStep);
+      const awaitingOrder = await prisma.order.findUnique({
+        where: { id: orderId },
+        include: { approvals: { orderBy: { step: 'asc' } } }
+      });
+      return { success: true, data: awaitingOrder, message: `Signed off; awaiting ${nextStep.role} sign-off` };
+    }
+
+    const completeOrder = await notifyRequesterConfirmPending(order);
+    return { success: true, data: completeOrder, message: 'Order signed off and sent to the branch for confirmation' };
+  } catch (error) {
+    console.error('Sign off order error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to sign off order',
+      error: error.message
+    };
+  }
+};
+
+
+
+/**
+ * Deduct dispatched quantities from BoxHero and our local stock.
+ * Local stock changes are written to the StockMovement ledger as ORDER_DISPATCH.
+ * @param {Object} order - Order being dispatched
+ * @param {string} actorId - ID of the user dispatching the order
+ * @param {Array<Object>} lines - Shipped lines ({ sku, outOfStock, quantity }) from resolveShipmentLines
+ * @returns {Object} Result of updateBoxHeroStock
+ */
+const deductDispatchedStock = async (order, actorId, lines) => {
+  // Import and call BoxHero stock update service
+  const { updateBoxHeroStock } = require('./boxHeroService');
+
+  // Prepare items for stock update: only include shipped lines that are NOT marked outOfStock
+  const itemsToUpdate = [];
+  for (const line of lines) {
+    if (line.outOfStock) continue; // skip out-of-stock items
+    // find item by SKU to get BoxHero ID
+    const itemRecord = await prisma.item.findUnique({ where: { sku: line.sku } });
+    if (!itemRecord || !itemRecord.boxHeroId) continue;
+    const quantityToDeduct = line.quantity;
+    if (!quantityToDeduct) continue;
+    itemsToUpdate.push({
+      itemId: itemRecord.boxHeroId,
+      quantityToDeduct
+    });
+  }
+
+  if (itemsToUpdate.length === 0) {
+    return { success: true, message: 'No stock to deduct', updatedItems: 0 };
+  }
+
+  // Update BoxHero stock levels (will only affect in-stock items)
+  const stockUpdateResult = await updateBoxHeroStock(itemsToUpdate, {
+    source: 'ORDER_DISPATCH',
+    orderId: order.id,
+    actorId: actorId,
+    note: `Dispatched with order ${order.orderNumber}`
+  });
+
+  if (!stockUpdateResult.success) {
+    console.error('Failed to update BoxHero stock:', stockUpdateResult.message);
+    // Note: We don't fail the dispatch if BoxHero update fails
+    // The order is still dispatched, but stock sync failed
+  }
 
+  return stockUpdateResult;
+};
 
 /**
  * Dispatch an approved order with tracking information
@@ -929,89 +1331,48 @@ const dispatchOrder = async (orderId, managerId, dispatchData, mediaPaths = [])
   try {
     const { trackingId, courierLink } = dispatchData;
 
-    // Validate the order exists and is in accepted status
-    const order = await prisma.order.findFirst({
-      where: {
-        id: orderId,
-        status: 'ACCEPTED_ORDER'
-      },
-      include: {
-        orderItems: true,
-        requester: {
-          select: {
-            id: true,
-            firstName: true,
-            lastName: true,
-            email: true
-          }
-        },
-        branch: {
-          select: {
-            id: true,
-            name: true
-          }
-        }
+    // The order is re-read and what is left to ship worked out under the order's row lock, so a
+    // racing dispatch or partial shipment cannot ship the same lines twice
+    const { order, lines } = await prisma.$transaction(async (tx) => {
+      const order = await lockOrderForShipment(tx, orderId);
+      if (!order) {
+        throw new Error('Order not found');
       }
-    });
+      const transition = await assertOrderTransition(order, { action: 'DISPATCH' }, managerId);
 
-    if (!order) {
-      throw new Error('Order not found or not in accepted status');
-    }
+      // Everything not yet shipped in an earlier (partial) shipment goes in this one
+      const { lines } = resolveShipmentLines(order, null);
 
-    // Update order status and create tracking record in a transaction
-    const result = await prisma.$transaction(async (tx) => {
       // Update order status and ensure manager is set
-      const updatedOrder = await tx.order.update({
+      await tx.order.update({
         where: { id: orderId },
         data: {
-          status: 'IN_TRANSIT',
-          dispatchedAt: new Date(),
+          status: transition.to,
+          ...transitionTimestamps(transition),
           managerId: managerId // Ensure manager is set (in case it wasn't set during approval)
         }
       });
 
-      // Create or update tracking record
-      await tx.tracking.upsert({
-        where: { orderId: orderId },
-        update: {
-          trackingId,
-          courierLink,
-          updatedAt: new Date()
-        },
-        create: {
-          orderId: orderId,
-          trackingId,
-          courierLink
-        }
+      await recordOrderStatusEvent(tx, {
+        orderId,
+        fromStatus: order.status,
+        toStatus: transition.to,
+        actorId: managerId,
+        note: trackingId ? `Tracking ID: ${trackingId}` : null,
+        media: mediaPaths
       });
 
-      return updatedOrder;
-    });
+      // Reserved stock is now physically deducted
+      await commitOrderReservations(tx, orderId);
 
-    // Import and call BoxHero stock update service
-    const { updateBoxHeroStock } = require('./boxHeroService');
-
-    // Prepare items for stock update: only include items that are NOT marked outOfStock
-    const itemsToUpdate = [];
-    for (const orderItem of order.orderItems) {
-      if (orderItem.outOfStock) continue; // skip out-of-stock items
-      // find item by SKU to get BoxHero ID
-      const itemRecord = await prisma.item.findUnique({ where: { sku: orderItem.sku } });
-      if (!itemRecord || !itemRecord.boxHeroId) continue;
-      itemsToUpdate.push({
-        itemId: itemRecord.boxHeroId,
-        quantityToDeduct: orderItem.qtyApproved || orderItem.qtyRequested
-      });
-    }
+      // Record the shipment (also creates/updates the order's tracking record)
+      await createShipmentRecord(tx, order, lines, { trackingId, courierLink, media: mediaPaths }, managerId);
 
-    // Update BoxHero stock levels (will only affect in-stock items)
-    const stockUpdateResult = await updateBoxHeroStock(itemsToUpdate);
+      return { order, lines };
+    });
 
-    if (!stockUpdateResult.success) {
-      console.error('Failed to update BoxHero stock:', stockUpdateResult.message);
-      // Note: We don't fail the dispatch if BoxHero update fails
-      // The order is still dispatched, but stock sync failed
-    }
+    // Deduct dispatched stock (BoxHero + local ledger)
+    const stockUpdateResult = await deductDispatchedStock(order, managerId, lines);
 
     // Create notification for order dispatch
     try {
@@ -1093,6 +1454,104 @@ const dispatchOrder = async (orderId, managerId, dispatchData, mediaPaths = [])
   }
 };
 
+/**
+ * Dispatch part (or the rest) of an order as a separate shipment
+ * @param {string} orderId - ID of the order
+ * @param {string} actorId - ID of the user dispatching
+ * @param {string} actorRole - Role of the user dispatching
+ * @param {Object} shipmentData - { lines: [{ orderItemId, quantity }], courierName, trackingId, courierLink, expectedDeliveryTime }
+ * @param {Array} mediaPaths - Dispatch media
+ * @returns {Object} Created shipment
+ */
+const createShipment = async (orderId, actorId, actorRole, shipmentData = {}, mediaPaths = []) => {
+  try {
+    let expectedDeliveryTime = null;
+    if (shipmentData.expectedDeliveryTime) {
+      expectedDeliveryTime = new Date(shipmentData.expectedDeliveryTime);
+      if (expectedDeliveryTime < new Date()) {
+        throw new Error('Expected delivery time cannot be earlier than current date');
+      }
+    }
+
+    // What is left to ship is worked out under the order's row lock
+    const { order, lines, remainingAfter, shipment } = await prisma.$transaction(async (tx) => {
+      const order = await lockOrderForShipment(tx, orderId);
+      if (!order) throw new Error('Order not found');
+
+      // Omitting lines ships everything that is left
+      const { lines, remainingAfter } = resolveShipmentLines(order, shipmentData.lines || null);
+      const transition = await assertOrderTransition(
+        order,
+        { action: remainingAfter === 0 ? 'DISPATCH' : 'DISPATCH_PARTIAL' },
+        actorId,
+        actorRole
+      );
+
+      const created = await createShipmentRecord(tx, order, lines, {
+        courierName: shipmentData.courierName,
+        trackingId: shipmentData.trackingId,
+        courierLink: shipmentData.courierLink,
+        expectedDeliveryTime,
+        media: mediaPaths
+      }, actorId);
+
+      await tx.order.update({
+        where: { id: orderId },
+        data: {
+          status: transition.to,
+          ...transitionTimestamps(transition),
+          ...(expectedDeliveryTime ? { expectedDeliveryTime } : {})
+        }
+      });
+
+      await recordOrderStatusEvent(tx, {
+        orderId,
+        fromStatus: order.status,
+        toStatus: transition.to,
+        actorId,
+        actorRole,
+        note: `Shipment #${created.sequence}: ${lines.reduce((sum, l) => sum + l.quantity, 0)} unit(s)${created.trackingId ? `, tracking ${created.trackingId}` : ''}`,
+        media: mediaPaths
+      });
+
+      // The last shipment commits whatever is still reserved; a partial one only what it carries
+      if (remainingAfter === 0) {
+        await commitOrderReservations(tx, orderId);
+      } else {
+        await commitShippedReservations(tx, lines);
+      }
+
+      return { order, lines, remainingAfter, shipment: created };
+    });
+
+    // Deduct shipped stock (BoxHero + local ledger)
+    const stockUpdateResult = await deductDispatchedStock(order, actorId, lines);
+
+    try {
+      const title = remainingAfter === 0 ? 'Order Dispatched' : 'Order Partially Dispatched';
+      const message = `Shipment #${shipment.sequence} of order ${order.orderNumber} has been dispatched${shipment.trackingId ? `. Tracking ID: ${shipment.trackingId}` : ''}${remainingAfter > 0 ? `. ${remainingAfter} unit(s) will follow in a later shipment.` : ''}`;
+      await notifyUsers([order.requesterId], order.id, 'ORDER_IN_TRANSIT', title, message);
+    } catch (notifyErr) {
+      console.error('Failed to notify requester about shipment:', notifyErr);
+    }
+
+    return {
+      success: true,
+      data: shipment,
+      message: remainingAfter === 0 ? 'Order dispatched successfully' : 'Partial shipment dispatched successfully',
+      remainingUnits: remainingAfter,
+      stockUpdateResult
+    };
+  } catch (error) {
+    console.error('Create shipment error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to create shipment',
+      error: error.message
+    };
+  }
+};
+
 /**
  * Update arranging stage for an order (unified 3-stage flow)
  * @param {string} orderId
@@ -1115,34 +1574,18 @@ const updateArrangingStage = async (orderId, userId, arrangingStage, mediaPaths
     const order = await prisma.order.findUnique({ where: { id: orderId } });
     if (!order) return { success: false, statusCode: 404, message: 'Order not found' };
 
-    const now = new Date();
-    const curr = order.arrangingStage || null;
-
-    // 🚫 stop arranging changes after packaging starts
-    const packagingPhases = ['UNDER_PACKAGING', 'PACKAGING_COMPLETED', 'IN_TRANSIT'];
-    if (packagingPhases.includes(order.status)) {
-      return { success: false, statusCode: 400, message: 'Cannot change arranging stage during/after packaging' };
-    }
-
-    // 🔥 enforce forward-only transitions
-    const validTransitions = {
-      null: ['ARRANGING'],
-      ARRANGING: ['ARRANGED'],
-      ARRANGED: ['SENT_FOR_PACKAGING'],
-      SENT_FOR_PACKAGING: [] // no further arranging
-    };
-
-    if (!validTransitions[curr].includes(arrangingStage)) {
-      return {
-        success: false,
-        statusCode: 400,
-        message: `Invalid transition: ${curr} → ${arrangingStage}`
-      };
+    // 🔥 forward-only transitions, enforced by the order state machine
+    let transition;
+    try {
+      transition = await assertOrderTransition(order, { toStatus: arrangingStage, actions: STATUS_UPDATE_ACTIONS }, userId);
+    } catch (transitionError) {
+      return { success: false, statusCode: 400, message: transitionError.message };
     }
 
     let updateData = {
       arrangingStage,
-      status: arrangingStage   // mirror to main status
+      status: transition.to,   // mirror to main status
+      ...transitionTimestamps(transition)
     };
 
     // If mediaPaths provided, merge into arrangingMedia JSON field (ensure array)
@@ -1151,23 +1594,26 @@ const updateArrangingStage = async (orderId, userId, arrangingStage, mediaPaths
       updateData.arrangingMedia = [...existing, ...mediaPaths];
     }
 
-    if (curr === null && arrangingStage === 'ARRANGING') {
-      updateData.arrangingStartedAt = now;
-    }
-
-    if (curr === 'ARRANGING' && arrangingStage === 'ARRANGED') {
-      updateData.arrangingCompletedAt = now;
-    }
+    const updatedOrder = await prisma.$transaction(async (tx) => {
+      const updated = await tx.order.update({
+        where: { id: orderId },
+        data: updateData
+      });
 
-    if (arrangingStage === 'SENT_FOR_PACKAGING') {
-      updateData.sentForPackagingAt = now;
-    }
+      await recordOrderStatusEvent(tx, {
+        orderId,
+        fromStatus: order.status,
+        toStatus: transition.to,
+        actorId: userId,
+        media: mediaPaths
+      });
 
-    const updatedOrder = await prisma.order.update({
-      where: { id: orderId },
-      data: updateData
+      return updated;
     });
 
+    // Sending for packaging assigns a packager when the manager picked none
+    await autoAssignForStatus(orderId, transition.to, { id: userId });
+
     // Notify branch user about arranging stage change
     try {
       const typeMap = {
@@ -1225,15 +1671,6 @@ const updateArrangingStage = async (orderId, userId, arrangingStage, mediaPaths
           
           // Additional notifications for SENT_FOR_PACKAGING
           if (arrangingStage === 'SENT_FOR_PACKAGING') {
-            // Send notification to assigned packager (if exists)
-            try {
-              // TODO: Get assigned packager from order or branch configuration
-              // For now, we'll skip packager notification as we need to determine who the packager is
-              console.log(`🔍 [DEBUG] SENT_FOR_PACKAGING: Would send to packager if assigned`);
-            } catch (packagerError) {
-              console.error('Failed to send packager notification:', packagerError);
-            }
-            
             // Send notification to manager
             try {
               // Get manager who approved the order
@@ -1281,13 +1718,9 @@ const updateArrangingStage = async (orderId, userId, arrangingStage, mediaPaths
 //  *
 const confirmOrder = async (orderId, userId) => {
   try {
-    // ✅ Step 1: Validate the order exists and is in confirm pending status
-    const order = await prisma.order.findFirst({
-      where: {
-        id: orderId,
-        status: 'CONFIRM_PENDING',
-        requesterId: userId, // Ensure user can only confirm their own orders
-      },
+    // ✅ Step 1: Validate the order exists and may be confirmed by this user
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
       include: {
         requester: {
           select: {
@@ -1308,18 +1741,26 @@ const confirmOrder = async (orderId, userId) => {
     });
 
     if (!order) {
-      throw new Error('Order not found or not in confirm pending status');
+      throw new Error('Order not found');
     }
+    const transition = await assertOrderTransition(order, { action: 'CONFIRM' }, userId);
 
     // ✅ Step 2: Update order status to APPROVED_ORDER
     const result = await prisma.$transaction(async (tx) => {
       const updatedOrder = await tx.order.update({
         where: { id: orderId },
         data: {
-          status: 'APPROVED_ORDER',
+          status: transition.to,
         },
       });
 
+      await recordOrderStatusEvent(tx, {
+        orderId,
+        fromStatus: order.status,
+        toStatus: transition.to,
+        actorId: userId
+      });
+
       return updatedOrder;
     });
 
@@ -1427,12 +1868,8 @@ const confirmOrder = async (orderId, userId) => {
 const raiseOrderIssue = async (orderId, userId, issuePayload) => {
   try {
     // ✅ Validate that the order exists and belongs to this user
-    const order = await prisma.order.findFirst({
-      where: {
-        id: orderId,
-        status: { in: ['CONFIRM_PENDING', 'MANAGER_REPLIED', 'IN_TRANSIT'] },
-        requesterId: userId,
-      },
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
       include: {
         requester: { select: { id: true, firstName: true, lastName: true, email: true } },
         branch: { select: { id: true, name: true } },
@@ -1441,8 +1878,9 @@ const raiseOrderIssue = async (orderId, userId, issuePayload) => {
     });
 
     if (!order) {
-      throw new Error('Order not found or not in confirm pending, manager replied, or in transit status');
+      throw new Error('Order not found');
     }
+    const transition = await assertOrderTransition(order, { action: 'RAISE_ISSUE' }, userId);
 
     // ✅ Normalize payload
     let issues = [];
@@ -1471,7 +1909,7 @@ const raiseOrderIssue = async (orderId, userId, issuePayload) => {
     // ✅ Run everything in a transaction
     const updatedOrder = await prisma.$transaction(async (tx) => {
       // 1️⃣ Update order status + summary
-      const newStatus = order.status === 'IN_TRANSIT' ? 'RAISED_ISSUE' : 'WAITING_FOR_MANAGER_REPLY';
+      const newStatus = transition.to;
       const updated = await tx.order.update({
         where: { id: orderId },
         data: {
@@ -1480,6 +1918,14 @@ const raiseOrderIssue = async (orderId, userId, issuePayload) => {
         },
       });
 
+      await recordOrderStatusEvent(tx, {
+        orderId,
+        fromStatus: order.status,
+        toStatus: newStatus,
+        actorId: userId,
+        note: combinedRemarks
+      });
+
       // 2️⃣ Insert each issue separately in OrderIssue table
       await tx.orderIssue.createMany({
         data: issues.map((it) => ({
@@ -1620,6 +2066,11 @@ const postDeliveryIssue = async (orderId, userId, issues = [], mediaPaths = [])
     const result = await prisma.$transaction(async (tx) => {
       const thread = await tx.issueThread.create({ data: { orderId, createdBy: userId } });
 
+      // Open threads pause the auto-close clock until they are resolved
+      if (order.status === 'CONFIRM_ORDER_RECEIVED' && !order.autoClosePausedAt) {
+        await tx.order.update({ where: { id: orderId }, data: { autoClosePausedAt: new Date() } });
+      }
+
       // If issues array provided, create a message per issue
       if (Array.isArray(issues) && issues.length > 0) {
         for (const it of issues) {
@@ -1693,6 +2144,7 @@ const managerReplyToIssue = async (orderId, actorId, actorRole, replies = []) =>
     });
 
     if (!order) throw new Error("Order not found");
+    const transition = await assertOrderTransition(order, { action: 'MANAGER_REPLY' }, actorId, actorRole);
 
     await prisma.$transaction(async (tx) => {
       for (const r of replies) {
@@ -1714,13 +2166,29 @@ const managerReplyToIssue = async (orderId, actorId, actorRole, replies = []) =>
             where: { id: r.itemId },
             data: { qtyApproved: r.qtyApproved },
           });
+
+          // Re-size the line's reservation unless the stock has already shipped
+          const orderItem = order.orderItems.find((oi) => oi.id === r.itemId);
+          const reservation = await tx.stockReservation.findUnique({ where: { orderItemId: r.itemId } });
+          if (orderItem && !orderItem.outOfStock && reservation && reservation.status !== 'COMMITTED') {
+            await reserveOrderItems(tx, orderId, [{ orderItemId: orderItem.id, sku: orderItem.sku, quantity: r.qtyApproved }]);
+          }
         }
       }
 
       // ✅ Mark order as replied
       await tx.order.update({
         where: { id: orderId },
-        data: { status: "MANAGER_REPLIED" },
+        data: { status: transition.to },
+      });
+
+      await recordOrderStatusEvent(tx, {
+        orderId,
+        fromStatus: order.status,
+        toStatus: transition.to,
+        actorId,
+        actorRole,
+        note: replies.map((r) => r.reply).filter(Boolean).join(' | ') || null
       });
     });
 
@@ -1751,6 +2219,7 @@ const managerReplyToIssue = async (orderId, actorId, actorRole, replies = []) =>
  * @param {string} managerId - ID of the manager updating
  * @param {string} newStatus - New status (UNDER_PACKAGING or IN_TRANSIT)
  * @param {Object} trackingDetails - Tracking details for IN_TRANSIT status
+ * @param {Object} options - { notify } - false skips notifications (bulk updates batch their own)
  * @returns {Object} Updated order details
  */
 
@@ -1761,7 +2230,8 @@ const updateOrderStatus = async (
   newStatusInput, // Renamed argument to avoid conflict
   trackingDetails = null,
   mediaPaths = [],
-  expectedDeliveryTime = undefined
+  expectedDeliveryTime = undefined,
+  { notify = true } = {}
 ) => {
   try {
     // --- 🚀 Backend Fix: Normalize the newStatus parameter ---
@@ -1783,72 +2253,30 @@ const updateOrderStatus = async (
     }
     // --------------------------------------------------------
 
-    const allowedTransitions = {
-      'APPROVED_ORDER': ['ARRANGING', 'UNDER_PACKAGING'],
-      'ARRANGING': ['ARRANGED'],
-      'ARRANGED': ['SENT_FOR_PACKAGING'],
-      'SENT_FOR_PACKAGING': ['UNDER_PACKAGING'],
-      'UNDER_PACKAGING': ['PACKAGING_COMPLETED'],
-      'PACKAGING_COMPLETED': ['IN_TRANSIT']
-    };
-
-    const allowedRolesForStatus = {
-      ARRANGING: ['BRANCH_USER', 'MANAGER', 'ADMIN'],
-      ARRANGED: ['BRANCH_USER', 'MANAGER', 'ADMIN'],
-      SENT_FOR_PACKAGING: ['BRANCH_USER', 'MANAGER', 'ADMIN'],
-      UNDER_PACKAGING: ['ADMIN', 'MANAGER', 'PACKAGER'],
-      PACKAGING_COMPLETED: ['ADMIN', 'MANAGER', 'PACKAGER'],
-      IN_TRANSIT: ['ADMIN', 'MANAGER', 'DISPATCHER']
-    };
-
     const order = await prisma.order.findUnique({
       where: { id: orderId },
-      include: { requester: true, branch: true, orderItems: true }
+      include: { requester: true, branch: true, orderItems: true, shipments: SHIPMENTS_WITH_ITEMS }
     });
 
     if (!order) throw new Error("Order not found");
 
-    const currentStatus = order.status;
-    const possibleNext = allowedTransitions[currentStatus] || [];
-
-    // Use the normalized finalStatus
-    if (!possibleNext.includes(finalStatus)) {
-      throw new Error(`Invalid status transition from ${currentStatus} → ${finalStatus}`);
-    }
-
-    // Use the normalized finalStatus
-    if (!allowedRolesForStatus[finalStatus] || !allowedRolesForStatus[finalStatus].includes(actorRole)) {
-      throw new Error("Access denied. You cannot perform this transition.");
-    }
-
-    const now = new Date();
-    const updateData = { status: finalStatus }; // Use the normalized finalStatus
+    // Use the normalized finalStatus; roles and allowed transitions come from the order state machine
+    const transition = await assertOrderTransition(
+      order,
+      { toStatus: finalStatus, actions: STATUS_UPDATE_ACTIONS },
+      actorId,
+      actorRole
+    );
 
     // ----------------------
-    // TIMELINE TIMESTAMPS: USE THE NORMALIZED finalStatus
+    // TIMELINE TIMESTAMPS: declared per transition
     // ----------------------
-    if (finalStatus === "ARRANGING") {
-      updateData.arrangingStartedAt = now;
-    }
+    const updateData = { status: transition.to, ...transitionTimestamps(transition) };
 
-    if (finalStatus === "ARRANGED") {
-      updateData.arrangingCompletedAt = now;
-    }
-
-    if (finalStatus === "SENT_FOR_PACKAGING") {
-      updateData.sentForPackagingAt = now;
-    }
-
-    if (finalStatus === "UNDER_PACKAGING") {
-      updateData.packagingStartedAt = now; // ✅ NOW THIS WILL RUN
-    }
-
-    if (finalStatus === "PACKAGING_COMPLETED") {
-      updateData.packagingCompletedAt = now; // AND THIS WILL RUN
-    }
+    // Dispatching ships everything not already sent in an earlier (partial) shipment; worked out in the transaction
+    let shipmentLines = null;
 
     if (finalStatus === "IN_TRANSIT") {
-      updateData.dispatchedAt = now;
       // Also, check for expectedDeliveryTime in newStatusInput if it came via FormData
       let deliveryTime = expectedDeliveryTime;
       if (typeof newStatusInput === 'object' && newStatusInput !== null && newStatusInput.expectedDeliveryTime) {
@@ -1877,31 +2305,53 @@ const updateOrderStatus = async (
     // DATABASE UPDATE (TX)
     // -----------------------
     const updatedOrder = await prisma.$transaction(async (tx) => {
+      // Re-check the move on the locked row, so a racing update or shipment cannot act on the same
+      // order state (and ship the same lines) twice
+      const locked = await lockOrderForShipment(tx, orderId);
+      if (!locked) throw new Error("Order not found");
+      await assertOrderTransition(locked, { toStatus: finalStatus, actions: STATUS_UPDATE_ACTIONS }, actorId, actorRole);
+      if (hasEffect(transition, EFFECTS.CREATE_SHIPMENT)) {
+        shipmentLines = resolveShipmentLines(locked, null).lines;
+      }
+
       const updated = await tx.order.update({
         where: { id: orderId },
         data: updateData
       });
 
-      if (finalStatus === "IN_TRANSIT") {
-        // Always create a tracking record for IN_TRANSIT status, even if trackingDetails are not provided
-        await tx.tracking.upsert({
-          where: { orderId },
-          update: {
-            trackingId: trackingDetails?.trackingId || null,
-            courierLink: trackingDetails?.trackingLink || null,
-            updatedAt: new Date()
-          },
-          create: {
-            orderId,
-            trackingId: trackingDetails?.trackingId || null,
-            courierLink: trackingDetails?.trackingLink || null
-          }
-        });
+      await recordOrderStatusEvent(tx, {
+        orderId,
+        fromStatus: locked.status,
+        toStatus: finalStatus,
+        actorId,
+        actorRole,
+        media: mediaPaths
+      });
+
+      if (hasEffect(transition, EFFECTS.COMMIT_RESERVATIONS)) {
+        // Reserved stock is now physically deducted
+        await commitOrderReservations(tx, orderId);
+      }
+
+      if (shipmentLines) {
+        // Always record a shipment (and tracking record) for IN_TRANSIT status, even if trackingDetails are not provided
+        await createShipmentRecord(tx, locked, shipmentLines, {
+          trackingId: trackingDetails?.trackingId || null,
+          courierLink: trackingDetails?.trackingLink || null,
+          expectedDeliveryTime: updateData.expectedDeliveryTime || null,
+          media: mediaPaths
+        }, actorId);
       }
 
       return updated;
     });
 
+    // Deduct dispatched stock (BoxHero + local ledger) when the order leaves the warehouse
+    let stockUpdateResult;
+    if (hasEffect(transition, EFFECTS.DEDUCT_STOCK)) {
+      stockUpdateResult = await deductDispatchedStock(order, actorId, shipmentLines);
+    }
+
     // -----------------------
     // SAVE MEDIA: USE THE NORMALIZED finalStatus
     // -----------------------
@@ -1939,6 +2389,9 @@ const updateOrderStatus = async (
       }
     }
 
+    // Entering packaging / dispatch assigns a packager / dispatcher when the manager picked none
+    await autoAssignForStatus(orderId, finalStatus, { id: actorId });
+
     // ... rest of return logic
     // -----------------------
     // RETURN UPDATED ORDER
@@ -1966,6 +2419,15 @@ const updateOrderStatus = async (
       }
     });
 
+    if (!notify) {
+      return {
+        success: true,
+        message: `Order updated to ${finalStatus} successfully`,
+        data: completeOrder,
+        stockUpdateResult
+      };
+    }
+
     try {
       if (actorRole === 'MANAGER' && ['ARRANGING', 'SENT_FOR_PACKAGING', 'UNDER_PACKAGING', 'PACKAGING_COMPLETED', 'IN_TRANSIT', 'RECEIVED'].includes(finalStatus)) {
         console.log(`🔍 [DEBUG] Manager status update: actorRole=${actorRole}, finalStatus=${finalStatus}, orderId=${orderId}`);
@@ -1977,15 +2439,6 @@ const updateOrderStatus = async (
         
         // Additional notifications for SENT_FOR_PACKAGING
         if (finalStatus === 'SENT_FOR_PACKAGING') {
-          // Send notification to assigned packager (if exists)
-          try {
-            // TODO: Get assigned packager from order or branch configuration
-            // For now, we'll skip packager notification as we need to determine who the packager is
-            console.log(`🔍 [DEBUG] SENT_FOR_PACKAGING: Would send to packager if assigned`);
-          } catch (packagerError) {
-            console.error('Failed to send packager notification:', packagerError);
-          }
-          
           // Send notification to manager
           try {
             // Get manager who approved the order
@@ -2013,15 +2466,6 @@ const updateOrderStatus = async (
         
         // Additional notifications for UNDER_PACKAGING
         if (finalStatus === 'UNDER_PACKAGING') {
-          // Send notification to assigned packager (if exists)
-          try {
-            // TODO: Get assigned packager from order or branch configuration
-            // For now, we'll skip packager notification as we need to determine who the packager is
-            console.log(`🔍 [DEBUG] UNDER_PACKAGING: Would send to packager if assigned`);
-          } catch (packagerError) {
-            console.error('Failed to send packager notification:', packagerError);
-          }
-          
           // Send notification to manager
           try {
             // Get manager who approved the order
@@ -2049,15 +2493,6 @@ const updateOrderStatus = async (
         
         // Additional notifications for PACKAGING_COMPLETED
         if (finalStatus === 'PACKAGING_COMPLETED') {
-          // Send notification to assigned packager (if exists)
-          try {
-            // TODO: Get assigned packager from order or branch configuration
-            // For now, we'll skip packager notification as we need to determine who the packager is
-            console.log(`🔍 [DEBUG] PACKAGING_COMPLETED: Would send to packager if assigned`);
-          } catch (packagerError) {
-            console.error('Failed to send packager notification:', packagerError);
-          }
-          
           // Send notification to manager
           try {
             // Get manager who approved the order
@@ -2081,15 +2516,6 @@ const updateOrderStatus = async (
           } catch (managerError) {
             console.error('Failed to send manager notification:', managerError);
           }
-          
-          // Send notification to dispatcher (if exists)
-          try {
-            // TODO: Get assigned dispatcher from order or branch configuration
-            // For now, we'll skip dispatcher notification as we need to determine who the dispatcher is
-            console.log(`🔍 [DEBUG] PACKAGING_COMPLETED: Would send to dispatcher if assigned`);
-          } catch (dispatcherError) {
-            console.error('Failed to send dispatcher notification:', dispatcherError);
-          }
         }
         
         // Additional notifications for IN_TRANSIT
@@ -2117,15 +2543,6 @@ const updateOrderStatus = async (
           } catch (managerError) {
             console.error('Failed to send manager notification:', managerError);
           }
-          
-          // Send notification to dispatcher (if exists)
-          try {
-            // TODO: Get assigned dispatcher from order or branch configuration
-            // For now, we'll skip dispatcher notification as we need to determine who the dispatcher is
-            console.log(`🔍 [DEBUG] IN_TRANSIT: Would send to dispatcher if assigned`);
-          } catch (dispatcherError) {
-            console.error('Failed to send dispatcher notification:', dispatcherError);
-          }
         }
         
         // Additional notifications for RECEIVED
@@ -2171,17 +2588,9 @@ const updateOrderStatus = async (
     // Notify relevant users depending on finalStatus
     try {
       const branchUserId = completeOrder.requester?.id || completeOrder.requesterId;
-      const statusToType = {
-        ARRANGING: ['ORDER_ARRANGING', 'Order Arranging'],
-        ARRANGED: ['ORDER_ARRANGED', 'Order Arranged'],
-        SENT_FOR_PACKAGING: ['ORDER_SENT_FOR_PACKAGING', 'Order Sent For Packaging'],
-        UNDER_PACKAGING: ['ORDER_UNDER_PACKAGING', 'Order Under Packaging'],
-        PACKAGING_COMPLETED: ['ORDER_PACKAGING_COMPLETED', 'Order Packaging Completed'],
-        IN_TRANSIT: ['ORDER_IN_TRANSIT', 'Order Dispatched']
-      };
 
-      if (statusToType[finalStatus]) {
-        const [ntype, ntitle] = statusToType[finalStatus];
+      if (STATUS_NOTIFICATION_TYPES[finalStatus]) {
+        const [ntype, ntitle] = STATUS_NOTIFICATION_TYPES[finalStatus];
         const message = finalStatus === 'IN_TRANSIT' && completeOrder.tracking ? `Order ${completeOrder.orderNumber} is in transit. Tracking: ${completeOrder.tracking.trackingId || 'N/A'}` : `Order ${completeOrder.orderNumber} updated to ${finalStatus}`;
         if (branchUserId) await notifyUsers([branchUserId], orderId, ntype, ntitle, message);
       }
@@ -2192,7 +2601,8 @@ const updateOrderStatus = async (
     return {
       success: true,
       message: `Order updated to ${finalStatus} successfully`, // Use finalStatus
-      data: completeOrder
+      data: completeOrder,
+      stockUpdateResult
     };
 
   } catch (error) {
@@ -2210,17 +2620,16 @@ const updateOrderStatus = async (
  * @param {string} orderId - ID of the order
  * @param {string} userId - ID of the user confirming
  * @param {Array} mediaFiles - Array of uploaded media files (optional but recommended)
+ * @param {string|null} shipmentId - Confirm a single shipment of a partially shipped order
+ * @param {Object} receipt - { receivedItems: [{ orderItemId, qtyReceived, note }], wrongItems: [{ sku, quantity, note }] }
+ *   Lines left out of receivedItems are taken as received in full.
  * @returns {Object} Updated order details
  */
-const confirmOrderReceived = async (orderId, userId, mediaFiles = []) => {
+const confirmOrderReceived = async (orderId, userId, mediaFiles = [], shipmentId = null, receipt = {}) => {
   try {
     // Step 1: Validate the order exists and belongs to the user
-    const order = await prisma.order.findFirst({
-      where: {
-        id: orderId,
-        status: 'IN_TRANSIT',
-        requesterId: userId, // user can only confirm their own orders
-      },
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
       include: {
         requester: {
           select: {
@@ -2238,12 +2647,34 @@ const confirmOrderReceived = async (orderId, userId, mediaFiles = []) => {
         },
         // ✅ OrderItems — no `item` relation
         orderItems: true,
+        shipments: SHIPMENTS_WITH_ITEMS,
       },
     });
 
     if (!order) {
-      throw new Error('Order not found or not in transit status');
+      throw new Error('Order not found');
+    }
+    const notRequester = checkGuard('isRequester', order, { id: userId });
+    if (notRequester) throw new Error(notRequester);
+
+    // Which shipments does this confirmation cover? (all in-transit ones unless a shipment is named)
+    const inTransitShipments = order.shipments.filter((sh) => sh.status === 'IN_TRANSIT');
+    let receivingShipmentIds = inTransitShipments.map((sh) => sh.id);
+    if (shipmentId) {
+      const shipment = order.shipments.find((sh) => sh.id === shipmentId);
+      if (!shipment) throw new Error('Shipment not found for this order');
+      if (shipment.status !== 'IN_TRANSIT') throw new Error(`Shipment #${shipment.sequence} has already been received`);
+      receivingShipmentIds = [shipment.id];
+    }
+
+    // The order itself is received once everything has shipped and nothing is left in transit
+    const completesOrder = order.status === 'IN_TRANSIT' && receivingShipmentIds.length === inTransitShipments.length;
+    if (!completesOrder && receivingShipmentIds.length === 0) {
+      throw new Error('No shipment of this order is in transit');
     }
+    const transition = completesOrder
+      ? await assertOrderTransition(order, { action: 'CONFIRM_RECEIVED' }, userId)
+      : null;
 
     // Step 2: Make media upload mandatory
     if (!mediaFiles || mediaFiles.length === 0) {
@@ -2256,21 +2687,68 @@ const confirmOrderReceived = async (orderId, userId, mediaFiles = []) => {
       mediaPaths = mediaFiles.map(file => `/uploads/${file.filename}`);
     }
 
-    // Step 4: Update order status and set autoCloseAt (56 working hours after received)
+    // Step 4: Update order status and set autoCloseAt (auto-close policy window after received)
     const receivedAt = new Date();
-    const autoCloseAt = addWorkingHours(receivedAt, 56);
+    const autoCloseAt = await getAutoCloseAt(order.branchId, receivedAt);
 
+    let discrepancies = [];
     const updatedOrder = await prisma.$transaction(async (tx) => {
-      return await tx.order.update({
+      discrepancies = await reconcileReceipt(tx, {
+        order,
+        shipmentIds: receivingShipmentIds,
+        receivedItems: receipt.receivedItems,
+        wrongItems: receipt.wrongItems,
+        userId
+      });
+      await markShipmentsReceived(tx, receivingShipmentIds, userId, mediaPaths);
+      if (!transition) return null;
+
+      const updated = await tx.order.update({
         where: { id: orderId },
         data: {
-          status: 'CONFIRM_ORDER_RECEIVED',
+          status: transition.to,
           receivedAt,
           autoCloseAt,
+          autoClosePausedAt: null,
         },
       });
+
+      await recordOrderStatusEvent(tx, {
+        orderId,
+        fromStatus: order.status,
+        toStatus: transition.to,
+        actorId: userId,
+        note: discrepancies.length > 0 ? `${discrepancies.length} receipt discrepancy(ies) reported` : null,
+        media: mediaPaths
+      });
+
+      return updated;
     });
 
+    await notifyDiscrepancies(order, discrepancies);
+
+    // Only part of the order has arrived: tell the managers and wait for the remaining shipments
+    if (!transition) {
+      const sequences = order.shipments
+        .filter((sh) => receivingShipmentIds.includes(sh.id))
+        .map((sh) => `#${sh.sequence}`)
+        .join(', ');
+      try {
+        const mgrs = await prisma.managerBranch.findMany({ where: { branchId: order.branch.id }, select: { managerId: true } });
+        const userIds = mgrs.map(m => m.managerId);
+        if (order.managerId) userIds.push(order.managerId);
+        if (userIds.length > 0) await notifyUsers(userIds, order.id, 'ORDER_RECEIVED', 'Shipment Received', `Shipment ${sequences} of order ${order.orderNumber} has been received`);
+      } catch (notifyErr) {
+        console.error('Failed to notify managers about shipment receipt:', notifyErr);
+      }
+
+      return {
+        success: true,
+        data: { ...order, discrepancies },
+        message: `Shipment ${sequences} received. The order will be marked received once every shipment has arrived.`,
+      };
+    }
+
     // Step 3: Fetch complete order with all details for notifications
     const completeOrder = await prisma.order.findUnique({
       where: { id: orderId },
@@ -2348,8 +2826,10 @@ const confirmOrderReceived = async (orderId, userId, mediaFiles = []) => {
 
     return {
       success: true,
-      data: order,
-      message: 'Order received confirmation sent successfully',
+      data: { ...order, discrepancies },
+      message: discrepancies.length > 0
+        ? `Order received with ${discrepancies.length} discrepancy(ies) reported to the manager`
+        : 'Order received confirmation sent successfully',
     };
   } catch (error) {
     console.error('Confirm order received error:', error);
@@ -2375,15 +2855,25 @@ const reportReceivedIssues = async (orderId, userId, issues = [], groupedMedia =
       return { success: false, message: 'Issues array required' };
     }
 
-    const order = await prisma.order.findUnique({ where: { id: orderId } });
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      include: { orderItems: true, shipments: SHIPMENTS_WITH_ITEMS }
+    });
     if (!order) return { success: false, message: 'Order not found' };
-    if (order.requesterId !== userId) return { success: false, message: 'Access denied' };
+
+    let transition;
+    try {
+      transition = await assertOrderTransition(order, { action: 'REPORT_RECEIVED_ISSUES' }, userId);
+    } catch (transitionError) {
+      return { success: false, message: transitionError.message };
+    }
 
     // Persist issues and update order in transaction
     const receivedAt = new Date();
-    const autoCloseAt = addWorkingHours(receivedAt, 56);
+    const autoCloseAt = await getAutoCloseAt(order.branchId, receivedAt);
 
     const createdIssues = [];
+    let discrepancies = [];
 
     await prisma.$transaction(async (tx) => {
       // create each OrderReceivedIssue
@@ -2403,17 +2893,44 @@ const reportReceivedIssues = async (orderId, userId, issues = [], groupedMedia =
         createdIssues.push(created);
       }
 
+      // Reporting issues on receipt also marks any shipments still in transit as received.
+      // Issues may carry the quantity actually received for their line (qtyReceived).
+      const openShipmentIds = order.shipments.filter((sh) => sh.status === 'IN_TRANSIT').map((sh) => sh.id);
+      if (openShipmentIds.length > 0 || order.status === 'IN_TRANSIT') {
+        discrepancies = await reconcileReceipt(tx, {
+          order,
+          shipmentIds: openShipmentIds,
+          receivedItems: issues
+            .filter((it) => it.itemId && it.qtyReceived != null && it.qtyReceived !== '' && Number.isInteger(Number(it.qtyReceived)))
+            .map((it) => ({ orderItemId: it.itemId, qtyReceived: Number(it.qtyReceived), note: it.reason })),
+          userId
+        });
+      }
+      await markShipmentsReceived(tx, openShipmentIds, userId);
+
       // Update order: set CONFIRM_ORDER_RECEIVED, receivedAt, autoCloseAt
+      // The auto-close clock stays paused until the reported issues are resolved
       await tx.order.update({
         where: { id: orderId },
         data: {
-          status: 'CONFIRM_ORDER_RECEIVED',
+          status: transition.to,
           receivedAt,
-          autoCloseAt
+          autoCloseAt,
+          autoClosePausedAt: createdIssues.length > 0 ? receivedAt : null
         }
       });
+
+      await recordOrderStatusEvent(tx, {
+        orderId,
+        fromStatus: order.status,
+        toStatus: transition.to,
+        actorId: userId,
+        note: `${createdIssues.length} received issue(s) reported`
+      });
     });
 
+    await notifyDiscrepancies(order, discrepancies);
+
     // Notify managers assigned to branch (or fallback to order.managerId)
     try {
       const { getBranchManagers } = require('./managerBranchService');
@@ -2437,6 +2954,96 @@ const reportReceivedIssues = async (orderId, userId, issues = [], groupedMedia =
 };
 
 
+/**
+ * Check that a user may resolve an issue on an order: ADMIN, a manager of the order's branch,
+ * or the branch user who placed it
+ * @returns {Object|null} Error result, or null when allowed
+ */
+const checkIssueResolver = async (order, user) => {
+  if (user.role === 'BRANCH_USER') {
+    return order.requesterId === user.id ? null : { success: false, statusCode: 403, message: 'Access denied' };
+  }
+  if (user.role !== 'ADMIN' && user.role !== 'MANAGER') {
+    return { success: false, statusCode: 403, message: 'Access denied' };
+  }
+  const managedBranchIds = await getManagedBranchIds(user);
+  if (managedBranchIds && !managedBranchIds.includes(order.branchId)) {
+    return { success: false, statusCode: 403, message: 'You do not manage the branch of this order' };
+  }
+  return null;
+};
+
+/**
+ * Resolve a received issue; the order's auto-close resumes once nothing is left open
+ * @param {string} issueId - OrderReceivedIssue ID
+ * @param {Object} user - { id, role }
+ * @param {string} resolution - How the issue was settled
+ * @returns {Object} Resolved issue and the order's autoCloseAt when it resumed
+ */
+const resolveReceivedIssue = async (issueId, user, resolution = null) => {
+  try {
+    const issue = await prisma.orderReceivedIssue.findUnique({
+      where: { id: issueId },
+      include: { order: { select: { id: true, branchId: true, requesterId: true } } }
+    });
+    if (!issue) return { success: false, statusCode: 404, message: 'Received issue not found' };
+
+    const denied = await checkIssueResolver(issue.order, user);
+    if (denied) return denied;
+    if (issue.resolvedAt) return { success: false, statusCode: 400, message: 'Received issue is already resolved' };
+
+    const updated = await prisma.orderReceivedIssue.update({
+      where: { id: issueId },
+      data: { resolvedAt: new Date(), resolvedById: user.id, resolution }
+    });
+    const autoCloseAt = await resumeAutoCloseIfClear(issue.orderId);
+
+    return { success: true, data: { issue: updated, autoCloseAt }, message: 'Received issue resolved' };
+  } catch (error) {
+    console.error('Resolve received issue error:', error);
+    return {
+      success: false,
+      message: 'Failed to resolve received issue',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Resolve a post-delivery issue thread; the order's auto-close resumes once nothing is left open
+ * @param {string} threadId - IssueThread ID
+ * @param {Object} user - { id, role }
+ * @returns {Object} Resolved thread and the order's autoCloseAt when it resumed
+ */
+const resolveIssueThread = async (threadId, user) => {
+  try {
+    const thread = await prisma.issueThread.findUnique({
+      where: { id: threadId },
+      include: { order: { select: { id: true, branchId: true, requesterId: true } } }
+    });
+    if (!thread) return { success: false, statusCode: 404, message: 'Issue thread not found' };
+
+    const denied = await checkIssueResolver(thread.order, user);
+    if (denied) return denied;
+    if (thread.resolvedAt) return { success: false, statusCode: 400, message: 'Issue thread is already resolved' };
+
+    const updated = await prisma.issueThread.update({
+      where: { id: threadId },
+      data: { resolvedAt: new Date(), resolvedById: user.id }
+    });
+    const autoCloseAt = await resumeAutoCloseIfClear(thread.orderId);
+
+    return { success: true, data: { thread: updated, autoCloseAt }, message: 'Issue thread resolved' };
+  } catch (error) {
+    console.error('Resolve issue thread error:', error);
+    return {
+      success: false,
+      message: 'Failed to resolve issue thread',
+      error: error.message
+    };
+  }
+};
+
 /**
  * Branch user confirms manager's reply to raised issue
  * @param {string} orderId - ID of the order
@@ -2446,12 +3053,8 @@ const reportReceivedIssues = async (orderId, userId, issues = [], groupedMedia =
 const confirmManagerReply = async (orderId, userId) => {
   try {
     // ✅ Validate the order exists and belongs to the requester
-    const order = await prisma.order.findFirst({
-      where: {
-        id: orderId,
-        status: 'MANAGER_REPLIED',
-        requesterId: userId, // Ensure user can only confirm their own orders
-      },
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
       include: {
         requester: {
           select: {
@@ -2472,19 +3075,27 @@ const confirmManagerReply = async (orderId, userId) => {
     });
 
     if (!order) {
-      throw new Error('Order not found or not in manager replied status');
+      throw new Error('Order not found');
     }
+    const transition = await assertOrderTransition(order, { action: 'CONFIRM_MANAGER_REPLY' }, userId);
 
     // ✅ Update order status to APPROVED_ORDER in a transaction
     const result = await prisma.$transaction(async (tx) => {
       const updatedOrder = await tx.order.update({
         where: { id: orderId },
         data: {
-          status: 'APPROVED_ORDER',
-          approvedAt: new Date(),
+          status: transition.to,
+          ...transitionTimestamps(transition),
         },
       });
 
+      await recordOrderStatusEvent(tx, {
+        orderId,
+        fromStatus: order.status,
+        toStatus: transition.to,
+        actorId: userId
+      });
+
       return updatedOrder;
     });
 
@@ -2532,12 +3143,9 @@ const confirmManagerReply = async (orderId, userId) => {
  */
 const closeOrder = async (orderId, actorId) => {
   try {
-    // Step 1: Validate the order exists and is in CONFIRM_ORDER_RECEIVED status
-    const order = await prisma.order.findFirst({
-      where: {
-        id: orderId,
-        status: 'CONFIRM_ORDER_RECEIVED'
-      },
+    // Step 1: Validate the order exists and may be closed
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
       include: {
         requester: {
           select: {
@@ -2559,18 +3167,36 @@ const closeOrder = async (orderId, actorId) => {
     });
 
     if (!order) {
-      throw new Error('Order not found or not in confirm order received status');
+      throw new Error('Order not found');
     }
+    const transition = await assertOrderTransition(order, { action: 'CLOSE' }, actorId);
 
     // Step 2: Update order status to CLOSED_ORDER
+    const isSystemClose = !actorId || actorId === 'SYSTEM_AUTO';
     const updatedOrder = await prisma.$transaction(async (tx) => {
-      return await tx.order.update({
+      // Anything still held for this order (e.g. lines that never shipped) goes back to stock
+      if (hasEffect(transition, EFFECTS.RELEASE_RESERVATIONS)) {
+        await releaseOrderReservations(tx, orderId, 'Order closed');
+      }
+
+      const updated = await tx.order.update({
         where: { id: orderId },
         data: {
-          status: 'CLOSED_ORDER',
-          closedAt: new Date()
+          status: transition.to,
+          ...transitionTimestamps(transition)
         }
       });
+
+      await recordOrderStatusEvent(tx, {
+        orderId,
+        fromStatus: order.status,
+        toStatus: transition.to,
+        // The auto-close job passes 'SYSTEM_AUTO' rather than a user ID
+        actorId: isSystemClose ? null : actorId,
+        note: isSystemClose ? 'Auto-closed' : null
+      });
+
+      return updated;
     });
 
     // Step 3: Notify everyone about order closure (admins, managers and branch users)
@@ -2607,6 +3233,310 @@ const closeOrder = async (orderId, actorId) => {
   }
 };
 
+/**
+ * End an order before fulfilment (REJECT / CANCEL) and give back any stock held for it.
+ * Stock is only deducted at dispatch, which neither transition can follow, so releasing
+ * the reservations returns everything the order was holding.
+ * @param {string} orderId - ID of the order
+ * @param {string} actorId - User rejecting / cancelling
+ * @param {string} action - 'REJECT' | 'CANCEL'
+ * @param {Object} data - Extra Order columns (reason)
+ * @param {string|null} reason - Note for the status timeline
+ * @param {Object|null} signOff - Sign-off step rejected along with the order ({ stepId, comment })
+ * @returns {Object} { order, updatedOrder }
+ */
+const endOrderBeforeFulfilment = async (orderId, actorId, action, data, reason, signOff = null) => {
+  const order = await prisma.order.findUnique({
+    where: { id: orderId },
+    include: {
+      requester: { select: { id: true, firstName: true, lastName: true, email: true, phoneNumber: true } },
+      branch: { select: { id: true, name: true } },
+      orderItems: true
+    }
+  });
+
+  if (!order) throw new Error('Order not found');
+  const transition = await assertOrderTransition(order, { action }, actorId);
+
+  const updatedOrder = await prisma.$transaction(async (tx) => {
+    if (signOff) {
+      await decideApprovalStep(tx, signOff.stepId, { status: 'REJECTED', approverId: actorId, comment: signOff.comment });
+    }
+
+    if (hasEffect(transition, EFFECTS.RELEASE_RESERVATIONS)) {
+      await releaseOrderReservations(tx, orderId, action === 'REJECT' ? 'Order rejected' : 'Order cancelled');
+    }
+
+    // Lines of an order that will not be fulfilled are no longer owed to the branch
+    await tx.backorder.updateMany({
+      where: { orderId, status: { in: ['OPEN', 'AVAILABLE'] } },
+      data: { status: 'CANCELLED', cancelledAt: new Date(), cancelReason: action === 'REJECT' ? 'Order rejected' : 'Order cancelled' }
+    });
+
+    const updated = await tx.order.update({
+      where: { id: orderId },
+      data: {
+        status: transition.to,
+        ...transitionTimestamps(transition),
+        pendingApprovalRole: null,
+        ...data
+      }
+    });
+
+    // Sign-off steps still waiting are moot once the order ends
+    await tx.orderApproval.updateMany({
+      where: { orderId, status: 'PENDING' },
+      data: { status: 'REJECTED', comment: reason || null, decidedAt: new Date() }
+    });
+
+    await recordOrderStatusEvent(tx, {
+      orderId,
+      fromStatus: order.status,
+      toStatus: transition.to,
+      actorId,
+      note: reason
+    });
+
+    return updated;
+  });
+
+  return { order, updatedOrder };
+};
+
+// Tell the requester and admins that an order was rejected (in-app, email and WhatsApp)
+const notifyOrderRejected = async (order, reason) => {
+  // Notify requester and admins
+  try {
+    const adminUsers = await prisma.user.findMany({ where: { role: 'ADMIN', isActive: true }, select: { id: true } });
+    const userIds = [order.requesterId, ...adminUsers.map(a => a.id)];
+    await notifyUsers(userIds, order.id, 'ORDER_REJECTED', 'Order Rejected', `Order ${order.orderNumber} has been rejected. Reason: ${reason}`);
+  } catch (notifyErr) {
+    console.error('Failed to notify users about order rejection:', notifyErr);
+  }
+
+  try {
+    await sendOrderRejectedNotification(order, reason);
+  } catch (notificationError) {
+    console.error('Failed to send order rejected notifications:', notificationError);
+  }
+};
+
+/**
+ * Manager rejects an order that will not be fulfilled
+ * @param {string} orderId - ID of the order
+ * @param {string} managerId - ID of the manager rejecting
+ * @param {string} reason - Mandatory rejection reason
+ * @returns {Object} Rejected order details
+ */
+const rejectOrder = async (orderId, managerId, reason) => {
+  try {
+    const { order, updatedOrder } = await endOrderBeforeFulfilment(
+      orderId,
+      managerId,
+      'REJECT',
+      { rejectionReason: reason, managerId },
+      reason
+    );
+
+    await notifyOrderRejected(order, reason);
+
+    return {
+      success: true,
+      data: updatedOrder,
+      message: 'Order rejected successfully'
+    };
+  } catch (error) {
+    console.error('Reject order error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to reject order',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Requester withdraws their own order before arranging starts
+ * @param {string} orderId - ID of the order
+ * @param {string} userId - ID of the requester
+ * @param {string|null} reason - Optional cancellation reason
+ * @returns {Object} Cancelled order details
+ */
+const cancelOrder = async (orderId, userId, reason = null) => {
+  try {
+    const { order, updatedOrder } = await endOrderBeforeFulfilment(
+      orderId,
+      userId,
+      'CANCEL',
+      { cancellationReason: reason || null },
+      reason || null
+    );
+
+    // Notify the order's manager (or the branch managers) and admins
+    try {
+      const adminUsers = await prisma.user.findMany({ where: { role: 'ADMIN', isActive: true }, select: { id: true } });
+      const mgrs = await prisma.managerBranch.findMany({ where: { branchId: order.branchId }, select: { managerId: true } });
+      const managerIds = order.managerId ? [order.managerId] : mgrs.map(m => m.managerId);
+      const userIds = [...adminUsers.map(a => a.id), ...managerIds];
+      await notifyUsers(userIds, order.id, 'ORDER_CANCELLED', 'Order Cancelled', `Order ${order.orderNumber} has been cancelled by the branch${reason ? `. Reason: ${reason}` : ''}`);
+
+      const managers = await prisma.user.findMany({
+        where: { id: { in: managerIds }, isActive: true },
+        select: { id: true, firstName: true, lastName: true, email: true, phoneNumber: true }
+      });
+      for (const manager of managers) {
+        await sendOrderCancelledNotification(order, manager, reason);
+      }
+    } catch (notifyErr) {
+      console.error('Failed to notify users about order cancellation:', notifyErr);
+    }
+
+    return {
+      success: true,
+      data: updatedOrder,
+      message: 'Order cancelled successfully'
+    };
+  } catch (error) {
+    console.error('Cancel order error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to cancel order',
+      error: error.message
+    };
+  }
+};
+
+
+/**
+ * Turn backordered lines into a follow-up order linked to the original one.
+ * The manager has already decided the quantities, so the order starts at CONFIRM_PENDING
+ * with stock reserved, and the requester confirms it like any approved order.
+ * A partial allocation leaves the rest of the line open as a new backorder.
+ * @param {Object} parentOrder - Original order (id, orderNumber, requesterId, branchId)
+ * @param {Array<Object>} allocations - [{ backorder, quantity }]
+ * @param {string} managerId - Manager allocating the stock
+ * @returns {Object} Created follow-up order with items
+ */
+const createFollowUpOrder = async (parentOrder, allocations, managerId) => {
+  const transition = await assertOrderTransition(null, { action: 'SUBMIT_BACKORDER' }, managerId);
+
+  const skus = [...new Set(allocations.map(a => a.backorder.sku))];
+  const items = await prisma.item.findMany({
+    where: { sku: { in: skus }, isActive: true },
+    select: { sku: true, price: true }
+  });
+  const missing = skus.filter(sku => !items.find(i => i.sku === sku));
+  if (missing.length > 0) {
+    throw new Error(`One or more SKUs not found or inactive. Not found: ${missing.join(', ')}`);
+  }
+
+  // One order line per SKU even when several backorders are allocated together
+  const quantityBySku = {};
+  for (const allocation of allocations) {
+    quantityBySku[allocation.backorder.sku] = (quantityBySku[allocation.backorder.sku] || 0) + allocation.quantity;
+  }
+  const priceOf = (sku) => Number(items.find(i => i.sku === sku).price || 0);
+  const totalItems = Object.values(quantityBySku).reduce((sum, qty) => sum + qty, 0);
+  const totalValue = Object.entries(quantityBySku).reduce((sum, [sku, qty]) => sum + priceOf(sku) * qty, 0);
+
+  const followUp = await prisma.$transaction(async (tx) => {
+    const order = await tx.order.create({
+      data: {
+        orderNumber: await generateOrderNumber(tx, { branchId: parentOrder.branchId }),
+        status: transition.to,
+        ...transitionTimestamps(transition),
+        remarks: `Backorder follow-up for order ${parentOrder.orderNumber}`,
+        totalItems,
+        totalValue,
+        requesterId: parentOrder.requesterId,
+        branchId: parentOrder.branchId,
+        managerId,
+        parentOrderId: parentOrder.id
+      }
+    });
+
+    await recordOrderStatusEvent(tx, {
+      orderId: order.id,
+      fromStatus: null,
+      toStatus: transition.to,
+      actorId: managerId,
+      note: `Created from backorders of order ${parentOrder.orderNumber}`
+    });
+
+    const reservationLines = [];
+    for (const [sku, quantity] of Object.entries(quantityBySku)) {
+      const orderItem = await tx.orderItem.create({
+        data: {
+          orderId: order.id,
+          sku,
+          qtyRequested: quantity,
+          qtyApproved: quantity,
+          unitPrice: new Prisma.Decimal(priceOf(sku)),
+          totalPrice: new Prisma.Decimal(priceOf(sku) * quantity)
+        }
+      });
+      reservationLines.push({ orderItemId: orderItem.id, sku, quantity });
+    }
+
+    if (hasEffect(transition, EFFECTS.RESERVE_STOCK)) {
+      await reserveOrderItems(tx, order.id, reservationLines);
+    }
+
+    for (const { backorder, quantity } of allocations) {
+      // Guard against the same backorder being converted twice concurrently
+      const converted = await tx.backorder.updateMany({
+        where: { id: backorder.id, status: { in: ['OPEN', 'AVAILABLE'] } },
+        data: {
+          status: 'CONVERTED',
+          quantity,
+          convertedOrderId: order.id,
+          convertedById: managerId,
+          convertedAt: new Date()
+        }
+      });
+      if (converted.count === 0) {
+        throw new Error(`Backorder for SKU ${backorder.sku} is no longer open`);
+      }
+
+      if (quantity < backorder.quantity) {
+        await tx.backorder.create({
+          data: {
+            orderId: backorder.orderId,
+            orderItemId: backorder.orderItemId,
+            branchId: backorder.branchId,
+            sku: backorder.sku,
+            quantity: backorder.quantity - quantity
+          }
+        });
+      }
+    }
+
+    return order;
+  });
+
+  try {
+    await notifyUsers([parentOrder.requesterId], followUp.id, 'ORDER_CONFIRM_PENDING', 'Backorder Ready for Confirmation', `Backordered items from order ${parentOrder.orderNumber} are now available in order ${followUp.orderNumber} and waiting for your confirmation.`);
+  } catch (err) {
+    console.error('Failed to notify requester about follow-up order:', err);
+  }
+
+  const completeOrder = await prisma.order.findUnique({
+    where: { id: followUp.id },
+    include: {
+      requester: { select: { id: true, firstName: true, lastName: true, email: true } },
+      branch: { select: { id: true, name: true } },
+      orderItems: true
+    }
+  });
+
+  try {
+    await sendOrderConfirmPendingNotification(completeOrder);
+  } catch (err) {
+    console.error('Failed to send confirm pending notification for follow-up order:', err);
+  }
+
+  return completeOrder;
+};
 
 /**
  * Update arranging remarks for an order
@@ -2689,13 +3619,69 @@ const updateArrangingRemarks = async (orderId, userId, remarks) => {
   }
 };
 
+/**
+ * List the status transitions the current user may perform on an order
+ * @param {string} orderId - ID of the order
+ * @param {Object} user - Requesting user ({ id, role, branchId })
+ * @returns {Object} Current status and available actions
+ */
+const getOrderAvailableActions = async (orderId, user) => {
+  try {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      select: {
+        id: true,
+        orderNumber: true,
+        status: true,
+        requesterId: true,
+        branchId: true,
+        pendingApprovalRole: true,
+        packagerId: true,
+        dispatcherId: true,
+        // isPendingApprover guard
+        approvals: { select: { approverId: true, status: true } },
+        branch: { select: BRANCH_MANAGERS_SELECT }
+      }
+    });
+
+    if (!order) {
+      return { success: false, statusCode: 404, message: 'Order not found' };
+    }
+
+    // 🔒 Access control: same orders the user can find through search
+    const visible = await prisma.order.count({ where: { AND: [{ id: orderId }, await getVisibilityWhere(user)] } });
+    if (visible === 0) {
+      return { success: false, statusCode: 403, message: 'Access denied' };
+    }
+
+    return {
+      success: true,
+      data: {
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        actions: getAvailableTransitions(order, user)
+      }
+    };
+  } catch (error) {
+    console.error('Get order available actions error:', error);
+    return {
+      success: false,
+      message: 'Failed to fetch available actions',
+      error: error.message
+    };
+  }
+};
+
 module.exports = {
+  STATUS_NOTIFICATION_TYPES,
   createOrder,
   getUserOrders,
   getBranchOrdersService,
   getOrderById,
   getManagerPendingOrders,
   approveOrder,
+  signOffOrder,
   dispatchOrder,
   confirmOrder,
   raiseOrderIssue,
@@ -2706,7 +3692,14 @@ module.exports = {
   updateOrderStatus,
   confirmOrderReceived,
   reportReceivedIssues,
+  resolveReceivedIssue,
+  resolveIssueThread,
   closeOrder,
+  rejectOrder,
+  cancelOrder,
+  createFollowUpOrder,
+  createShipment,
   updateArrangingStage,
-  updateArrangingRemarks
+  updateArrangingRemarks,
+  getOrderAvailableActions
 };
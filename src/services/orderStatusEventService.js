@@ -0,0 +1,97 @@
+const prisma = require('../lib/prisma'); // reuse shared prisma client
+const { getVisibilityWhere } = require('./orderSearchService');
+
+/**
+ * Order Status Event Service
+ * Audit trail of every Order.status transition (who, when, from -> to)
+ */
+
+/**
+ * Record a status transition. Call it inside the same transaction that changes Order.status.
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} event
+ * @param {string} event.orderId - Order ID
+ * @param {string|null} event.fromStatus - Status before the change (null on creation)
+ * @param {string} event.toStatus - Status after the change
+ * @param {string|null} event.actorId - User who made the change (null for system jobs)
+ * @param {string|null} event.actorRole - Role of the actor; looked up when omitted
+ * @param {string|null} event.note - Free-text note
+ * @param {Array|null} event.media - Media paths attached to the transition
+ * @returns {Object} Created OrderStatusEvent row
+ */
+const recordOrderStatusEvent = async (client, event) => {
+  const { orderId, fromStatus = null, toStatus, actorId = null, note = null, media = null } = event;
+  let { actorRole = null } = event;
+
+  if (!actorRole && actorId) {
+    const actor = await client.user.findUnique({ where: { id: actorId }, select: { role: true } });
+    actorRole = actor ? actor.role : null;
+  }
+
+  return await client.orderStatusEvent.create({
+    data: {
+      orderId,
+      fromStatus,
+      toStatus,
+      actorId,
+      actorRole,
+      note: note || null,
+      media: Array.isArray(media) && media.length > 0 ? media : undefined
+    }
+  });
+};
+
+/**
+ * Get the status history of an order, oldest first
+ * @param {string} orderId - Order ID
+ * @param {Object} user - Requesting user ({ id, role, branchId })
+ * @returns {Object} Timeline events
+ */
+const getOrderTimeline = async (orderId, user) => {
+  try {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      select: { id: true, orderNumber: true, status: true, requesterId: true, branchId: true }
+    });
+
+    if (!order) {
+      return { success: false, statusCode: 404, message: 'Order not found' };
+    }
+
+    // 🔒 Access control: same orders the user can find through search
+    const visible = await prisma.order.count({ where: { AND: [{ id: orderId }, await getVisibilityWhere(user)] } });
+    if (visible === 0) {
+      return { success: false, statusCode: 403, message: 'Access denied' };
+    }
+
+    const events = await prisma.orderStatusEvent.findMany({
+      where: { orderId },
+      include: {
+        actor: { select: { id: true, firstName: true, lastName: true, role: true } }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    return {
+      success: true,
+      data: {
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        currentStatus: order.status,
+        events
+      }
+    };
+  } catch (error) {
+    console.error('Get order timeline error:', error);
+    return {
+      success: false,
+      message: 'Failed to fetch order timeline',
+      error: error.message
+    };
+  }
+};
+
+module.exports = {
+  recordOrderStatusEvent,
+  getOrderTimeline
+};
@@ -0,0 +1,294 @@
+const prisma = require('../lib/prisma'); // reuse shared prisma client
+
+/**
+ * Receipt Reconciliation Service
+ * When the branch confirms receipt it reports the quantity received per line. Those quantities
+ * fill OrderItem.qtyReceived / ShipmentItem.qtyReceived, and every mismatch against what was
+ * shipped opens a ReceiptDiscrepancy for the managers to resolve.
+ */
+
+const DISCREPANCY_INCLUDE = {
+  orderItem: { select: { id: true, sku: true, qtyApproved: true, qtyReceived: true } },
+  shipment: { select: { id: true, sequence: true } },
+  reportedBy: { select: { id: true, firstName: true, lastName: true } },
+  resolvedBy: { select: { id: true, firstName: true, lastName: true } }
+};
+
+/**
+ * Branches a manager may see discrepancies for; null means every branch
+ * @param {Object} user - { id, role }
+ * @returns {Array<string>|null} Branch IDs
+ */
+const getManagedBranchIds = async (user) => {
+  if (user.role === 'ADMIN') return null;
+  const managed = await prisma.managerBranch.findMany({
+    where: { managerId: user.id, isActive: true },
+    select: { branchId: true }
+  });
+  return managed.map(m => m.branchId);
+};
+
+/**
+ * Quantity expected per order line for this receipt: what the received shipments carried.
+ * Orders dispatched before shipments existed expect the approved quantity not yet received.
+ * @param {Object} order - Order with orderItems and shipments.items
+ * @param {Array<string>} shipmentIds - Shipments covered by the receipt
+ * @returns {Object} Map of orderItemId -> expected quantity
+ */
+const getExpectedQuantities = (order, shipmentIds) => {
+  const expected = {};
+  if ((order.shipments || []).length === 0) {
+    for (const oi of order.orderItems) {
+      if (oi.outOfStock) continue;
+      const approved = oi.qtyApproved ?? oi.qtyRequested;
+      expected[oi.id] = Math.max(0, approved - (oi.qtyReceived || 0));
+    }
+    return expected;
+  }
+
+  for (const shipment of order.shipments) {
+    if (!shipmentIds.includes(shipment.id)) continue;
+    for (const line of shipment.items) {
+      expected[line.orderItemId] = (expected[line.orderItemId] || 0) + line.quantity;
+    }
+  }
+  return expected;
+};
+
+/**
+ * Record received quantities and open discrepancies. Call inside the receipt transaction,
+ * before the shipments are marked received.
+ * Lines the branch does not report are taken as received in full.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} receipt
+ * @param {Object} receipt.order - Order with orderItems and shipments.items
+ * @param {Array<string>} receipt.shipmentIds - Shipments covered by the receipt
+ * @param {Array<Object>} receipt.receivedItems - [{ orderItemId, qtyReceived, note? }]
+ * @param {Array<Object>} receipt.wrongItems - [{ sku, quantity, note? }] items that were not on the order
+ * @param {string} receipt.userId - Branch user confirming
+ * @returns {Array<Object>} Created ReceiptDiscrepancy rows
+ * @throws {Error} When a reported line does not belong to the order
+ */
+const reconcileReceipt = async (tx, { order, shipmentIds = [], receivedItems = [], wrongItems = [], userId }) => {
+  const expected = getExpectedQuantities(order, shipmentIds);
+
+  const reported = {};
+  for (const line of receivedItems || []) {
+    const orderItem = order.orderItems.find(oi => oi.id === line.orderItemId);
+    if (!orderItem) throw new Error(`Order item ${line.orderItemId} does not belong to order ${order.orderNumber}`);
+    reported[line.orderItemId] = { qty: Number(line.qtyReceived), note: line.note || null };
+  }
+
+  const receivingShipments = (order.shipments || [])
+    .filter(sh => shipmentIds.includes(sh.id))
+    .sort((a, b) => a.sequence - b.sequence);
+  const singleShipmentId = receivingShipments.length === 1 ? receivingShipments[0].id : null;
+
+  const discrepancies = [];
+  const lineIds = new Set([...Object.keys(expected), ...Object.keys(reported)]);
+  for (const orderItemId of lineIds) {
+    const orderItem = order.orderItems.find(oi => oi.id === orderItemId);
+    const expectedQty = expected[orderItemId] || 0;
+    const receivedQty = reported[orderItemId] ? reported[orderItemId].qty : expectedQty;
+
+    // Receipts of earlier shipments add up
+    await tx.orderItem.update({
+      where: { id: orderItemId },
+      data: { qtyReceived: (orderItem.qtyReceived || 0) + receivedQty }
+    });
+
+    // Spread the received quantity over the shipments in dispatch order; the last one takes any excess
+    const shipmentLines = receivingShipments
+      .map(sh => sh.items.find(line => line.orderItemId === orderItemId))
+      .filter(Boolean);
+    let left = receivedQty;
+    for (let i = 0; i < shipmentLines.length; i++) {
+      const qty = i === shipmentLines.length - 1 ? left : Math.min(left, shipmentLines[i].quantity);
+      left -= qty;
+      await tx.shipmentItem.update({ where: { id: shipmentLines[i].id }, data: { qtyReceived: qty } });
+    }
+
+    if (receivedQty === expectedQty) continue;
+    discrepancies.push({
+      orderId: order.id,
+      orderItemId,
+      shipmentId: singleShipmentId,
+      sku: orderItem.sku,
+      type: receivedQty < expectedQty ? 'SHORT' : 'OVER',
+      expectedQty,
+      receivedQty,
+      note: reported[orderItemId] ? reported[orderItemId].note : null,
+      reportedById: userId
+    });
+  }
+
+  for (const wrong of wrongItems || []) {
+    discrepancies.push({
+      orderId: order.id,
+      orderItemId: null,
+      shipmentId: singleShipmentId,
+      sku: wrong.sku,
+      type: 'WRONG_ITEM',
+      expectedQty: 0,
+      receivedQty: Number(wrong.quantity),
+      note: wrong.note || null,
+      reportedById: userId
+    });
+  }
+
+  const created = [];
+  for (const data of discrepancies) {
+    created.push(await tx.receiptDiscrepancy.create({ data }));
+  }
+  return created;
+};
+
+/**
+ * Tell the branch managers (and the order's manager) about new discrepancies
+ * @param {Object} order - Order (id, orderNumber, branchId, managerId)
+ * @param {Array<Object>} discrepancies - Rows returned by reconcileReceipt
+ */
+const notifyDiscrepancies = async (order, discrepancies) => {
+  if (!discrepancies || discrepancies.length === 0) return;
+  try {
+    const { notifyUsers } = require('./notificationService');
+    const mgrs = await prisma.managerBranch.findMany({ where: { branchId: order.branchId }, select: { managerId: true } });
+    const userIds = mgrs.map(m => m.managerId);
+    if (order.managerId) userIds.push(order.managerId);
+
+    const summary = discrepancies
+      .map(d => (d.type === 'WRONG_ITEM'
+        ? `${d.sku}: wrong item x${d.receivedQty}`
+        : `${d.sku}: ${d.type.toLowerCase()} (shipped ${d.expectedQty}, received ${d.receivedQty})`))
+      .join('; ');
+
+    if (userIds.length > 0) {
+      await notifyUsers(userIds, order.id, 'RECEIPT_DISCREPANCY', 'Receipt Discrepancy Reported', `Order ${order.orderNumber} was received with discrepancies: ${summary}`);
+    }
+  } catch (notifyErr) {
+    console.error('Failed to notify managers about receipt discrepancies:', notifyErr);
+  }
+};
+
+/**
+ * Orders whose received quantities do not match what was shipped
+ * @param {Object} options - { page, limit, status, type, branchId }
+ * @param {Object} user - Requesting manager/admin ({ id, role })
+ * @returns {Object} Orders with their discrepancies, paginated
+ */
+const listDiscrepancyOrders = async (options = {}, user) => {
+  try {
+    const { page = 1, limit = 20, status = 'OPEN', type, branchId } = options;
+    const skip = (page - 1) * limit;
+
+    const managedBranchIds = await getManagedBranchIds(user);
+    if (branchId && managedBranchIds && !managedBranchIds.includes(branchId)) {
+      return { success: false, statusCode: 403, message: 'Access denied' };
+    }
+
+    const discrepancyWhere = {};
+    if (status !== 'ALL') discrepancyWhere.status = status;
+    if (type) discrepancyWhere.type = type;
+
+    const where = { receiptDiscrepancies: { some: discrepancyWhere } };
+    if (branchId) where.branchId = branchId;
+    else if (managedBranchIds) where.branchId = { in: managedBranchIds };
+
+    const [orders, totalCount] = await Promise.all([
+      prisma.order.findMany({
+        where,
+        select: {
+          id: true,
+          orderNumber: true,
+          status: true,
+          receivedAt: true,
+          branch: { select: { id: true, name: true } },
+          requester: { select: { id: true, firstName: true, lastName: true } },
+          receiptDiscrepancies: {
+            where: discrepancyWhere,
+            include: DISCREPANCY_INCLUDE,
+            orderBy: { createdAt: 'asc' }
+          }
+        },
+        orderBy: { receivedAt: 'desc' },
+        skip,
+        take: limit
+      }),
+      prisma.order.count({ where })
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limit);
+
+    return {
+      success: true,
+      data: {
+        orders,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalCount,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+          limit
+        }
+      }
+    };
+  } catch (error) {
+    console.error('List discrepancy orders error:', error);
+    return {
+      success: false,
+      message: 'Failed to fetch receipt discrepancies',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Close a discrepancy once the manager has dealt with it
+ * @param {string} id - Discrepancy ID
+ * @param {Object} user - Manager/admin ({ id, role })
+ * @param {string} resolution - What was done (credit, replacement, stock correction...)
+ * @returns {Object} Resolved discrepancy
+ */
+const resolveDiscrepancy = async (id, user, resolution) => {
+  try {
+    const discrepancy = await prisma.receiptDiscrepancy.findUnique({
+      where: { id },
+      include: { order: { select: { branchId: true } } }
+    });
+    if (!discrepancy) {
+      return { success: false, statusCode: 404, message: 'Discrepancy not found' };
+    }
+
+    const managedBranchIds = await getManagedBranchIds(user);
+    if (managedBranchIds && !managedBranchIds.includes(discrepancy.order.branchId)) {
+      return { success: false, statusCode: 403, message: 'You do not manage the branch of this order' };
+    }
+    if (discrepancy.status === 'RESOLVED') {
+      return { success: false, statusCode: 400, message: 'Discrepancy is already resolved' };
+    }
+
+    const updated = await prisma.receiptDiscrepancy.update({
+      where: { id },
+      data: { status: 'RESOLVED', resolvedById: user.id, resolvedAt: new Date(), resolution },
+      include: DISCREPANCY_INCLUDE
+    });
+
+    return { success: true, data: updated, message: 'Discrepancy resolved' };
+  } catch (error) {
+    console.error('Resolve discrepancy error:', error);
+    return {
+      success: false,
+      message: 'Failed to resolve discrepancy',
+      error: error.message
+    };
+  }
+};
+
+module.exports = {
+  getManagedBranchIds,
+  reconcileReceipt,
+  notifyDiscrepancies,
+  listDiscrepancyOrders,
+  resolveDiscrepancy
+};
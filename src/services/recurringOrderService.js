@@ -0,0 +1,438 @@
+const prisma = require('../lib/prisma'); // reuse shared prisma client
+const { computeNextRun } = require('../lib/recurrence');
+const { getBusinessCalendar } = require('./businessCalendarService');
+const { getReservedQuantities } = require('./stockReservationService');
+
+/**
+ * Recurring Order Service
+ * Standing orders a branch places on a schedule. The recurring-orders job turns every
+ * due template into a normal order through createOrder, so it goes through manager approval.
+ */
+
+const TEMPLATE_INCLUDE = {
+  items: { orderBy: { sku: 'asc' } },
+  branch: { select: { id: true, name: true } },
+  requester: { select: { id: true, firstName: true, lastName: true, email: true, role: true } }
+};
+
+// Roles createOrder accepts as requester (SUBMIT transition)
+const REQUESTER_ROLES = ['ADMIN', 'MANAGER', 'BRANCH_USER'];
+
+/**
+ * Branches a user may manage templates for; null means every branch
+ * @param {Object} user - { id, role, branchId }
+ * @returns {Array<string>|null} Branch IDs
+ */
+const getAllowedBranchIds = async (user) => {
+  if (user.role === 'ADMIN') return null;
+  if (user.role === 'MANAGER') {
+    const managed = await prisma.managerBranch.findMany({
+      where: { managerId: user.id, isActive: true },
+      select: { branchId: true }
+    });
+    return managed.map(m => m.branchId);
+  }
+  return user.branchId ? [user.branchId] : [];
+};
+
+// Load a template the user is allowed to see, or an error result
+const findAccessibleTemplate = async (id, user) => {
+  const template = await prisma.recurringOrderTemplate.findUnique({ where: { id }, include: TEMPLATE_INCLUDE });
+  if (!template) {
+    return { error: { success: false, statusCode: 404, message: 'Template not found' } };
+  }
+  const allowed = await getAllowedBranchIds(user);
+  if (allowed && !allowed.includes(template.branchId)) {
+    return { error: { success: false, statusCode: 403, message: 'Access denied' } };
+  }
+  return { template };
+};
+
+/**
+ * Check template lines against the catalog
+ * @param {Array<Object>} items - [{ sku, quantity }]
+ * @throws {Error} When a SKU is repeated, unknown or inactive
+ */
+const assertTemplateItems = async (items) => {
+  const skus = items.map(i => i.sku);
+  if (new Set(skus).size !== skus.length) throw new Error('Each SKU can only appear once in a template');
+
+  const existing = await prisma.item.findMany({ where: { sku: { in: skus }, isActive: true }, select: { sku: true } });
+  const notFound = skus.filter(sku => !existing.find(i => i.sku === sku));
+  if (notFound.length > 0) {
+    throw new Error(`One or more SKUs not found or inactive. Not found: ${notFound.join(', ')}`);
+  }
+};
+
+/**
+ * Next run for a schedule in the branch's business time zone, rejecting schedules that never fire
+ * @param {Object} schedule - { scheduleType, daysOfWeek, timeOfDay, cronExpression }
+ * @param {string} branchId - Branch of the template
+ * @returns {Date} Next run
+ */
+const nextRunOrThrow = async (schedule, branchId) => {
+  const { timeZone } = await getBusinessCalendar(branchId);
+  const nextRunAt = computeNextRun(schedule, new Date(), timeZone);
+  if (!nextRunAt) throw new Error('Schedule never produces a run date');
+  return nextRunAt;
+};
+
+/**
+ * List recurring order templates visible to the user
+ * @param {Object} options - { page, limit, branchId, isActive }
+ * @param {Object} user - Requesting user ({ id, role, branchId })
+ * @returns {Object} Templates with pagination
+ */
+const listTemplates = async (options = {}, user) => {
+  try {
+    const { page = 1, limit = 20, branchId, isActive } = options;
+    const skip = (page - 1) * limit;
+
+    const allowed = await getAllowedBranchIds(user);
+    if (branchId && allowed && !allowed.includes(branchId)) {
+      return { success: false, statusCode: 403, message: 'Access denied' };
+    }
+
+    const where = {};
+    if (branchId) where.branchId = branchId;
+    else if (allowed) where.branchId = { in: allowed };
+    if (typeof isActive === 'boolean') where.isActive = isActive;
+
+    const [templates, totalCount] = await Promise.all([
+      prisma.recurringOrderTemplate.findMany({
+        where,
+        include: TEMPLATE_INCLUDE,
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: limit
+      }),
+      prisma.recurringOrderTemplate.count({ where })
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limit);
+
+    return {
+      success: true,
+      data: {
+        templates,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalCount,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+          limit
+        }
+      }
+    };
+  } catch (error) {
+    console.error('List recurring templates error:', error);
+    return {
+      success: false,
+      message: 'Failed to fetch recurring order templates',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Get a single template
+ * @param {string} id - Template ID
+ * @param {Object} user - Requesting user
+ * @returns {Object} Template with items
+ */
+const getTemplateById = async (id, user) => {
+  try {
+    const { template, error } = await findAccessibleTemplate(id, user);
+    if (error) return error;
+    return { success: true, data: template };
+  } catch (error) {
+    console.error('Get recurring template error:', error);
+    return {
+      success: false,
+      message: 'Failed to fetch recurring order template',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Create a template. Branch users create them for their own branch and themselves;
+ * managers/admins pick the branch and may name another requester of that branch.
+ * @param {Object} data - { name, branchId?, requesterId?, remarks, scheduleType, daysOfWeek, timeOfDay, cronExpression, items, isActive }
+ * @param {Object} user - Creating user ({ id, role, branchId })
+ * @returns {Object} Created template
+ */
+const createTemplate = async (data, user) => {
+  try {
+    const branchId = user.role === 'BRANCH_USER' ? user.branchId : (data.branchId || user.branchId);
+    if (!branchId) {
+      return { success: false, statusCode: 400, message: 'A branch is required for a recurring order template' };
+    }
+
+    const allowed = await getAllowedBranchIds(user);
+    if (allowed && !allowed.includes(branchId)) {
+      return { success: false, statusCode: 403, message: 'You cannot create templates for this branch' };
+    }
+
+    const requesterId = user.role === 'BRANCH_USER' ? user.id : (data.requesterId || user.id);
+    if (requesterId !== user.id) {
+      const requester = await prisma.user.findUnique({
+        where: { id: requesterId },
+        select: { isActive: true, role: true, branchId: true }
+      });
+      if (!requester || !requester.isActive || !REQUESTER_ROLES.includes(requester.role)) {
+        return { success: false, statusCode: 400, message: 'Requester must be an active branch user or manager' };
+      }
+      if (requester.role === 'BRANCH_USER' && requester.branchId !== branchId) {
+        return { success: false, statusCode: 400, message: 'Requester does not belong to this branch' };
+      }
+    }
+
+    await assertTemplateItems(data.items);
+
+    const schedule = {
+      scheduleType: data.scheduleType || 'WEEKLY',
+      daysOfWeek: data.daysOfWeek || null,
+      timeOfDay: data.timeOfDay || null,
+      cronExpression: data.cronExpression || null
+    };
+    const isActive = data.isActive !== false;
+
+    const template = await prisma.recurringOrderTemplate.create({
+      data: {
+        name: data.name,
+        branchId,
+        requesterId,
+        remarks: data.remarks || null,
+        ...schedule,
+        daysOfWeek: schedule.daysOfWeek || undefined,
+        nextRunAt: isActive ? await nextRunOrThrow(schedule, branchId) : null,
+        isActive,
+        items: {
+          create: data.items.map(i => ({ sku: i.sku, quantity: i.quantity }))
+        }
+      },
+      include: TEMPLATE_INCLUDE
+    });
+
+    return { success: true, data: template, message: 'Recurring order template created' };
+  } catch (error) {
+    console.error('Create recurring template error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to create recurring order template',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Update a template. Passing items replaces all lines; schedule changes recompute the next run.
+ * @param {string} id - Template ID
+ * @param {Object} data - Fields to change
+ * @param {Object} user - Requesting user
+ * @returns {Object} Updated template
+ */
+const updateTemplate = async (id, data, user) => {
+  try {
+    const { template, error } = await findAccessibleTemplate(id, user);
+    if (error) return error;
+
+    if (data.items) await assertTemplateItems(data.items);
+
+    const schedule = {
+      scheduleType: data.scheduleType || template.scheduleType,
+      daysOfWeek: data.daysOfWeek !== undefined ? data.daysOfWeek : template.daysOfWeek,
+      timeOfDay: data.timeOfDay !== undefined ? data.timeOfDay : template.timeOfDay,
+      cronExpression: data.cronExpression !== undefined ? data.cronExpression : template.cronExpression
+    };
+    if (schedule.scheduleType === 'WEEKLY' && (!Array.isArray(schedule.daysOfWeek) || schedule.daysOfWeek.length === 0 || !schedule.timeOfDay)) {
+      return { success: false, statusCode: 400, message: 'Weekly schedules need daysOfWeek and timeOfDay' };
+    }
+    if (schedule.scheduleType === 'CRON' && !schedule.cronExpression) {
+      return { success: false, statusCode: 400, message: 'Cron schedules need a cronExpression' };
+    }
+
+    const isActive = data.isActive !== undefined ? data.isActive : template.isActive;
+    const scheduleChanged = ['scheduleType', 'daysOfWeek', 'timeOfDay', 'cronExpression'].some(k => data[k] !== undefined);
+
+    let nextRunAt = template.nextRunAt;
+    if (!isActive) nextRunAt = null;
+    else if (scheduleChanged || !template.isActive || !nextRunAt) nextRunAt = await nextRunOrThrow(schedule, template.branchId);
+
+    const updated = await prisma.$transaction(async (tx) => {
+      if (data.items) {
+        await tx.recurringOrderTemplateItem.deleteMany({ where: { templateId: id } });
+        await tx.recurringOrderTemplateItem.createMany({
+          data: data.items.map(i => ({ templateId: id, sku: i.sku, quantity: i.quantity }))
+        });
+      }
+
+      return await tx.recurringOrderTemplate.update({
+        where: { id },
+        data: {
+          ...(data.name !== undefined && { name: data.name }),
+          ...(data.remarks !== undefined && { remarks: data.remarks || null }),
+          ...schedule,
+          daysOfWeek: schedule.daysOfWeek || undefined,
+          isActive,
+          nextRunAt
+        },
+        include: TEMPLATE_INCLUDE
+      });
+    });
+
+    return { success: true, data: updated, message: 'Recurring order template updated' };
+  } catch (error) {
+    console.error('Update recurring template error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to update recurring order template',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Delete a template. Orders already created from it are kept.
+ * @param {string} id - Template ID
+ * @param {Object} user - Requesting user
+ * @returns {Object} Result
+ */
+const deleteTemplate = async (id, user) => {
+  try {
+    const { error } = await findAccessibleTemplate(id, user);
+    if (error) return error;
+
+    await prisma.recurringOrderTemplate.delete({ where: { id } });
+    return { success: true, message: 'Recurring order template deleted' };
+  } catch (error) {
+    console.error('Delete recurring template error:', error);
+    return {
+      success: false,
+      message: 'Failed to delete recurring order template',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Turn a template into an order, split by what is available right now:
+ * lines with enough stock are ordered in full, lines with some stock are cut to what is left,
+ * and lines with none go in as out-of-stock (they become backorders).
+ * @param {Object} template - Template with items and requester
+ * @returns {Object} createOrder result
+ */
+const materializeTemplate = async (template) => {
+  const { createOrder } = require('./orderService');
+
+  if (!template.requester || !template.requester.isActive) {
+    throw new Error('Template requester is no longer active');
+  }
+
+  const skus = template.items.map(i => i.sku);
+  const [items, reservedBySku] = await Promise.all([
+    prisma.item.findMany({ where: { sku: { in: skus }, isActive: true }, select: { sku: true, currentStock: true } }),
+    getReservedQuantities(skus)
+  ]);
+
+  const inStockItems = [];
+  const outOfStockItems = [];
+  const notes = [];
+  for (const line of template.items) {
+    const item = items.find(i => i.sku === line.sku);
+    if (!item) {
+      notes.push(`${line.sku} skipped (inactive)`);
+      continue;
+    }
+    const available = item.currentStock - (reservedBySku[line.sku] || 0);
+    if (available >= line.quantity) {
+      inStockItems.push({ sku: line.sku, quantity: line.quantity });
+    } else if (available > 0) {
+      inStockItems.push({ sku: line.sku, quantity: available });
+      notes.push(`${line.sku} reduced from ${line.quantity} to ${available}`);
+    } else {
+      outOfStockItems.push({ sku: line.sku, quantity: line.quantity });
+    }
+  }
+
+  if (inStockItems.length === 0 && outOfStockItems.length === 0) {
+    throw new Error('No active items left in the template');
+  }
+
+  const remarks = [
+    template.remarks,
+    `Recurring order: ${template.name}`,
+    notes.length > 0 ? `Stock adjustments: ${notes.join('; ')}` : null
+  ].filter(Boolean).join('\n');
+
+  return await createOrder({
+    requesterId: template.requesterId,
+    requesterRole: template.requester.role,
+    branchId: template.branchId,
+    remarks,
+    inStockItems,
+    outOfStockItems,
+    recurringTemplateId: template.id
+  });
+};
+
+/**
+ * Create orders for every active template that is due. Called by the recurring-orders job.
+ * Each template is claimed by moving its nextRunAt forward first, so overlapping runs
+ * never create the same order twice. Missed runs are not back-filled.
+ * @param {Date} now - Current time
+ * @returns {Object} { created, failed }
+ */
+const runDueTemplates = async (now = new Date()) => {
+  const due = await prisma.recurringOrderTemplate.findMany({
+    where: { isActive: true, nextRunAt: { lte: now } },
+    include: {
+      items: true,
+      requester: { select: { id: true, role: true, isActive: true } }
+    }
+  });
+
+  let created = 0;
+  let failed = 0;
+  for (const template of due) {
+    const { timeZone } = await getBusinessCalendar(template.branchId);
+    const nextRunAt = computeNextRun(template, now, timeZone);
+    const claimed = await prisma.recurringOrderTemplate.updateMany({
+      where: { id: template.id, nextRunAt: template.nextRunAt },
+      data: { nextRunAt, lastRunAt: now, ...(nextRunAt ? {} : { isActive: false }) }
+    });
+    if (claimed.count === 0) continue;
+
+    try {
+      const result = await materializeTemplate(template);
+      if (!result.success) throw new Error(result.message);
+
+      await prisma.recurringOrderTemplate.update({
+        where: { id: template.id },
+        data: { lastOrderId: result.data.id, lastRunError: null }
+      });
+      created++;
+      console.log(`🔁 Recurring template "${template.name}" created order ${result.data.orderNumber}`);
+    } catch (error) {
+      failed++;
+      console.error(`❌ Recurring template ${template.id} failed:`, error.message);
+      await prisma.recurringOrderTemplate.update({
+        where: { id: template.id },
+        data: { lastRunError: error.message }
+      }).catch(() => {});
+    }
+  }
+
+  return { created, failed };
+};
+
+module.exports = {
+  listTemplates,
+  getTemplateById,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  runDueTemplates
+};
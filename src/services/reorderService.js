@@ -0,0 +1,143 @@
+const prisma = require('../lib/prisma'); // reuse shared prisma client
+const { CART_INCLUDE, validateCart } = require('./cartService');
+
+/**
+ * Reorder Service
+ * "Same as last time": copies the lines of a past order into a new order or a draft (cart).
+ * Quantities come from what was received, else what was approved, else what was requested.
+ * Every SKU is re-checked against the current catalog and stock; lines that changed are flagged.
+ */
+
+/**
+ * Quantity to copy from a past order line
+ * @param {Object} orderItem - { qtyRequested, qtyApproved, qtyReceived }
+ * @returns {number}
+ */
+const getReorderQuantity = (orderItem) => {
+  if (orderItem.qtyReceived != null && orderItem.qtyReceived > 0) return orderItem.qtyReceived;
+  if (orderItem.qtyApproved != null) return orderItem.qtyApproved;
+  return orderItem.qtyRequested;
+};
+
+/**
+ * Lines of the past order, one per SKU, re-checked against the catalog
+ * @param {Object} order - Order with orderItems
+ * @returns {Object} { lines, flags } - lines as validated by validateCart; flags explain changed lines
+ */
+const buildReorderLines = async (order) => {
+  const quantities = {};
+  for (const orderItem of order.orderItems) {
+    if (!orderItem.sku) continue;
+    quantities[orderItem.sku] = (quantities[orderItem.sku] || 0) + getReorderQuantity(orderItem);
+  }
+
+  const flags = [];
+  const cartItems = [];
+  for (const [sku, quantity] of Object.entries(quantities)) {
+    if (quantity > 0) cartItems.push({ sku, quantity });
+    else flags.push({ sku, issue: 'NOT_APPROVED', message: `${sku} was not approved last time and is left out` });
+  }
+
+  const { items: lines } = await validateCart({ items: cartItems });
+  for (const line of lines) {
+    if (line.lineStatus === 'INACTIVE') {
+      flags.push({ sku: line.sku, issue: 'INACTIVE', message: `${line.sku} is no longer available and is left out` });
+    } else if (line.lineStatus === 'OUT_OF_STOCK') {
+      flags.push({ sku: line.sku, issue: 'OUT_OF_STOCK', message: `${line.sku} is out of stock and is requested as an out-of-stock line` });
+    } else if (line.lineStatus === 'INSUFFICIENT_STOCK') {
+      flags.push({ sku: line.sku, issue: 'INSUFFICIENT_STOCK', message: `${line.sku}: only ${line.availableStock} available, ${line.quantity} ordered last time` });
+    }
+  }
+
+  return { lines, flags };
+};
+
+/**
+ * Copy a past order into a new order or a draft
+ * Orders: inactive lines are dropped, out-of-stock lines become out-of-stock lines and lines with
+ * too little stock are reduced to what is available. Drafts keep every orderable line as it was
+ * so the user can adjust it before submitting.
+ * @param {string} orderId - Past order
+ * @param {Object} user - Branch user ({ id, role, branchId })
+ * @param {Object} options - { mode: 'order' | 'draft', remarks }
+ * @returns {Object} New order (mode 'order') or validated cart (mode 'draft'), plus the flagged lines
+ */
+const reorderOrder = async (orderId, user, { mode = 'order', remarks } = {}) => {
+  try {
+    const source = await prisma.order.findUnique({
+      where: { id: orderId },
+      select: { id: true, orderNumber: true, requesterId: true, branchId: true, orderItems: true }
+    });
+    if (!source || (source.requesterId !== user.id && source.branchId !== user.branchId)) {
+      return { success: false, statusCode: 404, message: 'Order not found' };
+    }
+    if (!user.branchId) {
+      return { success: false, statusCode: 400, message: 'User is not assigned to a branch' };
+    }
+
+    const { lines, flags } = await buildReorderLines(source);
+    const orderable = lines.filter(l => l.lineStatus !== 'INACTIVE');
+    if (orderable.length === 0) {
+      return { success: false, statusCode: 400, message: `Nothing from order ${source.orderNumber} can be ordered again`, data: { flags } };
+    }
+
+    if (mode === 'draft') {
+      const cart = await prisma.cart.create({
+        data: {
+          branchId: user.branchId,
+          createdById: user.id,
+          name: `Reorder of ${source.orderNumber}`,
+          remarks: remarks || null,
+          reorderedFromId: source.id,
+          items: {
+            create: orderable.map(l => ({ sku: l.sku, quantity: l.quantity, addedById: user.id }))
+          }
+        },
+        include: CART_INCLUDE
+      });
+
+      return {
+        success: true,
+        data: { cart: await validateCart(cart), flags },
+        message: `Draft created from order ${source.orderNumber}`
+      };
+    }
+
+    const { createOrder } = require('./orderService');
+    const result = await createOrder({
+      requesterId: user.id,
+      requesterRole: user.role,
+      branchId: user.branchId,
+      remarks,
+      reorderedFromId: source.id,
+      inStockItems: orderable
+        .filter(l => l.lineStatus === 'OK' || l.lineStatus === 'INSUFFICIENT_STOCK')
+        .map(l => ({ sku: l.sku, quantity: Math.min(l.quantity, l.availableStock) })),
+      outOfStockItems: orderable
+        .filter(l => l.lineStatus === 'OUT_OF_STOCK')
+        .map(l => ({ sku: l.sku, quantity: l.quantity }))
+    });
+    if (!result.success) {
+      return { success: false, statusCode: 400, message: result.message, data: { flags } };
+    }
+
+    const budgetWarning = result.budget && result.budget.exceeded ? `. Warning: ${result.budget.message}` : '';
+    return {
+      success: true,
+      data: { order: result.data, flags },
+      budget: result.budget,
+      message: `Order ${result.data.orderNumber} created from order ${source.orderNumber}${budgetWarning}`
+    };
+  } catch (error) {
+    console.error('Reorder error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to reorder',
+      error: error.message
+    };
+  }
+};
+
+module.exports = {
+  reorderOrder
+};
@@ -0,0 +1,250 @@
+const prisma = require('../lib/prisma'); // reuse shared prisma client
+const { getVisibilityWhere } = require('./orderSearchService');
+
+/**
+ * Shipment Service
+ * An order can leave the warehouse in several parcels. Each Shipment carries its own
+ * line quantities, courier/tracking details and media, and is received separately.
+ */
+
+// Include used when an order's shipments are needed to work out what is left to ship
+const SHIPMENTS_WITH_ITEMS = { include: { items: true }, orderBy: { sequence: 'asc' } };
+
+/**
+ * Work out approved / shipped / remaining quantity per order line
+ * @param {Object} order - Order with orderItems and shipments.items
+ * @returns {Object} Map of orderItemId -> { orderItem, approved, shipped, remaining }
+ */
+const getShippableQuantities = (order) => {
+  const shippedByLine = {};
+  for (const shipment of order.shipments || []) {
+    for (const line of shipment.items) {
+      shippedByLine[line.orderItemId] = (shippedByLine[line.orderItemId] || 0) + line.quantity;
+    }
+  }
+
+  const quantities = {};
+  for (const orderItem of order.orderItems) {
+    // Out-of-stock lines are fulfilled through backorders / follow-up orders, never shipped here
+    const approved = orderItem.outOfStock ? 0 : (orderItem.qtyApproved ?? orderItem.qtyRequested);
+    const shipped = shippedByLine[orderItem.id] || 0;
+    quantities[orderItem.id] = {
+      orderItem,
+      approved,
+      shipped,
+      remaining: Math.max(0, approved - shipped)
+    };
+  }
+  return quantities;
+};
+
+/**
+ * Validate the lines of a new shipment against what is still left to ship
+ * @param {Object} order - Order with orderItems and shipments.items
+ * @param {Array<Object>|null} requestedLines - [{ orderItemId, quantity }]; null ships everything remaining
+ * @returns {Object} { lines: [{ orderItemId, sku, outOfStock, quantity }], remainingAfter }
+ * @throws {Error} When a line is unknown or asks for more than is left
+ */
+const resolveShipmentLines = (order, requestedLines = null) => {
+  const quantities = getShippableQuantities(order);
+  const totalRemaining = Object.values(quantities).reduce((sum, q) => sum + q.remaining, 0);
+
+  let lines;
+  if (!requestedLines) {
+    lines = Object.values(quantities)
+      .filter(q => q.remaining > 0)
+      .map(q => ({ orderItemId: q.orderItem.id, quantity: q.remaining }));
+  } else {
+    // Merge duplicate lines so the remaining check sees the full quantity
+    const merged = {};
+    for (const line of requestedLines) {
+      merged[line.orderItemId] = (merged[line.orderItemId] || 0) + Number(line.quantity || 0);
+    }
+    lines = Object.entries(merged).map(([orderItemId, quantity]) => ({ orderItemId, quantity }));
+  }
+
+  const resolved = [];
+  for (const line of lines) {
+    const q = quantities[line.orderItemId];
+    if (!q) throw new Error(`Order item ${line.orderItemId} does not belong to order ${order.orderNumber}`);
+    if (line.quantity <= 0) continue;
+    if (line.quantity > q.remaining) {
+      throw new Error(`Cannot ship ${line.quantity} of SKU ${q.orderItem.sku}: only ${q.remaining} left to ship`);
+    }
+    resolved.push({
+      orderItemId: q.orderItem.id,
+      sku: q.orderItem.sku,
+      outOfStock: q.orderItem.outOfStock,
+      quantity: line.quantity
+    });
+  }
+
+  if (resolved.length === 0) throw new Error('Nothing left to ship for this order');
+
+  const shippedNow = resolved.reduce((sum, l) => sum + l.quantity, 0);
+  return { lines: resolved, remainingAfter: totalRemaining - shippedNow };
+};
+
+/**
+ * Lock an order for the rest of a transaction and load it with its lines and shipments,
+ * so concurrent dispatches of the same order cannot ship the same remaining quantity
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} orderId
+ * @returns {Object|null} Order with orderItems and shipments.items
+ */
+const lockOrderForShipment = async (tx, orderId) => {
+  await tx.$queryRaw`SELECT id FROM orders WHERE id = ${orderId} FOR UPDATE`;
+  return tx.order.findUnique({
+    where: { id: orderId },
+    include: { orderItems: true, shipments: SHIPMENTS_WITH_ITEMS }
+  });
+};
+
+/**
+ * Create a shipment and its lines inside a transaction.
+ * The order-level Tracking row mirrors the latest shipment for older clients.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} order - Order with shipments loaded
+ * @param {Array<Object>} lines - Output of resolveShipmentLines
+ * @param {Object} details - { courierName, trackingId, courierLink, expectedDeliveryTime, media }
+ * @param {string} actorId - User dispatching the shipment
+ * @returns {Object} Created shipment with items
+ */
+const createShipmentRecord = async (tx, order, lines, details = {}, actorId = null) => {
+  const last = await tx.shipment.findFirst({
+    where: { orderId: order.id },
+    orderBy: { sequence: 'desc' },
+    select: { sequence: true }
+  });
+
+  const shipment = await tx.shipment.create({
+    data: {
+      orderId: order.id,
+      sequence: last ? last.sequence + 1 : 1,
+      courierName: details.courierName || null,
+      trackingId: details.trackingId || null,
+      courierLink: details.courierLink || null,
+      expectedDeliveryTime: details.expectedDeliveryTime || null,
+      media: Array.isArray(details.media) && details.media.length > 0 ? details.media : undefined,
+      dispatchedById: actorId,
+      items: {
+        create: lines.map(l => ({ orderItemId: l.orderItemId, quantity: l.quantity }))
+      }
+    },
+    include: { items: true }
+  });
+
+  await tx.tracking.upsert({
+    where: { orderId: order.id },
+    update: {
+      trackingId: shipment.trackingId,
+      courierName: shipment.courierName,
+      courierLink: shipment.courierLink,
+      estimatedDelivery: shipment.expectedDeliveryTime,
+      updatedAt: new Date()
+    },
+    create: {
+      orderId: order.id,
+      trackingId: shipment.trackingId,
+      courierName: shipment.courierName,
+      courierLink: shipment.courierLink,
+      estimatedDelivery: shipment.expectedDeliveryTime
+    }
+  });
+
+  return shipment;
+};
+
+/**
+ * Mark shipments as received
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {Array<string>} shipmentIds - Shipments to mark
+ * @param {string} userId - Receiving user
+ * @param {Array} media - Proof-of-receipt media paths
+ * @returns {number} Number of shipments updated
+ */
+const markShipmentsReceived = async (tx, shipmentIds, userId, media = []) => {
+  if (!shipmentIds || shipmentIds.length === 0) return 0;
+
+  const result = await tx.shipment.updateMany({
+    where: { id: { in: shipmentIds }, status: 'IN_TRANSIT' },
+    data: {
+      status: 'RECEIVED',
+      receivedAt: new Date(),
+      receivedById: userId,
+      receivedMedia: Array.isArray(media) && media.length > 0 ? media : undefined
+    }
+  });
+  return result.count;
+};
+
+/**
+ * List the shipments of an order with what is left to ship
+ * @param {string} orderId - Order ID
+ * @param {Object} user - Requesting user ({ id, role, branchId })
+ * @returns {Object} Shipments and per-line remaining quantities
+ */
+const getOrderShipments = async (orderId, user) => {
+  try {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      include: {
+        orderItems: true,
+        shipments: {
+          include: {
+            items: { include: { orderItem: { select: { id: true, sku: true } } } },
+            dispatchedBy: { select: { id: true, firstName: true, lastName: true, role: true } },
+            receivedBy: { select: { id: true, firstName: true, lastName: true } }
+          },
+          orderBy: { sequence: 'asc' }
+        }
+      }
+    });
+
+    if (!order) {
+      return { success: false, statusCode: 404, message: 'Order not found' };
+    }
+
+    // 🔒 Access control: same orders the user can find through search
+    const visible = await prisma.order.count({ where: { AND: [{ id: orderId }, await getVisibilityWhere(user)] } });
+    if (visible === 0) {
+      return { success: false, statusCode: 403, message: 'Access denied' };
+    }
+
+    const quantities = getShippableQuantities(order);
+
+    return {
+      success: true,
+      data: {
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        shipments: order.shipments,
+        lines: Object.values(quantities).map(q => ({
+          orderItemId: q.orderItem.id,
+          sku: q.orderItem.sku,
+          approved: q.approved,
+          shipped: q.shipped,
+          remaining: q.remaining
+        }))
+      }
+    };
+  } catch (error) {
+    console.error('Get order shipments error:', error);
+    return {
+      success: false,
+      message: 'Failed to fetch shipments',
+      error: error.message
+    };
+  }
+};
+
+module.exports = {
+  SHIPMENTS_WITH_ITEMS,
+  getShippableQuantities,
+  resolveShipmentLines,
+  lockOrderForShipment,
+  createShipmentRecord,
+  markShipmentsReceived,
+  getOrderShipments
+};
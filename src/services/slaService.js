@@ -0,0 +1,427 @@
+const prisma = require('../lib/prisma'); // reuse shared prisma client
+const { calculateWorkingHours, addWorkingHours } = require('../lib/workingHours');
+const { getBusinessCalendar } = require('./businessCalendarService');
+const { notifyUsers } = require('./notificationService');
+
+/**
+ * SLA Service
+ * Working-hours targets for how long an order may wait in a status. A scheduled check records
+ * breaches and escalates them: first to the role responsible for moving the order on, then to
+ * ADMIN once the breach has gone on for adminEscalationHours more. The SLA report measures every
+ * visit to a tracked status from the order status history.
+ */
+
+// Used for statuses without an SlaTarget row
+const DEFAULT_SLA_TARGETS = {
+  UNDER_REVIEW: { targetHours: 8, responsibleRole: 'MANAGER', adminEscalationHours: 8 },
+  CONFIRM_PENDING: { targetHours: 16, responsibleRole: 'BRANCH_USER', adminEscalationHours: 8 },
+  UNDER_PACKAGING: { targetHours: 16, responsibleRole: 'PACKAGER', adminEscalationHours: 8 }
+};
+
+// When an order has no status event for its current status (older orders), fall back to these
+const STAGE_TIMESTAMP_FIELDS = {
+  UNDER_REVIEW: 'requestedAt',
+  AWAITING_APPROVAL: 'approvedAt',
+  CONFIRM_PENDING: 'approvedAt',
+  ARRANGING: 'arrangingStartedAt',
+  ARRANGED: 'arrangingCompletedAt',
+  SENT_FOR_PACKAGING: 'sentForPackagingAt',
+  UNDER_PACKAGING: 'packagingStartedAt',
+  PACKAGING_COMPLETED: 'packagingCompletedAt',
+  IN_TRANSIT: 'dispatchedAt',
+  CONFIRM_ORDER_RECEIVED: 'receivedAt'
+};
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const toTarget = (row) => ({
+  status: row.status,
+  targetHours: Number(row.targetHours),
+  responsibleRole: row.responsibleRole,
+  adminEscalationHours: Number(row.adminEscalationHours),
+  isActive: row.isActive !== false,
+  isDefault: !row.id,
+  updatedAt: row.updatedAt || null
+});
+
+/**
+ * Effective SLA targets: configured rows, plus defaults for statuses without one
+ * @returns {Array<Object>} [{ status, targetHours, responsibleRole, adminEscalationHours, isActive, isDefault }]
+ */
+const getSlaTargets = async () => {
+  const rows = await prisma.slaTarget.findMany({ orderBy: { status: 'asc' } });
+  const configured = new Set(rows.map(r => r.status));
+  const defaults = Object.entries(DEFAULT_SLA_TARGETS)
+    .filter(([status]) => !configured.has(status))
+    .map(([status, target]) => ({ status, ...target }));
+  return [...rows, ...defaults].map(toTarget);
+};
+
+/**
+ * When the order entered its current status
+ * @param {Object} order - Order with statusEvents (latest event into the current status first)
+ * @returns {Date}
+ */
+const getStageEnteredAt = (order) => {
+  const event = order.statusEvents && order.statusEvents[0];
+  if (event) return event.createdAt;
+  const field = STAGE_TIMESTAMP_FIELDS[order.status];
+  return (field && order[field]) || order.updatedAt;
+};
+
+/**
+ * Users to tell about a breach for the responsible role
+ * MANAGER: managers of the order's branch; BRANCH_USER: the requester;
+ * PACKAGER / DISPATCHER: the order's packager / dispatcher, else staff assigned to the branch
+ * (everyone with the role when none are)
+ * @param {Object} order - { branchId, requesterId, packagerId, dispatcherId }
+ * @param {string} role
+ * @returns {Array<string>} User IDs
+ */
+const getResponsibleUserIds = async (order, role) => {
+  if (role === 'MANAGER') {
+    const managers = await prisma.managerBranch.findMany({
+      where: { branchId: order.branchId, isActive: true },
+      select: { managerId: true }
+    });
+    return managers.map(m => m.managerId);
+  }
+  if (role === 'BRANCH_USER') return [order.requesterId];
+
+  if (role === 'PACKAGER' || role === 'DISPATCHER') {
+    const assignedId = role === 'PACKAGER' ? order.packagerId : order.dispatcherId;
+    if (assignedId) return [assignedId];
+
+    const assigned = await prisma.userBranchAssignment.findMany({
+      where: { branchId: order.branchId, isActive: true, user: { role, isActive: true } },
+      select: { userId: true }
+    });
+    if (assigned.length > 0) return assigned.map(a => a.userId);
+  }
+
+  const users = await prisma.user.findMany({ where: { role, isActive: true }, select: { id: true } });
+  return users.map(u => u.id);
+};
+
+const getAdminIds = async () => {
+  const admins = await prisma.user.findMany({ where: { role: 'ADMIN', isActive: true }, select: { id: true } });
+  return admins.map(a => a.id);
+};
+
+/**
+ * Whether the order is still in the status visit a breach was recorded for
+ * @param {Object} breach - { orderId, status, enteredAt }
+ * @returns {boolean}
+ */
+const isVisitOngoing = async (breach) => {
+  const order = await prisma.order.findUnique({
+    where: { id: breach.orderId },
+    include: {
+      statusEvents: {
+        where: { toStatus: breach.status },
+        orderBy: { createdAt: 'desc' },
+        take: 1,
+        select: { createdAt: true }
+      }
+    }
+  });
+  if (!order || order.status !== breach.status) return false;
+  return new Date(getStageEnteredAt(order)).getTime() === breach.enteredAt.getTime();
+};
+
+/**
+ * Find SLA breaches and escalate them. Run by the SLA job.
+ * @param {Date} now
+ * @returns {Object} { checked, breached, escalatedToRole, escalatedToAdmin, resolved }
+ */
+const runSlaCheck = async (now = new Date()) => {
+  const stats = { checked: 0, breached: 0, escalatedToRole: 0, escalatedToAdmin: 0, resolved: 0 };
+  const targets = (await getSlaTargets()).filter(t => t.isActive);
+  const currentVisits = new Set();
+
+  for (const target of targets) {
+    const orders = await prisma.order.findMany({
+      where: { status: target.status },
+      include: {
+        statusEvents: {
+          where: { toStatus: target.status },
+          orderBy: { createdAt: 'desc' },
+          take: 1,
+          select: { createdAt: true }
+        }
+      }
+    });
+
+    for (const order of orders) {
+      stats.checked++;
+      const enteredAt = getStageEnteredAt(order);
+      currentVisits.add(`${order.id}|${order.status}|${new Date(enteredAt).getTime()}`);
+
+      const calendar = await getBusinessCalendar(order.branchId);
+      const elapsed = calculateWorkingHours(enteredAt, now, calendar);
+      if (elapsed < target.targetHours) continue;
+      stats.breached++;
+
+      const breach = await prisma.slaBreach.upsert({
+        where: { orderId_status_enteredAt: { orderId: order.id, status: order.status, enteredAt } },
+        create: {
+          orderId: order.id,
+          status: order.status,
+          enteredAt,
+          breachedAt: addWorkingHours(enteredAt, target.targetHours, calendar)
+        },
+        update: {}
+      });
+
+      const waited = `${round(elapsed, 1)} working hours (target ${target.targetHours})`;
+      try {
+        if (!breach.roleNotifiedAt) {
+          const userIds = await getResponsibleUserIds(order, target.responsibleRole);
+          await notifyUsers(userIds, order.id, 'SLA_BREACH', 'Order Waiting Too Long',
+            `Order ${order.orderNumber} has been ${order.status} for ${waited}. Please action it.`);
+          await prisma.slaBreach.update({ where: { id: breach.id }, data: { roleNotifiedAt: now } });
+          stats.escalatedToRole++;
+        }
+
+        if (!breach.adminNotifiedAt && elapsed >= target.targetHours + target.adminEscalationHours) {
+          await notifyUsers(await getAdminIds(), order.id, 'SLA_BREACH', 'SLA Breach Escalated',
+            `Order ${order.orderNumber} has been ${order.status} for ${waited}; ${target.responsibleRole} has not actioned it.`);
+          await prisma.slaBreach.update({ where: { id: breach.id }, data: { adminNotifiedAt: now, escalationLevel: 2 } });
+          stats.escalatedToAdmin++;
+        }
+      } catch (notifyErr) {
+        // Left unflagged so the next run tries again
+        console.error(`Failed to escalate SLA breach of order ${order.orderNumber}:`, notifyErr);
+      }
+    }
+  }
+
+  // Breaches of orders that have since moved on. Visits seen above are still open; anything else
+  // (e.g. the status's target was deactivated) is only resolved once the order has left that visit.
+  const open = await prisma.slaBreach.findMany({
+    where: { resolvedAt: null },
+    select: { id: true, orderId: true, status: true, enteredAt: true }
+  });
+  const resolvedIds = [];
+  for (const breach of open) {
+    if (currentVisits.has(`${breach.orderId}|${breach.status}|${breach.enteredAt.getTime()}`)) continue;
+    if (!(await isVisitOngoing(breach))) resolvedIds.push(breach.id);
+  }
+  if (resolvedIds.length > 0) {
+    await prisma.slaBreach.updateMany({ where: { id: { in: resolvedIds } }, data: { resolvedAt: now } });
+    stats.resolved = resolvedIds.length;
+  }
+
+  return stats;
+};
+
+/**
+ * Breach rates per branch and stage
+ * Every entry into a tracked status within the range counts as one visit; it is breached when
+ * it lasted (or, still open, has lasted) longer than the status's target.
+ * @param {Object} filters - { from, to, branchId, status }
+ * @param {Object} user - Requesting user ({ id, role }); managers only see the branches they manage
+ * @returns {Object} { range, targets, rows, byStage, byBranch, totals }
+ */
+const getSlaReport = async (filters = {}, user) => {
+  try {
+    const now = new Date();
+    const to = filters.to ? new Date(filters.to) : now;
+    const from = filters.from ? new Date(filters.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    const targets = (await getSlaTargets()).filter(t => t.isActive && (!filters.status || t.status === filters.status));
+    const targetByStatus = Object.fromEntries(targets.map(t => [t.status, t]));
+
+    const orderWhere = {};
+    if (filters.branchId) orderWhere.branchId = filters.branchId;
+    if (user.role === 'MANAGER') {
+      const managed = await prisma.managerBranch.findMany({ where: { managerId: user.id, isActive: true }, select: { branchId: true } });
+      const managedIds = managed.map(m => m.branchId);
+      if (filters.branchId && !managedIds.includes(filters.branchId)) {
+        return { success: false, statusCode: 403, message: 'You do not manage this branch' };
+      }
+      if (!filters.branchId) orderWhere.branchId = { in: managedIds };
+    }
+
+    const entries = await prisma.orderStatusEvent.findMany({
+      where: {
+        toStatus: { in: targets.map(t => t.status) },
+        createdAt: { gte: from, lte: to },
+        order: orderWhere
+      },
+      select: {
+        orderId: true,
+        toStatus: true,
+        createdAt: true,
+        order: { select: { branchId: true, branch: { select: { name: true } } } }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    // The event that follows an entry is when the order left the status
+    const orderIds = [...new Set(entries.map(e => e.orderId))];
+    const later = orderIds.length > 0
+      ? await prisma.orderStatusEvent.findMany({
+        where: { orderId: { in: orderIds }, createdAt: { gte: from } },
+        select: { orderId: true, createdAt: true },
+        orderBy: { createdAt: 'asc' }
+      })
+      : [];
+    const eventsByOrder = {};
+    for (const e of later) (eventsByOrder[e.orderId] = eventsByOrder[e.orderId] || []).push(e.createdAt);
+
+    const newBucket = () => ({ visits: 0, breached: 0, open: 0, totalHours: 0 });
+    const finish = (bucket) => ({
+      visits: bucket.visits,
+      breached: bucket.breached,
+      open: bucket.open,
+      breachRate: bucket.visits > 0 ? round((bucket.breached / bucket.visits) * 100, 1) : 0,
+      avgWorkingHours: bucket.visits > 0 ? round(bucket.totalHours / bucket.visits) : 0
+    });
+
+    const rows = {};
+    const byStage = {};
+    const byBranch = {};
+    const totals = newBucket();
+    for (const entry of entries) {
+      const target = targetByStatus[entry.toStatus];
+      const exit = (eventsByOrder[entry.orderId] || []).find(t => t > entry.createdAt) || null;
+      const calendar = await getBusinessCalendar(entry.order.branchId);
+      const hours = calculateWorkingHours(entry.createdAt, exit || now, calendar);
+      const branchId = entry.order.branchId || 'none';
+      const branchName = entry.order.branch ? entry.order.branch.name : 'No branch';
+
+      const rowKey = `${branchId}|${entry.toStatus}`;
+      rows[rowKey] = rows[rowKey] || { branchId, branchName, status: entry.toStatus, ...newBucket() };
+      byStage[entry.toStatus] = byStage[entry.toStatus] || { status: entry.toStatus, targetHours: target.targetHours, ...newBucket() };
+      byBranch[branchId] = byBranch[branchId] || { branchId, branchName, ...newBucket() };
+
+      for (const bucket of [rows[rowKey], byStage[entry.toStatus], byBranch[branchId], totals]) {
+        bucket.visits++;
+        bucket.totalHours += hours;
+        if (hours > target.targetHours) bucket.breached++;
+        if (!exit) bucket.open++;
+      }
+    }
+
+    const withRates = (bucket) => {
+      const { visits, breached, open, totalHours, ...labels } = bucket;
+      return { ...labels, ...finish({ visits, breached, open, totalHours }) };
+    };
+
+    return {
+      success: true,
+      data: {
+        range: { from, to },
+        targets,
+        rows: Object.values(rows).map(withRates).sort((a, b) => b.breachRate - a.breachRate),
+        byStage: Object.values(byStage).map(withRates),
+        byBranch: Object.values(byBranch).map(withRates).sort((a, b) => b.breachRate - a.breachRate),
+        totals: finish(totals)
+      }
+    };
+  } catch (error) {
+    console.error('Get SLA report error:', error);
+    return {
+      success: false,
+      message: 'Failed to build SLA report',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Effective SLA targets
+ * @returns {Object} Targets (configured and default)
+ */
+const listSlaTargets = async () => {
+  try {
+    return { success: true, data: await getSlaTargets() };
+  } catch (error) {
+    console.error('List SLA targets error:', error);
+    return {
+      success: false,
+      message: 'Failed to fetch SLA targets',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Set the SLA target of a status
+ * @param {string} status - Order status
+ * @param {Object} data - { targetHours, responsibleRole, adminEscalationHours, isActive }
+ * @param {Object} user - Admin making the change
+ * @returns {Object} Saved target
+ */
+const upsertSlaTarget = async (status, data, user) => {
+  try {
+    const fallback = DEFAULT_SLA_TARGETS[status] || {};
+    const existing = await prisma.slaTarget.findUnique({ where: { status } });
+    const responsibleRole = data.responsibleRole || (existing && existing.responsibleRole) || fallback.responsibleRole;
+    if (!responsibleRole) {
+      return { success: false, statusCode: 400, message: `responsibleRole is required for ${status}` };
+    }
+
+    const values = {
+      targetHours: data.targetHours,
+      responsibleRole,
+      adminEscalationHours: data.adminEscalationHours !== undefined
+        ? data.adminEscalationHours
+        : (existing ? existing.adminEscalationHours : (fallback.adminEscalationHours || data.targetHours)),
+      isActive: data.isActive !== undefined ? data.isActive : true,
+      updatedById: user.id
+    };
+    const target = await prisma.slaTarget.upsert({
+      where: { status },
+      create: { status, ...values },
+      update: values
+    });
+
+    return { success: true, data: toTarget(target), message: `SLA target for ${status} saved` };
+  } catch (error) {
+    console.error('Upsert SLA target error:', error);
+    return {
+      success: false,
+      message: 'Failed to save SLA target',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Remove the configured target of a status (statuses with a default go back to it)
+ * @param {string} status - Order status
+ * @returns {Object} Result
+ */
+const deleteSlaTarget = async (status) => {
+  try {
+    const deleted = await prisma.slaTarget.deleteMany({ where: { status } });
+    if (deleted.count === 0) {
+      return { success: false, statusCode: 404, message: `No SLA target configured for ${status}` };
+    }
+    return {
+      success: true,
+      message: DEFAULT_SLA_TARGETS[status]
+        ? `SLA target for ${status} reset to the default`
+        : `SLA target for ${status} removed`
+    };
+  } catch (error) {
+    console.error('Delete SLA target error:', error);
+    return {
+      success: false,
+      message: 'Failed to delete SLA target',
+      error: error.message
+    };
+  }
+};
+
+module.exports = {
+  DEFAULT_SLA_TARGETS,
+  getSlaTargets,
+  runSlaCheck,
+  getSlaReport,
+  listSlaTargets,
+  upsertSlaTarget,
+  deleteSlaTarget
+};
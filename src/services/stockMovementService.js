@@ -0,0 +1,127 @@
+const prisma = require('../lib/prisma'); // reuse shared prisma client
+
+/**
+ * Stock Movement Service
+ * Ledger of every change to Item.currentStock (sync, dispatch, manual adjustments)
+ */
+
+/**
+ * Build a ledger row from an item's stock before/after a change
+ * @param {Object} item - Item row ({ id, sku })
+ * @param {number} stockBefore - Stock before the change
+ * @param {number} stockAfter - Stock after the change
+ * @param {Object} context - { source, orderId, actorId, syncRunId, note }
+ * @returns {Object|null} StockMovement data, or null when the stock did not change
+ */
+const buildStockMovement = (item, stockBefore, stockAfter, context = {}) => {
+  const before = Number(stockBefore || 0);
+  const after = Number(stockAfter || 0);
+  if (before === after) return null;
+
+  return {
+    itemId: item.id || null,
+    sku: item.sku || null,
+    delta: after - before,
+    stockBefore: before,
+    stockAfter: after,
+    source: context.source,
+    orderId: context.orderId || null,
+    actorId: context.actorId || null,
+    syncRunId: context.syncRunId || null,
+    note: context.note || null
+  };
+};
+
+/**
+ * Persist ledger rows. Failures are logged and never break the stock change itself.
+ * @param {Array<Object>} movements - Rows from buildStockMovement (nulls are ignored)
+ * @param {Object} client - Prisma client or transaction client
+ * @returns {number} Number of rows written
+ */
+const recordStockMovements = async (movements = [], client = prisma) => {
+  const rows = movements.filter(Boolean);
+  if (rows.length === 0) return 0;
+
+  try {
+    const result = await client.stockMovement.createMany({ data: rows });
+    return result.count;
+  } catch (error) {
+    console.error('❌ Failed to record stock movements:', error.message);
+    return 0;
+  }
+};
+
+/**
+ * Get the stock movement history of an item
+ * @param {string} itemId - Item ID
+ * @param {Object} options - { from, to, source, page, limit }
+ * @returns {Object} Movements with pagination
+ */
+const getItemMovements = async (itemId, options = {}) => {
+  try {
+    const { from, to, source, page = 1, limit = 50 } = options;
+    const skip = (page - 1) * limit;
+
+    const item = await prisma.item.findUnique({
+      where: { id: itemId },
+      select: { id: true, sku: true, name: true, currentStock: true }
+    });
+
+    if (!item) {
+      return { success: false, statusCode: 404, message: 'Item not found.' };
+    }
+
+    const where = { itemId };
+    if (source) where.source = source;
+    if (from || to) {
+      where.createdAt = {};
+      if (from) where.createdAt.gte = new Date(from);
+      if (to) where.createdAt.lte = new Date(to);
+    }
+
+    const [movements, totalCount] = await Promise.all([
+      prisma.stockMovement.findMany({
+        where,
+        include: {
+          order: { select: { id: true, orderNumber: true } },
+          actor: { select: { id: true, firstName: true, lastName: true, role: true } }
+        },
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: limit
+      }),
+      prisma.stockMovement.count({ where })
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limit);
+
+    return {
+      success: true,
+      data: {
+        item,
+        movements,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalCount,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+          limit
+        }
+      }
+    };
+  } catch (error) {
+    console.error('Get item movements error:', error);
+    return {
+      success: false,
+      message: 'Failed to fetch stock movements',
+      error: error.message
+    };
+  }
+};
+
+module.exports = {
+  buildStockMovement,
+  recordStockMovements,
+  getItemMovements
+};
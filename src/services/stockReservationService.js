@@ -0,0 +1,187 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../lib/prisma'); // reuse shared prisma client
+
+/**
+ * Stock Reservation Service
+ * Holds stock for approved order lines so two branches can't be approved for the same units.
+ *
+ * Lifecycle: ACTIVE on approveOrder -> COMMITTED when the order goes IN_TRANSIT
+ *            (a partial shipment shrinks the ACTIVE quantity by what it carried)
+ *            ACTIVE -> RELEASED when the order is rejected, a line is reduced to 0, or the order closes
+ */
+
+/**
+ * Sum ACTIVE reservations per SKU
+ * @param {Array<string>} skus - SKUs to look up
+ * @param {Object} options
+ * @param {string} options.excludeOrderId - Ignore reservations held by this order
+ * @param {Object} options.client - Prisma client or transaction client
+ * @returns {Object} Map of sku -> reserved quantity
+ */
+const getReservedQuantities = async (skus = [], { excludeOrderId = null, client = prisma } = {}) => {
+  const uniqueSkus = [...new Set(skus.filter(Boolean))];
+  if (uniqueSkus.length === 0) return {};
+
+  const where = { sku: { in: uniqueSkus }, status: 'ACTIVE' };
+  if (excludeOrderId) where.orderId = { not: excludeOrderId };
+
+  const grouped = await client.stockReservation.groupBy({
+    by: ['sku'],
+    where,
+    _sum: { quantity: true }
+  });
+
+  const reserved = {};
+  for (const g of grouped) reserved[g.sku] = g._sum.quantity || 0;
+  return reserved;
+};
+
+/**
+ * Reserve (or re-size) stock for order lines inside a transaction.
+ * Item rows are locked FOR UPDATE so concurrent approvals of the same SKU are serialized.
+ * A quantity of 0 releases the line's reservation.
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} orderId - Order ID
+ * @param {Array<Object>} lines - [{ orderItemId, sku, quantity }]
+ * @throws {Error} When a line asks for more than the available stock
+ */
+const reserveOrderItems = async (tx, orderId, lines = []) => {
+  const activeLines = lines.filter(l => l.sku);
+  if (activeLines.length === 0) return;
+
+  const skus = [...new Set(activeLines.map(l => l.sku))];
+
+  // 🔒 Serialize reservations for these SKUs
+  await tx.$queryRaw`SELECT id FROM items WHERE sku IN (${Prisma.join(skus)}) FOR UPDATE`;
+
+  const items = await tx.item.findMany({
+    where: { sku: { in: skus } },
+    select: { id: true, sku: true, name: true, currentStock: true }
+  });
+  const itemBySku = Object.fromEntries(items.map(i => [i.sku, i]));
+  const reservedElsewhere = await getReservedQuantities(skus, { excludeOrderId: orderId, client: tx });
+
+  // Several lines of the same order may share a SKU
+  const requestedBySku = {};
+  for (const line of activeLines) {
+    requestedBySku[line.sku] = (requestedBySku[line.sku] || 0) + Number(line.quantity || 0);
+  }
+
+  for (const sku of skus) {
+    const item = itemBySku[sku];
+    const requested = requestedBySku[sku];
+    if (requested === 0) continue;
+    if (!item) throw new Error(`Item with SKU ${sku} not found`);
+
+    const available = item.currentStock - (reservedElsewhere[sku] || 0);
+    if (requested > available) {
+      throw new Error(`Insufficient available stock for ${item.name} (SKU ${sku}). Available: ${Math.max(0, available)}, Requested: ${requested}`);
+    }
+  }
+
+  const now = new Date();
+  for (const line of activeLines) {
+    const quantity = Number(line.quantity || 0);
+
+    if (quantity === 0) {
+      await tx.stockReservation.updateMany({
+        where: { orderItemId: line.orderItemId, status: 'ACTIVE' },
+        data: { status: 'RELEASED', quantity: 0, releaseReason: 'Quantity reduced to 0', releasedAt: now }
+      });
+      continue;
+    }
+
+    await tx.stockReservation.upsert({
+      where: { orderItemId: line.orderItemId },
+      update: { quantity, status: 'ACTIVE', releaseReason: null, releasedAt: null },
+      create: {
+        orderId,
+        orderItemId: line.orderItemId,
+        itemId: itemBySku[line.sku] ? itemBySku[line.sku].id : null,
+        sku: line.sku,
+        quantity
+      }
+    });
+  }
+};
+
+/**
+ * Mark an order's ACTIVE reservations as COMMITTED (stock physically left with the order)
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {string} orderId - Order ID
+ * @returns {number} Number of reservations committed
+ */
+const commitOrderReservations = async (tx, orderId) => {
+  const result = await tx.stockReservation.updateMany({
+    where: { orderId, status: 'ACTIVE' },
+    data: { status: 'COMMITTED', committedAt: new Date() }
+  });
+  return result.count;
+};
+
+/**
+ * Commit only the quantities carried by a partial shipment.
+ * Lines shipped in full are COMMITTED; otherwise the ACTIVE reservation keeps holding the rest.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Array<Object>} lines - [{ orderItemId, quantity }]
+ */
+const commitShippedReservations = async (tx, lines = []) => {
+  const now = new Date();
+  for (const line of lines) {
+    const reservation = await tx.stockReservation.findUnique({ where: { orderItemId: line.orderItemId } });
+    if (!reservation || reservation.status !== 'ACTIVE') continue;
+
+    if (line.quantity >= reservation.quantity) {
+      await tx.stockReservation.update({
+        where: { id: reservation.id },
+        data: { status: 'COMMITTED', committedAt: now }
+      });
+    } else {
+      await tx.stockReservation.update({
+        where: { id: reservation.id },
+        data: { quantity: reservation.quantity - line.quantity }
+      });
+    }
+  }
+};
+
+/**
+ * Release an order's ACTIVE reservations back to available stock
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {string} orderId - Order ID
+ * @param {string} reason - Why the stock was released
+ * @returns {number} Number of reservations released
+ */
+const releaseOrderReservations = async (tx, orderId, reason = null) => {
+  const result = await tx.stockReservation.updateMany({
+    where: { orderId, status: 'ACTIVE' },
+    data: { status: 'RELEASED', releaseReason: reason, releasedAt: new Date() }
+  });
+  return result.count;
+};
+
+/**
+ * Add reservedStock / availableStock next to currentStock for catalog responses
+ * @param {Array<Object>} items - Item rows (must include sku and currentStock)
+ * @returns {Array<Object>} Items with reservedStock and availableStock
+ */
+const attachAvailableStock = async (items = []) => {
+  const reserved = await getReservedQuantities(items.map(i => i.sku));
+  return items.map(item => {
+    const reservedStock = reserved[item.sku] || 0;
+    return {
+      ...item,
+      reservedStock,
+      availableStock: Math.max(0, (item.currentStock || 0) - reservedStock)
+    };
+  });
+};
+
+module.exports = {
+  getReservedQuantities,
+  reserveOrderItems,
+  commitOrderReservations,
+  commitShippedReservations,
+  releaseOrderReservations,
+  attachAvailableStock
+};
@@ -0,0 +1,206 @@
+const prisma = require('../lib/prisma'); // reuse shared prisma client
+
+/**
+ * Sync Run Service
+ * Persists BoxHero sync run history and raises alerts on repeated failures
+ */
+
+// Number of consecutive failed runs that triggers an admin SYSTEM_ALERT
+const FAILURE_ALERT_THRESHOLD = Number(process.env.BOXHERO_SYNC_FAILURE_ALERT_THRESHOLD || 3);
+
+// Keep stored error messages bounded so a broken catalog can't bloat the row
+const MAX_ERROR_MESSAGES = 50;
+
+/**
+ * Record the start of a sync run
+ * @param {Object} context
+ * @param {string} context.trigger - 'CRON' | 'MANUAL'
+ * @param {string|null} context.triggeredById - User ID for manual runs
+ * @returns {Object|null} Created SyncRun row, or null if it could not be stored
+ */
+const startSyncRun = async ({ trigger = 'CRON', triggeredById = null } = {}) => {
+  try {
+    return await prisma.syncRun.create({
+      data: {
+        trigger,
+        triggeredById,
+        status: 'RUNNING'
+      }
+    });
+  } catch (error) {
+    // Never fail a sync just because its history row could not be written
+    console.error('❌ Failed to record sync run start:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Record the outcome of a sync run
+ * @param {Object|null} run - Row returned by startSyncRun
+ * @param {Object} outcome - { status, pages, itemsFetched, created, updated, deactivated, unchanged, errorCount, errorMessages }
+ * @returns {Object|null} Updated SyncRun row
+ */
+const finishSyncRun = async (run, outcome = {}) => {
+  if (!run) return null;
+
+  try {
+    const errorMessages = Array.isArray(outcome.errorMessages)
+      ? outcome.errorMessages.slice(0, MAX_ERROR_MESSAGES)
+      : [];
+
+    return await prisma.syncRun.update({
+      where: { id: run.id },
+      data: {
+        status: outcome.status || 'SUCCESS',
+        finishedAt: new Date(),
+        pages: outcome.pages || 0,
+        itemsFetched: outcome.itemsFetched || 0,
+        created: outcome.created || 0,
+        updated: outcome.updated || 0,
+        deactivated: outcome.deactivated || 0,
+        unchanged: outcome.unchanged || 0,
+        errorCount: outcome.errorCount || 0,
+        errorMessages: errorMessages.length > 0 ? errorMessages : undefined
+      }
+    });
+  } catch (error) {
+    console.error(`❌ Failed to record sync run result for ${run.id}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Notify admins once the latest FAILURE_ALERT_THRESHOLD runs have all failed.
+ * Alerts again every further FAILURE_ALERT_THRESHOLD failures while the streak lasts.
+ * @returns {Object} { alerted, consecutiveFailures }
+ */
+const alertOnConsecutiveFailures = async () => {
+  try {
+    if (!FAILURE_ALERT_THRESHOLD || FAILURE_ALERT_THRESHOLD < 1) return { alerted: false, consecutiveFailures: 0 };
+
+    // Look back far enough to measure the current failure streak
+    const recentRuns = await prisma.syncRun.findMany({
+      where: { status: { not: 'RUNNING' } },
+      orderBy: { startedAt: 'desc' },
+      take: 100,
+      select: { status: true, errorMessages: true }
+    });
+
+    let consecutiveFailures = 0;
+    for (const run of recentRuns) {
+      if (run.status !== 'FAILED') break;
+      consecutiveFailures++;
+    }
+
+    if (consecutiveFailures === 0 || consecutiveFailures % FAILURE_ALERT_THRESHOLD !== 0) {
+      return { alerted: false, consecutiveFailures };
+    }
+
+    const lastError = Array.isArray(recentRuns[0].errorMessages) ? recentRuns[0].errorMessages[0] : null;
+    const admins = await prisma.user.findMany({ where: { role: 'ADMIN', isActive: true }, select: { id: true } });
+
+    const { notifyUsers } = require('./notificationService');
+    await notifyUsers(
+      admins.map(a => a.id),
+      null,
+      'SYSTEM_ALERT',
+      'BoxHero Sync Failing',
+      `The last ${consecutiveFailures} BoxHero product syncs have failed.${lastError ? ` Latest error: ${String(lastError).substring(0, 500)}` : ''}`
+    );
+
+    return { alerted: true, consecutiveFailures };
+  } catch (error) {
+    console.error('❌ Failed to evaluate sync failure alerts:', error);
+    return { alerted: false, consecutiveFailures: 0 };
+  }
+};
+
+/**
+ * List sync runs, newest first
+ * @param {Object} options - { page, limit, status, trigger }
+ * @returns {Object} Sync runs with pagination
+ */
+const listSyncRuns = async (options = {}) => {
+  try {
+    const { page = 1, limit = 20, status, trigger } = options;
+    const skip = (page - 1) * limit;
+
+    const where = {};
+    if (status) where.status = status;
+    if (trigger) where.trigger = trigger;
+
+    const [runs, totalCount] = await Promise.all([
+      prisma.syncRun.findMany({
+        where,
+        include: {
+          triggeredBy: { select: { id: true, firstName: true, lastName: true, email: true } }
+        },
+        orderBy: { startedAt: 'desc' },
+        skip,
+        take: limit
+      }),
+      prisma.syncRun.count({ where })
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limit);
+
+    return {
+      success: true,
+      data: {
+        runs,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalCount,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+          limit
+        }
+      }
+    };
+  } catch (error) {
+    console.error('List sync runs error:', error);
+    return {
+      success: false,
+      message: 'Failed to fetch sync runs',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Get a single sync run
+ * @param {string} id - SyncRun ID
+ * @returns {Object} Sync run details
+ */
+const getSyncRunById = async (id) => {
+  try {
+    const run = await prisma.syncRun.findUnique({
+      where: { id },
+      include: {
+        triggeredBy: { select: { id: true, firstName: true, lastName: true, email: true } }
+      }
+    });
+
+    if (!run) {
+      return { success: false, statusCode: 404, message: 'Sync run not found' };
+    }
+
+    return { success: true, data: run };
+  } catch (error) {
+    console.error('Get sync run error:', error);
+    return {
+      success: false,
+      message: 'Failed to fetch sync run',
+      error: error.message
+    };
+  }
+};
+
+module.exports = {
+  startSyncRun,
+  finishSyncRun,
+  alertOnConsecutiveFailures,
+  listSyncRuns,
+  getSyncRunById
+};